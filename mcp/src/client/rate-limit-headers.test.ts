@@ -0,0 +1,68 @@
+/**
+ * Rate Limit Header Parsing Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseRateLimitHeaders, parseResetDuration } from './rate-limit-headers.js';
+
+describe('rate-limit-headers', () => {
+  describe('parseResetDuration', () => {
+    it.each([
+      ['1s', 1_000],
+      ['250ms', 250],
+      ['6m0s', 360_000],
+      ['1h2m', 3_720_000],
+      ['1.5s', 1_500],
+      ['12', 12_000],
+      ['0.5', 500],
+    ])('should parse %s as %i ms', (value, expected) => {
+      expect(parseResetDuration(value)).toBe(expected);
+    });
+
+    it('should treat large numbers as Unix timestamps in seconds', () => {
+      const now = 1_700_000_000_000;
+
+      expect(parseResetDuration('1700000030', now)).toBe(30_000);
+      expect(parseResetDuration('1699999990', now)).toBe(0);
+    });
+
+    it.each([null, '', 'soon', '5 minutes', '-1s'])('should ignore %j', (value) => {
+      expect(parseResetDuration(value)).toBeUndefined();
+    });
+  });
+
+  describe('parseRateLimitHeaders', () => {
+    it('should read all x-ratelimit headers', () => {
+      const headers = new Headers({
+        'x-ratelimit-limit-requests': '60',
+        'x-ratelimit-limit-tokens': '150000',
+        'x-ratelimit-remaining-requests': '59',
+        'x-ratelimit-remaining-tokens': '149000',
+        'x-ratelimit-reset-requests': '1s',
+        'x-ratelimit-reset-tokens': '400ms',
+      });
+
+      expect(parseRateLimitHeaders(headers)).toEqual({
+        limitRequests: 60,
+        limitTokens: 150_000,
+        remainingRequests: 59,
+        remainingTokens: 149_000,
+        resetRequestsMs: 1_000,
+        resetTokensMs: 400,
+      });
+    });
+
+    it('should only include headers that are present and valid', () => {
+      const headers = new Headers({
+        'x-ratelimit-remaining-tokens': '42',
+        'x-ratelimit-limit-tokens': 'unlimited',
+      });
+
+      expect(parseRateLimitHeaders(headers)).toEqual({ remainingTokens: 42 });
+    });
+
+    it('should return null without rate limit headers', () => {
+      expect(parseRateLimitHeaders(new Headers({ 'content-type': 'application/json' }))).toBeNull();
+    });
+  });
+});
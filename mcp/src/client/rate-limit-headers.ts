@@ -0,0 +1,89 @@
+/**
+ * Rate Limit Response Headers
+ *
+ * Parses the `x-ratelimit-*` headers xAI sends with API responses, so the
+ * rate limiter can follow the account's real quotas instead of the
+ * configured tier's.
+ *
+ * @module client/rate-limit-headers
+ */
+
+import type { RateLimitHeaders } from '../types/index.js';
+
+/**
+ * Reset values above this are Unix timestamps in seconds rather than durations
+ */
+const EPOCH_SECONDS_THRESHOLD = 1_000_000_000;
+
+const DURATION_UNITS_MS: Record<string, number> = {
+  ms: 1,
+  s: 1000,
+  m: 60_000,
+  h: 3_600_000,
+};
+
+/**
+ * Parse a non-negative integer header value
+ */
+function parseCount(value: string | null): number | undefined {
+  if (value === null || !/^\s*\d+\s*$/.test(value)) {
+    return undefined;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a reset header into milliseconds from now
+ *
+ * Accepts durations such as `1s`, `250ms` or `6m0s`, plain seconds (`12`,
+ * `0.5`) and Unix timestamps in seconds.
+ *
+ * @param value - Raw header value
+ * @param now - Current time in ms (for timestamps)
+ * @returns Milliseconds until the reset, or undefined if the value is not recognized
+ */
+export function parseResetDuration(
+  value: string | null,
+  now: number = Date.now()
+): number | undefined {
+  const trimmed = value?.trim();
+  if (!trimmed) {
+    return undefined;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const seconds = parseFloat(trimmed);
+    return seconds >= EPOCH_SECONDS_THRESHOLD
+      ? Math.max(0, seconds * 1000 - now)
+      : Math.round(seconds * 1000);
+  }
+
+  if (!/^(\d+(\.\d+)?(ms|s|m|h))+$/.test(trimmed)) {
+    return undefined;
+  }
+  let total = 0;
+  for (const [, amount, , unit] of trimmed.matchAll(/(\d+(\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * DURATION_UNITS_MS[unit];
+  }
+  return Math.round(total);
+}
+
+/**
+ * Read the rate limit headers of a response
+ *
+ * @param headers - Response headers
+ * @returns The reported values, or null if the response has no rate limit headers
+ */
+export function parseRateLimitHeaders(headers: Headers): RateLimitHeaders | null {
+  const parsed: RateLimitHeaders = {
+    limitRequests: parseCount(headers.get('x-ratelimit-limit-requests')),
+    limitTokens: parseCount(headers.get('x-ratelimit-limit-tokens')),
+    remainingRequests: parseCount(headers.get('x-ratelimit-remaining-requests')),
+    remainingTokens: parseCount(headers.get('x-ratelimit-remaining-tokens')),
+    resetRequestsMs: parseResetDuration(headers.get('x-ratelimit-reset-requests')),
+    resetTokensMs: parseResetDuration(headers.get('x-ratelimit-reset-tokens')),
+  };
+
+  const present = Object.entries(parsed).filter(([, value]) => value !== undefined);
+  return present.length > 0 ? (Object.fromEntries(present) as RateLimitHeaders) : null;
+}
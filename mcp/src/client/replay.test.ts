@@ -0,0 +1,296 @@
+/**
+ * Record-and-Replay Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/mocks/server.js';
+import { XAIClient } from './xai-client.js';
+import {
+  createReplayFetch,
+  getCassetteKey,
+  getCassettePath,
+  normalizeRequest,
+  parseReplayMode,
+  readCassette,
+  ReplayMissError,
+} from './replay.js';
+import type { ChatCompletionStreamChunk, ReplayMode } from '../types/index.js';
+
+const BASE_URL = 'https://api.x.ai/v1';
+const API_KEY = 'xai-test-key-1234567890';
+
+function createSSEResponse(events: string[]): HttpResponse<ReadableStream<Uint8Array>> {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream<Uint8Array>({
+    start(controller: ReadableStreamDefaultController<Uint8Array>): void {
+      for (const event of events) {
+        controller.enqueue(encoder.encode(`data: ${event}\n\n`));
+      }
+      controller.close();
+    },
+  });
+  return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+describe('replay', () => {
+  let cassetteDir: string;
+
+  beforeEach(() => {
+    cassetteDir = mkdtempSync(join(tmpdir(), 'grok-cassettes-'));
+  });
+
+  afterEach(() => {
+    rmSync(cassetteDir, { recursive: true, force: true });
+  });
+
+  function createClient(replayMode: ReplayMode): XAIClient {
+    return new XAIClient({ apiKey: API_KEY, baseUrl: BASE_URL, replayMode, cassetteDir });
+  }
+
+  describe('parseReplayMode', () => {
+    it('should default to passthrough', () => {
+      expect(parseReplayMode(undefined)).toBe('passthrough');
+      expect(parseReplayMode('')).toBe('passthrough');
+    });
+
+    it('should accept known modes case-insensitively', () => {
+      expect(parseReplayMode('record')).toBe('record');
+      expect(parseReplayMode(' REPLAY ')).toBe('replay');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => parseReplayMode('playback')).toThrow('Invalid GROK_REPLAY_MODE "playback"');
+    });
+  });
+
+  describe('normalizeRequest', () => {
+    it('should strip the base URL and parse the body', () => {
+      expect(
+        normalizeRequest('post', `${BASE_URL}/chat/completions`, BASE_URL, '{"model":"m"}')
+      ).toEqual({ method: 'POST', endpoint: '/chat/completions', body: { model: 'm' } });
+    });
+
+    it('should match requests regardless of body key order', () => {
+      const a = normalizeRequest('POST', `${BASE_URL}/responses`, BASE_URL, '{"a":1,"b":2}');
+      const b = normalizeRequest('POST', `${BASE_URL}/responses`, BASE_URL, '{"b":2,"a":1}');
+
+      expect(getCassetteKey(a)).toBe(getCassetteKey(b));
+      expect(getCassettePath(cassetteDir, a)).toMatch(/responses-[0-9a-f]{16}\.json$/);
+    });
+
+    it('should use different keys for different bodies', () => {
+      const a = normalizeRequest('POST', `${BASE_URL}/responses`, BASE_URL, '{"a":1}');
+      const b = normalizeRequest('POST', `${BASE_URL}/responses`, BASE_URL, '{"a":2}');
+
+      expect(getCassetteKey(a)).not.toBe(getCassetteKey(b));
+    });
+  });
+
+  describe('record mode', () => {
+    it('should record chat completions and serve the live response', async () => {
+      const client = createClient('record');
+
+      const response = await client.chatCompletion({
+        model: 'fast',
+        messages: [{ role: 'user', content: 'Hello' }],
+      });
+
+      expect(response.choices[0].message.content).toBeTruthy();
+      const files = readdirSync(cassetteDir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/^chat-completions-[0-9a-f]{16}\.json$/);
+
+      const cassette = readCassette(join(cassetteDir, files[0]));
+      expect(cassette.request).toMatchObject({
+        method: 'POST',
+        endpoint: '/chat/completions',
+        body: { model: 'grok-4-fast-non-reasoning' },
+      });
+      expect(cassette.response.status).toBe(200);
+      expect(cassette.response.body).toEqual(response);
+    });
+
+    it('should never write the API key', async () => {
+      const client = createClient('record');
+
+      await client.listModels();
+
+      const files = readdirSync(cassetteDir);
+      expect(files[0]).toMatch(/^models-/);
+      expect(JSON.stringify(readCassette(join(cassetteDir, files[0])))).not.toContain(API_KEY);
+    });
+
+    it('should record SSE streams as events', async () => {
+      const chunk = {
+        id: 's1',
+        object: 'chat.completion.chunk',
+        created: 1,
+        model: 'grok-4-fast-non-reasoning',
+        choices: [{ index: 0, delta: { content: 'Hi' }, finish_reason: 'stop' }],
+      };
+      server.use(
+        http.post(`${BASE_URL}/chat/completions`, () =>
+          createSSEResponse([JSON.stringify(chunk), '[DONE]'])
+        )
+      );
+      const client = createClient('record');
+
+      const chunks: ChatCompletionStreamChunk[] = [];
+      for await (const received of client.chatCompletionStream({
+        model: 'fast',
+        messages: [{ role: 'user', content: 'Hi' }],
+      })) {
+        chunks.push(received);
+      }
+
+      expect(chunks).toEqual([chunk]);
+      const cassette = readCassette(join(cassetteDir, readdirSync(cassetteDir)[0]));
+      expect(cassette.request.body).toMatchObject({ stream: true });
+      expect(cassette.response.events).toEqual([chunk, '[DONE]']);
+    });
+
+    it('should record error responses', async () => {
+      server.use(
+        http.post(`${BASE_URL}/images/generations`, () =>
+          HttpResponse.json({ error: 'Bad prompt' }, { status: 400, statusText: 'Bad Request' })
+        )
+      );
+      const client = createClient('record');
+
+      await expect(client.generateImage({ model: 'image', prompt: 'x' })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      const cassette = readCassette(join(cassetteDir, readdirSync(cassetteDir)[0]));
+      expect(cassette.response).toMatchObject({ status: 400, body: { error: 'Bad prompt' } });
+    });
+
+    it('should not record other endpoints', async () => {
+      const live = vi.fn().mockResolvedValue(new Response('ok'));
+      const replayFetch = createReplayFetch({
+        mode: 'record',
+        cassetteDir,
+        baseUrl: BASE_URL,
+        fetch: live,
+      });
+
+      await replayFetch(`${BASE_URL}/files`, { method: 'GET' });
+
+      expect(live).toHaveBeenCalledTimes(1);
+      expect(readdirSync(cassetteDir)).toEqual([]);
+    });
+  });
+
+  describe('replay mode', () => {
+    const params = {
+      model: 'fast',
+      messages: [{ role: 'user' as const, content: 'Hello' }],
+    };
+
+    it('should replay recorded responses without network access', async () => {
+      const recorded = await createClient('record').chatCompletion(params);
+      const requests = vi.fn();
+      server.use(
+        http.post(`${BASE_URL}/chat/completions`, () => {
+          requests();
+          return HttpResponse.json({ error: 'network used' }, { status: 500 });
+        })
+      );
+
+      const replayed = await createClient('replay').chatCompletion(params);
+
+      expect(replayed).toEqual(recorded);
+      expect(requests).not.toHaveBeenCalled();
+    });
+
+    it('should replay recorded streams', async () => {
+      server.use(
+        http.post(`${BASE_URL}/chat/completions`, () =>
+          createSSEResponse([
+            JSON.stringify({
+              id: 's1',
+              object: 'chat.completion.chunk',
+              created: 1,
+              model: 'grok-4-fast-non-reasoning',
+              choices: [{ index: 0, delta: { content: 'Hello there' }, finish_reason: 'stop' }],
+            }),
+            '[DONE]',
+          ])
+        )
+      );
+      const recording = createClient('record').chatCompletionStream(params);
+      while (!(await recording.next()).done) {
+        // Drain the stream to record it
+      }
+      server.resetHandlers();
+
+      const contents: string[] = [];
+      for await (const chunk of createClient('replay').chatCompletionStream(params)) {
+        contents.push(chunk.choices[0].delta.content ?? '');
+      }
+
+      expect(contents).toEqual(['Hello there']);
+    });
+
+    it('should replay recorded errors', async () => {
+      server.use(
+        http.post(`${BASE_URL}/responses`, () =>
+          HttpResponse.json({ error: 'Forbidden' }, { status: 403, statusText: 'Forbidden' })
+        )
+      );
+      const search = { model: 'grok-4-1-fast', input: [{ role: 'user' as const, content: 'x' }] };
+      await expect(createClient('record').responsesCreate(search)).rejects.toThrow();
+      server.resetHandlers();
+
+      await expect(createClient('replay').responsesCreate(search)).rejects.toMatchObject({
+        statusCode: 403,
+        statusText: 'Forbidden',
+      });
+    });
+
+    it('should fail loudly on unmatched requests', async () => {
+      await createClient('record').chatCompletion(params);
+
+      const error = await createClient('replay')
+        .chatCompletion({ ...params, messages: [{ role: 'user', content: 'Goodbye' }] })
+        .catch((e: unknown) => e);
+
+      expect(error).toBeInstanceOf(ReplayMissError);
+      expect((error as ReplayMissError).message).toContain(
+        'No cassette for POST /chat/completions'
+      );
+      expect((error as ReplayMissError).message).toContain('GROK_REPLAY_MODE=record');
+    });
+
+    it('should fail loudly on unmatched streaming requests', async () => {
+      const stream = createClient('replay').chatCompletionStream(params);
+
+      await expect(stream.next()).rejects.toThrow(ReplayMissError);
+    });
+
+    it('should honour aborted signals', async () => {
+      await createClient('record').chatCompletion(params);
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        createClient('replay').chatCompletion({ ...params, signal: controller.signal })
+      ).rejects.toMatchObject({ name: 'RequestCancelledError' });
+    });
+  });
+
+  describe('XAIClient options', () => {
+    it('should default to passthrough', () => {
+      expect(new XAIClient({ apiKey: API_KEY }).getReplayMode()).toBe('passthrough');
+    });
+
+    it('should require a cassette directory to record or replay', () => {
+      expect(() => new XAIClient({ apiKey: API_KEY, replayMode: 'replay' })).toThrow(
+        'cassetteDir is required in replay mode'
+      );
+    });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Record-and-Replay for the xAI Client
+ *
+ * Lets the client run without network access. In `record` mode every call
+ * to a recorded endpoint goes to the API and the normalized request/response
+ * pair is written to a cassette file. In `replay` mode responses are served
+ * from those cassettes and any request without one fails with
+ * ReplayMissError. SSE streams are stored as their list of events.
+ *
+ * Cassettes never contain request headers, so the API key is never written
+ * to disk.
+ *
+ * @module client/replay
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { stableStringify } from '../services/cache-key.js';
+import type { ReplayMode } from '../types/index.js';
+
+/**
+ * Endpoints whose responses are recorded
+ */
+export const RECORDED_ENDPOINTS = [
+  '/chat/completions',
+  '/responses',
+  '/images/generations',
+  '/models',
+] as const;
+
+/**
+ * Response headers kept in cassettes (all others are dropped)
+ */
+const RECORDED_HEADER_PATTERN = /^(content-type|retry-after|x-ratelimit-.*)$/i;
+
+/**
+ * The fetch signature used by XAIClient
+ */
+export type FetchFunction = (
+  url: string,
+  init: NonNullable<Parameters<typeof fetch>[1]>
+) => Promise<Response>;
+
+/**
+ * Normalized request used to match a cassette
+ */
+export interface CassetteRequest {
+  /** HTTP method */
+  method: string;
+  /** Endpoint path relative to the base URL (e.g. /chat/completions) */
+  endpoint: string;
+  /** Parsed JSON request body */
+  body?: unknown;
+}
+
+/**
+ * Recorded response
+ */
+export interface CassetteResponse {
+  /** HTTP status code */
+  status: number;
+  /** HTTP status text */
+  statusText: string;
+  /** Recorded response headers (lower-case names) */
+  headers: Record<string, string>;
+  /** Parsed JSON body */
+  body?: unknown;
+  /** Raw body, when it was not JSON */
+  text?: string;
+  /** SSE `data:` payloads in order (JSON payloads parsed) */
+  events?: unknown[];
+}
+
+/**
+ * Cassette file contents
+ */
+export interface Cassette {
+  /** Key derived from the normalized request */
+  key: string;
+  /** ISO timestamp of the recording */
+  recordedAt: string;
+  request: CassetteRequest;
+  response: CassetteResponse;
+}
+
+/**
+ * Options for createReplayFetch()
+ */
+export interface ReplayFetchOptions {
+  /** `record` or `replay` */
+  mode: Exclude<ReplayMode, 'passthrough'>;
+  /** Directory holding cassette files */
+  cassetteDir: string;
+  /** Client base URL, stripped from request URLs to get the endpoint */
+  baseUrl: string;
+  /** Fetch used for real requests in record mode (default: global fetch) */
+  fetch?: FetchFunction;
+}
+
+/**
+ * Error thrown in replay mode when no cassette matches a request
+ */
+export class ReplayMissError extends Error {
+  constructor(
+    public readonly request: CassetteRequest,
+    public readonly cassettePath: string
+  ) {
+    super(
+      `No cassette for ${request.method} ${request.endpoint} (expected ${cassettePath}). ` +
+        'Record it with GROK_REPLAY_MODE=record.'
+    );
+    this.name = 'ReplayMissError';
+  }
+}
+
+/**
+ * Parse the GROK_REPLAY_MODE setting
+ *
+ * @param value - Raw setting (unset means passthrough)
+ * @throws Error if the value is not a known mode
+ */
+export function parseReplayMode(value: string | undefined): ReplayMode {
+  const mode = (value || 'passthrough').trim().toLowerCase();
+  if (mode === 'record' || mode === 'replay' || mode === 'passthrough') {
+    return mode;
+  }
+  throw new Error(
+    `Invalid GROK_REPLAY_MODE "${value}": expected "record", "replay" or "passthrough"`
+  );
+}
+
+/**
+ * Normalize a request for matching
+ *
+ * @param method - HTTP method
+ * @param url - Full request URL
+ * @param baseUrl - Client base URL
+ * @param body - Raw JSON request body, if any
+ */
+export function normalizeRequest(
+  method: string,
+  url: string,
+  baseUrl: string,
+  body?: string
+): CassetteRequest {
+  const endpoint = url.startsWith(baseUrl) ? url.slice(baseUrl.length) : new URL(url).pathname;
+  return {
+    method: method.toUpperCase(),
+    endpoint,
+    body: body ? JSON.parse(body) : undefined,
+  };
+}
+
+/**
+ * Key for a normalized request (object key order does not matter)
+ *
+ * @returns 16-character hex digest
+ */
+export function getCassetteKey(request: CassetteRequest): string {
+  return createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Path of the cassette file for a request, e.g. `chat-completions-<key>.json`
+ */
+export function getCassettePath(cassetteDir: string, request: CassetteRequest): string {
+  const slug = request.endpoint
+    .replace(/^\/+/, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/-+$/, '');
+  return join(cassetteDir, `${slug}-${getCassetteKey(request)}.json`);
+}
+
+/**
+ * Whether requests to an endpoint are recorded
+ */
+function isRecordedEndpoint(endpoint: string): boolean {
+  const path = endpoint.split('?')[0];
+  return (RECORDED_ENDPOINTS as readonly string[]).includes(path);
+}
+
+/**
+ * Parse a JSON payload, keeping it as a string if it is not JSON
+ */
+function parseMaybeJson(text: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Capture a live response for a cassette
+ */
+async function captureResponse(response: Response): Promise<CassetteResponse> {
+  const headers: Record<string, string> = {};
+  response.headers.forEach((value, name) => {
+    if (RECORDED_HEADER_PATTERN.test(name)) {
+      headers[name.toLowerCase()] = value;
+    }
+  });
+
+  const text = await response.text();
+  const captured: CassetteResponse = {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  };
+
+  if (headers['content-type']?.includes('text/event-stream')) {
+    captured.events = text
+      .split('\n')
+      .filter((line) => line.startsWith('data: '))
+      .map((line) => parseMaybeJson(line.slice(6).trim()));
+  } else {
+    const body = parseMaybeJson(text);
+    if (typeof body === 'string') {
+      captured.text = body;
+    } else {
+      captured.body = body;
+    }
+  }
+  return captured;
+}
+
+/**
+ * Rebuild a Response from a cassette
+ */
+function buildResponse(recorded: CassetteResponse): Response {
+  let body: string;
+  if (recorded.events) {
+    body = recorded.events
+      .map((event) => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`)
+      .join('');
+  } else if (recorded.body !== undefined) {
+    body = JSON.stringify(recorded.body);
+  } else {
+    body = recorded.text ?? '';
+  }
+
+  return new Response(body, {
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: recorded.headers,
+  });
+}
+
+/**
+ * Read a cassette file
+ *
+ * @throws Error if the file is not a valid cassette
+ */
+export function readCassette(filePath: string): Cassette {
+  const cassette = JSON.parse(readFileSync(filePath, 'utf-8')) as Cassette;
+  if (!cassette?.response || typeof cassette.response.status !== 'number') {
+    throw new Error(`Invalid cassette file: ${filePath}`);
+  }
+  return cassette;
+}
+
+/**
+ * Create a fetch function that records or replays cassettes
+ *
+ * In record mode the live response is read in full before it is returned,
+ * so streamed answers arrive all at once while recording.
+ *
+ * @param options - Mode, cassette directory and base URL
+ */
+export function createReplayFetch(options: ReplayFetchOptions): FetchFunction {
+  const liveFetch: FetchFunction =
+    options.fetch ?? ((url, init): Promise<Response> => fetch(url, init));
+
+  return async (url, init) => {
+    const request = normalizeRequest(
+      init.method ?? 'GET',
+      url,
+      options.baseUrl,
+      typeof init.body === 'string' ? init.body : undefined
+    );
+    const cassettePath = getCassettePath(options.cassetteDir, request);
+
+    if (options.mode === 'replay') {
+      if (init.signal?.aborted) {
+        const error = new Error('This operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      if (!existsSync(cassettePath)) {
+        throw new ReplayMissError(request, cassettePath);
+      }
+      return buildResponse(readCassette(cassettePath).response);
+    }
+
+    const response = await liveFetch(url, init);
+    if (!isRecordedEndpoint(request.endpoint)) {
+      return response;
+    }
+
+    const cassette: Cassette = {
+      key: getCassetteKey(request),
+      recordedAt: new Date().toISOString(),
+      request,
+      response: await captureResponse(response),
+    };
+    mkdirSync(options.cassetteDir, { recursive: true });
+    writeFileSync(cassettePath, JSON.stringify(cassette, null, 2) + '\n', 'utf-8');
+    console.error(`[XAI] Recorded ${request.method} ${request.endpoint} to ${cassettePath}`);
+
+    return buildResponse(cassette.response);
+  };
+}
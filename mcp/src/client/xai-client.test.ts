@@ -1,17 +1,28 @@
 /**
  * Tests for xAI Client
  */
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { http, HttpResponse } from 'msw';
 import { server } from '../test/mocks/server.js';
+import { mockData } from '../test/mocks/handlers.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import { RetryPolicy } from '../services/retry-policy.js';
+import { CircuitBreaker, CircuitOpenError } from '../services/circuit-breaker.js';
 import {
   XAIClient,
   createClient,
   getModelTimeout,
+  mergeToolCallDeltas,
   DEFAULT_TIMEOUT,
   SLOW_MODEL_TIMEOUT,
 } from './xai-client.js';
-import { XAIError, MODEL_ALIASES, MODEL_FALLBACKS, MODEL_PRICING } from '../types/index.js';
+import {
+  XAIError,
+  RequestCancelledError,
+  MODEL_ALIASES,
+  MODEL_FALLBACKS,
+  MODEL_PRICING,
+} from '../types/index.js';
 
 describe('XAIClient', () => {
   describe('constructor', () => {
@@ -111,6 +122,49 @@ describe('XAIClient', () => {
     });
   });
 
+  describe('getFallbackChain', () => {
+    let client: XAIClient;
+
+    beforeEach(() => {
+      client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+    });
+
+    it('should resolve the default chain for an alias', () => {
+      expect(client.getFallbackChain('smartest', 'grok-4-0709')).toEqual([
+        'grok-4-0709',
+        'grok-4-1-fast-reasoning',
+        'grok-4-fast-non-reasoning',
+      ]);
+    });
+
+    it('should share chains between aliases of the same model', () => {
+      expect(client.getFallbackChain('auto', 'grok-4-0709')).toEqual(
+        client.getFallbackChain('smartest', 'grok-4-0709')
+      );
+      expect(client.getFallbackChain('cheap', 'grok-4-fast-non-reasoning')).toEqual([
+        'grok-4-fast-non-reasoning',
+        'grok-4-1-fast-non-reasoning',
+      ]);
+    });
+
+    it('should return only the model when it has no chain', () => {
+      expect(client.getFallbackChain('grok-3', 'grok-3')).toEqual(['grok-3']);
+    });
+
+    it('should use configured chains and drop duplicates', () => {
+      const configured = new XAIClient({
+        apiKey: 'xai-test-api-key-12345678',
+        modelFallbacks: { code: ['code', 'grok-3'], 'grok-3': [] },
+      });
+
+      expect(configured.getFallbackChain('code', 'grok-code-fast-1')).toEqual([
+        'grok-code-fast-1',
+        'grok-3',
+      ]);
+      expect(configured.getFallbackChain('smartest', 'grok-4-0709')).toEqual(['grok-4-0709']);
+    });
+  });
+
   describe('selectAutoModel', () => {
     let client: XAIClient;
 
@@ -537,6 +591,81 @@ describe('XAIClient', () => {
       expect(capturedModel).toBe('grok-4-fast-non-reasoning');
     });
 
+    it('should send tool definitions and return assistant tool calls', async () => {
+      let body: Record<string, unknown> | undefined;
+      const toolCall = {
+        id: 'call_1',
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' },
+      };
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', async ({ request }) => {
+          body = (await request.json()) as Record<string, unknown>;
+          return HttpResponse.json({
+            id: 'test',
+            object: 'chat.completion',
+            created: Date.now(),
+            model: 'grok-4-0709',
+            choices: [
+              {
+                index: 0,
+                message: { role: 'assistant', content: null, tool_calls: [toolCall] },
+                finish_reason: 'tool_calls',
+              },
+            ],
+            usage: { prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 },
+          });
+        })
+      );
+      const tools = [
+        {
+          type: 'function' as const,
+          function: { name: 'get_weather', parameters: { type: 'object' } },
+        },
+      ];
+
+      const response = await client.chatCompletion({
+        model: 'grok-4',
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        tools,
+        tool_choice: 'auto',
+      });
+
+      expect(body?.tools).toEqual(tools);
+      expect(body?.tool_choice).toBe('auto');
+      expect(response.choices[0].finish_reason).toBe('tool_calls');
+      expect(response.choices[0].message.tool_calls).toEqual([toolCall]);
+    });
+
+    it('should send tool result messages', async () => {
+      let messages: unknown;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', async ({ request }) => {
+          messages = ((await request.json()) as { messages: unknown }).messages;
+          return HttpResponse.json(mockData.chatResponse);
+        })
+      );
+      const history = [
+        { role: 'user' as const, content: 'Weather in Paris?' },
+        {
+          role: 'assistant' as const,
+          content: '',
+          tool_calls: [
+            {
+              id: 'call_1',
+              type: 'function' as const,
+              function: { name: 'get_weather', arguments: '{}' },
+            },
+          ],
+        },
+        { role: 'tool' as const, tool_call_id: 'call_1', content: '{"temp":18}' },
+      ];
+
+      await client.chatCompletion({ model: 'grok-4', messages: history });
+
+      expect(messages).toEqual(history);
+    });
+
     it('should handle 401 unauthorized error', async () => {
       server.use(
         http.post('https://api.x.ai/v1/chat/completions', () => {
@@ -568,6 +697,420 @@ describe('XAIClient', () => {
     });
   });
 
+  describe('cancellation', () => {
+    let client: XAIClient;
+    const messages = [{ role: 'user' as const, content: 'Hello' }];
+
+    beforeEach(() => {
+      client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+    });
+
+    it('should not send a request when the signal is already aborted', async () => {
+      let requested = false;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          requested = true;
+          return HttpResponse.json({});
+        })
+      );
+
+      await expect(
+        client.chatCompletion({ model: 'grok-4', messages, signal: AbortSignal.abort() })
+      ).rejects.toThrow(RequestCancelledError);
+      expect(requested).toBe(false);
+    });
+
+    it('should abort an in-flight request', async () => {
+      const controller = new AbortController();
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', async () => {
+          controller.abort();
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+          return HttpResponse.json({});
+        })
+      );
+
+      const error = await client
+        .chatCompletion({ model: 'grok-4', messages, signal: controller.signal })
+        .catch((e: unknown) => e);
+
+      expect(error).toBeInstanceOf(RequestCancelledError);
+      expect((error as XAIError).statusCode).toBe(499);
+    });
+
+    it('should stop waiting to retry after a 429', async () => {
+      const controller = new AbortController();
+      let attempts = 0;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          attempts++;
+          setTimeout(() => controller.abort(), 10);
+          return HttpResponse.json({}, { status: 429, headers: { 'Retry-After': '30' } });
+        })
+      );
+
+      const startTime = Date.now();
+      await expect(
+        client.chatCompletion({ model: 'grok-4', messages, signal: controller.signal })
+      ).rejects.toThrow(RequestCancelledError);
+
+      expect(Date.now() - startTime).toBeLessThan(5000);
+      expect(attempts).toBeGreaterThan(0);
+    });
+
+    it('should cancel a stream mid-response', async () => {
+      const controller = new AbortController();
+      const encoder = new TextEncoder();
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          const body = new ReadableStream<Uint8Array>({
+            start(streamController: ReadableStreamDefaultController<Uint8Array>): void {
+              streamController.enqueue(
+                encoder.encode(
+                  'data: {"id":"1","object":"chat.completion.chunk","created":1,"model":"grok-4","choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":null}]}\n\n'
+                )
+              );
+              // Never closes: the client must abort
+            },
+          });
+          return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } });
+        })
+      );
+
+      const chunks: string[] = [];
+      const consume = async (): Promise<void> => {
+        for await (const chunk of client.chatCompletionStream({
+          model: 'grok-4',
+          messages,
+          signal: controller.signal,
+        })) {
+          chunks.push(chunk.choices[0]?.delta?.content ?? '');
+          controller.abort();
+        }
+      };
+
+      await expect(consume()).rejects.toThrow(RequestCancelledError);
+      expect(chunks).toEqual(['Hi']);
+    });
+
+    it('should not send the signal to the API', async () => {
+      let body: Record<string, unknown> = {};
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', async ({ request }) => {
+          body = (await request.json()) as Record<string, unknown>;
+          return HttpResponse.json({
+            id: 'test',
+            object: 'chat.completion',
+            created: 1,
+            model: 'grok-4',
+            choices: [
+              { index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' },
+            ],
+            usage: { prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 },
+          });
+        })
+      );
+
+      await client.chatCompletion({
+        model: 'grok-4',
+        messages,
+        signal: new AbortController().signal,
+      });
+
+      expect(body).not.toHaveProperty('signal');
+    });
+
+    it('should cancel listModels', async () => {
+      await expect(client.listModels(true, AbortSignal.abort())).rejects.toThrow(
+        RequestCancelledError
+      );
+    });
+  });
+
+  describe('retry policy', () => {
+    const messages = [{ role: 'user' as const, content: 'Hello' }];
+    let policy: RetryPolicy;
+
+    beforeEach(() => {
+      policy = new RetryPolicy({ initialDelayMs: 10, maxDelayMs: 100 });
+    });
+
+    it('should retry transient server errors', async () => {
+      let attempts = 0;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          attempts++;
+          return attempts === 1
+            ? HttpResponse.json({ error: 'unavailable' }, { status: 503 })
+            : HttpResponse.json(mockData.chatResponse);
+        })
+      );
+      const client = new XAIClient({ apiKey: 'xai-test-key-1234567890', retryPolicy: policy });
+
+      const response = await client.chatCompletion({ model: 'fast', messages });
+
+      expect(response.id).toBe(mockData.chatResponse.id);
+      expect(attempts).toBe(2);
+    });
+
+    it('should not retry client errors', async () => {
+      let attempts = 0;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          attempts++;
+          return HttpResponse.json({ error: 'bad' }, { status: 400 });
+        })
+      );
+      const client = new XAIClient({ apiKey: 'xai-test-key-1234567890', retryPolicy: policy });
+
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(attempts).toBe(1);
+    });
+
+    it('should stop retrying at the max elapsed time', async () => {
+      let attempts = 0;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          attempts++;
+          return HttpResponse.json({}, { status: 502 });
+        })
+      );
+      policy.setOptions({ maxElapsedMs: 5 });
+      const client = new XAIClient({ apiKey: 'xai-test-key-1234567890', retryPolicy: policy });
+
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toMatchObject({
+        statusCode: 502,
+      });
+      expect(attempts).toBe(1);
+    });
+
+    it('should put a rate limiter sharing the policy into backoff on 429', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          HttpResponse.json({}, { status: 429, headers: { 'Retry-After': '30' } })
+        )
+      );
+      const limiter = new RateLimiter({ tier: 'standard' }, policy);
+      const client = new XAIClient({
+        apiKey: 'xai-test-key-1234567890',
+        maxRetries: 0,
+        retryPolicy: policy,
+      });
+
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toMatchObject({
+        statusCode: 429,
+      });
+
+      const status = limiter.getStatus();
+      expect(status.isLimited).toBe(true);
+      expect(status.retryCount).toBe(1);
+      // Retry-After is capped at the policy's maxDelayMs
+      expect(status.currentRetryDelay).toBe(100);
+    });
+
+    it('should record 429s on streaming requests', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          HttpResponse.json({}, { status: 429 })
+        )
+      );
+      const client = new XAIClient({ apiKey: 'xai-test-key-1234567890', retryPolicy: policy });
+
+      await expect(
+        client.chatCompletionStream({ model: 'fast', messages }).next()
+      ).rejects.toThrow();
+
+      expect(policy.isBackingOff()).toBe(true);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const messages = [{ role: 'user' as const, content: 'Hello' }];
+    const circuitKey = 'POST /chat/completions (grok-4-fast-non-reasoning)';
+    let breaker: CircuitBreaker;
+    let client: XAIClient;
+    let attempts: number;
+
+    beforeEach(() => {
+      attempts = 0;
+      breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60_000 });
+      client = new XAIClient({
+        apiKey: 'xai-test-key-1234567890',
+        maxRetries: 0,
+        circuitBreaker: breaker,
+      });
+    });
+
+    const respondWith = (status: number): void => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () => {
+          attempts++;
+          return status === 200
+            ? HttpResponse.json(mockData.chatResponse)
+            : HttpResponse.json({ error: 'failed' }, { status });
+        })
+      );
+    };
+
+    it('should fail fast once the circuit opens', async () => {
+      respondWith(503);
+
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow();
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow();
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toBeInstanceOf(
+        CircuitOpenError
+      );
+
+      expect(attempts).toBe(2);
+      expect(breaker.getState(circuitKey)).toBe('open');
+    });
+
+    it('should stop retrying when the circuit opens mid-request', async () => {
+      respondWith(500);
+      const retryingClient = new XAIClient({
+        apiKey: 'xai-test-key-1234567890',
+        retryPolicy: new RetryPolicy({ initialDelayMs: 1 }),
+        circuitBreaker: breaker,
+      });
+
+      await expect(
+        retryingClient.chatCompletion({ model: 'fast', messages })
+      ).rejects.toBeInstanceOf(CircuitOpenError);
+
+      expect(attempts).toBe(2);
+    });
+
+    it('should not count client errors or rate limits', async () => {
+      respondWith(400);
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow();
+      respondWith(429);
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow();
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow();
+
+      expect(breaker.getCircuits()).toEqual([]);
+    });
+
+    it('should keep other models available', async () => {
+      breaker.recordFailure(circuitKey);
+      breaker.recordFailure(circuitKey);
+      respondWith(200);
+
+      const response = await client.chatCompletion({ model: 'smartest', messages });
+
+      expect(response.id).toBe(mockData.chatResponse.id);
+    });
+
+    it('should count failed streaming connections', async () => {
+      respondWith(502);
+
+      await expect(
+        client.chatCompletionStream({ model: 'fast', messages }).next()
+      ).rejects.toThrow();
+      await expect(
+        client.chatCompletionStream({ model: 'fast', messages }).next()
+      ).rejects.toThrow();
+
+      await expect(
+        client.chatCompletionStream({ model: 'fast', messages }).next()
+      ).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(attempts).toBe(2);
+    });
+  });
+
+  describe('rate limit headers', () => {
+    const rateLimitHeaders = {
+      'x-ratelimit-limit-requests': '60',
+      'x-ratelimit-remaining-requests': '59',
+      'x-ratelimit-reset-requests': '1s',
+    };
+    const messages = [{ role: 'user' as const, content: 'Hello' }];
+    const expected = { limitRequests: 60, remainingRequests: 59, resetRequestsMs: 1_000 };
+
+    it('should report the headers of successful responses', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          HttpResponse.json(mockData.chatResponse, { headers: rateLimitHeaders })
+        )
+      );
+      const listener = vi.fn();
+      const client = new XAIClient({
+        apiKey: 'xai-test-key-1234567890',
+        onRateLimitHeaders: listener,
+      });
+
+      await client.chatCompletion({ model: 'fast', messages });
+
+      expect(listener).toHaveBeenCalledWith(expected);
+    });
+
+    it('should report the headers of error and streaming responses', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          HttpResponse.json({ error: 'bad' }, { status: 400, headers: rateLimitHeaders })
+        )
+      );
+      const listener = vi.fn();
+      const client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+      client.setRateLimitListener(listener);
+
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow();
+      await expect(
+        client.chatCompletionStream({ model: 'fast', messages }).next()
+      ).rejects.toThrow();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenLastCalledWith(expected);
+    });
+
+    it('should not call the listener without rate limit headers', async () => {
+      const listener = vi.fn();
+      const client = new XAIClient({
+        apiKey: 'xai-test-key-1234567890',
+        onRateLimitHeaders: listener,
+      });
+
+      await client.listModels();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeToolCallDeltas', () => {
+    it('should assemble calls from streamed fragments', () => {
+      let calls = mergeToolCallDeltas(
+        [],
+        [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather' } }]
+      );
+      calls = mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '{"city":' } }]);
+      calls = mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '"Paris"}' } }]);
+
+      expect(calls).toEqual([
+        {
+          id: 'call_1',
+          type: 'function',
+          function: { name: 'get_weather', arguments: '{"city":"Paris"}' },
+        },
+      ]);
+    });
+
+    it('should keep parallel calls apart by index', () => {
+      const calls = mergeToolCallDeltas(
+        [],
+        [
+          { index: 0, id: 'call_1', function: { name: 'a', arguments: '{}' } },
+          { index: 1, id: 'call_2', function: { name: 'b', arguments: '{"x":1}' } },
+        ]
+      );
+
+      expect(calls.map((call) => [call.id, call.function.name, call.function.arguments])).toEqual([
+        ['call_1', 'a', '{}'],
+        ['call_2', 'b', '{"x":1}'],
+      ]);
+    });
+  });
+
   describe('getModelTimeout', () => {
     it('should return slow timeout for grok-4-0709 (flagship)', () => {
       expect(getModelTimeout('grok-4-0709')).toBe(SLOW_MODEL_TIMEOUT);
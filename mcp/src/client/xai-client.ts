@@ -7,16 +7,22 @@
  * SECURITY: API keys are never logged, even in debug mode.
  */
 
+import { join } from 'path';
 import {
   ChatCompletionParams,
   ChatCompletionResponse,
   ChatCompletionStreamChunk,
+  ChatToolCall,
+  ChatToolCallDelta,
   ModelsResponse,
   XAIClientOptions,
   XAIError,
+  RequestCancelledError,
+  throwIfCancelled,
   MODEL_PRICING,
   MODEL_FALLBACKS,
   MODEL_ALIASES,
+  DEFAULT_MODEL_FALLBACK_CHAINS,
   CODE_WEIGHTS,
   REASONING_WEIGHTS,
   COMPLEXITY_WEIGHTS,
@@ -31,7 +37,19 @@ import {
   AgentToolsResponse,
   ImageGenerationParams,
   ImageGenerationAPIResponse,
+  type ReplayMode,
+  type RateLimitListener,
 } from '../types/index.js';
+import {
+  createReplayFetch,
+  parseReplayMode,
+  ReplayMissError,
+  type FetchFunction,
+} from './replay.js';
+import { parseRateLimitHeaders } from './rate-limit-headers.js';
+import { parseModelFallbackChains } from '../services/model-fallback.js';
+import { RetryPolicy, getDefaultRetryPolicy, parseRetryAfter } from '../services/retry-policy.js';
+import { CircuitBreaker, getDefaultCircuitBreaker } from '../services/circuit-breaker.js';
 
 const DEFAULT_BASE_URL = 'https://api.x.ai/v1';
 export const DEFAULT_TIMEOUT = 30000; // 30 seconds
@@ -68,6 +86,33 @@ export function getModelTimeout(
   return instanceTimeout;
 }
 
+/**
+ * Merge streamed tool call fragments into complete tool calls
+ *
+ * The first fragment of a call carries its ID and function name; later
+ * fragments with the same index append to its arguments.
+ *
+ * @param toolCalls - Calls assembled so far (updated in place, by index)
+ * @param deltas - Fragments from one stream chunk
+ * @returns The updated tool calls
+ */
+export function mergeToolCallDeltas(
+  toolCalls: ChatToolCall[],
+  deltas: ChatToolCallDelta[]
+): ChatToolCall[] {
+  for (const delta of deltas) {
+    const call = (toolCalls[delta.index] ??= {
+      id: '',
+      type: 'function',
+      function: { name: '', arguments: '' },
+    });
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+  return toolCalls;
+}
+
 /**
  * Client for interacting with xAI's Grok API
  */
@@ -76,6 +121,12 @@ export class XAIClient {
   private readonly baseUrl: string;
   private readonly timeout: number;
   private readonly maxRetries: number;
+  private readonly retryPolicy: RetryPolicy;
+  private readonly circuitBreaker: CircuitBreaker;
+  private readonly replayMode: ReplayMode;
+  private readonly fetchFn: FetchFunction;
+  private readonly modelFallbacks: Record<string, string[]>;
+  private rateLimitListener?: RateLimitListener;
 
   // Models cache
   private modelsCache: ModelsResponse | null = null;
@@ -89,6 +140,69 @@ export class XAIClient {
     this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
     this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryPolicy = options.retryPolicy ?? new RetryPolicy();
+    this.circuitBreaker = options.circuitBreaker ?? new CircuitBreaker();
+    this.replayMode = options.replayMode ?? 'passthrough';
+    this.modelFallbacks = options.modelFallbacks ?? DEFAULT_MODEL_FALLBACK_CHAINS;
+    this.rateLimitListener = options.onRateLimitHeaders;
+
+    if (this.replayMode === 'passthrough') {
+      // Resolve the global fetch per call so test interceptors installed later apply
+      this.fetchFn = (url, init): Promise<Response> => fetch(url, init);
+    } else {
+      if (!options.cassetteDir) {
+        throw new Error(`cassetteDir is required in ${this.replayMode} mode`);
+      }
+      this.fetchFn = createReplayFetch({
+        mode: this.replayMode,
+        cassetteDir: options.cassetteDir,
+        baseUrl: this.baseUrl,
+      });
+      console.error(`[XAI] Replay mode: ${this.replayMode} (cassettes: ${options.cassetteDir})`);
+    }
+  }
+
+  /**
+   * Current record-and-replay mode
+   */
+  getReplayMode(): ReplayMode {
+    return this.replayMode;
+  }
+
+  /**
+   * Set the listener that receives the rate limit headers of every API response
+   *
+   * @param listener - Listener, or undefined to stop reporting
+   */
+  setRateLimitListener(listener: RateLimitListener | undefined): void {
+    this.rateLimitListener = listener;
+  }
+
+  /**
+   * Pass a response's rate limit headers to the listener, if both exist
+   */
+  private reportRateLimitHeaders(response: Response): void {
+    if (!this.rateLimitListener) return;
+    const headers = parseRateLimitHeaders(response.headers);
+    if (headers) {
+      this.rateLimitListener(headers);
+    }
+  }
+
+  /**
+   * Record a response in the circuit breaker
+   *
+   * Timeouts and server errors count as failures. Rate limits say nothing
+   * about the service's health, so they only release a half-open probe.
+   */
+  private recordCircuitStatus(circuitKey: string, status: number): void {
+    if (status === 408 || status >= 500) {
+      this.circuitBreaker.recordFailure(circuitKey);
+    } else if (status === 429) {
+      this.circuitBreaker.releaseProbe(circuitKey);
+    } else {
+      this.circuitBreaker.recordSuccess(circuitKey);
+    }
   }
 
   /**
@@ -149,6 +263,29 @@ export class XAIClient {
     return modelInput;
   }
 
+  /**
+   * Get the runtime fallback chain for a model
+   *
+   * Looks up the chain configured for the alias the caller used, then for
+   * the resolved model ID, then for any alias of that model (so `auto` and
+   * `cheap` share the chains of `smartest` and `fast`).
+   *
+   * @param modelInput - Model alias or ID the caller asked for
+   * @param resolvedModel - Model ID it resolved to
+   * @returns Resolved model IDs to try in order, starting with resolvedModel
+   */
+  getFallbackChain(modelInput: string, resolvedModel: string): string[] {
+    const aliasChain = (Object.keys(MODEL_ALIASES) as ModelAlias[])
+      .filter((alias) => MODEL_ALIASES[alias] === resolvedModel)
+      .map((alias) => this.modelFallbacks[alias])
+      .find(Boolean);
+    const configured =
+      this.modelFallbacks[modelInput] ?? this.modelFallbacks[resolvedModel] ?? aliasChain ?? [];
+
+    const chain = [resolvedModel, ...configured.map((model) => this.resolveModel(model))];
+    return [...new Set(chain)];
+  }
+
   /**
    * Intelligently select a model based on query content and context
    *
@@ -452,23 +589,41 @@ export class XAIClient {
    * @param body - Request body
    * @param retryCount - Current retry count (for exponential backoff)
    * @param requestTimeout - Per-request timeout override
+   * @param signal - Cancels the request, including retry waits, when aborted
+   * @param startedAt - When the first attempt started (for the retry policy's max elapsed time)
+   * @throws RequestCancelledError if the signal is aborted
+   * @throws CircuitOpenError if the endpoint and model's circuit is open
    */
   private async request<T>(
     method: 'GET' | 'POST',
     endpoint: string,
     body?: unknown,
     retryCount = 0,
-    requestTimeout?: number
+    requestTimeout?: number,
+    signal?: AbortSignal,
+    startedAt = Date.now()
   ): Promise<T> {
+    throwIfCancelled(signal);
+
+    const model = (body as { model?: unknown } | undefined)?.model;
+    const circuitKey = CircuitBreaker.getKey(
+      method,
+      endpoint,
+      typeof model === 'string' ? model : undefined
+    );
+    this.circuitBreaker.beforeRequest(circuitKey);
+
     const url = `${this.baseUrl}${endpoint}`;
     const effectiveTimeout = requestTimeout ?? this.timeout;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), effectiveTimeout);
+    const onAbort = (): void => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     const startTime = Date.now();
 
     try {
-      const response = await fetch(url, {
+      const response = await this.fetchFn(url, {
         method,
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
@@ -480,18 +635,44 @@ export class XAIClient {
       });
 
       clearTimeout(timeoutId);
+      this.reportRateLimitHeaders(response);
+      this.recordCircuitStatus(circuitKey, response.status);
 
       const responseTime = Date.now() - startTime;
 
       if (!response.ok) {
         const errorBody = await response.text().catch(() => '');
 
-        // Handle rate limiting with retry
-        if (response.status === 429 && retryCount < this.maxRetries) {
-          const retryAfter = parseInt(response.headers.get('Retry-After') || '5', 10);
-          const waitTime = Math.min(retryAfter * 1000, 30000) * Math.pow(2, retryCount);
-          await this.sleep(waitTime);
-          return this.request<T>(method, endpoint, body, retryCount + 1, requestTimeout);
+        // Retry rate limits and transient server errors per the retry policy.
+        // 429s also put every request sharing the policy into backoff.
+        if (this.retryPolicy.isRetriable(response.status)) {
+          const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+          const waitTime =
+            response.status === 429
+              ? this.retryPolicy.recordRateLimit(retryAfterMs)
+              : this.retryPolicy.getDelay(retryCount, retryAfterMs);
+          if (
+            this.retryPolicy.shouldRetry(
+              retryCount,
+              Date.now() - startedAt,
+              waitTime,
+              this.maxRetries
+            )
+          ) {
+            console.error(
+              `[XAI] ${method} ${endpoint} failed (HTTP ${response.status}), retrying in ${waitTime}ms (${retryCount + 1}/${this.maxRetries})...`
+            );
+            await this.sleep(waitTime, signal);
+            return this.request<T>(
+              method,
+              endpoint,
+              body,
+              retryCount + 1,
+              requestTimeout,
+              signal,
+              startedAt
+            );
+          }
         }
 
         throw new XAIError(
@@ -506,6 +687,7 @@ export class XAIClient {
       try {
         data = (await response.json()) as T;
       } catch {
+        throwIfCancelled(signal);
         throw new XAIError('Invalid JSON response from xAI API', response.status, 'Parse Error');
       }
 
@@ -516,23 +698,46 @@ export class XAIClient {
     } catch (error) {
       clearTimeout(timeoutId);
 
-      if (error instanceof XAIError) {
+      if (error instanceof XAIError || error instanceof ReplayMissError) {
         throw error;
       }
 
+      if (signal?.aborted) {
+        this.circuitBreaker.releaseProbe(circuitKey);
+        throw new RequestCancelledError();
+      }
+
+      // Timeouts and network errors count against the circuit
+      this.circuitBreaker.recordFailure(circuitKey);
+
       if (error instanceof Error) {
         if (error.name === 'AbortError') {
-          // Retry on timeout with exponential backoff
-          if (retryCount < this.maxRetries) {
-            const waitTime = Math.min(1000 * Math.pow(2, retryCount), 30000);
+          // Retry on timeout with the retry policy's backoff
+          const waitTime = this.retryPolicy.getDelay(retryCount);
+          if (
+            this.retryPolicy.shouldRetry(
+              retryCount,
+              Date.now() - startedAt,
+              waitTime,
+              this.maxRetries
+            )
+          ) {
             console.error(
               `[XAI] Request timeout after ${effectiveTimeout}ms, retrying (${retryCount + 1}/${this.maxRetries})...`
             );
-            await this.sleep(waitTime);
-            return this.request<T>(method, endpoint, body, retryCount + 1, requestTimeout);
+            await this.sleep(waitTime, signal);
+            return this.request<T>(
+              method,
+              endpoint,
+              body,
+              retryCount + 1,
+              requestTimeout,
+              signal,
+              startedAt
+            );
           }
           throw new XAIError(
-            `Request timeout after ${effectiveTimeout}ms (${this.maxRetries} retries exhausted)`,
+            `Request timeout after ${effectiveTimeout}ms (${retryCount} retries exhausted)`,
             408,
             'Request Timeout'
           );
@@ -541,14 +746,32 @@ export class XAIClient {
       }
 
       throw new XAIError('Unknown error occurred', 500, 'Internal Error');
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
   /**
    * Sleep utility for retry backoff
+   *
+   * @throws RequestCancelledError if the signal is aborted while waiting
    */
-  private sleep(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  private sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RequestCancelledError());
+        return;
+      }
+      const onAbort = (): void => {
+        clearTimeout(timeoutId);
+        reject(new RequestCancelledError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -561,8 +784,8 @@ export class XAIClient {
     // Resolve model alias
     const resolvedModel = this.resolveModel(params.model);
 
-    // Extract timeout from params (don't send to API)
-    const { timeout: requestTimeout, ...apiParams } = params;
+    // Extract timeout and signal from params (don't send to API)
+    const { timeout: requestTimeout, signal, ...apiParams } = params;
 
     // Use model-aware timeout (grok-4 flagship models get 90s default)
     const effectiveTimeout = getModelTimeout(resolvedModel, requestTimeout, this.timeout);
@@ -583,7 +806,8 @@ export class XAIClient {
       '/chat/completions',
       requestBody,
       0, // retryCount
-      effectiveTimeout
+      effectiveTimeout,
+      signal
     );
 
     return response;
@@ -595,26 +819,35 @@ export class XAIClient {
    *
    * Yields ChatCompletionStreamChunk for each SSE event.
    * Use this for real-time response streaming with partial response support on timeout.
+   * Function calls arrive as `delta.tool_calls` fragments; see mergeToolCallDeltas().
    *
    * @param params - Chat completion parameters (stream is forced to true)
    * @yields ChatCompletionStreamChunk for each SSE delta
+   * @throws RequestCancelledError if `params.signal` is aborted, including mid-stream
+   * @throws CircuitOpenError if the model's chat completions circuit is open
    */
   async *chatCompletionStream(
     params: Omit<ChatCompletionParams, 'stream'>
   ): AsyncGenerator<ChatCompletionStreamChunk, void, unknown> {
     const resolvedModel = this.resolveModel(params.model);
-    const { timeout: requestTimeout, ...apiParams } = params;
+    const { timeout: requestTimeout, signal, ...apiParams } = params;
+    throwIfCancelled(signal);
+
+    const circuitKey = CircuitBreaker.getKey('POST', '/chat/completions', resolvedModel);
+    this.circuitBreaker.beforeRequest(circuitKey);
 
     // Use model-aware timeout (grok-4 flagship models get 90s default)
     const effectiveTimeout = getModelTimeout(resolvedModel, requestTimeout, this.timeout);
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), effectiveTimeout);
+    const onAbort = (): void => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     const url = `${this.baseUrl}/chat/completions`;
 
     try {
-      const response = await fetch(url, {
+      const response = await this.fetchFn(url, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
@@ -630,9 +863,15 @@ export class XAIClient {
       });
 
       clearTimeout(timeoutId);
+      this.reportRateLimitHeaders(response);
+      this.recordCircuitStatus(circuitKey, response.status);
 
       if (!response.ok) {
         const errorBody = await response.text().catch(() => '');
+        if (response.status === 429) {
+          // Streams are not retried, but still put the server into backoff
+          this.retryPolicy.recordRateLimit(parseRetryAfter(response.headers.get('Retry-After')));
+        }
         throw new XAIError(
           `xAI streaming request failed: ${response.statusText}`,
           response.status,
@@ -649,9 +888,17 @@ export class XAIClient {
       const decoder = new TextDecoder();
       let buffer = '';
 
+      // Cancel the body directly: not every fetch implementation ends a
+      // pending read when its request signal is aborted
+      const cancelReader = (): void => {
+        reader.cancel().catch(() => undefined);
+      };
+      signal?.addEventListener('abort', cancelReader, { once: true });
+
       try {
         while (true) {
           const { done, value } = await reader.read();
+          throwIfCancelled(signal);
           if (done) break;
 
           buffer += decoder.decode(value, { stream: true });
@@ -674,12 +921,20 @@ export class XAIClient {
           }
         }
       } finally {
+        signal?.removeEventListener('abort', cancelReader);
         reader.releaseLock();
       }
     } catch (error) {
       clearTimeout(timeoutId);
 
-      if (error instanceof XAIError) throw error;
+      if (error instanceof XAIError || error instanceof ReplayMissError) throw error;
+
+      if (signal?.aborted) {
+        this.circuitBreaker.releaseProbe(circuitKey);
+        throw new RequestCancelledError();
+      }
+
+      this.circuitBreaker.recordFailure(circuitKey);
 
       if (error instanceof Error && error.name === 'AbortError') {
         throw new XAIError(
@@ -694,6 +949,8 @@ export class XAIClient {
         500,
         'Internal Error'
       );
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
@@ -702,8 +959,11 @@ export class XAIClient {
    * Endpoint: GET /v1/models
    *
    * Results are cached for 1 hour to reduce API calls
+   *
+   * @param forceRefresh - Bypass the models cache
+   * @param signal - Cancels the request when aborted
    */
-  async listModels(forceRefresh = false): Promise<ModelsResponse> {
+  async listModels(forceRefresh = false, signal?: AbortSignal): Promise<ModelsResponse> {
     const now = Date.now();
 
     // Return cached results if valid
@@ -712,7 +972,14 @@ export class XAIClient {
       return this.modelsCache;
     }
 
-    const response = await this.request<ModelsResponse>('GET', '/models');
+    const response = await this.request<ModelsResponse>(
+      'GET',
+      '/models',
+      undefined,
+      0, // retryCount
+      undefined,
+      signal
+    );
 
     // Update cache
     this.modelsCache = response;
@@ -766,7 +1033,8 @@ export class XAIClient {
    */
   async responsesCreate(params: AgentToolsParams): Promise<AgentToolsResponse> {
     // Resolve model alias - grok-4-1-fast recommended for tool calling
-    const resolvedModel = this.resolveModel(params.model);
+    const { signal, ...apiParams } = params;
+    const resolvedModel = this.resolveModel(apiParams.model);
 
     // Agent Tools API (search, code execution) can take longer than standard queries
     // Use SLOW_MODEL_TIMEOUT (90s) for all agent tools operations
@@ -776,11 +1044,12 @@ export class XAIClient {
       'POST',
       '/responses',
       {
-        ...params,
+        ...apiParams,
         model: resolvedModel,
       },
       0, // retryCount
-      effectiveTimeout
+      effectiveTimeout,
+      signal
     );
 
     return response;
@@ -800,12 +1069,19 @@ export class XAIClient {
     // Resolve model alias (supports 'image' alias)
     const resolvedModel = this.resolveModel(params.model);
 
-    const response = await this.request<ImageGenerationAPIResponse>('POST', '/images/generations', {
-      model: resolvedModel,
-      prompt: params.prompt,
-      n: params.n,
-      response_format: params.response_format,
-    });
+    const response = await this.request<ImageGenerationAPIResponse>(
+      'POST',
+      '/images/generations',
+      {
+        model: resolvedModel,
+        prompt: params.prompt,
+        n: params.n,
+        response_format: params.response_format,
+      },
+      0, // retryCount
+      undefined,
+      params.signal
+    );
 
     return response;
   }
@@ -840,10 +1116,20 @@ export class XAIClient {
   }
 }
 
+/**
+ * Default cassette directory for record-and-replay (./cassettes)
+ */
+export function getDefaultCassetteDir(): string {
+  return join(process.cwd(), 'cassettes');
+}
+
 /**
  * Create a new XAIClient instance from environment variables
  *
  * Validates API key format before creating client.
+ *
+ * @throws Error if GROK_REPLAY_MODE is not record, replay or passthrough
+ * @throws Error if GROK_MODEL_FALLBACKS is malformed
  */
 export function createClient(): XAIClient {
   const apiKey = process.env.XAI_API_KEY;
@@ -853,5 +1139,13 @@ export function createClient(): XAIClient {
     apiKey: apiKey || '',
     baseUrl: process.env.XAI_BASE_URL || DEFAULT_BASE_URL,
     timeout: parseInt(process.env.XAI_TIMEOUT || String(DEFAULT_TIMEOUT), 10),
+    replayMode: parseReplayMode(process.env.GROK_REPLAY_MODE),
+    cassetteDir: process.env.GROK_CASSETTE_DIR || getDefaultCassetteDir(),
+    retryPolicy: getDefaultRetryPolicy(),
+    circuitBreaker: getDefaultCircuitBreaker(),
+    modelFallbacks: parseModelFallbackChains(
+      process.env.GROK_MODEL_FALLBACKS,
+      DEFAULT_MODEL_FALLBACK_CHAINS
+    ),
   });
 }
@@ -30,8 +30,8 @@ describe('Grok MCP Server', () => {
   });
 
   describe('ALL_TOOLS', () => {
-    it('should export all 11 tools', () => {
-      expect(ALL_TOOLS).toHaveLength(11);
+    it('should export all 17 tools', () => {
+      expect(ALL_TOOLS).toHaveLength(17);
     });
 
     it('should include grok_query tool', () => {
@@ -41,6 +41,42 @@ describe('Grok MCP Server', () => {
       expect(tool?.inputSchema).toBeDefined();
     });
 
+    it('should include grok_conversation tool', () => {
+      const tool = ALL_TOOLS.find((t) => t.name === 'grok_conversation');
+      expect(tool).toBeDefined();
+      expect(tool?.description).toContain('conversation');
+    });
+
+    it('should include grok_function_call tool', () => {
+      const tool = ALL_TOOLS.find((t) => t.name === 'grok_function_call');
+      expect(tool).toBeDefined();
+      expect(tool?.description).toContain('function');
+    });
+
+    it('should include grok_compare tool', () => {
+      const tool = ALL_TOOLS.find((t) => t.name === 'grok_compare');
+      expect(tool).toBeDefined();
+      expect(tool?.description).toContain('compare');
+    });
+
+    it('should include grok_consensus tool', () => {
+      const tool = ALL_TOOLS.find((t) => t.name === 'grok_consensus');
+      expect(tool).toBeDefined();
+      expect(tool?.description).toContain('agreement');
+    });
+
+    it('should include grok_batch tool', () => {
+      const tool = ALL_TOOLS.find((t) => t.name === 'grok_batch');
+      expect(tool).toBeDefined();
+      expect(tool?.description).toContain('parallelism');
+    });
+
+    it('should include grok_review_diff tool', () => {
+      const tool = ALL_TOOLS.find((t) => t.name === 'grok_review_diff');
+      expect(tool).toBeDefined();
+      expect(tool?.description).toContain('diff');
+    });
+
     it('should include grok_models tool', () => {
       const tool = ALL_TOOLS.find((t) => t.name === 'grok_models');
       expect(tool).toBeDefined();
@@ -119,8 +155,8 @@ describe('Grok MCP Server', () => {
   });
 
   describe('TOOL_HANDLERS', () => {
-    it('should have handlers for all 11 tools', () => {
-      expect(Object.keys(TOOL_HANDLERS)).toHaveLength(11);
+    it('should have handlers for all 17 tools', () => {
+      expect(Object.keys(TOOL_HANDLERS)).toHaveLength(17);
     });
 
     it('should have handler for grok_query', () => {
@@ -128,6 +164,36 @@ describe('Grok MCP Server', () => {
       expect(typeof TOOL_HANDLERS['grok_query']).toBe('function');
     });
 
+    it('should have handler for grok_conversation', () => {
+      expect(TOOL_HANDLERS['grok_conversation']).toBeDefined();
+      expect(typeof TOOL_HANDLERS['grok_conversation']).toBe('function');
+    });
+
+    it('should have handler for grok_function_call', () => {
+      expect(TOOL_HANDLERS['grok_function_call']).toBeDefined();
+      expect(typeof TOOL_HANDLERS['grok_function_call']).toBe('function');
+    });
+
+    it('should have handler for grok_compare', () => {
+      expect(TOOL_HANDLERS['grok_compare']).toBeDefined();
+      expect(typeof TOOL_HANDLERS['grok_compare']).toBe('function');
+    });
+
+    it('should have handler for grok_consensus', () => {
+      expect(TOOL_HANDLERS['grok_consensus']).toBeDefined();
+      expect(typeof TOOL_HANDLERS['grok_consensus']).toBe('function');
+    });
+
+    it('should have handler for grok_batch', () => {
+      expect(TOOL_HANDLERS['grok_batch']).toBeDefined();
+      expect(typeof TOOL_HANDLERS['grok_batch']).toBe('function');
+    });
+
+    it('should have handler for grok_review_diff', () => {
+      expect(TOOL_HANDLERS['grok_review_diff']).toBeDefined();
+      expect(typeof TOOL_HANDLERS['grok_review_diff']).toBe('function');
+    });
+
     it('should have handler for grok_models', () => {
       expect(TOOL_HANDLERS['grok_models']).toBeDefined();
       expect(typeof TOOL_HANDLERS['grok_models']).toBe('function');
@@ -184,6 +250,19 @@ describe('Grok MCP Server', () => {
       }
     });
 
+    it('should pass the cancellation signal to client-backed handlers', async () => {
+      const signal = AbortSignal.abort();
+      const client = {
+        resolveModel: (model: string): string => model,
+        selectAutoModel: vi.fn(),
+        listModels: vi.fn().mockResolvedValue({ object: 'list', data: [] }),
+      } as unknown as XAIClient;
+
+      await TOOL_HANDLERS['grok_models'](client, {}, undefined, signal);
+
+      expect(client.listModels).toHaveBeenCalledWith(false, signal);
+    });
+
     it('should not have extra handlers beyond defined tools', () => {
       const toolNames = ALL_TOOLS.map((t) => t.name);
       const handlerNames = Object.keys(TOOL_HANDLERS);
@@ -230,6 +309,7 @@ describe('Grok MCP Server', () => {
       expect(services1.cache).toBe(services2.cache);
       expect(services1.costTracker).toBe(services2.costTracker);
       expect(services1.rateLimiter).toBe(services2.rateLimiter);
+      expect(services1.circuitBreaker).toBe(services2.circuitBreaker);
     });
   });
 
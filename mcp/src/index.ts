@@ -37,11 +37,20 @@ import {
   grokGenerateImageToolDefinition,
   handleGrokGenerateImage,
 } from './tools/generate-image.js';
+import { grokConversationToolDefinition, handleGrokConversation } from './tools/conversation.js';
+import { grokFunctionCallToolDefinition, handleGrokFunctionCall } from './tools/function-call.js';
+import { grokCompareToolDefinition, handleGrokCompare } from './tools/compare.js';
+import { grokConsensusToolDefinition, handleGrokConsensus } from './tools/consensus.js';
+import { grokBatchToolDefinition, handleGrokBatch } from './tools/batch.js';
+import { reviewDiffToolDefinition, handleReviewDiff } from './tools/review-diff.js';
 
 // Services
 import { getDefaultCache } from './services/cache.js';
 import { getDefaultCostTracker } from './services/cost-tracker.js';
 import { getDefaultRateLimiter } from './services/rate-limiter.js';
+import { getDefaultConversationStore } from './services/conversation-store.js';
+import { getDefaultCircuitBreaker } from './services/circuit-breaker.js';
+import { createProgressReporter, type ProgressReporter } from './services/progress.js';
 
 /**
  * Server name and version
@@ -88,6 +97,12 @@ export const ALL_TOOLS = [
   grokStatusToolDefinition,
   grokSessionStatsToolDefinition,
   grokGenerateImageToolDefinition,
+  grokConversationToolDefinition,
+  grokFunctionCallToolDefinition,
+  grokCompareToolDefinition,
+  grokConsensusToolDefinition,
+  grokBatchToolDefinition,
+  reviewDiffToolDefinition,
 ];
 
 // Import Services type (re-export for convenience)
@@ -96,11 +111,16 @@ export type { Services };
 
 /**
  * Tool handler function type
+ *
+ * The signal is aborted when the MCP client cancels the tool call. The
+ * progress reporter is only provided when the client sent a progressToken.
  */
 type ToolHandler = (
   client: XAIClient,
   args: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
 ) => Promise<CallToolResult>;
 
 /**
@@ -111,23 +131,38 @@ type ToolHandler = (
  * underlying implementations use compatible but slightly different types.
  */
 export const TOOL_HANDLERS: Record<string, ToolHandler> = {
-  grok_query: ((client, args, services) => handleGrokQuery(client, args, services)) as ToolHandler,
-  grok_models: ((client, args) => handleGrokModels(client, args)) as ToolHandler,
-  grok_analyze_code: ((client, args, services) =>
-    handleAnalyzeCode(client, args, services)) as ToolHandler,
-  grok_reason: ((client, args, services) => handleReason(client, args, services)) as ToolHandler,
+  grok_query: ((client, args, services, signal, onProgress) =>
+    handleGrokQuery(client, args, services, signal, onProgress)) as ToolHandler,
+  grok_models: ((client, args, _services, signal) =>
+    handleGrokModels(client, args, signal)) as ToolHandler,
+  grok_analyze_code: ((client, args, services, signal) =>
+    handleAnalyzeCode(client, args, services, signal)) as ToolHandler,
+  grok_reason: ((client, args, services, signal, onProgress) =>
+    handleReason(client, args, services, signal, onProgress)) as ToolHandler,
   grok_estimate_cost: ((_client, args) => handleEstimateCost(args)) as ToolHandler,
-  grok_search_x: ((client, args, services) =>
-    handleGrokSearchX(client, args, services)) as ToolHandler,
-  grok_execute_code: ((client, args, services) =>
-    handleGrokExecuteCode(client, args, services)) as ToolHandler,
-  grok_with_file: ((client, args, services) =>
-    handleGrokWithFile(client, args, services)) as ToolHandler,
+  grok_search_x: ((client, args, services, signal) =>
+    handleGrokSearchX(client, args, services, signal)) as ToolHandler,
+  grok_execute_code: ((client, args, services, signal) =>
+    handleGrokExecuteCode(client, args, services, signal)) as ToolHandler,
+  grok_with_file: ((client, args, services, signal, onProgress) =>
+    handleGrokWithFile(client, args, services, signal, onProgress)) as ToolHandler,
   grok_status: ((_client, args, services) => handleGrokStatus(services!, args)) as ToolHandler,
   grok_session_stats: ((_client, args, services) =>
     handleGrokSessionStats(services!, args)) as ToolHandler,
-  grok_generate_image: ((client, args, services) =>
-    handleGrokGenerateImage(client, args, services)) as ToolHandler,
+  grok_generate_image: ((client, args, services, signal) =>
+    handleGrokGenerateImage(client, args, services, signal)) as ToolHandler,
+  grok_conversation: ((_client, args, services) =>
+    handleGrokConversation(services!, args)) as ToolHandler,
+  grok_function_call: ((client, args, services, signal, onProgress) =>
+    handleGrokFunctionCall(client, args, services, signal, onProgress)) as ToolHandler,
+  grok_compare: ((client, args, services, signal) =>
+    handleGrokCompare(client, args, services, signal)) as ToolHandler,
+  grok_consensus: ((client, args, services, signal) =>
+    handleGrokConsensus(client, args, services, signal)) as ToolHandler,
+  grok_batch: ((client, args, services, signal) =>
+    handleGrokBatch(client, args, services, signal)) as ToolHandler,
+  grok_review_diff: ((client, args, services, signal) =>
+    handleReviewDiff(client, args, services, signal)) as ToolHandler,
 };
 
 /**
@@ -138,6 +173,8 @@ export function initializeServices(): Services {
     cache: getDefaultCache(),
     costTracker: getDefaultCostTracker(),
     rateLimiter: getDefaultRateLimiter(),
+    conversations: getDefaultConversationStore(),
+    circuitBreaker: getDefaultCircuitBreaker(),
   };
 }
 
@@ -148,14 +185,24 @@ export function logServiceStatus(services: Services): void {
   const cacheOpts = services.cache.getOptions();
   const costOpts = services.costTracker.getOptions();
   const rateLimits = services.rateLimiter.getLimits();
+  const cacheBackend =
+    cacheOpts.backend === 'disk' ? `disk: ${services.cache.getFilePath()}` : 'memory';
 
   console.error(`[${SERVER_NAME}] Services initialized:`);
   console.error(
-    `[${SERVER_NAME}]   - Cache: ${cacheOpts.enabled ? `enabled (TTL: ${cacheOpts.ttlSeconds}s)` : 'disabled'}`
+    `[${SERVER_NAME}]   - Cache: ${cacheOpts.enabled ? `enabled (TTL: ${cacheOpts.ttlSeconds}s, ${cacheBackend})` : 'disabled'}`
   );
+  const costWindows = [
+    costOpts.dailyLimitUsd !== undefined ? `daily $${costOpts.dailyLimitUsd}` : null,
+    costOpts.monthlyLimitUsd !== undefined ? `monthly $${costOpts.monthlyLimitUsd}` : null,
+  ].filter((window): window is string => window !== null);
+  const ledgerPath = services.costTracker.getLedgerPath();
   console.error(
-    `[${SERVER_NAME}]   - Cost tracking: limit $${costOpts.limitUsd} (${costOpts.enforceLimit ? 'enforced' : 'warn only'})`
+    `[${SERVER_NAME}]   - Cost tracking: limit $${costOpts.limitUsd}${costWindows.length > 0 ? `, ${costWindows.join(', ')}` : ''} (${costOpts.enforceLimit ? 'enforced' : 'warn only'})`
   );
+  if (ledgerPath) {
+    console.error(`[${SERVER_NAME}]   - Cost ledger: ${ledgerPath}`);
+  }
   console.error(
     `[${SERVER_NAME}]   - Rate limiting: ${rateLimits.tokensPerMinute.toLocaleString()} TPM`
   );
@@ -178,6 +225,9 @@ async function main(): Promise<void> {
   // Initialize services
   const services = initializeServices();
 
+  // Let the rate limiter follow the quotas xAI reports on each response
+  client.setRateLimitListener((headers) => services.rateLimiter.updateFromHeaders(headers));
+
   // Create MCP server
   const server = new Server(
     {
@@ -203,7 +253,7 @@ async function main(): Promise<void> {
   });
 
   // Register tool execution handler
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
 
     // Log budget warning before API calls (but let handlers enforce)
@@ -215,6 +265,11 @@ async function main(): Promise<void> {
         'grok_execute_code',
         'grok_with_file',
         'grok_generate_image',
+        'grok_function_call',
+        'grok_compare',
+        'grok_consensus',
+        'grok_batch',
+        'grok_review_diff',
       ].includes(name)
     ) {
       const budgetWarning = services.costTracker.getBudgetWarning();
@@ -226,7 +281,8 @@ async function main(): Promise<void> {
     // Look up handler in registry
     const handler = TOOL_HANDLERS[name];
     if (handler) {
-      return handler(client, args, services);
+      const onProgress = createProgressReporter(extra._meta?.progressToken, extra.sendNotification);
+      return handler(client, args, services, extra.signal, onProgress);
     }
 
     // Unknown tool
@@ -0,0 +1,141 @@
+/**
+ * Cache File Persistence Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { join } from 'path';
+import {
+  PersistedCacheEntry,
+  getDefaultCacheDir,
+  readCacheFile,
+  writeCacheFile,
+} from './cache-file.js';
+import type { GrokQueryResponse } from '../types/index.js';
+
+function createEntry(
+  key: string,
+  overrides: Partial<PersistedCacheEntry> = {}
+): PersistedCacheEntry {
+  const response: GrokQueryResponse = {
+    response: `Response for ${key}`,
+    model: 'grok-4-fast-non-reasoning',
+    usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 },
+    cost: {
+      estimated_usd: 0.000015,
+      input_tokens: 10,
+      output_tokens: 20,
+      model: 'grok-4-fast-non-reasoning',
+      pricing: { input_per_1m: 0.2, output_per_1m: 0.5 },
+    },
+    cached: true,
+    response_time_ms: 500,
+  };
+  return {
+    key,
+    response,
+    timestamp: 1000,
+    expiresAt: 2000,
+    ...overrides,
+  };
+}
+
+describe('cache file', () => {
+  let dir: string;
+  let filePath: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'grok-cache-file-'));
+    filePath = join(dir, 'responses.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getDefaultCacheDir', () => {
+    it('should be under the home directory', () => {
+      expect(getDefaultCacheDir()).toBe(join(homedir(), '.cache', 'grok-mcp'));
+    });
+  });
+
+  describe('readCacheFile', () => {
+    it('should return no entries for a missing file', () => {
+      expect(readCacheFile(filePath)).toEqual({ entries: [], corruptLines: 0 });
+    });
+
+    it('should read entries in file order', () => {
+      writeFileSync(
+        filePath,
+        [createEntry('a'), createEntry('b')].map((e) => JSON.stringify(e)).join('\n') + '\n'
+      );
+
+      const result = readCacheFile(filePath);
+      expect(result.entries.map((e) => e.key)).toEqual(['a', 'b']);
+      expect(result.corruptLines).toBe(0);
+    });
+
+    it('should skip invalid JSON and malformed entries', () => {
+      writeFileSync(
+        filePath,
+        [
+          JSON.stringify(createEntry('good')),
+          '{"key": "truncated", "respo',
+          JSON.stringify({ key: 'no-response', timestamp: 1, expiresAt: 2 }),
+          JSON.stringify({
+            key: 'no-cost',
+            response: { response: 'x' },
+            timestamp: 1,
+            expiresAt: 2,
+          }),
+          '',
+          'not json at all',
+        ].join('\n')
+      );
+
+      const result = readCacheFile(filePath);
+      expect(result.entries.map((e) => e.key)).toEqual(['good']);
+      expect(result.corruptLines).toBe(4);
+    });
+  });
+
+  describe('writeCacheFile', () => {
+    it('should write one JSON object per line', () => {
+      writeCacheFile(filePath, [createEntry('a'), createEntry('b')]);
+
+      const lines = readFileSync(filePath, 'utf8').trimEnd().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1]).key).toBe('b');
+    });
+
+    it('should create missing parent directories', () => {
+      const nestedPath = join(dir, 'nested', 'deeper', 'responses.jsonl');
+      writeCacheFile(nestedPath, [createEntry('a')]);
+      expect(readCacheFile(nestedPath).entries).toHaveLength(1);
+    });
+
+    it('should replace the file without leaving temp files behind', () => {
+      writeCacheFile(filePath, [createEntry('a'), createEntry('b')]);
+      writeCacheFile(filePath, [createEntry('c')]);
+
+      expect(readCacheFile(filePath).entries.map((e) => e.key)).toEqual(['c']);
+      expect(readdirSync(dir)).toEqual(['responses.jsonl']);
+    });
+
+    it('should write an empty file for no entries', () => {
+      writeCacheFile(filePath, []);
+      expect(existsSync(filePath)).toBe(true);
+      expect(readFileSync(filePath, 'utf8')).toBe('');
+    });
+
+    it('should throw and clean up when the target cannot be replaced', () => {
+      // A directory at the target path makes the rename fail
+      const blockedPath = join(dir, 'blocked');
+      writeCacheFile(join(blockedPath, 'inner.jsonl'), []);
+
+      expect(() => writeCacheFile(blockedPath, [createEntry('a')])).toThrow();
+      expect(readdirSync(dir)).toEqual(['blocked']);
+    });
+  });
+});
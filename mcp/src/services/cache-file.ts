@@ -0,0 +1,130 @@
+/**
+ * Cache File Persistence
+ *
+ * Reads and writes the JSON-lines file backing the disk cache backend.
+ * Each line holds one cache entry; the file is always replaced atomically
+ * (write to a temp file, then rename) so a crash never leaves a torn file.
+ *
+ * @module services/cache-file
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import type { CacheableResponse } from './cache.js';
+
+/**
+ * Name of the cache file inside the cache directory
+ */
+export const CACHE_FILE_NAME = 'responses.jsonl';
+
+/**
+ * Cache entry as stored on disk (one JSON object per line)
+ */
+export interface PersistedCacheEntry {
+  /** Cache key */
+  key: string;
+  /** The cached response */
+  response: CacheableResponse;
+  /** Unix timestamp when entry was created */
+  timestamp: number;
+  /** Unix timestamp when entry expires */
+  expiresAt: number;
+}
+
+/**
+ * Result of reading a cache file
+ */
+export interface CacheFileReadResult {
+  /** Valid entries in file order (least recently used first) */
+  entries: PersistedCacheEntry[];
+  /** Number of lines that could not be parsed and were skipped */
+  corruptLines: number;
+}
+
+/**
+ * Default cache directory (~/.cache/grok-mcp)
+ */
+export function getDefaultCacheDir(): string {
+  return join(homedir(), '.cache', 'grok-mcp');
+}
+
+/**
+ * Check that a parsed line has the shape of a cache entry
+ */
+function isPersistedCacheEntry(value: unknown): value is PersistedCacheEntry {
+  if (!value || typeof value !== 'object') return false;
+  const entry = value as Record<string, unknown>;
+  return (
+    typeof entry.key === 'string' &&
+    typeof entry.timestamp === 'number' &&
+    typeof entry.expiresAt === 'number' &&
+    !!entry.response &&
+    typeof entry.response === 'object' &&
+    !!(entry.response as Record<string, unknown>).cost &&
+    typeof (entry.response as Record<string, unknown>).cost === 'object'
+  );
+}
+
+/**
+ * Read a cache file
+ *
+ * Missing files yield no entries. Lines that are not valid JSON or do not
+ * look like cache entries (e.g. a partially written line) are skipped and
+ * counted so the caller can rewrite a clean file.
+ *
+ * @param filePath - Path to the JSON-lines cache file
+ * @throws If the file exists but cannot be read
+ */
+export function readCacheFile(filePath: string): CacheFileReadResult {
+  if (!existsSync(filePath)) {
+    return { entries: [], corruptLines: 0 };
+  }
+
+  const content = readFileSync(filePath, 'utf8');
+  const entries: PersistedCacheEntry[] = [];
+  let corruptLines = 0;
+
+  for (const line of content.split('\n')) {
+    if (line.trim() === '') continue;
+    try {
+      const parsed: unknown = JSON.parse(line);
+      if (isPersistedCacheEntry(parsed)) {
+        entries.push(parsed);
+      } else {
+        corruptLines++;
+      }
+    } catch {
+      corruptLines++;
+    }
+  }
+
+  return { entries, corruptLines };
+}
+
+/**
+ * Atomically replace a cache file with the given entries
+ *
+ * Creates the parent directory if needed. The file is readable only by
+ * the current user since cached responses may contain private prompts.
+ *
+ * @param filePath - Path to the JSON-lines cache file
+ * @param entries - Entries to write, least recently used first
+ * @throws If the directory or file cannot be written
+ */
+export function writeCacheFile(filePath: string, entries: PersistedCacheEntry[]): void {
+  mkdirSync(dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const content = entries.map((entry) => JSON.stringify(entry) + '\n').join('');
+
+  try {
+    writeFileSync(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    if (existsSync(tempPath)) {
+      unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Canonical Cache Key Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CacheKeyRequest,
+  buildCacheKey,
+  canonicalizeRequest,
+  stableStringify,
+} from './cache-key.js';
+
+const baseRequest: CacheKeyRequest = {
+  model: 'grok-4',
+  messages: [{ role: 'user', content: 'Describe this' }],
+  temperature: 0.7,
+  max_tokens: 4096,
+};
+
+function withImage(url: string, detail: 'auto' | 'low' | 'high' = 'auto'): CacheKeyRequest {
+  return {
+    ...baseRequest,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'image_url', image_url: { url, detail } },
+          { type: 'text', text: 'Describe this' },
+        ],
+      },
+    ],
+  };
+}
+
+describe('stableStringify', () => {
+  it('should sort object keys recursively', () => {
+    expect(stableStringify({ b: 1, a: { d: 2, c: 3 } })).toBe('{"a":{"c":3,"d":2},"b":1}');
+  });
+
+  it('should drop undefined object values', () => {
+    expect(stableStringify({ a: undefined, b: null })).toBe('{"b":null}');
+  });
+
+  it('should keep array order', () => {
+    expect(stableStringify([3, 1, { z: 1, y: 2 }])).toBe('[3,1,{"y":2,"z":1}]');
+  });
+});
+
+describe('canonicalizeRequest', () => {
+  it('should replace images with digests', () => {
+    const dataUri = `data:image/png;base64,${'A'.repeat(5000)}`;
+    const canonical = canonicalizeRequest(withImage(dataUri));
+
+    expect(canonical).not.toContain('AAAA');
+    expect(canonical).toMatch(/"image_sha256":"[a-f0-9]{64}"/);
+  });
+
+  it('should normalize line endings and surrounding whitespace', () => {
+    const a = canonicalizeRequest({
+      ...baseRequest,
+      messages: [{ role: 'user', content: '  line one\r\nline two\n' }],
+    });
+    const b = canonicalizeRequest({
+      ...baseRequest,
+      messages: [{ role: 'user', content: 'line one\nline two' }],
+    });
+    expect(a).toBe(b);
+  });
+
+  it('should preserve case in message content', () => {
+    const upper = canonicalizeRequest({
+      ...baseRequest,
+      messages: [{ role: 'user', content: 'Rename FOO' }],
+    });
+    const lower = canonicalizeRequest({
+      ...baseRequest,
+      messages: [{ role: 'user', content: 'rename foo' }],
+    });
+    expect(upper).not.toBe(lower);
+  });
+});
+
+describe('buildCacheKey', () => {
+  it('should be stable for identical requests', () => {
+    expect(buildCacheKey(baseRequest)).toBe(buildCacheKey({ ...baseRequest }));
+  });
+
+  it('should differ for different images with the same text', () => {
+    expect(buildCacheKey(withImage('https://example.com/a.png'))).not.toBe(
+      buildCacheKey(withImage('https://example.com/b.png'))
+    );
+  });
+
+  it('should differ for different image detail levels', () => {
+    expect(buildCacheKey(withImage('https://example.com/a.png', 'low'))).not.toBe(
+      buildCacheKey(withImage('https://example.com/a.png', 'high'))
+    );
+  });
+
+  it.each([
+    ['temperature', { temperature: 0.1 }],
+    ['top_p', { top_p: 0.5 }],
+    ['max_tokens', { max_tokens: 100 }],
+    ['response_format', { response_format: { type: 'json_object' as const } }],
+    ['extra', { extra: { focus: 'security' } }],
+  ])('should differ when %s changes', (_name, change) => {
+    expect(buildCacheKey({ ...baseRequest, ...change })).not.toBe(buildCacheKey(baseRequest));
+  });
+
+  it('should differ by message role', () => {
+    const asSystem: CacheKeyRequest = {
+      ...baseRequest,
+      messages: [{ role: 'system', content: 'Describe this' }],
+    };
+    expect(buildCacheKey(asSystem)).not.toBe(buildCacheKey(baseRequest));
+  });
+
+  it('should differ by tool call IDs', () => {
+    const withResult = (id: string): CacheKeyRequest => ({
+      ...baseRequest,
+      messages: [
+        ...baseRequest.messages,
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ id, type: 'function', function: { name: 'lookup', arguments: '{}' } }],
+        },
+        { role: 'tool', tool_call_id: id, content: '42' },
+      ],
+    });
+    expect(buildCacheKey(withResult('call_1'))).not.toBe(buildCacheKey(withResult('call_2')));
+  });
+
+  it('should ignore key order in extra options', () => {
+    expect(buildCacheKey({ ...baseRequest, extra: { a: 1, b: 2 } })).toBe(
+      buildCacheKey({ ...baseRequest, extra: { b: 2, a: 1 } })
+    );
+  });
+});
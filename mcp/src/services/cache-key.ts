@@ -0,0 +1,120 @@
+/**
+ * Canonical Cache Keys
+ *
+ * Builds response cache keys from the full normalized request, so every
+ * parameter that can change the answer (messages, sampling parameters,
+ * images and response format) is part of the key.
+ *
+ * @module services/cache-key
+ */
+
+import { createHash } from 'crypto';
+import { ChatMessage, MessageContent, ResponseFormat } from '../types/index.js';
+
+/**
+ * Request fields that determine a cached response
+ */
+export interface CacheKeyRequest {
+  /** Resolved model ID (not an alias) */
+  model: string;
+  /** Exact message array sent to the API */
+  messages: ChatMessage[];
+  /** Sampling temperature */
+  temperature?: number;
+  /** Nucleus sampling parameter */
+  top_p?: number;
+  /** Maximum response tokens */
+  max_tokens?: number;
+  /** Structured output format */
+  response_format?: ResponseFormat;
+  /** Other request options that change the answer (e.g. tool-specific settings) */
+  extra?: Record<string, unknown>;
+}
+
+/**
+ * SHA-256 hex digest of a string
+ */
+function sha256(value: string): string {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Normalize text content (trim, unify line endings)
+ */
+function normalizeText(text: string): string {
+  return text.replace(/\r\n/g, '\n').trim();
+}
+
+/**
+ * Normalize message content
+ *
+ * Images are replaced by a digest of their URL or data URI so that two
+ * different images never share a key, without embedding large base64
+ * payloads in the canonical form.
+ */
+function normalizeContent(content: MessageContent): unknown {
+  if (typeof content === 'string') {
+    return normalizeText(content);
+  }
+
+  return content.map((part) =>
+    part.type === 'image_url'
+      ? {
+          type: 'image_url',
+          image_sha256: sha256(part.image_url.url),
+          detail: part.image_url.detail || 'auto',
+        }
+      : { type: 'text', text: normalizeText(part.text) }
+  );
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted and undefined dropped
+ */
+export function stableStringify(value: unknown): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+
+  const entries = Object.entries(value as Record<string, unknown>)
+    .filter(([, v]) => v !== undefined)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${stableStringify(v)}`).join(',')}}`;
+}
+
+/**
+ * Build the canonical JSON form of a request
+ *
+ * @param request - Request fields that determine the response
+ * @returns Deterministic JSON string
+ */
+export function canonicalizeRequest(request: CacheKeyRequest): string {
+  return stableStringify({
+    model: request.model.toLowerCase(),
+    messages: request.messages.map((message) => ({
+      role: message.role,
+      content: normalizeContent(message.content),
+      tool_calls: message.tool_calls,
+      tool_call_id: message.tool_call_id,
+    })),
+    temperature: request.temperature,
+    top_p: request.top_p,
+    max_tokens: request.max_tokens,
+    response_format: request.response_format,
+    extra: request.extra,
+  });
+}
+
+/**
+ * Build a cache key for a request
+ *
+ * @param request - Request fields that determine the response
+ * @returns 64-character hex SHA-256 key
+ */
+export function buildCacheKey(request: CacheKeyRequest): string {
+  return sha256(canonicalizeRequest(request));
+}
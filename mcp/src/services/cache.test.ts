@@ -5,11 +5,16 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   ResponseCache,
+  CacheOptions,
   getDefaultCacheOptions,
   getDefaultCache,
   resetDefaultCache,
 } from './cache.js';
 import { GrokQueryResponse } from '../types/index.js';
+import type { CacheKeyRequest } from './cache-key.js';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 // Mock response factory
 function createMockResponse(overrides: Partial<GrokQueryResponse> = {}): GrokQueryResponse {
@@ -37,6 +42,17 @@ function createMockResponse(overrides: Partial<GrokQueryResponse> = {}): GrokQue
   };
 }
 
+// Cache key request factory
+function requestFor(query: string, model: string, context?: string): CacheKeyRequest {
+  return {
+    model,
+    messages: [
+      ...(context ? [{ role: 'system' as const, content: context }] : []),
+      { role: 'user' as const, content: query },
+    ],
+  };
+}
+
 describe('ResponseCache', () => {
   let cache: ResponseCache;
 
@@ -66,50 +82,57 @@ describe('ResponseCache', () => {
 
   describe('generateKey', () => {
     it('should generate consistent keys for same inputs', () => {
-      const key1 = cache.generateKey('What is 2+2?', 'grok-4-fast');
-      const key2 = cache.generateKey('What is 2+2?', 'grok-4-fast');
+      const key1 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
+      const key2 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
       expect(key1).toBe(key2);
     });
 
     it('should generate different keys for different queries', () => {
-      const key1 = cache.generateKey('What is 2+2?', 'grok-4-fast');
-      const key2 = cache.generateKey('What is 3+3?', 'grok-4-fast');
+      const key1 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
+      const key2 = cache.generateKey(requestFor('What is 3+3?', 'grok-4-fast'));
       expect(key1).not.toBe(key2);
     });
 
     it('should generate different keys for different models', () => {
-      const key1 = cache.generateKey('What is 2+2?', 'grok-4-fast');
-      const key2 = cache.generateKey('What is 2+2?', 'grok-4');
+      const key1 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
+      const key2 = cache.generateKey(requestFor('What is 2+2?', 'grok-4'));
       expect(key1).not.toBe(key2);
     });
 
-    it('should normalize case', () => {
-      const key1 = cache.generateKey('WHAT IS 2+2?', 'GROK-4-FAST');
-      const key2 = cache.generateKey('what is 2+2?', 'grok-4-fast');
+    it('should normalize model case', () => {
+      const key1 = cache.generateKey(requestFor('What is 2+2?', 'GROK-4-FAST'));
+      const key2 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
       expect(key1).toBe(key2);
     });
 
-    it('should normalize whitespace', () => {
-      const key1 = cache.generateKey('  What is 2+2?  ', 'grok-4-fast');
-      const key2 = cache.generateKey('What is 2+2?', 'grok-4-fast');
+    it('should normalize surrounding whitespace', () => {
+      const key1 = cache.generateKey(requestFor('  What is 2+2?  ', 'grok-4-fast'));
+      const key2 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
       expect(key1).toBe(key2);
     });
 
     it('should include context in key generation', () => {
-      const key1 = cache.generateKey('What is 2+2?', 'grok-4-fast', 'You are helpful');
-      const key2 = cache.generateKey('What is 2+2?', 'grok-4-fast');
+      const key1 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast', 'You are helpful'));
+      const key2 = cache.generateKey(requestFor('What is 2+2?', 'grok-4-fast'));
       expect(key1).not.toBe(key2);
     });
 
+    it('should include sampling parameters in key generation', () => {
+      const base = requestFor('What is 2+2?', 'grok-4-fast');
+      expect(cache.generateKey({ ...base, temperature: 0.2 })).not.toBe(
+        cache.generateKey({ ...base, temperature: 0.9 })
+      );
+    });
+
     it('should generate 64-character hex keys (SHA-256)', () => {
-      const key = cache.generateKey('test', 'model');
+      const key = cache.generateKey(requestFor('test', 'model'));
       expect(key).toMatch(/^[a-f0-9]{64}$/);
     });
   });
 
   describe('set and get', () => {
     it('should store and retrieve responses', () => {
-      const key = cache.generateKey('test', 'model');
+      const key = cache.generateKey(requestFor('test', 'model'));
       const response = createMockResponse();
 
       cache.set(key, response);
@@ -120,7 +143,7 @@ describe('ResponseCache', () => {
     });
 
     it('should mark retrieved responses as cached', () => {
-      const key = cache.generateKey('test', 'model');
+      const key = cache.generateKey(requestFor('test', 'model'));
       const response = createMockResponse({ cached: false });
 
       cache.set(key, response);
@@ -136,7 +159,7 @@ describe('ResponseCache', () => {
 
     it('should not store when disabled', () => {
       const disabledCache = new ResponseCache({ enabled: false });
-      const key = disabledCache.generateKey('test', 'model');
+      const key = disabledCache.generateKey(requestFor('test', 'model'));
       const response = createMockResponse();
 
       disabledCache.set(key, response);
@@ -151,7 +174,7 @@ describe('ResponseCache', () => {
       vi.useFakeTimers();
 
       const shortCache = new ResponseCache({ enabled: true, ttlSeconds: 1 });
-      const key = shortCache.generateKey('test', 'model');
+      const key = shortCache.generateKey(requestFor('test', 'model'));
       const response = createMockResponse();
 
       shortCache.set(key, response);
@@ -169,7 +192,7 @@ describe('ResponseCache', () => {
       vi.useFakeTimers();
 
       const shortCache = new ResponseCache({ enabled: true, ttlSeconds: 10 });
-      const key = shortCache.generateKey('test', 'model');
+      const key = shortCache.generateKey(requestFor('test', 'model'));
       const response = createMockResponse();
 
       shortCache.set(key, response);
@@ -185,7 +208,7 @@ describe('ResponseCache', () => {
 
   describe('has', () => {
     it('should return true for existing valid entries', () => {
-      const key = cache.generateKey('test', 'model');
+      const key = cache.generateKey(requestFor('test', 'model'));
       cache.set(key, createMockResponse());
 
       expect(cache.has(key)).toBe(true);
@@ -203,8 +226,8 @@ describe('ResponseCache', () => {
 
   describe('clear', () => {
     it('should remove all entries', () => {
-      const key1 = cache.generateKey('test1', 'model');
-      const key2 = cache.generateKey('test2', 'model');
+      const key1 = cache.generateKey(requestFor('test1', 'model'));
+      const key2 = cache.generateKey(requestFor('test2', 'model'));
 
       cache.set(key1, createMockResponse());
       cache.set(key2, createMockResponse());
@@ -221,7 +244,7 @@ describe('ResponseCache', () => {
 
   describe('statistics', () => {
     it('should track hits and misses', () => {
-      const key = cache.generateKey('test', 'model');
+      const key = cache.generateKey(requestFor('test', 'model'));
       cache.set(key, createMockResponse());
 
       // Miss
@@ -247,7 +270,7 @@ describe('ResponseCache', () => {
     });
 
     it('should calculate hit rate', () => {
-      const key = cache.generateKey('test', 'model');
+      const key = cache.generateKey(requestFor('test', 'model'));
       cache.set(key, createMockResponse());
 
       cache.get(key); // hit
@@ -267,6 +290,61 @@ describe('ResponseCache', () => {
 
       cache.resetStats();
       expect(cache.getStats().misses).toBe(0);
+      expect(cache.getStats().byTool).toEqual({});
+    });
+
+    it('should track hits, misses and savings per tool', () => {
+      cache.set('analysis', createMockResponse());
+
+      cache.get('analysis', 'grok_analyze_code'); // hit
+      cache.get('analysis', 'grok_analyze_code'); // hit
+      cache.get('missing', 'grok_analyze_code'); // miss
+      cache.get('missing'); // miss, counted for grok_query
+
+      const { byTool } = cache.getStats();
+      expect(byTool.grok_analyze_code).toEqual({
+        hits: 2,
+        misses: 1,
+        tokensSaved: 60,
+        costSavedUsd: 0.00003,
+      });
+      expect(byTool.grok_query).toEqual({ hits: 0, misses: 1, tokensSaved: 0, costSavedUsd: 0 });
+    });
+  });
+
+  describe('TTL classes', () => {
+    it('should map TTL classes to their configured TTLs', () => {
+      const ttlCache = new ResponseCache({
+        enabled: true,
+        ttlSeconds: 300,
+        searchTtlSeconds: 30,
+        deterministicTtlSeconds: 7200,
+      });
+
+      expect(ttlCache.getTtlSeconds()).toBe(300);
+      expect(ttlCache.getTtlSeconds('search')).toBe(30);
+      expect(ttlCache.getTtlSeconds('deterministic')).toBe(7200);
+    });
+
+    it('should expire entries using a per-entry TTL', () => {
+      vi.useFakeTimers();
+
+      cache.set('search', createMockResponse(), cache.getTtlSeconds('search'));
+      cache.set('default', createMockResponse());
+
+      vi.advanceTimersByTime(61 * 1000);
+
+      expect(cache.has('search')).toBe(false);
+      expect(cache.has('default')).toBe(true);
+
+      vi.useRealTimers();
+    });
+
+    it('should update TTL classes at runtime', () => {
+      cache.setOptions({ searchTtlSeconds: 10, deterministicTtlSeconds: 20 });
+
+      expect(cache.getTtlSeconds('search')).toBe(10);
+      expect(cache.getTtlSeconds('deterministic')).toBe(20);
     });
   });
 
@@ -312,7 +390,7 @@ describe('ResponseCache', () => {
       vi.setSystemTime(new Date('2026-01-09T12:00:00Z'));
 
       const cacheWithTtl = new ResponseCache({ enabled: true, ttlSeconds: 300 });
-      const key = cacheWithTtl.generateKey('test', 'model');
+      const key = cacheWithTtl.generateKey(requestFor('test', 'model'));
       cacheWithTtl.set(key, createMockResponse());
 
       const expiresAt = cacheWithTtl.getExpiresAt(key);
@@ -354,11 +432,48 @@ describe('getDefaultCacheOptions', () => {
     expect(options.enabled).toBe(false);
   });
 
+  it('should default the search and deterministic TTLs', () => {
+    delete process.env.GROK_CACHE_SEARCH_TTL_SECONDS;
+    delete process.env.GROK_CACHE_DETERMINISTIC_TTL_SECONDS;
+
+    const options = getDefaultCacheOptions();
+    expect(options.searchTtlSeconds).toBe(60);
+    expect(options.deterministicTtlSeconds).toBe(86400);
+  });
+
+  it('should read per-class TTLs from env', () => {
+    process.env.GROK_CACHE_SEARCH_TTL_SECONDS = '15';
+    process.env.GROK_CACHE_DETERMINISTIC_TTL_SECONDS = '3600';
+
+    const options = getDefaultCacheOptions();
+    expect(options.searchTtlSeconds).toBe(15);
+    expect(options.deterministicTtlSeconds).toBe(3600);
+  });
+
   it('should read GROK_CACHE_TTL_SECONDS from env', () => {
     process.env.GROK_CACHE_TTL_SECONDS = '600';
     const options = getDefaultCacheOptions();
     expect(options.ttlSeconds).toBe(600);
   });
+
+  it('should default to the memory backend', () => {
+    delete process.env.GROK_CACHE_BACKEND;
+    const options = getDefaultCacheOptions();
+    expect(options.backend).toBe('memory');
+  });
+
+  it('should read GROK_CACHE_BACKEND and GROK_CACHE_DIR from env', () => {
+    process.env.GROK_CACHE_BACKEND = 'disk';
+    process.env.GROK_CACHE_DIR = '/tmp/grok-cache-test';
+    const options = getDefaultCacheOptions();
+    expect(options.backend).toBe('disk');
+    expect(options.directory).toBe('/tmp/grok-cache-test');
+  });
+
+  it('should fall back to memory for unknown backends', () => {
+    process.env.GROK_CACHE_BACKEND = 'sqlite';
+    expect(getDefaultCacheOptions().backend).toBe('memory');
+  });
 });
 
 describe('singleton functions', () => {
@@ -470,3 +585,151 @@ describe('LRU eviction', () => {
     expect(options.maxEntries).toBe(1000);
   });
 });
+
+describe('disk backend', () => {
+  let dir: string;
+
+  const createDiskCache = (overrides: Partial<CacheOptions> = {}): ResponseCache =>
+    new ResponseCache({
+      enabled: true,
+      ttlSeconds: 300,
+      maxEntries: 100,
+      backend: 'disk',
+      directory: dir,
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'grok-cache-'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not use a file with the memory backend', () => {
+    const cache = new ResponseCache({ backend: 'memory' });
+    expect(cache.getFilePath()).toBeNull();
+  });
+
+  it('should store the cache file under the configured directory', () => {
+    const cache = createDiskCache();
+    expect(cache.getFilePath()).toBe(join(dir, 'responses.jsonl'));
+  });
+
+  it('should keep entries across instances', () => {
+    const first = createDiskCache();
+    first.set('key1', createMockResponse({ response: 'persisted' }));
+
+    const second = createDiskCache();
+    const cached = second.get('key1');
+    expect(cached?.response).toBe('persisted');
+    expect(cached?.cached).toBe(true);
+    expect(second.getStats().size).toBe(1);
+  });
+
+  it('should enforce TTL across restarts', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    const first = createDiskCache({ ttlSeconds: 60 });
+    first.set('short', createMockResponse());
+
+    vi.setSystemTime(new Date('2026-01-01T00:02:00Z'));
+    const second = createDiskCache({ ttlSeconds: 60 });
+    expect(second.getStats().size).toBe(0);
+    expect(second.get('short')).toBeNull();
+
+    // Expired entries are dropped from the file as well
+    expect(readFileSync(join(dir, 'responses.jsonl'), 'utf8')).toBe('');
+  });
+
+  it('should enforce maxEntries across restarts, keeping the most recently used', () => {
+    const first = createDiskCache({ maxEntries: 10 });
+    for (let i = 0; i < 5; i++) {
+      first.set(`key${i}`, createMockResponse());
+    }
+    first.set('key0', createMockResponse({ response: 'refreshed' }));
+
+    const second = createDiskCache({ maxEntries: 3 });
+    expect(second.getStats().size).toBe(3);
+    expect(second.has('key0')).toBe(true);
+    expect(second.has('key1')).toBe(false);
+    expect(second.has('key2')).toBe(false);
+    expect(second.has('key3')).toBe(true);
+    expect(second.has('key4')).toBe(true);
+  });
+
+  it('should persist clear()', () => {
+    const first = createDiskCache();
+    first.set('key1', createMockResponse());
+    first.clear();
+
+    expect(createDiskCache().getStats().size).toBe(0);
+  });
+
+  it('should persist evictions from setOptions', () => {
+    const first = createDiskCache();
+    for (let i = 0; i < 4; i++) {
+      first.set(`key${i}`, createMockResponse());
+    }
+    first.setOptions({ maxEntries: 2 });
+
+    const second = createDiskCache();
+    expect(second.getStats().size).toBe(2);
+    expect(second.has('key3')).toBe(true);
+  });
+
+  it('should recover from a corrupt file', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const first = createDiskCache();
+    first.set('good', createMockResponse({ response: 'survivor' }));
+
+    const filePath = join(dir, 'responses.jsonl');
+    writeFileSync(filePath, readFileSync(filePath, 'utf8') + '{"key":"half-written","resp');
+
+    const second = createDiskCache();
+    expect(second.get('good')?.response).toBe('survivor');
+    expect(second.getStats().size).toBe(1);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 corrupt line(s)'));
+
+    // File is rewritten clean
+    const lines = readFileSync(filePath, 'utf8').trimEnd().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).key).toBe('good');
+  });
+
+  it('should start empty when no line in the file is valid', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    writeFileSync(join(dir, 'responses.jsonl'), '\u0000\u0001garbage\n%%%');
+
+    const cache = createDiskCache();
+    expect(cache.getStats().size).toBe(0);
+    cache.set('key1', createMockResponse());
+    expect(createDiskCache().has('key1')).toBe(true);
+  });
+
+  it('should start empty when the file cannot be read', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    // A directory at the cache file path makes the read fail
+    mkdirSync(join(dir, 'responses.jsonl'));
+
+    const cache = createDiskCache();
+    expect(cache.getStats().size).toBe(0);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to read'));
+  });
+
+  it('should keep working in memory when the file cannot be written', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    // A regular file where the directory should be makes every write fail
+    const blocker = join(dir, 'not-a-dir');
+    writeFileSync(blocker, '');
+
+    const cache = createDiskCache({ directory: blocker });
+    cache.set('key1', createMockResponse({ response: 'in memory' }));
+
+    expect(cache.get('key1')?.response).toBe('in memory');
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to write'));
+  });
+});
@@ -2,13 +2,54 @@
  * Response Cache Service
  *
  * Provides TTL-based caching for Grok API responses to reduce costs
- * and improve response times for repeated queries.
+ * and improve response times for repeated queries. Entries live in memory
+ * and, with the disk backend, are mirrored to a JSON-lines file so they
+ * survive server restarts.
  *
  * @module services/cache
  */
 
-import { GrokQueryResponse } from '../types/index.js';
-import { createHash } from 'crypto';
+import { CostEstimate, GrokQueryResponse } from '../types/index.js';
+import { join } from 'path';
+import { CacheKeyRequest, buildCacheKey } from './cache-key.js';
+import {
+  CACHE_FILE_NAME,
+  PersistedCacheEntry,
+  getDefaultCacheDir,
+  readCacheFile,
+  writeCacheFile,
+} from './cache-file.js';
+
+/**
+ * Where cache entries are stored
+ *
+ * - memory: in-process only, lost on restart
+ * - disk: in memory plus a JSON-lines file under the cache directory
+ */
+export type CacheBackend = 'memory' | 'disk';
+
+/**
+ * TTL class for a cached response
+ *
+ * - default: ttlSeconds
+ * - search: searchTtlSeconds (live results go stale quickly)
+ * - deterministic: deterministicTtlSeconds (low-temperature analyses)
+ */
+export type CacheTtlClass = 'default' | 'search' | 'deterministic';
+
+/**
+ * Any tool result that can be cached
+ *
+ * Results carry their cost so cache hits can be counted as savings.
+ */
+export interface CacheableResponse {
+  cost: CostEstimate;
+}
+
+/**
+ * Tool name used for hits and misses when none is given
+ */
+const DEFAULT_CACHE_TOOL = 'grok_query';
 
 /**
  * Configuration options for the cache service
@@ -20,6 +61,14 @@ export interface CacheOptions {
   ttlSeconds: number;
   /** Maximum number of entries to store (default: 1000) */
   maxEntries: number;
+  /** Storage backend (default: memory) */
+  backend: CacheBackend;
+  /** Directory for the disk backend's cache file (default: ~/.cache/grok-mcp) */
+  directory: string;
+  /** Time-to-live for search results in seconds (default: 60) */
+  searchTtlSeconds: number;
+  /** Time-to-live for deterministic analyses in seconds (default: 86400 = 24 hours) */
+  deterministicTtlSeconds: number;
 }
 
 /**
@@ -27,7 +76,7 @@ export interface CacheOptions {
  */
 interface CacheEntry {
   /** The cached response */
-  response: GrokQueryResponse;
+  response: CacheableResponse;
   /** Unix timestamp when entry was created */
   timestamp: number;
   /** Unix timestamp when entry expires */
@@ -48,6 +97,22 @@ export interface CacheStats {
   maxEntries: number;
   /** Total bytes of cached responses (approximate) */
   approximateBytes: number;
+  /** Hits, misses and savings per tool */
+  byTool: Record<string, CacheToolStats>;
+}
+
+/**
+ * Cache statistics for a single tool
+ */
+export interface CacheToolStats {
+  /** Number of cache hits */
+  hits: number;
+  /** Number of cache misses */
+  misses: number;
+  /** Tokens of the cached responses that did not have to be generated again */
+  tokensSaved: number;
+  /** Cost of the cached responses that did not have to be paid again, in USD */
+  costSavedUsd: number;
 }
 
 /**
@@ -58,6 +123,13 @@ export function getDefaultCacheOptions(): CacheOptions {
     enabled: process.env.GROK_CACHE_ENABLED !== 'false',
     ttlSeconds: parseInt(process.env.GROK_CACHE_TTL_SECONDS || '300', 10),
     maxEntries: parseInt(process.env.GROK_CACHE_MAX_ENTRIES || '1000', 10),
+    backend: process.env.GROK_CACHE_BACKEND === 'disk' ? 'disk' : 'memory',
+    directory: process.env.GROK_CACHE_DIR || getDefaultCacheDir(),
+    searchTtlSeconds: parseInt(process.env.GROK_CACHE_SEARCH_TTL_SECONDS || '60', 10),
+    deterministicTtlSeconds: parseInt(
+      process.env.GROK_CACHE_DETERMINISTIC_TTL_SECONDS || '86400',
+      10
+    ),
   };
 }
 
@@ -67,12 +139,22 @@ export function getDefaultCacheOptions(): CacheOptions {
  * Stores responses keyed by a hash of query parameters.
  * Automatically evicts expired entries on access.
  *
+ * With the disk backend, entries are loaded from the cache file on
+ * construction (dropping expired entries and enforcing maxEntries) and the
+ * file is atomically rewritten after every change. Corrupt lines are
+ * skipped and the file is rewritten clean. Disk errors are logged and never
+ * fail a request; the cache keeps working in memory.
+ *
  * @example
  * ```typescript
  * const cache = new ResponseCache({ enabled: true, ttlSeconds: 300 });
  *
  * // Check cache before making API call
- * const key = cache.generateKey('What is 2+2?', 'grok-4-fast');
+ * const key = cache.generateKey({
+ *   model: 'grok-4-fast-non-reasoning',
+ *   messages: [{ role: 'user', content: 'What is 2+2?' }],
+ *   temperature: 0.7,
+ * });
  * const cached = cache.get(key);
  * if (cached) {
  *   return { ...cached, cached: true };
@@ -86,6 +168,8 @@ export class ResponseCache {
   private cache: Map<string, CacheEntry> = new Map();
   private options: CacheOptions;
   private stats: { hits: number; misses: number } = { hits: 0, misses: 0 };
+  private toolStats: Map<string, CacheToolStats> = new Map();
+  private filePath: string | null = null;
 
   constructor(options?: Partial<CacheOptions>) {
     const defaults = getDefaultCacheOptions();
@@ -93,7 +177,16 @@ export class ResponseCache {
       enabled: options?.enabled ?? defaults.enabled,
       ttlSeconds: options?.ttlSeconds ?? defaults.ttlSeconds,
       maxEntries: options?.maxEntries ?? defaults.maxEntries,
+      backend: options?.backend ?? defaults.backend,
+      directory: options?.directory ?? defaults.directory,
+      searchTtlSeconds: options?.searchTtlSeconds ?? defaults.searchTtlSeconds,
+      deterministicTtlSeconds: options?.deterministicTtlSeconds ?? defaults.deterministicTtlSeconds,
     };
+
+    if (this.options.backend === 'disk') {
+      this.filePath = join(this.options.directory, CACHE_FILE_NAME);
+      this.load();
+    }
   }
 
   /**
@@ -104,22 +197,33 @@ export class ResponseCache {
   }
 
   /**
-   * Generate a cache key from query parameters
+   * Generate a cache key from the full request
    *
-   * Uses SHA-256 hash of normalized parameters for consistent keying.
+   * Uses a SHA-256 hash of the canonical request (messages, sampling
+   * parameters, image digests and response format) for consistent keying.
    *
-   * @param query - The user's query string
-   * @param model - The model ID being used
-   * @param context - Optional system context
+   * @param request - Request fields that determine the response
    * @returns A hex string cache key
    */
-  generateKey(query: string, model: string, context?: string): string {
-    const normalized = JSON.stringify({
-      query: query.trim().toLowerCase(),
-      model: model.toLowerCase(),
-      context: context?.trim().toLowerCase() || '',
-    });
-    return createHash('sha256').update(normalized).digest('hex');
+  generateKey(request: CacheKeyRequest): string {
+    return buildCacheKey(request);
+  }
+
+  /**
+   * Get the TTL for a class of responses
+   *
+   * @param ttlClass - TTL class (default: 'default')
+   * @returns Time-to-live in seconds
+   */
+  getTtlSeconds(ttlClass: CacheTtlClass = 'default'): number {
+    switch (ttlClass) {
+      case 'search':
+        return this.options.searchTtlSeconds;
+      case 'deterministic':
+        return this.options.deterministicTtlSeconds;
+      default:
+        return this.options.ttlSeconds;
+    }
   }
 
   /**
@@ -129,9 +233,10 @@ export class ResponseCache {
    * Uses LRU eviction when max size is reached.
    *
    * @param key - Cache key from generateKey()
-   * @param response - The Grok API response to cache
+   * @param response - The tool result to cache
+   * @param ttlSeconds - Time-to-live for this entry (default: ttlSeconds option)
    */
-  set(key: string, response: GrokQueryResponse): void {
+  set<T extends CacheableResponse>(key: string, response: T, ttlSeconds?: number): void {
     if (!this.options.enabled) {
       return;
     }
@@ -148,7 +253,7 @@ export class ResponseCache {
     const entry: CacheEntry = {
       response: { ...response, cached: true },
       timestamp: now,
-      expiresAt: now + this.options.ttlSeconds * 1000,
+      expiresAt: now + (ttlSeconds ?? this.options.ttlSeconds) * 1000,
     };
 
     // Delete and re-add to move to end (most recently used)
@@ -159,6 +264,8 @@ export class ResponseCache {
     if (this.cache.size % 100 === 0) {
       this.evictExpired();
     }
+
+    this.persist();
   }
 
   /**
@@ -169,14 +276,23 @@ export class ResponseCache {
    * - Key not found
    * - Entry has expired
    *
-   * Updates LRU order on successful access.
+   * Updates LRU order on successful access. Hits and misses are also
+   * counted per tool, and hits add the cached response's cost to that
+   * tool's savings.
    *
    * @param key - Cache key from generateKey()
+   * @param tool - Tool name for per-tool stats (default: grok_query)
    * @returns The cached response or null
    */
-  get(key: string): GrokQueryResponse | null {
+  get<T extends CacheableResponse = GrokQueryResponse>(
+    key: string,
+    tool: string = DEFAULT_CACHE_TOOL
+  ): T | null {
+    const toolStats = this.getToolStatsEntry(tool);
+
     if (!this.options.enabled) {
       this.stats.misses++;
+      toolStats.misses++;
       return null;
     }
 
@@ -184,6 +300,7 @@ export class ResponseCache {
 
     if (!entry) {
       this.stats.misses++;
+      toolStats.misses++;
       return null;
     }
 
@@ -191,6 +308,7 @@ export class ResponseCache {
     if (Date.now() > entry.expiresAt) {
       this.cache.delete(key);
       this.stats.misses++;
+      toolStats.misses++;
       return null;
     }
 
@@ -199,7 +317,10 @@ export class ResponseCache {
     this.cache.set(key, entry);
 
     this.stats.hits++;
-    return entry.response;
+    toolStats.hits++;
+    toolStats.tokensSaved += entry.response.cost.input_tokens + entry.response.cost.output_tokens;
+    toolStats.costSavedUsd += entry.response.cost.estimated_usd;
+    return entry.response as T;
   }
 
   /**
@@ -231,6 +352,7 @@ export class ResponseCache {
    */
   clear(): void {
     this.cache.clear();
+    this.persist();
   }
 
   /**
@@ -238,6 +360,7 @@ export class ResponseCache {
    */
   resetStats(): void {
     this.stats = { hits: 0, misses: 0 };
+    this.toolStats.clear();
   }
 
   /**
@@ -258,6 +381,9 @@ export class ResponseCache {
       size: this.cache.size,
       maxEntries: this.options.maxEntries,
       approximateBytes,
+      byTool: Object.fromEntries(
+        [...this.toolStats.entries()].map(([tool, stats]) => [tool, { ...stats }])
+      ),
     };
   }
 
@@ -275,18 +401,27 @@ export class ResponseCache {
   /**
    * Update cache options at runtime
    *
+   * The backend and directory are fixed at construction.
+   *
    * @param options - New options to apply
    */
-  setOptions(options: Partial<CacheOptions>): void {
+  setOptions(options: Partial<Omit<CacheOptions, 'backend' | 'directory'>>): void {
     if (options.enabled !== undefined) {
       this.options.enabled = options.enabled;
     }
     if (options.ttlSeconds !== undefined) {
       this.options.ttlSeconds = options.ttlSeconds;
     }
+    if (options.searchTtlSeconds !== undefined) {
+      this.options.searchTtlSeconds = options.searchTtlSeconds;
+    }
+    if (options.deterministicTtlSeconds !== undefined) {
+      this.options.deterministicTtlSeconds = options.deterministicTtlSeconds;
+    }
     if (options.maxEntries !== undefined) {
       this.options.maxEntries = options.maxEntries;
       // Evict excess entries if new max is smaller
+      const sizeBefore = this.cache.size;
       while (this.cache.size > this.options.maxEntries) {
         const oldestKey = this.cache.keys().next().value;
         if (oldestKey !== undefined) {
@@ -295,6 +430,9 @@ export class ResponseCache {
           break;
         }
       }
+      if (this.cache.size < sizeBefore) {
+        this.persist();
+      }
     }
   }
 
@@ -324,6 +462,10 @@ export class ResponseCache {
       }
     }
 
+    if (evicted > 0) {
+      this.persist();
+    }
+
     return evicted;
   }
 
@@ -338,6 +480,97 @@ export class ResponseCache {
     if (!entry) return null;
     return new Date(entry.expiresAt).toISOString();
   }
+
+  /**
+   * Get the path of the cache file
+   *
+   * @returns File path for the disk backend, or null for the memory backend
+   */
+  getFilePath(): string | null {
+    return this.filePath;
+  }
+
+  /**
+   * Get (or create) the stats entry for a tool
+   */
+  private getToolStatsEntry(tool: string): CacheToolStats {
+    let stats = this.toolStats.get(tool);
+    if (!stats) {
+      stats = { hits: 0, misses: 0, tokensSaved: 0, costSavedUsd: 0 };
+      this.toolStats.set(tool, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Load entries from the cache file (disk backend)
+   *
+   * Expired entries are dropped and only the most recently used
+   * maxEntries are kept. Rewrites the file if anything was dropped.
+   */
+  private load(): void {
+    if (!this.filePath) return;
+
+    let entries: PersistedCacheEntry[];
+    let corruptLines: number;
+    try {
+      ({ entries, corruptLines } = readCacheFile(this.filePath));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[cache] Failed to read ${this.filePath}, starting empty: ${message}`);
+      this.persist();
+      return;
+    }
+
+    const now = Date.now();
+    for (const entry of entries) {
+      if (now > entry.expiresAt) continue;
+      // Later lines win, and re-inserting moves the key to the most recent position
+      this.cache.delete(entry.key);
+      this.cache.set(entry.key, {
+        response: entry.response,
+        timestamp: entry.timestamp,
+        expiresAt: entry.expiresAt,
+      });
+    }
+
+    while (this.cache.size > this.options.maxEntries) {
+      const oldestKey = this.cache.keys().next().value;
+      if (oldestKey === undefined) break;
+      this.cache.delete(oldestKey);
+    }
+
+    if (corruptLines > 0) {
+      console.error(
+        `[cache] Skipped ${corruptLines} corrupt line(s) in ${this.filePath}; rewriting file`
+      );
+    }
+    if (corruptLines > 0 || this.cache.size < entries.length) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Write all entries to the cache file (disk backend)
+   *
+   * Entries are written least recently used first so LRU order
+   * survives a restart.
+   */
+  private persist(): void {
+    if (!this.filePath) return;
+
+    const entries: PersistedCacheEntry[] = [];
+    for (const [key, entry] of this.cache.entries()) {
+      entries.push({ key, ...entry });
+    }
+
+    try {
+      writeCacheFile(this.filePath, entries);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[cache] Failed to write ${this.filePath}: ${message}`);
+    }
+  }
 }
 
 /**
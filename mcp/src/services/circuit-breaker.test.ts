@@ -0,0 +1,207 @@
+/**
+ * Circuit Breaker Service Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  getDefaultCircuitBreaker,
+  getDefaultCircuitBreakerOptions,
+  isCircuitFailure,
+  resetDefaultCircuitBreaker,
+} from './circuit-breaker.js';
+import { RequestCancelledError, XAIError } from '../types/index.js';
+
+const KEY = CircuitBreaker.getKey('POST', '/chat/completions', 'grok-4-0709');
+
+describe('CircuitBreaker', () => {
+  let breaker: CircuitBreaker;
+
+  const fail = (times: number): void => {
+    for (let i = 0; i < times; i++) {
+      breaker.recordFailure(KEY);
+    }
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation((): void => {});
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10_000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should key circuits by method, endpoint and model', () => {
+    expect(KEY).toBe('POST /chat/completions (grok-4-0709)');
+    expect(CircuitBreaker.getKey('GET', '/models')).toBe('GET /models');
+  });
+
+  it('should stay closed below the failure threshold', () => {
+    fail(2);
+
+    expect(breaker.getState(KEY)).toBe('closed');
+    expect(() => breaker.beforeRequest(KEY)).not.toThrow();
+  });
+
+  it('should open after consecutive failures and fail fast', () => {
+    fail(3);
+
+    expect(breaker.getState(KEY)).toBe('open');
+    expect(() => breaker.beforeRequest(KEY)).toThrow(CircuitOpenError);
+    expect(() => breaker.beforeRequest(KEY)).toThrow(
+      'xAI API unavailable for POST /chat/completions (grok-4-0709)'
+    );
+  });
+
+  it('should reset the failure count on success', () => {
+    fail(2);
+    breaker.recordSuccess(KEY);
+    fail(2);
+
+    expect(breaker.getState(KEY)).toBe('closed');
+  });
+
+  it('should keep circuits independent', () => {
+    fail(3);
+
+    expect(() =>
+      breaker.beforeRequest(CircuitBreaker.getKey('POST', '/chat/completions', 'grok-code-fast-1'))
+    ).not.toThrow();
+  });
+
+  it('should allow a single probe once the reset timeout passes', () => {
+    fail(3);
+    vi.advanceTimersByTime(10_000);
+
+    expect(() => breaker.beforeRequest(KEY)).not.toThrow();
+    expect(breaker.getState(KEY)).toBe('half_open');
+    expect(() => breaker.beforeRequest(KEY)).toThrow(CircuitOpenError);
+  });
+
+  it('should close when the probe succeeds', () => {
+    fail(3);
+    vi.advanceTimersByTime(10_000);
+    breaker.beforeRequest(KEY);
+
+    breaker.recordSuccess(KEY);
+
+    expect(breaker.getState(KEY)).toBe('closed');
+    expect(breaker.getCircuits()).toEqual([]);
+  });
+
+  it('should reopen when the probe fails', () => {
+    fail(3);
+    vi.advanceTimersByTime(10_000);
+    breaker.beforeRequest(KEY);
+
+    breaker.recordFailure(KEY);
+
+    expect(breaker.getState(KEY)).toBe('open');
+    expect(() => breaker.beforeRequest(KEY)).toThrow(CircuitOpenError);
+  });
+
+  it('should let another probe through after a released one', () => {
+    fail(3);
+    vi.advanceTimersByTime(10_000);
+    breaker.beforeRequest(KEY);
+
+    breaker.releaseProbe(KEY);
+
+    expect(() => breaker.beforeRequest(KEY)).not.toThrow();
+  });
+
+  it('should report circuits with failures', () => {
+    fail(3);
+    vi.advanceTimersByTime(4000);
+
+    expect(breaker.getCircuits()).toEqual([
+      { key: KEY, state: 'open', consecutiveFailures: 3, retryInMs: 6000 },
+    ]);
+    expect(breaker.isDegraded()).toBe(true);
+  });
+
+  it('should close every circuit on reset', () => {
+    fail(3);
+
+    breaker.reset();
+
+    expect(breaker.isDegraded()).toBe(false);
+    expect(breaker.getCircuits()).toEqual([]);
+  });
+});
+
+describe('CircuitOpenError', () => {
+  it('should be a 503 XAIError', () => {
+    const error = new CircuitOpenError('GET /models', 1500);
+
+    expect(error).toBeInstanceOf(XAIError);
+    expect(error.name).toBe('CircuitOpenError');
+    expect(error.statusCode).toBe(503);
+    expect(error.message).toContain('retrying in 2s');
+  });
+});
+
+describe('isCircuitFailure', () => {
+  it.each([408, 500, 502, 503, 504])('should count HTTP %i', (status) => {
+    expect(isCircuitFailure(new XAIError('failed', status, 'Error'))).toBe(true);
+  });
+
+  it.each([400, 401, 404, 429])('should not count HTTP %i', (status) => {
+    expect(isCircuitFailure(new XAIError('failed', status, 'Error'))).toBe(false);
+  });
+
+  it('should not count cancellations or open circuits', () => {
+    expect(isCircuitFailure(new RequestCancelledError())).toBe(false);
+    expect(isCircuitFailure(new CircuitOpenError('GET /models', 1000))).toBe(false);
+  });
+});
+
+describe('getDefaultCircuitBreakerOptions', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should use defaults when env vars are not set', () => {
+    delete process.env.GROK_CIRCUIT_FAILURE_THRESHOLD;
+    delete process.env.GROK_CIRCUIT_RESET_MS;
+
+    expect(getDefaultCircuitBreakerOptions()).toEqual({
+      failureThreshold: 5,
+      resetTimeoutMs: 30_000,
+    });
+  });
+
+  it('should read env vars', () => {
+    process.env.GROK_CIRCUIT_FAILURE_THRESHOLD = '2';
+    process.env.GROK_CIRCUIT_RESET_MS = '5000';
+
+    expect(getDefaultCircuitBreakerOptions()).toEqual({
+      failureThreshold: 2,
+      resetTimeoutMs: 5000,
+    });
+  });
+});
+
+describe('default circuit breaker', () => {
+  afterEach(() => {
+    resetDefaultCircuitBreaker();
+  });
+
+  it('should return the same instance until reset', () => {
+    const breaker = getDefaultCircuitBreaker();
+
+    expect(getDefaultCircuitBreaker()).toBe(breaker);
+    resetDefaultCircuitBreaker();
+    expect(getDefaultCircuitBreaker()).not.toBe(breaker);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Circuit Breaker Service
+ *
+ * Tracks consecutive failures per endpoint and model. After too many in a
+ * row the circuit opens and requests fail immediately instead of waiting
+ * for timeouts and retries during an xAI incident. Once the reset timeout
+ * passes, one probe request is let through (half-open): success closes the
+ * circuit, failure opens it again.
+ *
+ * @module services/circuit-breaker
+ */
+
+import { XAIError } from '../types/index.js';
+
+/**
+ * Circuit states
+ *
+ * - `closed`: requests flow normally
+ * - `open`: requests fail fast until the reset timeout passes
+ * - `half_open`: one probe request is allowed to test recovery
+ */
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+/**
+ * Configuration options for the circuit breaker
+ */
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open a circuit (default: 5) */
+  failureThreshold: number;
+  /** Time an open circuit waits before allowing a probe, in ms (default: 30000) */
+  resetTimeoutMs: number;
+}
+
+/**
+ * State of one circuit, as reported by getCircuits()
+ */
+export interface CircuitStatus {
+  /** Circuit key, e.g. `POST /chat/completions (grok-4-0709)` */
+  key: string;
+  state: CircuitState;
+  /** Failures since the last success */
+  consecutiveFailures: number;
+  /** Time until an open circuit allows a probe, in ms (0 unless open) */
+  retryInMs: number;
+}
+
+/**
+ * Error thrown when a request is blocked by an open circuit
+ *
+ * Uses HTTP 503 so callers treat it like the outage it stands for (for
+ * example, grok_query falls back to the next model).
+ */
+export class CircuitOpenError extends XAIError {
+  constructor(
+    public readonly circuitKey: string,
+    public readonly retryInMs: number
+  ) {
+    super(
+      `xAI API unavailable for ${circuitKey}: circuit open after repeated failures. ` +
+        `Failing fast; retrying in ${Math.ceil(retryInMs / 1000)}s.`,
+      503,
+      'Circuit Open'
+    );
+    this.name = 'CircuitOpenError';
+  }
+}
+
+interface Circuit {
+  state: CircuitState;
+  consecutiveFailures: number;
+  openedAt: number;
+  /** Whether the half-open probe is in flight */
+  probing: boolean;
+}
+
+/**
+ * Whether an error means the service is unhealthy (timeouts, 5xx, network errors)
+ *
+ * Client errors, rate limits and cancellations do not count against a circuit.
+ */
+export function isCircuitFailure(error: unknown): boolean {
+  if (error instanceof CircuitOpenError) return false;
+  if (error instanceof XAIError) {
+    return error.statusCode === 408 || (error.statusCode >= 500 && error.statusCode < 600);
+  }
+  return false;
+}
+
+/**
+ * Default options loaded from environment variables
+ */
+export function getDefaultCircuitBreakerOptions(): CircuitBreakerOptions {
+  return {
+    failureThreshold: parseInt(process.env.GROK_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.GROK_CIRCUIT_RESET_MS || '30000', 10),
+  };
+}
+
+/**
+ * Circuit breaker keyed by endpoint and model
+ *
+ * @example
+ * ```typescript
+ * const breaker = new CircuitBreaker();
+ * const key = CircuitBreaker.getKey('POST', '/chat/completions', 'grok-4-0709');
+ *
+ * breaker.beforeRequest(key); // throws CircuitOpenError while open
+ * try {
+ *   const result = await send();
+ *   breaker.recordSuccess(key);
+ * } catch (error) {
+ *   if (isCircuitFailure(error)) breaker.recordFailure(key);
+ *   throw error;
+ * }
+ * ```
+ */
+export class CircuitBreaker {
+  private options: CircuitBreakerOptions;
+  private circuits: Map<string, Circuit> = new Map();
+
+  constructor(options?: Partial<CircuitBreakerOptions>) {
+    const defaults = getDefaultCircuitBreakerOptions();
+    this.options = {
+      failureThreshold: options?.failureThreshold ?? defaults.failureThreshold,
+      resetTimeoutMs: options?.resetTimeoutMs ?? defaults.resetTimeoutMs,
+    };
+  }
+
+  /**
+   * Circuit key for a request
+   *
+   * @param method - HTTP method
+   * @param endpoint - API endpoint
+   * @param model - Model ID, if the request names one
+   */
+  static getKey(method: string, endpoint: string, model?: string): string {
+    return model ? `${method} ${endpoint} (${model})` : `${method} ${endpoint}`;
+  }
+
+  /**
+   * Check that a request may be sent
+   *
+   * Moves an open circuit whose reset timeout has passed to half-open and
+   * lets this request through as the probe.
+   *
+   * @throws CircuitOpenError if the circuit is open, or half-open with a probe in flight
+   */
+  beforeRequest(key: string): void {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.state === 'closed') return;
+
+    if (circuit.state === 'open') {
+      const retryInMs = this.getRetryInMs(circuit);
+      if (retryInMs > 0) {
+        throw new CircuitOpenError(key, retryInMs);
+      }
+      circuit.state = 'half_open';
+      circuit.probing = false;
+      console.error(`[CircuitBreaker] ${key} half-open, sending a probe request`);
+    }
+
+    if (circuit.probing) {
+      throw new CircuitOpenError(key, this.options.resetTimeoutMs);
+    }
+    circuit.probing = true;
+  }
+
+  /**
+   * Record a successful request (closes the circuit)
+   */
+  recordSuccess(key: string): void {
+    const circuit = this.circuits.get(key);
+    if (!circuit) return;
+    if (circuit.state !== 'closed') {
+      console.error(`[CircuitBreaker] ${key} closed`);
+    }
+    this.circuits.delete(key);
+  }
+
+  /**
+   * Record a failed request
+   *
+   * Opens the circuit at the failure threshold, or immediately if the
+   * half-open probe failed.
+   */
+  recordFailure(key: string): void {
+    const circuit = this.circuits.get(key) ?? {
+      state: 'closed' as CircuitState,
+      consecutiveFailures: 0,
+      openedAt: 0,
+      probing: false,
+    };
+    circuit.consecutiveFailures++;
+    circuit.probing = false;
+
+    if (
+      circuit.state === 'half_open' ||
+      (circuit.state === 'closed' && circuit.consecutiveFailures >= this.options.failureThreshold)
+    ) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      console.error(
+        `[CircuitBreaker] ${key} open after ${circuit.consecutiveFailures} consecutive failures`
+      );
+    }
+    this.circuits.set(key, circuit);
+  }
+
+  /**
+   * Release a half-open probe that ended without a verdict (e.g. cancelled)
+   */
+  releaseProbe(key: string): void {
+    const circuit = this.circuits.get(key);
+    if (circuit) {
+      circuit.probing = false;
+    }
+  }
+
+  /**
+   * Current state of a circuit (`closed` if it has no failures)
+   */
+  getState(key: string): CircuitState {
+    return this.circuits.get(key)?.state ?? 'closed';
+  }
+
+  /**
+   * All circuits with failures since their last success
+   */
+  getCircuits(): CircuitStatus[] {
+    return [...this.circuits.entries()].map(([key, circuit]) => ({
+      key,
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      retryInMs: circuit.state === 'open' ? this.getRetryInMs(circuit) : 0,
+    }));
+  }
+
+  /**
+   * Whether any circuit is open or half-open
+   */
+  isDegraded(): boolean {
+    return [...this.circuits.values()].some((circuit) => circuit.state !== 'closed');
+  }
+
+  /**
+   * Close all circuits
+   */
+  reset(): void {
+    this.circuits.clear();
+  }
+
+  /**
+   * Get current options
+   */
+  getOptions(): Readonly<CircuitBreakerOptions> {
+    return { ...this.options };
+  }
+
+  private getRetryInMs(circuit: Circuit): number {
+    return Math.max(0, circuit.openedAt + this.options.resetTimeoutMs - Date.now());
+  }
+}
+
+/**
+ * Singleton instance for shared use
+ */
+let defaultBreakerInstance: CircuitBreaker | null = null;
+
+/**
+ * Get or create the default circuit breaker instance
+ */
+export function getDefaultCircuitBreaker(): CircuitBreaker {
+  if (!defaultBreakerInstance) {
+    defaultBreakerInstance = new CircuitBreaker();
+  }
+  return defaultBreakerInstance;
+}
+
+/**
+ * Reset the default circuit breaker instance
+ */
+export function resetDefaultCircuitBreaker(): void {
+  defaultBreakerInstance = null;
+}
@@ -0,0 +1,127 @@
+/**
+ * Code Chunking Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { chunkCode, type CodeChunk } from './code-chunker.js';
+
+/**
+ * A top-level function of `bodyLines` + 2 lines
+ */
+function fn(name: string, bodyLines: number): string {
+  const body = Array.from({ length: bodyLines }, (_, i) => `  const v${i} = ${i};`);
+  return [`function ${name}() {`, ...body, '}'].join('\n');
+}
+
+/**
+ * Every line of the code, in order, taken from the chunks
+ */
+function lineMap(chunks: CodeChunk[]): Map<number, string> {
+  const map = new Map<number, string>();
+  for (const chunk of chunks) {
+    chunk.text.split('\n').forEach((line, i) => map.set(chunk.startLine + i, line));
+  }
+  return map;
+}
+
+describe('chunkCode', () => {
+  it('should return small code as one chunk', () => {
+    const code = fn('a', 3);
+
+    expect(chunkCode(code)).toEqual([{ startLine: 1, endLine: 5, text: code }]);
+  });
+
+  it('should cut between top-level declarations', () => {
+    const code = [fn('a', 6), '', fn('b', 6), '', fn('c', 6)].join('\n');
+
+    const chunks = chunkCode(code, { maxLines: 12 });
+
+    expect(chunks.map((chunk) => [chunk.startLine, chunk.endLine])).toEqual([
+      [1, 9],
+      [10, 18],
+      [19, 26],
+    ]);
+    expect(chunks[1].text.startsWith('function b() {')).toBe(true);
+  });
+
+  it('should pack several declarations into one chunk', () => {
+    const code = [fn('a', 2), fn('b', 2), fn('c', 2), fn('d', 2)].join('\n');
+
+    const chunks = chunkCode(code, { maxLines: 8 });
+
+    expect(chunks.map((chunk) => [chunk.startLine, chunk.endLine])).toEqual([
+      [1, 8],
+      [9, 16],
+    ]);
+  });
+
+  it('should keep comments and decorators with the declaration below them', () => {
+    const code = [
+      fn('a', 4),
+      '/**',
+      ' * Docs for B',
+      ' */',
+      '@decorated',
+      'export class B {',
+      '  x = 1;',
+      '}',
+    ].join('\n');
+
+    const chunks = chunkCode(code, { maxLines: 8 });
+
+    expect(chunks[1].startLine).toBe(7);
+    expect(chunks[1].text.startsWith('/**')).toBe(true);
+  });
+
+  it('should not cut before closing lines and else branches', () => {
+    const code = ['if x:', '    a()', 'else:', '    b()', 'def f():', '    pass'].join('\n');
+
+    const chunks = chunkCode(code, { maxLines: 4 });
+
+    expect(chunks[0]).toMatchObject({ startLine: 1, endLine: 4 });
+    expect(chunks[1]).toMatchObject({ startLine: 5, endLine: 6 });
+  });
+
+  it('should split a long declaration into overlapping windows', () => {
+    const code = fn('long', 48);
+
+    const chunks = chunkCode(code, { maxLines: 20, overlapLines: 5 });
+
+    expect(chunks.map((chunk) => [chunk.startLine, chunk.endLine])).toEqual([
+      [1, 20],
+      [16, 35],
+      [31, 50],
+    ]);
+  });
+
+  it('should limit chunks by characters', () => {
+    const code = Array.from({ length: 10 }, (_, i) => `const line${i} = '${'x'.repeat(80)}';`).join(
+      '\n'
+    );
+
+    const chunks = chunkCode(code, { maxChars: 300 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    for (const chunk of chunks) {
+      expect(chunk.text.length).toBeLessThanOrEqual(300);
+    }
+  });
+
+  it('should keep a single line longer than the limit as its own chunk', () => {
+    const code = ['const a = 1;', `const b = '${'x'.repeat(500)}';`, 'const c = 3;'].join('\n');
+
+    const chunks = chunkCode(code, { maxChars: 100 });
+
+    expect(chunks.map((chunk) => chunk.startLine)).toEqual([1, 2, 3]);
+  });
+
+  it('should cover every line with its original number', () => {
+    const code = [fn('a', 30), '', fn('b', 90), '', fn('c', 10)].join('\n');
+    const lines = code.split('\n');
+
+    const map = lineMap(chunkCode(code, { maxLines: 25, overlapLines: 3 }));
+
+    expect(map.size).toBe(lines.length);
+    lines.forEach((line, i) => expect(map.get(i + 1)).toBe(line));
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Code Chunking
+ *
+ * Splits a source file too large for one analysis request into chunks that
+ * can be analyzed separately. Chunks are cut between top-level declarations
+ * (lines starting at column 0, together with the comments and decorators
+ * directly above them), packing as many whole declarations into a chunk as
+ * fit. A declaration longer than a chunk is cut into line windows that
+ * overlap, so code at a cut is seen whole by at least one chunk.
+ *
+ * @module services/code-chunker
+ */
+
+/**
+ * A contiguous range of lines from the original code
+ */
+export interface CodeChunk {
+  /** First line, 1-based */
+  startLine: number;
+  /** Last line, inclusive */
+  endLine: number;
+  /** The lines, joined with newlines */
+  text: string;
+}
+
+/**
+ * Chunk size limits
+ */
+export interface ChunkOptions {
+  /** Most lines in one chunk */
+  maxLines: number;
+  /** Most characters in one chunk (keeps files with long lines in bounds) */
+  maxChars: number;
+  /** Lines repeated between consecutive windows of one long declaration */
+  overlapLines: number;
+}
+
+/**
+ * Sized so a chunk and its findings fit one analysis request
+ */
+export const DEFAULT_CHUNK_OPTIONS: ChunkOptions = {
+  maxLines: 400,
+  maxChars: 16_000,
+  overlapLines: 20,
+};
+
+/**
+ * Lines at column 0 that continue the construct above them
+ */
+const CONTINUATION_LINE = /^(?:[}\])]|end\b|else\b|elif\b|except\b|finally\b|catch\b)/;
+
+/**
+ * Lines that belong to the declaration below them
+ */
+const ATTACHED_LINE = /^\s*(?:\/\/|\/\*|\*|#|@)/;
+
+/**
+ * Whether a chunk may start at this line
+ */
+function isDeclarationStart(lines: string[], index: number): boolean {
+  if (index === 0) return true;
+  const line = lines[index];
+  if (line.length === 0 || /^\s/.test(line) || CONTINUATION_LINE.test(line)) {
+    return false;
+  }
+  // A comment or decorator above the line starts the declaration instead
+  return !ATTACHED_LINE.test(lines[index - 1]);
+}
+
+/**
+ * Split code into chunks of at most `maxLines` lines and `maxChars` characters
+ *
+ * Code within the limits is returned as a single chunk.
+ *
+ * @param code - Source code
+ * @param options - Overrides for the default limits
+ * @returns Chunks in file order, covering every line
+ */
+export function chunkCode(code: string, options: Partial<ChunkOptions> = {}): CodeChunk[] {
+  const { maxLines, maxChars, overlapLines } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+  const lines = code.replace(/\r\n/g, '\n').split('\n');
+
+  // offsets[i] is the length of lines[0..i) including their newlines
+  const offsets = [0];
+  for (const line of lines) {
+    offsets.push(offsets[offsets.length - 1] + line.length + 1);
+  }
+  const fits = (start: number, end: number): boolean =>
+    end - start <= maxLines && offsets[end] - offsets[start] - 1 <= maxChars;
+
+  const boundaries: number[] = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (isDeclarationStart(lines, i)) boundaries.push(i);
+  }
+  boundaries.push(lines.length);
+
+  const chunks: CodeChunk[] = [];
+  const addChunk = (start: number, end: number): void => {
+    chunks.push({
+      startLine: start + 1,
+      endLine: end,
+      text: lines.slice(start, end).join('\n'),
+    });
+  };
+
+  let start = 0;
+  while (start < lines.length) {
+    // Pack whole declarations while they fit
+    let end: number | undefined;
+    for (const boundary of boundaries) {
+      if (boundary <= start) continue;
+      if (!fits(start, boundary)) break;
+      end = boundary;
+    }
+    if (end !== undefined) {
+      addChunk(start, end);
+      start = end;
+      continue;
+    }
+
+    // The next declaration alone is too long: take a window of it
+    end = start + 1;
+    while (end < lines.length && fits(start, end + 1)) end++;
+    addChunk(start, end);
+    if (end >= lines.length) break;
+    start = Math.max(end - overlapLines, start + 1);
+  }
+
+  return chunks;
+}
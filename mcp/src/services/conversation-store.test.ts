@@ -0,0 +1,291 @@
+/**
+ * Conversation Store Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ConversationStore,
+  ConversationNotFoundError,
+  estimateTextTokens,
+  getContextWindow,
+  getDefaultConversationStoreOptions,
+  getDefaultConversationStore,
+  resetDefaultConversationStore,
+} from './conversation-store.js';
+import { CostEstimate } from '../types/index.js';
+
+// Mock cost factory
+function createCost(overrides: Partial<CostEstimate> = {}): CostEstimate {
+  return {
+    estimated_usd: 0.001,
+    input_tokens: 100,
+    output_tokens: 50,
+    model: 'grok-4-fast-non-reasoning',
+    pricing: { input_per_1m: 0.2, output_per_1m: 0.5 },
+    ...overrides,
+  };
+}
+
+describe('ConversationStore', () => {
+  let store: ConversationStore;
+
+  beforeEach(() => {
+    store = new ConversationStore({ maxConversations: 3, maxHistoryTokens: 1000 });
+  });
+
+  describe('constructor', () => {
+    it('should use default options when none provided', () => {
+      const defaultStore = new ConversationStore();
+      expect(defaultStore.getOptions().maxConversations).toBe(100);
+      expect(defaultStore.getOptions().maxHistoryTokens).toBe(32000);
+    });
+
+    it('should merge partial options with defaults', () => {
+      const partialStore = new ConversationStore({ maxConversations: 5 });
+      expect(partialStore.getOptions().maxConversations).toBe(5);
+      expect(partialStore.getOptions().maxHistoryTokens).toBe(32000);
+    });
+  });
+
+  describe('create', () => {
+    it('should create an empty conversation with a generated ID', () => {
+      const conversation = store.create();
+      expect(conversation.id).toMatch(/^conv_[0-9a-f]{12}$/);
+      expect(conversation.turns).toEqual([]);
+      expect(conversation.totalCostUsd).toBe(0);
+      expect(store.has(conversation.id)).toBe(true);
+    });
+
+    it('should generate unique IDs', () => {
+      const ids = new Set([store.create().id, store.create().id, store.create().id]);
+      expect(ids.size).toBe(3);
+    });
+
+    it('should evict the least recently updated conversation at capacity', () => {
+      const first = store.create();
+      const second = store.create();
+      const third = store.create();
+
+      // Touch the first conversation so the second becomes the oldest
+      store.appendTurn(first.id, 'q', 'a', createCost());
+
+      store.create();
+      expect(store.size()).toBe(3);
+      expect(store.has(first.id)).toBe(true);
+      expect(store.has(second.id)).toBe(false);
+      expect(store.has(third.id)).toBe(true);
+    });
+  });
+
+  describe('get and require', () => {
+    it('should return null for unknown IDs from get', () => {
+      expect(store.get('conv_unknown')).toBeNull();
+    });
+
+    it('should throw ConversationNotFoundError from require', () => {
+      expect(() => store.require('conv_unknown')).toThrow(ConversationNotFoundError);
+      expect(() => store.require('conv_unknown')).toThrow('Conversation "conv_unknown" not found');
+    });
+  });
+
+  describe('appendTurn', () => {
+    it('should record turns and accumulate cost', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'Q1', 'A1', createCost());
+      store.appendTurn(
+        conversation.id,
+        'Q2',
+        'A2',
+        createCost({ estimated_usd: 0.002, model: 'grok-4-0709' })
+      );
+
+      const updated = store.require(conversation.id);
+      expect(updated.turns).toHaveLength(2);
+      expect(updated.turns[1]).toMatchObject({
+        user: 'Q2',
+        assistant: 'A2',
+        model: 'grok-4-0709',
+        costUsd: 0.002,
+      });
+      expect(updated.totalCostUsd).toBeCloseTo(0.003, 10);
+      expect(updated.totalInputTokens).toBe(200);
+      expect(updated.totalOutputTokens).toBe(100);
+    });
+
+    it('should throw for unknown conversations', () => {
+      expect(() => store.appendTurn('conv_unknown', 'q', 'a', createCost())).toThrow(
+        ConversationNotFoundError
+      );
+    });
+  });
+
+  describe('getHistory', () => {
+    it('should return all turns as alternating messages when within budget', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'Q1', 'A1', createCost());
+      store.appendTurn(conversation.id, 'Q2', 'A2', createCost());
+
+      const history = store.getHistory(conversation.id, 1000);
+      expect(history.messages).toEqual([
+        { role: 'user', content: 'Q1' },
+        { role: 'assistant', content: 'A1' },
+        { role: 'user', content: 'Q2' },
+        { role: 'assistant', content: 'A2' },
+      ]);
+      expect(history.turnsReplayed).toBe(2);
+      expect(history.turnsTrimmed).toBe(0);
+      expect(history.estimatedTokens).toBe(4);
+    });
+
+    it('should drop the oldest turns first when over budget', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'x'.repeat(400), 'y'.repeat(400), createCost());
+      store.appendTurn(conversation.id, 'Q2', 'A2', createCost());
+
+      const history = store.getHistory(conversation.id, 50);
+      expect(history.turnsReplayed).toBe(1);
+      expect(history.turnsTrimmed).toBe(1);
+      expect(history.messages[0]).toEqual({ role: 'user', content: 'Q2' });
+    });
+
+    it('should cap the budget at maxHistoryTokens', () => {
+      const smallStore = new ConversationStore({ maxHistoryTokens: 5 });
+      const conversation = smallStore.create();
+      smallStore.appendTurn(conversation.id, 'x'.repeat(40), 'y'.repeat(40), createCost());
+
+      const history = smallStore.getHistory(conversation.id, 100000);
+      expect(history.turnsReplayed).toBe(0);
+      expect(history.turnsTrimmed).toBe(1);
+    });
+
+    it('should treat a negative budget as zero', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'Q1', 'A1', createCost());
+
+      const history = store.getHistory(conversation.id, -500);
+      expect(history.messages).toEqual([]);
+      expect(history.turnsTrimmed).toBe(1);
+    });
+  });
+
+  describe('fork', () => {
+    it('should copy all turns into a new conversation', () => {
+      const source = store.create();
+      store.appendTurn(source.id, 'Q1', 'A1', createCost());
+      store.appendTurn(source.id, 'Q2', 'A2', createCost());
+
+      const forked = store.fork(source.id);
+      expect(forked.id).not.toBe(source.id);
+      expect(forked.parentId).toBe(source.id);
+      expect(forked.turns).toHaveLength(2);
+      expect(forked.totalCostUsd).toBe(0);
+
+      // Appending to the fork must not affect the source
+      store.appendTurn(forked.id, 'Q3', 'A3', createCost());
+      expect(store.require(source.id).turns).toHaveLength(2);
+    });
+
+    it('should keep only the first N turns when atTurn is given', () => {
+      const source = store.create();
+      store.appendTurn(source.id, 'Q1', 'A1', createCost());
+      store.appendTurn(source.id, 'Q2', 'A2', createCost());
+
+      const forked = store.fork(source.id, 1);
+      expect(forked.turns.map((t) => t.user)).toEqual(['Q1']);
+    });
+  });
+
+  describe('delete and list', () => {
+    it('should delete conversations', () => {
+      const conversation = store.create();
+      expect(store.delete(conversation.id)).toBe(true);
+      expect(store.delete(conversation.id)).toBe(false);
+      expect(store.size()).toBe(0);
+    });
+
+    it('should list conversations most recently updated first', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      const older = store.create();
+      vi.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+      const newer = store.create();
+      vi.setSystemTime(new Date('2026-01-01T00:02:00Z'));
+      store.appendTurn(older.id, 'Latest question', 'A', createCost());
+      vi.useRealTimers();
+
+      const summaries = store.list();
+      expect(summaries.map((s) => s.id)).toEqual([older.id, newer.id]);
+      expect(summaries[0].preview).toBe('Latest question');
+      expect(summaries[0].lastModel).toBe('grok-4-fast-non-reasoning');
+      expect(summaries[0].updatedAt).toBe('2026-01-01T00:02:00.000Z');
+    });
+
+    it('should truncate long previews', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'q'.repeat(200), 'a', createCost());
+      const summary = store.summarize(store.require(conversation.id));
+      expect(summary.preview).toHaveLength(80);
+      expect(summary.preview.endsWith('...')).toBe(true);
+    });
+
+    it('should clear all conversations', () => {
+      store.create();
+      store.create();
+      store.clear();
+      expect(store.size()).toBe(0);
+    });
+  });
+});
+
+describe('helpers', () => {
+  it('should estimate tokens at ~4 characters per token', () => {
+    expect(estimateTextTokens('')).toBe(0);
+    expect(estimateTextTokens('abcd')).toBe(1);
+    expect(estimateTextTokens('abcde')).toBe(2);
+  });
+
+  it('should return known context windows', () => {
+    expect(getContextWindow('grok-4-fast-non-reasoning')).toBeGreaterThan(131000);
+  });
+
+  it('should fall back to the default context window for unknown models', () => {
+    expect(getContextWindow('unknown-model')).toBe(131000);
+  });
+});
+
+describe('getDefaultConversationStoreOptions', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should read options from environment variables', () => {
+    process.env.GROK_CONVERSATION_MAX = '25';
+    process.env.GROK_CONVERSATION_MAX_HISTORY_TOKENS = '4000';
+    expect(getDefaultConversationStoreOptions()).toEqual({
+      maxConversations: 25,
+      maxHistoryTokens: 4000,
+    });
+  });
+});
+
+describe('default conversation store singleton', () => {
+  afterEach(() => {
+    resetDefaultConversationStore();
+  });
+
+  it('should return the same instance', () => {
+    expect(getDefaultConversationStore()).toBe(getDefaultConversationStore());
+  });
+
+  it('should create a new instance after reset', () => {
+    const first = getDefaultConversationStore();
+    resetDefaultConversationStore();
+    expect(getDefaultConversationStore()).not.toBe(first);
+  });
+});
@@ -0,0 +1,396 @@
+/**
+ * Conversation Store Service
+ *
+ * Keeps server-side multi-turn conversation history for grok_query so
+ * follow-up questions can replay earlier user/assistant turns.
+ *
+ * @module services/conversation-store
+ */
+
+import { randomBytes } from 'crypto';
+import { ChatMessage, CostEstimate, MODEL_CONTEXT_WINDOWS } from '../types/index.js';
+
+/**
+ * Configuration options for the conversation store
+ */
+export interface ConversationStoreOptions {
+  /** Maximum number of conversations kept in memory (default: 100) */
+  maxConversations: number;
+  /** Maximum tokens of history replayed per request (default: 32000) */
+  maxHistoryTokens: number;
+}
+
+/**
+ * Single completed turn in a conversation
+ */
+export interface ConversationTurn {
+  /** The user's message (text only; images are not replayed) */
+  user: string;
+  /** Grok's reply */
+  assistant: string;
+  /** Model that produced the reply */
+  model: string;
+  /** Cost of the request in USD */
+  costUsd: number;
+  /** Unix timestamp when the turn completed */
+  timestamp: number;
+}
+
+/**
+ * Stored conversation
+ */
+export interface Conversation {
+  /** Server-generated conversation ID */
+  id: string;
+  /** ID of the conversation this one was forked from */
+  parentId?: string;
+  /** Unix timestamp when the conversation was created */
+  createdAt: number;
+  /** Unix timestamp of the last turn */
+  updatedAt: number;
+  /** Completed turns, oldest first */
+  turns: ConversationTurn[];
+  /** Cumulative cost of all turns in USD */
+  totalCostUsd: number;
+  /** Cumulative input tokens of all turns */
+  totalInputTokens: number;
+  /** Cumulative output tokens of all turns */
+  totalOutputTokens: number;
+}
+
+/**
+ * Summary of a conversation for listings
+ */
+export interface ConversationSummary {
+  id: string;
+  parentId?: string;
+  turns: number;
+  totalCostUsd: number;
+  lastModel?: string;
+  createdAt: string;
+  updatedAt: string;
+  /** First user message, truncated for display */
+  preview: string;
+}
+
+/**
+ * History selected for replay after token-budget trimming
+ */
+export interface ConversationHistory {
+  /** Messages to insert before the new user message */
+  messages: ChatMessage[];
+  /** Estimated tokens of the replayed messages */
+  estimatedTokens: number;
+  /** Number of turns replayed */
+  turnsReplayed: number;
+  /** Number of oldest turns dropped to fit the budget */
+  turnsTrimmed: number;
+}
+
+/**
+ * Error thrown when a conversation ID is unknown
+ */
+export class ConversationNotFoundError extends Error {
+  constructor(public conversationId: string) {
+    super(
+      `Conversation "${conversationId}" not found. ` +
+        'Use conversation_id "new" to start a conversation, or grok_conversation to list existing ones.'
+    );
+    this.name = 'ConversationNotFoundError';
+  }
+}
+
+/**
+ * Context window used when a model is not in MODEL_CONTEXT_WINDOWS
+ */
+const DEFAULT_CONTEXT_WINDOW = 131000;
+
+/**
+ * Estimate tokens for a piece of text (~4 characters per token)
+ */
+export function estimateTextTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Get the context window for a resolved model ID
+ */
+export function getContextWindow(model: string): number {
+  return MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Default options loaded from environment variables
+ */
+export function getDefaultConversationStoreOptions(): ConversationStoreOptions {
+  return {
+    maxConversations: parseInt(process.env.GROK_CONVERSATION_MAX || '100', 10),
+    maxHistoryTokens: parseInt(process.env.GROK_CONVERSATION_MAX_HISTORY_TOKENS || '32000', 10),
+  };
+}
+
+/**
+ * In-memory store for multi-turn conversations
+ *
+ * Provides:
+ * - Server-generated conversation IDs
+ * - Token-budgeted history replay (oldest turns dropped first)
+ * - Per-conversation cost tracking
+ * - Listing, forking and deletion
+ *
+ * @example
+ * ```typescript
+ * const store = new ConversationStore();
+ * const conversation = store.create();
+ *
+ * const history = store.getHistory(conversation.id, 8000);
+ * // ... send [...history.messages, newUserMessage] to Grok ...
+ *
+ * store.appendTurn(conversation.id, 'What is a monad?', reply, cost);
+ * ```
+ */
+export class ConversationStore {
+  private conversations: Map<string, Conversation> = new Map();
+  private options: ConversationStoreOptions;
+
+  constructor(options?: Partial<ConversationStoreOptions>) {
+    const defaults = getDefaultConversationStoreOptions();
+    this.options = {
+      maxConversations: options?.maxConversations ?? defaults.maxConversations,
+      maxHistoryTokens: options?.maxHistoryTokens ?? defaults.maxHistoryTokens,
+    };
+  }
+
+  /**
+   * Start a new empty conversation
+   *
+   * Evicts the least recently updated conversation when at capacity.
+   */
+  create(parentId?: string): Conversation {
+    if (this.conversations.size >= this.options.maxConversations) {
+      const oldestId = this.conversations.keys().next().value;
+      if (oldestId !== undefined) {
+        this.conversations.delete(oldestId);
+      }
+    }
+
+    const now = Date.now();
+    const conversation: Conversation = {
+      id: this.generateId(),
+      parentId,
+      createdAt: now,
+      updatedAt: now,
+      turns: [],
+      totalCostUsd: 0,
+      totalInputTokens: 0,
+      totalOutputTokens: 0,
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  /**
+   * Get a conversation by ID, or null if unknown
+   */
+  get(id: string): Conversation | null {
+    return this.conversations.get(id) ?? null;
+  }
+
+  /**
+   * Get a conversation by ID
+   *
+   * @throws ConversationNotFoundError if the ID is unknown
+   */
+  require(id: string): Conversation {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      throw new ConversationNotFoundError(id);
+    }
+    return conversation;
+  }
+
+  /**
+   * Check if a conversation exists
+   */
+  has(id: string): boolean {
+    return this.conversations.has(id);
+  }
+
+  /**
+   * Select history to replay within a token budget
+   *
+   * Walks turns from newest to oldest and keeps whole turns while they fit
+   * in min(tokenBudget, maxHistoryTokens). Returned messages are oldest first.
+   *
+   * @param id - Conversation ID
+   * @param tokenBudget - Tokens available for history in the model's context window
+   * @throws ConversationNotFoundError if the ID is unknown
+   */
+  getHistory(id: string, tokenBudget: number): ConversationHistory {
+    const conversation = this.require(id);
+    const budget = Math.max(0, Math.min(tokenBudget, this.options.maxHistoryTokens));
+
+    const kept: ConversationTurn[] = [];
+    let estimatedTokens = 0;
+
+    for (let i = conversation.turns.length - 1; i >= 0; i--) {
+      const turn = conversation.turns[i];
+      const turnTokens = estimateTextTokens(turn.user) + estimateTextTokens(turn.assistant);
+      if (estimatedTokens + turnTokens > budget) break;
+      estimatedTokens += turnTokens;
+      kept.unshift(turn);
+    }
+
+    const messages: ChatMessage[] = [];
+    for (const turn of kept) {
+      messages.push({ role: 'user', content: turn.user });
+      messages.push({ role: 'assistant', content: turn.assistant });
+    }
+
+    return {
+      messages,
+      estimatedTokens,
+      turnsReplayed: kept.length,
+      turnsTrimmed: conversation.turns.length - kept.length,
+    };
+  }
+
+  /**
+   * Record a completed turn and its cost
+   *
+   * @param id - Conversation ID
+   * @param user - The user's message text
+   * @param assistant - Grok's reply
+   * @param cost - Cost estimate of the request (includes replayed history)
+   * @throws ConversationNotFoundError if the ID is unknown
+   */
+  appendTurn(id: string, user: string, assistant: string, cost: CostEstimate): Conversation {
+    const conversation = this.require(id);
+    const now = Date.now();
+
+    conversation.turns.push({
+      user,
+      assistant,
+      model: cost.model,
+      costUsd: cost.estimated_usd,
+      timestamp: now,
+    });
+    conversation.totalCostUsd += cost.estimated_usd;
+    conversation.totalInputTokens += cost.input_tokens;
+    conversation.totalOutputTokens += cost.output_tokens;
+    conversation.updatedAt = now;
+
+    // Move to end so eviction removes the least recently updated
+    this.conversations.delete(id);
+    this.conversations.set(id, conversation);
+
+    return conversation;
+  }
+
+  /**
+   * Copy a conversation into a new one
+   *
+   * @param id - Conversation to fork
+   * @param atTurn - Keep only the first N turns (default: all)
+   * @throws ConversationNotFoundError if the ID is unknown
+   */
+  fork(id: string, atTurn?: number): Conversation {
+    const source = this.require(id);
+    const keep =
+      atTurn === undefined
+        ? source.turns.length
+        : Math.max(0, Math.min(atTurn, source.turns.length));
+
+    const forked = this.create(source.id);
+    forked.turns = source.turns.slice(0, keep).map((turn) => ({ ...turn }));
+    return forked;
+  }
+
+  /**
+   * Delete a conversation
+   *
+   * @returns True if the conversation existed
+   */
+  delete(id: string): boolean {
+    return this.conversations.delete(id);
+  }
+
+  /**
+   * List conversations, most recently updated first
+   */
+  list(): ConversationSummary[] {
+    return [...this.conversations.values()]
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map((conversation) => this.summarize(conversation));
+  }
+
+  /**
+   * Build a display summary for a conversation
+   */
+  summarize(conversation: Conversation): ConversationSummary {
+    const firstUser = conversation.turns[0]?.user ?? '';
+    const lastTurn = conversation.turns[conversation.turns.length - 1];
+    return {
+      id: conversation.id,
+      parentId: conversation.parentId,
+      turns: conversation.turns.length,
+      totalCostUsd: conversation.totalCostUsd,
+      lastModel: lastTurn?.model,
+      createdAt: new Date(conversation.createdAt).toISOString(),
+      updatedAt: new Date(conversation.updatedAt).toISOString(),
+      preview: firstUser.length > 80 ? `${firstUser.slice(0, 77)}...` : firstUser,
+    };
+  }
+
+  /**
+   * Number of stored conversations
+   */
+  size(): number {
+    return this.conversations.size;
+  }
+
+  /**
+   * Remove all conversations
+   */
+  clear(): void {
+    this.conversations.clear();
+  }
+
+  /**
+   * Get current options
+   */
+  getOptions(): Readonly<ConversationStoreOptions> {
+    return { ...this.options };
+  }
+
+  private generateId(): string {
+    let id: string;
+    do {
+      id = `conv_${randomBytes(6).toString('hex')}`;
+    } while (this.conversations.has(id));
+    return id;
+  }
+}
+
+/**
+ * Singleton instance for shared use
+ */
+let defaultStoreInstance: ConversationStore | null = null;
+
+/**
+ * Get or create the default conversation store instance
+ */
+export function getDefaultConversationStore(): ConversationStore {
+  if (!defaultStoreInstance) {
+    defaultStoreInstance = new ConversationStore();
+  }
+  return defaultStoreInstance;
+}
+
+/**
+ * Reset the default conversation store instance
+ */
+export function resetDefaultConversationStore(): void {
+  defaultStoreInstance = null;
+}
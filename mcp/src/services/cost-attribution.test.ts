@@ -0,0 +1,70 @@
+/**
+ * Cost Attribution Unit Tests
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { MAX_TAG_LENGTH, getCostAttribution, startToolCall } from './cost-attribution.js';
+
+describe('cost attribution', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('startToolCall', () => {
+    it('should give each call a unique request ID', () => {
+      const first = startToolCall('grok_query', {});
+      const second = startToolCall('grok_query', {});
+
+      expect(first.tool).toBe('grok_query');
+      expect(first.requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(first.requestId).not.toBe(second.requestId);
+    });
+
+    it('should read and trim the tag', () => {
+      expect(startToolCall('grok_query', { tag: '  project-x ' }).tag).toBe('project-x');
+    });
+
+    it('should leave the tag unset when absent', () => {
+      expect(startToolCall('grok_query', { query: 'hi' }).tag).toBeUndefined();
+      expect(startToolCall('grok_query', undefined).tag).toBeUndefined();
+    });
+
+    it.each([
+      ['empty', ''],
+      ['whitespace', '   '],
+      ['too long', 'x'.repeat(MAX_TAG_LENGTH + 1)],
+      ['not a string', 42],
+    ])('should reject a tag that is %s', (_name, tag) => {
+      expect(() => startToolCall('grok_query', { tag })).toThrow(
+        'Invalid input: tag must be a non-empty string'
+      );
+    });
+
+    it('should accept a tag of the maximum length', () => {
+      const tag = 'x'.repeat(MAX_TAG_LENGTH);
+      expect(startToolCall('grok_query', { tag }).tag).toBe(tag);
+    });
+  });
+
+  describe('getCostAttribution', () => {
+    it('should carry the call details and measure latency', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(10_000);
+      const call = startToolCall('grok_reason', { tag: 'billing' });
+      vi.setSystemTime(10_250);
+
+      expect(getCostAttribution(call)).toEqual({
+        tool: 'grok_reason',
+        requestId: call.requestId,
+        tag: 'billing',
+        cached: false,
+        latencyMs: 250,
+      });
+    });
+
+    it('should mark cached results', () => {
+      const call = startToolCall('grok_query', {});
+      expect(getCostAttribution(call, true).cached).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Cost Attribution for Tool Calls
+ *
+ * Gives each tool call an ID, start time and optional user-supplied tag so
+ * the cost records it produces can be broken down by tool and by tag.
+ *
+ * @module services/cost-attribution
+ */
+
+import { randomUUID } from 'crypto';
+import type { CostAttribution } from './cost-tracker.js';
+
+/**
+ * Maximum length of a tag
+ */
+export const MAX_TAG_LENGTH = 64;
+
+/**
+ * JSON Schema for the optional `tag` argument accepted by every tool
+ */
+export const tagSchemaProperty = {
+  type: 'string',
+  minLength: 1,
+  maxLength: MAX_TAG_LENGTH,
+  description:
+    'Optional label for attributing cost (e.g. a project or task name). Shown per tag in grok_session_stats and grok_status.',
+} as const;
+
+/**
+ * A tool call in progress
+ */
+export interface ToolCall {
+  /** Tool name */
+  tool: string;
+  /** Unique ID of this call */
+  requestId: string;
+  /** User-supplied tag, if any */
+  tag?: string;
+  /** Unix timestamp in milliseconds when the call started */
+  startTime: number;
+}
+
+/**
+ * Start tracking a tool call
+ *
+ * @param tool - Tool name
+ * @param args - Raw tool arguments (the `tag` property is read from them)
+ * @throws Error if `tag` is present but not a non-empty string of at most MAX_TAG_LENGTH characters
+ */
+export function startToolCall(tool: string, args: unknown): ToolCall {
+  const call: ToolCall = { tool, requestId: randomUUID(), startTime: Date.now() };
+
+  const tag = args && typeof args === 'object' ? (args as Record<string, unknown>).tag : undefined;
+  if (tag !== undefined) {
+    if (typeof tag !== 'string' || tag.trim().length === 0 || tag.length > MAX_TAG_LENGTH) {
+      throw new Error(
+        `Invalid input: tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`
+      );
+    }
+    call.tag = tag.trim();
+  }
+
+  return call;
+}
+
+/**
+ * Build the attribution for a cost produced by a tool call
+ *
+ * @param call - Tool call from startToolCall()
+ * @param cached - Whether the result was served from the cache
+ */
+export function getCostAttribution(call: ToolCall, cached: boolean = false): CostAttribution {
+  return {
+    tool: call.tool,
+    requestId: call.requestId,
+    tag: call.tag,
+    cached,
+    latencyMs: Date.now() - call.startTime,
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Cost Ledger Persistence Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  appendFileSync,
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  readdirSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  appendLedgerEntry,
+  compactLedgerFile,
+  getWindowReset,
+  getWindowStart,
+  readLedgerFile,
+} from './cost-ledger.js';
+import type { CostRecord } from './cost-tracker.js';
+
+function createRecord(costUsd: number, timestamp: number = 1000): CostRecord {
+  return {
+    timestamp,
+    costUsd,
+    model: 'grok-4-fast-non-reasoning',
+    inputTokens: 10,
+    outputTokens: 20,
+  };
+}
+
+describe('cost ledger', () => {
+  let dir: string;
+  let filePath: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'grok-cost-ledger-'));
+    filePath = join(dir, 'cost-ledger.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('appendLedgerEntry', () => {
+    it('should append one JSON object per line', () => {
+      appendLedgerEntry(filePath, createRecord(0.1));
+      appendLedgerEntry(filePath, createRecord(0.2));
+
+      const lines = readFileSync(filePath, 'utf8').trimEnd().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1]).costUsd).toBe(0.2);
+    });
+
+    it('should create missing parent directories', () => {
+      const nestedPath = join(dir, 'nested', 'cost-ledger.jsonl');
+      appendLedgerEntry(nestedPath, createRecord(0.1));
+      expect(readLedgerFile(nestedPath).entries).toHaveLength(1);
+    });
+
+    it('should create the file readable only by the owner', () => {
+      appendLedgerEntry(filePath, createRecord(0.1));
+      expect(statSync(filePath).mode & 0o777).toBe(0o600);
+    });
+  });
+
+  describe('readLedgerFile', () => {
+    it('should return no entries for a missing file', () => {
+      expect(readLedgerFile(filePath)).toEqual({
+        entries: [],
+        corruptLines: 0,
+        offset: 0,
+        rewound: false,
+      });
+    });
+
+    it('should read only entries appended after the offset', () => {
+      appendLedgerEntry(filePath, createRecord(0.1));
+      const first = readLedgerFile(filePath);
+
+      appendLedgerEntry(filePath, createRecord(0.2));
+      const second = readLedgerFile(filePath, first.offset);
+
+      expect(first.entries.map((e) => e.costUsd)).toEqual([0.1]);
+      expect(second.entries.map((e) => e.costUsd)).toEqual([0.2]);
+      expect(second.rewound).toBe(false);
+    });
+
+    it('should leave an incomplete trailing line for the next read', () => {
+      appendLedgerEntry(filePath, createRecord(0.1));
+      const line = JSON.stringify(createRecord(0.2));
+      appendFileSync(filePath, line.slice(0, 10));
+
+      const first = readLedgerFile(filePath);
+      expect(first.entries).toHaveLength(1);
+      expect(first.corruptLines).toBe(0);
+
+      appendFileSync(filePath, line.slice(10) + '\n');
+      const second = readLedgerFile(filePath, first.offset);
+      expect(second.entries.map((e) => e.costUsd)).toEqual([0.2]);
+    });
+
+    it('should skip invalid JSON and malformed records', () => {
+      writeFileSync(
+        filePath,
+        [
+          JSON.stringify(createRecord(0.1)),
+          'not json',
+          JSON.stringify({ timestamp: 1, costUsd: 'free' }),
+          '',
+        ].join('\n')
+      );
+
+      const result = readLedgerFile(filePath);
+      expect(result.entries).toHaveLength(1);
+      expect(result.corruptLines).toBe(2);
+    });
+
+    it('should read from the start when the file was truncated', () => {
+      appendLedgerEntry(filePath, createRecord(0.1));
+      appendLedgerEntry(filePath, createRecord(0.2));
+      const first = readLedgerFile(filePath);
+
+      writeFileSync(filePath, JSON.stringify(createRecord(0.3)) + '\n');
+      const second = readLedgerFile(filePath, first.offset);
+
+      expect(second.rewound).toBe(true);
+      expect(second.entries.map((e) => e.costUsd)).toEqual([0.3]);
+    });
+  });
+
+  describe('compactLedgerFile', () => {
+    it('should drop entries older than the cutoff', () => {
+      appendLedgerEntry(filePath, createRecord(0.1, 1000));
+      appendLedgerEntry(filePath, createRecord(0.2, 2000));
+      appendLedgerEntry(filePath, createRecord(0.3, 3000));
+
+      expect(compactLedgerFile(filePath, 2000)).toBe(1);
+
+      expect(readLedgerFile(filePath).entries.map((e) => e.costUsd)).toEqual([0.2, 0.3]);
+      expect(statSync(filePath).mode & 0o777).toBe(0o600);
+      expect(readdirSync(dir)).toEqual(['cost-ledger.jsonl']);
+    });
+
+    it('should leave the file alone when nothing is old enough to drop', () => {
+      appendLedgerEntry(filePath, createRecord(0.1, 2000));
+      appendFileSync(filePath, 'not json\n');
+
+      expect(compactLedgerFile(filePath, 1000)).toBe(0);
+
+      expect(readLedgerFile(filePath).corruptLines).toBe(1);
+    });
+
+    it('should do nothing for a missing file', () => {
+      expect(compactLedgerFile(filePath, 1000)).toBe(0);
+      expect(existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('budget windows', () => {
+    const now = Date.parse('2026-03-31T22:15:00Z');
+
+    it('should start daily windows at midnight UTC', () => {
+      expect(new Date(getWindowStart('daily', now)).toISOString()).toBe('2026-03-31T00:00:00.000Z');
+      expect(getWindowReset('daily', now).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+    });
+
+    it('should start monthly windows on the first of the month UTC', () => {
+      expect(new Date(getWindowStart('monthly', now)).toISOString()).toBe(
+        '2026-03-01T00:00:00.000Z'
+      );
+      expect(getWindowReset('monthly', now).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+    });
+
+    it('should roll monthly windows over the year end', () => {
+      const december = Date.parse('2026-12-15T12:00:00Z');
+      expect(getWindowReset('monthly', december).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+  });
+});
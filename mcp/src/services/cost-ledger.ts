@@ -0,0 +1,197 @@
+/**
+ * Cost Ledger Persistence
+ *
+ * Append-only JSON-lines file recording the cost of every completed query
+ * across server restarts, so daily and monthly budgets hold even when the
+ * server is restarted or several servers share the same ledger. Windows are
+ * calendar periods in UTC. Entries from past months are compacted away when
+ * a server starts, so the file holds about one month of queries.
+ *
+ * @module services/cost-ledger
+ */
+
+import {
+  appendFileSync,
+  closeSync,
+  existsSync,
+  fstatSync,
+  mkdirSync,
+  openSync,
+  readSync,
+  renameSync,
+  unlinkSync,
+  writeFileSync,
+} from 'fs';
+import { dirname } from 'path';
+import type { CostRecord } from './cost-tracker.js';
+
+/**
+ * Name of the ledger file inside the ledger directory
+ */
+export const LEDGER_FILE_NAME = 'cost-ledger.jsonl';
+
+/**
+ * Budget windows backed by the ledger
+ */
+export type LedgerWindow = 'daily' | 'monthly';
+
+/**
+ * Result of reading a ledger file
+ */
+export interface LedgerReadResult {
+  /** Valid entries in file order */
+  entries: CostRecord[];
+  /** Number of lines that could not be parsed and were skipped */
+  corruptLines: number;
+  /** Byte offset just past the last complete line read */
+  offset: number;
+  /** True if the file was shorter than the requested offset and was read from the start */
+  rewound: boolean;
+}
+
+/**
+ * Check that a parsed line has the shape of a cost record
+ */
+function isCostRecord(value: unknown): value is CostRecord {
+  if (!value || typeof value !== 'object') return false;
+  const record = value as Record<string, unknown>;
+  return (
+    typeof record.timestamp === 'number' &&
+    typeof record.costUsd === 'number' &&
+    Number.isFinite(record.costUsd) &&
+    typeof record.model === 'string' &&
+    typeof record.inputTokens === 'number' &&
+    typeof record.outputTokens === 'number'
+  );
+}
+
+/**
+ * Read ledger entries starting at a byte offset
+ *
+ * Only complete lines are consumed: a trailing line still being written by
+ * another process is left for the next read. If the file is now shorter
+ * than the offset (it was truncated or replaced), it is read from the start.
+ *
+ * @param filePath - Path to the JSON-lines ledger file
+ * @param offset - Byte offset returned by the previous read (default: 0)
+ * @throws If the file exists but cannot be read
+ */
+export function readLedgerFile(filePath: string, offset: number = 0): LedgerReadResult {
+  if (!existsSync(filePath)) {
+    return { entries: [], corruptLines: 0, offset: 0, rewound: offset > 0 };
+  }
+
+  const fd = openSync(filePath, 'r');
+  let buffer: Buffer;
+  let start: number;
+  try {
+    const size = fstatSync(fd).size;
+    start = size < offset ? 0 : offset;
+    buffer = Buffer.alloc(size - start);
+    if (buffer.length > 0) {
+      readSync(fd, buffer, 0, buffer.length, start);
+    }
+  } finally {
+    closeSync(fd);
+  }
+
+  const consumed = buffer.lastIndexOf(0x0a) + 1;
+  const entries: CostRecord[] = [];
+  let corruptLines = 0;
+
+  for (const line of buffer.subarray(0, consumed).toString('utf8').split('\n')) {
+    if (line.trim() === '') continue;
+    try {
+      const parsed: unknown = JSON.parse(line);
+      if (isCostRecord(parsed)) {
+        entries.push(parsed);
+      } else {
+        corruptLines++;
+      }
+    } catch {
+      corruptLines++;
+    }
+  }
+
+  return { entries, corruptLines, offset: start + consumed, rewound: start !== offset };
+}
+
+/**
+ * Append one entry to the ledger
+ *
+ * Creates the parent directory if needed. The file is readable only by
+ * the current user.
+ *
+ * @param filePath - Path to the JSON-lines ledger file
+ * @param record - Cost record to append
+ * @throws If the directory or file cannot be written
+ */
+export function appendLedgerEntry(filePath: string, record: CostRecord): void {
+  mkdirSync(dirname(filePath), { recursive: true });
+  appendFileSync(filePath, JSON.stringify(record) + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Drop entries older than a point in time, replacing the file atomically
+ *
+ * The file is written to a temp file and renamed over the ledger, so a crash
+ * never leaves a torn file, and it is only rewritten when there is something
+ * to drop. Corrupt lines are dropped with the old entries. An entry another
+ * server appends while the file is rewritten can be lost, so this runs only
+ * when a tracker starts.
+ *
+ * @param filePath - Path to the JSON-lines ledger file
+ * @param since - Unix timestamp in milliseconds; older entries are dropped
+ * @returns Number of entries dropped
+ * @throws If the file exists but cannot be read or replaced
+ */
+export function compactLedgerFile(filePath: string, since: number): number {
+  const { entries } = readLedgerFile(filePath);
+  const kept = entries.filter((entry) => entry.timestamp >= since);
+  if (kept.length === entries.length) {
+    return 0;
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const content = kept.map((entry) => JSON.stringify(entry) + '\n').join('');
+
+  try {
+    writeFileSync(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    if (existsSync(tempPath)) {
+      unlinkSync(tempPath);
+    }
+    throw error;
+  }
+
+  return entries.length - kept.length;
+}
+
+/**
+ * Start of the budget window containing a point in time (UTC)
+ *
+ * @param window - Budget window
+ * @param now - Unix timestamp in milliseconds
+ * @returns Unix timestamp of the window start
+ */
+export function getWindowStart(window: LedgerWindow, now: number): number {
+  const date = new Date(now);
+  return window === 'daily'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+/**
+ * When the budget window containing a point in time resets (UTC)
+ *
+ * @param window - Budget window
+ * @param now - Unix timestamp in milliseconds
+ * @returns Start of the next window
+ */
+export function getWindowReset(window: LedgerWindow, now: number): Date {
+  const date = new Date(now);
+  return window === 'daily'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
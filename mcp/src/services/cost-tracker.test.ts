@@ -5,12 +5,16 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   CostTracker,
+  CostTrackerOptions,
   CostLimitExceededError,
   getDefaultCostTrackerOptions,
   getDefaultCostTracker,
   resetDefaultCostTracker,
 } from './cost-tracker.js';
 import { CostEstimate } from '../types/index.js';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('CostTracker', () => {
   let tracker: CostTracker;
@@ -315,6 +319,81 @@ describe('CostTracker', () => {
     });
   });
 
+  describe('attribution', () => {
+    const estimate: CostEstimate = {
+      estimated_usd: 0.002,
+      input_tokens: 100,
+      output_tokens: 200,
+      model: 'grok-4-fast',
+      pricing: { input_per_1m: 0.2, output_per_1m: 0.5 },
+    };
+
+    it('should store attribution on records', () => {
+      tracker.addFromEstimate(estimate, {
+        tool: 'grok_query',
+        requestId: 'req-1',
+        tag: 'billing',
+        cached: false,
+        latencyMs: 120,
+      });
+
+      expect(tracker.getRecords()[0]).toMatchObject({
+        tool: 'grok_query',
+        requestId: 'req-1',
+        tag: 'billing',
+        cached: false,
+        latencyMs: 120,
+      });
+    });
+
+    it('should record cache hits at no cost', () => {
+      tracker.recordCacheHit('grok-4-fast', {
+        tool: 'grok_query',
+        requestId: 'req-2',
+        latencyMs: 3,
+      });
+
+      expect(tracker.getTotalCost()).toBe(0);
+      expect(tracker.getRecords()[0]).toMatchObject({ costUsd: 0, cached: true });
+    });
+
+    it('should break usage down by tool and tag', () => {
+      const attribution = { requestId: 'r', cached: false, latencyMs: 100 };
+      tracker.addFromEstimate(estimate, { ...attribution, tool: 'grok_query', tag: 'a' });
+      tracker.addFromEstimate(estimate, { ...attribution, tool: 'grok_reason', tag: 'a' });
+      tracker.addFromEstimate(estimate, { ...attribution, tool: 'grok_query' });
+      tracker.recordCacheHit('grok-4-fast', { requestId: 'r', tool: 'grok_query', latencyMs: 2 });
+
+      const summary = tracker.getUsageSummary();
+
+      expect(summary.byTool.grok_query).toEqual({
+        cost: 0.004,
+        queries: 2,
+        cacheHits: 1,
+        tokens: 600,
+        latencyMs: 202,
+      });
+      expect(summary.byTool.grok_reason.queries).toBe(1);
+      expect(Object.keys(summary.byTag)).toEqual(['a']);
+      expect(summary.byTag.a.cost).toBe(0.004);
+    });
+
+    it('should group unattributed records under unknown', () => {
+      tracker.addCost({ costUsd: 0.01, model: 'grok-4', inputTokens: 1, outputTokens: 1 });
+      expect(tracker.getUsageSummary().byTool.unknown.queries).toBe(1);
+    });
+
+    it('should not count cache hits as queries', () => {
+      tracker.addFromEstimate(estimate);
+      tracker.recordCacheHit('grok-4-fast', { requestId: 'r', tool: 'grok_query', latencyMs: 1 });
+
+      const summary = tracker.getUsageSummary();
+      expect(summary.queryCount).toBe(1);
+      expect(summary.byModel['grok-4-fast'].queries).toBe(1);
+      expect(summary.totalInputTokens).toBe(100);
+    });
+  });
+
   describe('getSessionDuration', () => {
     it('should track session duration', () => {
       vi.useFakeTimers();
@@ -419,6 +498,21 @@ describe('CostLimitExceededError', () => {
     expect(error.message).toContain('Cost limit exceeded');
     expect(error.name).toBe('CostLimitExceededError');
   });
+
+  it('should default to the session window', () => {
+    const error = new CostLimitExceededError(9.5, 10, 1);
+
+    expect(error.window).toBe('session');
+    expect(error.message).toContain('The session limit resets when the server restarts.');
+  });
+
+  it('should name the window and its reset time', () => {
+    const error = new CostLimitExceededError(4.5, 5, 1, 'daily', new Date('2026-10-19T00:00:00Z'));
+
+    expect(error.message).toContain('Cost limit exceeded (daily)');
+    expect(error.message).toContain('of $5.00 daily limit');
+    expect(error.message).toContain('The daily limit resets at 2026-10-19T00:00:00.000Z.');
+  });
 });
 
 describe('getDefaultCostTrackerOptions', () => {
@@ -453,6 +547,47 @@ describe('getDefaultCostTrackerOptions', () => {
     const options = getDefaultCostTrackerOptions();
     expect(options.enforceLimit).toBe(false);
   });
+
+  it('should have no windowed limits and the ledger on by default', () => {
+    delete process.env.GROK_COST_DAILY_LIMIT_USD;
+    delete process.env.GROK_COST_MONTHLY_LIMIT_USD;
+    delete process.env.GROK_COST_LEDGER_ENABLED;
+
+    const options = getDefaultCostTrackerOptions();
+    expect(options.dailyLimitUsd).toBeUndefined();
+    expect(options.monthlyLimitUsd).toBeUndefined();
+    expect(options.ledgerEnabled).toBe(true);
+  });
+
+  it('should read windowed limits and enable the ledger for them', () => {
+    process.env.GROK_COST_DAILY_LIMIT_USD = '2.5';
+    process.env.GROK_COST_MONTHLY_LIMIT_USD = '40';
+    delete process.env.GROK_COST_LEDGER_ENABLED;
+
+    const options = getDefaultCostTrackerOptions();
+    expect(options.dailyLimitUsd).toBe(2.5);
+    expect(options.monthlyLimitUsd).toBe(40);
+    expect(options.ledgerEnabled).toBe(true);
+  });
+
+  it('should let GROK_COST_LEDGER_ENABLED=false turn the ledger off', () => {
+    process.env.GROK_COST_DAILY_LIMIT_USD = '2.5';
+    process.env.GROK_COST_LEDGER_ENABLED = 'false';
+    process.env.GROK_COST_LEDGER_DIR = '/tmp/grok-ledger';
+
+    const options = getDefaultCostTrackerOptions();
+    expect(options.ledgerEnabled).toBe(false);
+    expect(options.ledgerDirectory).toBe('/tmp/grok-ledger');
+  });
+
+  it('should ignore invalid windowed limits', () => {
+    process.env.GROK_COST_DAILY_LIMIT_USD = 'lots';
+    process.env.GROK_COST_MONTHLY_LIMIT_USD = '-1';
+
+    const options = getDefaultCostTrackerOptions();
+    expect(options.dailyLimitUsd).toBeUndefined();
+    expect(options.monthlyLimitUsd).toBeUndefined();
+  });
 });
 
 describe('singleton functions', () => {
@@ -550,3 +685,192 @@ describe('maxRecords circular buffer', () => {
     expect(tracker.getOptions().maxRecords).toBe(500);
   });
 });
+
+describe('budget windows and ledger', () => {
+  let dir: string;
+
+  function createTracker(options: Partial<CostTrackerOptions> = {}): CostTracker {
+    return new CostTracker({
+      limitUsd: 100,
+      enforceLimit: true,
+      ledgerEnabled: true,
+      ledgerDirectory: dir,
+      ...options,
+    });
+  }
+
+  function spend(tracker: CostTracker, costUsd: number): void {
+    tracker.addCost({ costUsd, model: 'grok-4', inputTokens: 100, outputTokens: 100 });
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'grok-cost-tracker-'));
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-18T15:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not write a ledger when disabled', () => {
+    const tracker = createTracker({ ledgerEnabled: false });
+    spend(tracker, 1);
+
+    expect(tracker.getLedgerPath()).toBeNull();
+    expect(existsSync(join(dir, 'cost-ledger.jsonl'))).toBe(false);
+  });
+
+  it('should not write cache hits to the ledger', () => {
+    const tracker = createTracker({ dailyLimitUsd: 5 });
+    tracker.recordCacheHit('grok-4', { tool: 'grok_query', requestId: 'r', latencyMs: 1 });
+
+    expect(existsSync(join(dir, 'cost-ledger.jsonl'))).toBe(false);
+  });
+
+  it('should enforce the daily limit and name its reset time', () => {
+    const tracker = createTracker({ dailyLimitUsd: 5 });
+    spend(tracker, 4.5);
+
+    try {
+      tracker.checkBudget(1);
+      expect.fail('Should have thrown');
+    } catch (error) {
+      const costError = error as CostLimitExceededError;
+      expect(costError.window).toBe('daily');
+      expect(costError.currentCost).toBe(4.5);
+      expect(costError.limit).toBe(5);
+      expect(costError.resetsAt?.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+    }
+    expect(tracker.isWithinBudget(0.5)).toBe(true);
+  });
+
+  it('should enforce the monthly limit', () => {
+    const tracker = createTracker({ dailyLimitUsd: 50, monthlyLimitUsd: 10 });
+    spend(tracker, 9);
+
+    expect(() => tracker.checkBudget(2)).toThrow(/Cost limit exceeded \(monthly\)/);
+    expect(() => tracker.checkBudget(2)).toThrow(/resets at 2026-11-01T00:00:00.000Z/);
+  });
+
+  it('should report the session limit before windowed limits', () => {
+    const tracker = createTracker({ limitUsd: 1, dailyLimitUsd: 1 });
+    spend(tracker, 1);
+
+    expect(() => tracker.checkBudget(0.5)).toThrow(/Cost limit exceeded \(session\)/);
+  });
+
+  it('should keep windowed spending across restarts', () => {
+    spend(createTracker({ dailyLimitUsd: 5 }), 4.5);
+
+    const restarted = createTracker({ dailyLimitUsd: 5 });
+    expect(restarted.getTotalCost()).toBe(0);
+    expect(() => restarted.checkBudget(1)).toThrow(CostLimitExceededError);
+  });
+
+  it('should see spending by other trackers sharing the ledger', () => {
+    const first = createTracker({ dailyLimitUsd: 5 });
+    const second = createTracker({ dailyLimitUsd: 5 });
+
+    spend(second, 4.5);
+
+    expect(() => first.checkBudget(1)).toThrow(CostLimitExceededError);
+  });
+
+  it('should reset the daily window at midnight UTC but keep the month', () => {
+    const tracker = createTracker({ dailyLimitUsd: 5, monthlyLimitUsd: 100 });
+    spend(tracker, 4.5);
+
+    vi.setSystemTime(new Date('2026-10-19T00:00:01Z'));
+
+    expect(() => tracker.checkBudget(1)).not.toThrow();
+    expect(tracker.getBudgetWindows()).toEqual([
+      {
+        window: 'daily',
+        spentUsd: 0,
+        limitUsd: 5,
+        remainingUsd: 5,
+        resetsAt: '2026-10-20T00:00:00.000Z',
+      },
+      {
+        window: 'monthly',
+        spentUsd: 4.5,
+        limitUsd: 100,
+        remainingUsd: 95.5,
+        resetsAt: '2026-11-01T00:00:00.000Z',
+      },
+    ]);
+  });
+
+  it('should ignore ledger entries from previous months', () => {
+    spend(createTracker({ monthlyLimitUsd: 10 }), 9);
+
+    vi.setSystemTime(new Date('2026-11-01T08:00:00Z'));
+    const tracker = createTracker({ monthlyLimitUsd: 10 });
+
+    expect(tracker.getBudgetWindows()[0].spentUsd).toBe(0);
+  });
+
+  it('should drop entries from previous months from the ledger on startup', () => {
+    spend(createTracker(), 9);
+    vi.setSystemTime(new Date('2026-11-01T08:00:00Z'));
+    spend(createTracker(), 1);
+
+    const tracker = createTracker({ monthlyLimitUsd: 10 });
+
+    const lines = readFileSync(join(dir, 'cost-ledger.jsonl'), 'utf8').trimEnd().split('\n');
+    expect(lines.map((line) => JSON.parse(line).costUsd)).toEqual([1]);
+    expect(tracker.getBudgetWindows()[0].spentUsd).toBe(1);
+  });
+
+  it('should keep windowed spending across session reset', () => {
+    const tracker = createTracker({ dailyLimitUsd: 5 });
+    spend(tracker, 4.5);
+
+    tracker.reset();
+
+    expect(tracker.getTotalCost()).toBe(0);
+    expect(() => tracker.checkBudget(1)).toThrow(CostLimitExceededError);
+  });
+
+  it('should enforce windowed limits in memory without a ledger', () => {
+    const tracker = createTracker({ ledgerEnabled: false, dailyLimitUsd: 5 });
+    spend(tracker, 4.5);
+
+    expect(() => tracker.checkBudget(1)).toThrow(CostLimitExceededError);
+  });
+
+  it('should not enforce windowed limits when enforcement is off', () => {
+    const tracker = createTracker({ enforceLimit: false, dailyLimitUsd: 1 });
+    spend(tracker, 4.5);
+
+    expect(() => tracker.checkBudget(1)).not.toThrow();
+  });
+
+  it('should update windowed limits at runtime', () => {
+    const tracker = createTracker({ dailyLimitUsd: 5 });
+    spend(tracker, 4.5);
+
+    tracker.setOptions({ dailyLimitUsd: undefined });
+
+    expect(tracker.getOptions().dailyLimitUsd).toBeUndefined();
+    expect(() => tracker.checkBudget(1)).not.toThrow();
+  });
+
+  it('should keep tracking in memory when the ledger cannot be written', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    // A directory under /dev/null can never be created, so every append fails
+    const tracker = createTracker({
+      dailyLimitUsd: 5,
+      ledgerDirectory: join('/dev/null', 'grok-mcp'),
+    });
+
+    spend(tracker, 4.5);
+
+    expect(tracker.getTotalCost()).toBe(4.5);
+    expect(() => tracker.checkBudget(1)).toThrow(CostLimitExceededError);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to append'));
+    consoleSpy.mockRestore();
+  });
+});
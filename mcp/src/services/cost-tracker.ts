@@ -2,12 +2,33 @@
  * Cost Tracker Service
  *
  * Tracks cumulative costs across a session and enforces budget limits
- * to prevent runaway API costs.
+ * to prevent runaway API costs. With the cost ledger enabled, every cost
+ * is also appended to a file so daily and monthly budgets span restarts.
  *
  * @module services/cost-tracker
  */
 
+import { join } from 'path';
 import { CostEstimate, MODEL_PRICING } from '../types/index.js';
+import { getDefaultCacheDir } from './cache-file.js';
+import {
+  LEDGER_FILE_NAME,
+  LedgerWindow,
+  appendLedgerEntry,
+  compactLedgerFile,
+  getWindowReset,
+  getWindowStart,
+  readLedgerFile,
+} from './cost-ledger.js';
+
+/**
+ * Budget window a limit applies to
+ *
+ * - session: costs since the server started (or since reset())
+ * - daily: costs since midnight UTC, from the ledger
+ * - monthly: costs since the first of the month UTC, from the ledger
+ */
+export type BudgetWindow = 'session' | LedgerWindow;
 
 /**
  * Configuration options for the cost tracker
@@ -19,6 +40,14 @@ export interface CostTrackerOptions {
   enforceLimit: boolean;
   /** Maximum number of records to store (default: 10000) */
   maxRecords: number;
+  /** Maximum cost in USD per UTC day (default: no limit) */
+  dailyLimitUsd?: number;
+  /** Maximum cost in USD per UTC calendar month (default: no limit) */
+  monthlyLimitUsd?: number;
+  /** Whether to persist costs to the ledger file (default: on) */
+  ledgerEnabled: boolean;
+  /** Directory holding the ledger file (default: ~/.cache/grok-mcp) */
+  ledgerDirectory: string;
 }
 
 /**
@@ -35,6 +64,56 @@ export interface CostRecord {
   inputTokens: number;
   /** Output tokens used */
   outputTokens: number;
+  /** Tool that produced the cost (missing for unattributed records) */
+  tool?: string;
+  /** ID of the tool call that produced the cost */
+  requestId?: string;
+  /** User-supplied label from the tool's `tag` argument */
+  tag?: string;
+  /** True if the result was served from the cache (no API call, no cost) */
+  cached?: boolean;
+  /** Time from the start of the tool call to its result in milliseconds */
+  latencyMs?: number;
+}
+
+/**
+ * Who produced a cost: passed along with a cost by tool handlers
+ */
+export type CostAttribution = Required<
+  Pick<CostRecord, 'tool' | 'requestId' | 'cached' | 'latencyMs'>
+> &
+  Pick<CostRecord, 'tag'>;
+
+/**
+ * Usage attributed to one tool or tag
+ */
+export interface AttributedUsage {
+  /** Cost in USD */
+  cost: number;
+  /** Number of API queries */
+  queries: number;
+  /** Number of results served from the cache */
+  cacheHits: number;
+  /** Tokens used by API queries */
+  tokens: number;
+  /** Total latency of all calls in milliseconds */
+  latencyMs: number;
+}
+
+/**
+ * Spending in a daily or monthly budget window
+ */
+export interface BudgetWindowStatus {
+  /** Budget window */
+  window: LedgerWindow;
+  /** Cost in USD spent in the current window */
+  spentUsd: number;
+  /** Configured limit in USD */
+  limitUsd: number;
+  /** Remaining budget in USD */
+  remainingUsd: number;
+  /** When the window resets (ISO8601) */
+  resetsAt: string;
 }
 
 /**
@@ -55,6 +134,10 @@ export interface UsageSummary {
   totalOutputTokens: number;
   /** Cost breakdown by model */
   byModel: Record<string, { cost: number; queries: number; tokens: number }>;
+  /** Usage breakdown by tool (unattributed records are grouped under 'unknown') */
+  byTool: Record<string, AttributedUsage>;
+  /** Usage breakdown by tag (untagged records are not included) */
+  byTag: Record<string, AttributedUsage>;
   /** Whether limit enforcement is active */
   limitEnforced: boolean;
   /** Percentage of budget used */
@@ -68,25 +151,76 @@ export class CostLimitExceededError extends Error {
   constructor(
     public currentCost: number,
     public limit: number,
-    public estimatedCost: number
+    public estimatedCost: number,
+    public window: BudgetWindow = 'session',
+    public resetsAt?: Date
   ) {
+    const spent =
+      window === 'daily'
+        ? `Cost today (UTC) is $${currentCost.toFixed(4)} of $${limit.toFixed(2)} daily limit`
+        : window === 'monthly'
+          ? `Cost this month (UTC) is $${currentCost.toFixed(4)} of $${limit.toFixed(2)} monthly limit`
+          : `Current session cost is $${currentCost.toFixed(4)} of $${limit.toFixed(2)} limit`;
+    const reset = resetsAt
+      ? `The ${window} limit resets at ${resetsAt.toISOString()}.`
+      : `The ${window} limit resets when the server restarts.`;
     super(
-      `Cost limit exceeded: Current session cost is $${currentCost.toFixed(4)} of $${limit.toFixed(2)} limit. ` +
+      `Cost limit exceeded (${window}): ${spent}. ` +
         `Estimated cost of this request: $${estimatedCost.toFixed(4)}. ` +
-        `Remaining budget: $${Math.max(0, limit - currentCost).toFixed(4)}.`
+        `Remaining budget: $${Math.max(0, limit - currentCost).toFixed(4)}. ` +
+        reset
     );
     this.name = 'CostLimitExceededError';
   }
 }
 
+/**
+ * Parse an optional USD limit from an environment variable
+ */
+function parseOptionalLimit(value: string | undefined): number | undefined {
+  if (value === undefined || value.trim() === '') return undefined;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * Add a record to a per-tool or per-tag breakdown
+ */
+function addAttributedUsage(
+  breakdown: Record<string, AttributedUsage>,
+  key: string,
+  record: CostRecord
+): void {
+  if (!breakdown[key]) {
+    breakdown[key] = { cost: 0, queries: 0, cacheHits: 0, tokens: 0, latencyMs: 0 };
+  }
+  const usage = breakdown[key];
+  if (record.cached) {
+    usage.cacheHits += 1;
+  } else {
+    usage.queries += 1;
+    usage.cost += record.costUsd;
+    usage.tokens += record.inputTokens + record.outputTokens;
+  }
+  usage.latencyMs += record.latencyMs ?? 0;
+}
+
 /**
  * Default options loaded from environment variables
  */
 export function getDefaultCostTrackerOptions(): CostTrackerOptions {
+  const dailyLimitUsd = parseOptionalLimit(process.env.GROK_COST_DAILY_LIMIT_USD);
+  const monthlyLimitUsd = parseOptionalLimit(process.env.GROK_COST_MONTHLY_LIMIT_USD);
+  const ledgerEnv = process.env.GROK_COST_LEDGER_ENABLED;
   return {
     limitUsd: parseFloat(process.env.GROK_COST_LIMIT_USD || '10'),
     enforceLimit: process.env.GROK_COST_LIMIT_ENFORCE !== 'false',
     maxRecords: parseInt(process.env.GROK_COST_MAX_RECORDS || '10000', 10),
+    dailyLimitUsd,
+    monthlyLimitUsd,
+    // Always recorded, so daily and monthly limits set later count earlier spend
+    ledgerEnabled: ledgerEnv !== 'false',
+    ledgerDirectory: process.env.GROK_COST_LEDGER_DIR || getDefaultCacheDir(),
   };
 }
 
@@ -95,7 +229,8 @@ export function getDefaultCostTrackerOptions(): CostTrackerOptions {
  *
  * Provides:
  * - Session-level cumulative cost tracking
- * - Budget limit enforcement
+ * - Budget limit enforcement (session, daily and monthly windows)
+ * - Optional persistent ledger shared across restarts and processes
  * - Per-model usage breakdown
  * - Cost estimation before queries
  *
@@ -123,6 +258,10 @@ export class CostTracker {
   private records: CostRecord[] = [];
   private totalCost: number = 0;
   private sessionStartTime: number;
+  /** Costs in the current monthly window (from the ledger, or this process without one) */
+  private windowRecords: Array<Pick<CostRecord, 'timestamp' | 'costUsd'>> = [];
+  private ledgerPath: string | null;
+  private ledgerOffset: number = 0;
 
   constructor(options?: Partial<CostTrackerOptions>) {
     const defaults = getDefaultCostTrackerOptions();
@@ -130,8 +269,21 @@ export class CostTracker {
       limitUsd: options?.limitUsd ?? defaults.limitUsd,
       enforceLimit: options?.enforceLimit ?? defaults.enforceLimit,
       maxRecords: options?.maxRecords ?? defaults.maxRecords,
+      dailyLimitUsd:
+        options && 'dailyLimitUsd' in options ? options.dailyLimitUsd : defaults.dailyLimitUsd,
+      monthlyLimitUsd:
+        options && 'monthlyLimitUsd' in options
+          ? options.monthlyLimitUsd
+          : defaults.monthlyLimitUsd,
+      ledgerEnabled: options?.ledgerEnabled ?? defaults.ledgerEnabled,
+      ledgerDirectory: options?.ledgerDirectory ?? defaults.ledgerDirectory,
     };
     this.sessionStartTime = Date.now();
+    this.ledgerPath = this.options.ledgerEnabled
+      ? join(this.options.ledgerDirectory, LEDGER_FILE_NAME)
+      : null;
+    this.compactLedger();
+    this.syncLedger();
   }
 
   /**
@@ -155,19 +307,57 @@ export class CostTracker {
 
     this.records.push(fullRecord);
     this.totalCost += record.costUsd;
+
+    // Cache hits cost nothing, so they only matter for attribution
+    if (record.cached) return;
+
+    if (this.ledgerPath) {
+      try {
+        appendLedgerEntry(this.ledgerPath, fullRecord);
+        // Picks up the entry just written, plus any written by other processes
+        this.syncLedger();
+        return;
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.error(`[cost-tracker] Failed to append to ${this.ledgerPath}: ${message}`);
+      }
+    }
+    this.windowRecords.push({ timestamp: fullRecord.timestamp, costUsd: fullRecord.costUsd });
   }
 
   /**
    * Add cost from a CostEstimate object
    *
    * @param estimate - Cost estimate from a query response
+   * @param attribution - Tool call that produced the cost
    */
-  addFromEstimate(estimate: CostEstimate): void {
+  addFromEstimate(estimate: CostEstimate, attribution?: CostAttribution): void {
     this.addCost({
       costUsd: estimate.estimated_usd,
       model: estimate.model,
       inputTokens: estimate.input_tokens,
       outputTokens: estimate.output_tokens,
+      ...attribution,
+    });
+  }
+
+  /**
+   * Record a result served from the cache
+   *
+   * Adds a zero-cost record so cache hits show up in per-tool and per-tag
+   * breakdowns. Cache hits are not counted as queries.
+   *
+   * @param model - Model of the cached response
+   * @param attribution - Tool call that was served from the cache
+   */
+  recordCacheHit(model: string, attribution: Omit<CostAttribution, 'cached'>): void {
+    this.addCost({
+      costUsd: 0,
+      model,
+      inputTokens: 0,
+      outputTokens: 0,
+      ...attribution,
+      cached: true,
     });
   }
 
@@ -189,29 +379,64 @@ export class CostTracker {
    * Check if an estimated cost is within the remaining budget
    *
    * @param estimatedCost - The estimated cost of the next query
-   * @returns True if the query can proceed within budget
+   * @returns True if the query can proceed within every budget window
    */
   isWithinBudget(estimatedCost: number): boolean {
-    if (!this.options.enforceLimit) {
-      return true;
-    }
-    return this.totalCost + estimatedCost <= this.options.limitUsd;
+    return this.findExceededLimit(estimatedCost) === null;
   }
 
   /**
    * Check budget and throw if exceeded
    *
+   * The session limit is checked first, then the daily and monthly windows.
+   *
    * @param estimatedCost - The estimated cost to check
-   * @throws CostLimitExceededError if budget would be exceeded
+   * @throws CostLimitExceededError naming the exceeded window and when it resets
    */
   checkBudget(estimatedCost: number): void {
-    if (!this.isWithinBudget(estimatedCost)) {
-      throw new CostLimitExceededError(this.totalCost, this.options.limitUsd, estimatedCost);
+    const exceeded = this.findExceededLimit(estimatedCost);
+    if (exceeded) {
+      throw exceeded;
+    }
+  }
+
+  /**
+   * Get spending in the configured daily and monthly windows
+   *
+   * Windows without a limit are omitted.
+   */
+  getBudgetWindows(): BudgetWindowStatus[] {
+    this.syncLedger();
+    const now = Date.now();
+    const windows: BudgetWindowStatus[] = [];
+
+    for (const window of ['daily', 'monthly'] as const) {
+      const limitUsd = this.getWindowLimit(window);
+      if (limitUsd === undefined) continue;
+      const spentUsd = this.getWindowSpend(window, now);
+      windows.push({
+        window,
+        spentUsd,
+        limitUsd,
+        remainingUsd: Math.max(0, limitUsd - spentUsd),
+        resetsAt: getWindowReset(window, now).toISOString(),
+      });
     }
+
+    return windows;
+  }
+
+  /**
+   * Get the path of the ledger file, or null when the ledger is disabled
+   */
+  getLedgerPath(): string | null {
+    return this.ledgerPath;
   }
 
   /**
    * Reset the tracker for a new session
+   *
+   * Daily and monthly spending is kept, since those windows span sessions.
    */
   reset(): void {
     this.records = [];
@@ -225,11 +450,21 @@ export class CostTracker {
   getUsageSummary(): UsageSummary {
     // Calculate per-model breakdown
     const byModel: Record<string, { cost: number; queries: number; tokens: number }> = {};
+    const byTool: Record<string, AttributedUsage> = {};
+    const byTag: Record<string, AttributedUsage> = {};
 
     let totalInputTokens = 0;
     let totalOutputTokens = 0;
+    let queryCount = 0;
 
     for (const record of this.records) {
+      addAttributedUsage(byTool, record.tool || 'unknown', record);
+      if (record.tag) {
+        addAttributedUsage(byTag, record.tag, record);
+      }
+      if (record.cached) continue;
+
+      queryCount++;
       totalInputTokens += record.inputTokens;
       totalOutputTokens += record.outputTokens;
 
@@ -251,10 +486,12 @@ export class CostTracker {
       totalCostUsd: this.totalCost,
       limitUsd: this.options.limitUsd,
       remainingBudgetUsd: remainingBudget,
-      queryCount: this.records.length,
+      queryCount,
       totalInputTokens,
       totalOutputTokens,
       byModel,
+      byTool,
+      byTag,
       limitEnforced: this.options.enforceLimit,
       budgetUsedPercent,
     };
@@ -284,7 +521,9 @@ export class CostTracker {
   /**
    * Update options at runtime
    */
-  setOptions(options: Partial<CostTrackerOptions>): void {
+  setOptions(
+    options: Partial<Omit<CostTrackerOptions, 'ledgerEnabled' | 'ledgerDirectory'>>
+  ): void {
     if (options.limitUsd !== undefined) {
       this.options.limitUsd = options.limitUsd;
     }
@@ -298,6 +537,12 @@ export class CostTracker {
         this.records.shift();
       }
     }
+    if ('dailyLimitUsd' in options) {
+      this.options.dailyLimitUsd = options.dailyLimitUsd;
+    }
+    if ('monthlyLimitUsd' in options) {
+      this.options.monthlyLimitUsd = options.monthlyLimitUsd;
+    }
   }
 
   /**
@@ -351,6 +596,119 @@ export class CostTracker {
 
     return null;
   }
+
+  /**
+   * Find the first budget window the estimated cost would exceed
+   *
+   * @returns The error to throw, or null if every window has room
+   */
+  private findExceededLimit(estimatedCost: number): CostLimitExceededError | null {
+    if (!this.options.enforceLimit) {
+      return null;
+    }
+
+    if (this.totalCost + estimatedCost > this.options.limitUsd) {
+      return new CostLimitExceededError(this.totalCost, this.options.limitUsd, estimatedCost);
+    }
+
+    if (this.options.dailyLimitUsd === undefined && this.options.monthlyLimitUsd === undefined) {
+      return null;
+    }
+
+    this.syncLedger();
+    const now = Date.now();
+    for (const window of ['daily', 'monthly'] as const) {
+      const limit = this.getWindowLimit(window);
+      if (limit === undefined) continue;
+      const spent = this.getWindowSpend(window, now);
+      if (spent + estimatedCost > limit) {
+        return new CostLimitExceededError(
+          spent,
+          limit,
+          estimatedCost,
+          window,
+          getWindowReset(window, now)
+        );
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Configured limit for a ledger window
+   */
+  private getWindowLimit(window: LedgerWindow): number | undefined {
+    return window === 'daily' ? this.options.dailyLimitUsd : this.options.monthlyLimitUsd;
+  }
+
+  /**
+   * Total cost recorded in the window containing now
+   */
+  private getWindowSpend(window: LedgerWindow, now: number): number {
+    const start = getWindowStart(window, now);
+    let spent = 0;
+    for (const record of this.windowRecords) {
+      if (record.timestamp >= start) {
+        spent += record.costUsd;
+      }
+    }
+    return spent;
+  }
+
+  /**
+   * Drop ledger entries from before the current month
+   *
+   * No window reaches back further, so without this the ledger would grow
+   * with every query forever and be read in full on every start.
+   */
+  private compactLedger(): void {
+    if (!this.ledgerPath) return;
+    try {
+      compactLedgerFile(this.ledgerPath, getWindowStart('monthly', Date.now()));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[cost-tracker] Failed to compact ${this.ledgerPath}: ${message}`);
+    }
+  }
+
+  /**
+   * Read ledger entries written since the last read
+   *
+   * Other servers sharing the ledger append to it too, so this runs before
+   * every windowed budget check. Entries from before the current month are
+   * dropped since no window needs them.
+   */
+  private syncLedger(): void {
+    const monthStart = getWindowStart('monthly', Date.now());
+
+    if (this.ledgerPath) {
+      try {
+        const result = readLedgerFile(this.ledgerPath, this.ledgerOffset);
+        if (result.rewound) {
+          this.windowRecords = [];
+        }
+        for (const entry of result.entries) {
+          if (entry.timestamp >= monthStart) {
+            this.windowRecords.push({ timestamp: entry.timestamp, costUsd: entry.costUsd });
+          }
+        }
+        this.ledgerOffset = result.offset;
+        if (result.corruptLines > 0) {
+          console.error(
+            `[cost-tracker] Skipped ${result.corruptLines} corrupt line(s) in ${this.ledgerPath}`
+          );
+        }
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.error(`[cost-tracker] Failed to read ${this.ledgerPath}: ${message}`);
+      }
+    }
+
+    if (this.windowRecords.length > 0 && this.windowRecords[0].timestamp < monthStart) {
+      this.windowRecords = this.windowRecords.filter((record) => record.timestamp >= monthStart);
+    }
+  }
 }
 
 /**
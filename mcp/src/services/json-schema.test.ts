@@ -0,0 +1,207 @@
+/**
+ * JSON Schema Validation Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateJsonSchema, formatSchemaErrors } from './json-schema.js';
+
+describe('json-schema', () => {
+  describe('validateJsonSchema', () => {
+    it('should accept a matching value', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['name'],
+      };
+
+      expect(validateJsonSchema({ name: 'Ada', tags: ['math'] }, schema)).toEqual([]);
+    });
+
+    it('should report type mismatches', () => {
+      expect(validateJsonSchema('42', { type: 'number' })).toEqual([
+        { path: '$', message: 'expected number, got string' },
+      ]);
+    });
+
+    it('should accept integers as numbers but not fractions as integers', () => {
+      expect(validateJsonSchema(3, { type: 'number' })).toEqual([]);
+      expect(validateJsonSchema(3.5, { type: 'integer' })).toEqual([
+        { path: '$', message: 'expected integer, got number' },
+      ]);
+    });
+
+    it('should support type arrays', () => {
+      const schema = { type: ['string', 'null'] };
+
+      expect(validateJsonSchema(null, schema)).toEqual([]);
+      expect(validateJsonSchema(1, schema)).toEqual([
+        { path: '$', message: 'expected string or null, got integer' },
+      ]);
+    });
+
+    it('should report missing and unexpected properties', () => {
+      const schema = {
+        type: 'object',
+        properties: { id: { type: 'string' } },
+        required: ['id', 'name'],
+        additionalProperties: false,
+      };
+
+      expect(validateJsonSchema({ id: 'a', extra: true }, schema)).toEqual([
+        { path: '$.name', message: 'is required' },
+        { path: '$.extra', message: 'is not allowed (additionalProperties: false)' },
+      ]);
+    });
+
+    it('should validate additional properties against a schema', () => {
+      const schema = { type: 'object', additionalProperties: { type: 'number' } };
+
+      expect(validateJsonSchema({ a: 1, b: 'two' }, schema)).toEqual([
+        { path: '$.b', message: 'expected number, got string' },
+      ]);
+    });
+
+    it('should report precise paths into nested arrays', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: { type: 'object', properties: { price: { type: 'number', minimum: 0 } } },
+          },
+        },
+      };
+
+      expect(validateJsonSchema({ items: [{ price: 1 }, { price: -2 }] }, schema)).toEqual([
+        { path: '$.items[1].price', message: 'must be >= 0' },
+      ]);
+    });
+
+    it('should quote property names that are not identifiers', () => {
+      const schema = { type: 'object', properties: { 'first name': { type: 'string' } } };
+
+      expect(validateJsonSchema({ 'first name': 1 }, schema)).toEqual([
+        { path: '$["first name"]', message: 'expected string, got integer' },
+      ]);
+    });
+
+    it('should validate prefixItems before items', () => {
+      const schema = {
+        type: 'array',
+        prefixItems: [{ type: 'string' }],
+        items: { type: 'number' },
+      };
+
+      expect(validateJsonSchema(['a', 1, 'b'], schema)).toEqual([
+        { path: '$[2]', message: 'expected number, got string' },
+      ]);
+    });
+
+    it('should check enum and const with deep equality', () => {
+      expect(validateJsonSchema('maybe', { enum: ['yes', 'no'] })).toEqual([
+        { path: '$', message: 'must be one of "yes", "no"' },
+      ]);
+      expect(validateJsonSchema({ a: [1] }, { const: { a: [1] } })).toEqual([]);
+      expect(validateJsonSchema({ a: [2] }, { const: { a: [1] } })).toEqual([
+        { path: '$', message: 'must equal {"a":[1]}' },
+      ]);
+    });
+
+    it('should check string, number and array bounds', () => {
+      expect(validateJsonSchema('ab', { type: 'string', minLength: 3 })).toHaveLength(1);
+      expect(validateJsonSchema('abcd', { type: 'string', maxLength: 3 })).toHaveLength(1);
+      expect(validateJsonSchema('abc', { type: 'string', pattern: '^[a-z]+$' })).toEqual([]);
+      expect(validateJsonSchema('ABC', { type: 'string', pattern: '^[a-z]+$' })).toEqual([
+        { path: '$', message: 'must match pattern ^[a-z]+$' },
+      ]);
+      expect(validateJsonSchema(10, { maximum: 9 })).toEqual([
+        { path: '$', message: 'must be <= 9' },
+      ]);
+      expect(validateJsonSchema(0, { exclusiveMinimum: 0 })).toEqual([
+        { path: '$', message: 'must be > 0' },
+      ]);
+      expect(validateJsonSchema([], { type: 'array', minItems: 1 })).toEqual([
+        { path: '$', message: 'must have at least 1 items' },
+      ]);
+    });
+
+    it('should support anyOf, oneOf and allOf', () => {
+      const anyOf = { anyOf: [{ type: 'string' }, { type: 'number' }] };
+      expect(validateJsonSchema(1, anyOf)).toEqual([]);
+      expect(validateJsonSchema(true, anyOf)).toEqual([
+        { path: '$', message: 'does not match any of the anyOf schemas' },
+      ]);
+
+      const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+      expect(validateJsonSchema(1.5, oneOf)).toEqual([]);
+      expect(validateJsonSchema(1, oneOf)).toEqual([
+        { path: '$', message: 'matches 2 of the oneOf schemas, expected exactly 1' },
+      ]);
+
+      const allOf = { allOf: [{ minimum: 1 }, { maximum: 2 }] };
+      expect(validateJsonSchema(3, allOf)).toEqual([{ path: '$', message: 'must be <= 2' }]);
+    });
+
+    it('should resolve local $ref to $defs', () => {
+      const schema = {
+        type: 'object',
+        properties: { owner: { $ref: '#/$defs/person' } },
+        $defs: {
+          person: { type: 'object', properties: { age: { type: 'integer' } }, required: ['age'] },
+        },
+      };
+
+      expect(validateJsonSchema({ owner: { age: 30 } }, schema)).toEqual([]);
+      expect(validateJsonSchema({ owner: {} }, schema)).toEqual([
+        { path: '$.owner.age', message: 'is required' },
+      ]);
+    });
+
+    it('should support boolean schemas', () => {
+      const schema = { type: 'object', properties: { any: true, none: false } };
+
+      expect(validateJsonSchema({ any: 1, none: 2 }, schema)).toEqual([
+        { path: '$.none', message: 'no value is allowed here' },
+      ]);
+    });
+
+    it('should ignore unknown keywords', () => {
+      expect(validateJsonSchema('x', { type: 'string', format: 'email', title: 'Email' })).toEqual(
+        []
+      );
+    });
+
+    it('should throw on unresolvable or remote references', () => {
+      expect(() => validateJsonSchema({}, { $ref: '#/$defs/missing' })).toThrow(
+        'Unresolvable $ref "#/$defs/missing"'
+      );
+      expect(() => validateJsonSchema({}, { $ref: 'https://example.com/schema.json' })).toThrow(
+        'only local references'
+      );
+    });
+
+    it('should stop on self-referencing schemas', () => {
+      expect(() => validateJsonSchema({}, { $ref: '#' })).toThrow('$ref nesting exceeds');
+    });
+  });
+
+  describe('formatSchemaErrors', () => {
+    it('should list one error per line', () => {
+      expect(
+        formatSchemaErrors([
+          { path: '$.a', message: 'is required' },
+          { path: '$.b', message: 'expected string, got integer' },
+        ])
+      ).toBe('$.a: is required\n$.b: expected string, got integer');
+    });
+
+    it('should truncate long error lists', () => {
+      const errors = Array.from({ length: 5 }, (_, i) => ({ path: `$[${i}]`, message: 'bad' }));
+
+      expect(formatSchemaErrors(errors, 2)).toBe('$[0]: bad\n$[1]: bad\n... and 3 more');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * JSON Schema Validation
+ *
+ * Validates structured output from Grok against the JSON Schema the caller
+ * supplied, reporting every mismatch with a precise path (e.g.
+ * `$.items[2].price`). Covers the keywords used by structured outputs:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * prefixItems, string/number/array bounds, pattern, anyOf/oneOf/allOf and
+ * local $ref (`#/$defs/...`). Unknown keywords (format, title, ...) are ignored.
+ *
+ * @module services/json-schema
+ */
+
+import type { SchemaValidationError } from '../types/index.js';
+
+/**
+ * JSON Schema object (boolean schemas are also accepted by the validator)
+ */
+type Schema = Record<string, unknown>;
+
+/**
+ * Maximum $ref nesting before validation gives up (guards against cycles)
+ */
+const MAX_REF_DEPTH = 64;
+
+/**
+ * JSON type name of a value, with integers reported as "integer"
+ */
+function jsonType(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value matches a JSON Schema type name
+ */
+function matchesType(value: unknown, type: string): boolean {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Deep equality for JSON values (used by enum and const)
+ */
+function jsonEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return (
+    aKeys.length === bKeys.length &&
+    aKeys.every((key) =>
+      jsonEqual((a as Record<string, unknown>)[key], (b as Record<string, unknown>)[key])
+    )
+  );
+}
+
+/**
+ * Append a property name to a path, quoting names that are not identifiers
+ */
+function propertyPath(path: string, key: string): string {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Resolve a local `#/...` reference against the root schema
+ */
+function resolveRef(root: Schema, ref: string): unknown {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref "${ref}": only local references (#/...) are supported`);
+  }
+
+  let target: unknown = root;
+  for (const rawPart of ref.slice(1).split('/').filter(Boolean)) {
+    const part = decodeURIComponent(rawPart).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !Object.hasOwn(target, part)) {
+      throw new Error(`Unresolvable $ref "${ref}"`);
+    }
+    target = (target as Record<string, unknown>)[part];
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting errors
+ */
+function validateNode(
+  value: unknown,
+  schema: unknown,
+  path: string,
+  root: Schema,
+  errors: SchemaValidationError[],
+  refDepth: number
+): void {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'no value is allowed here' });
+    return;
+  }
+  if (!schema || typeof schema !== 'object') return;
+
+  const s = schema as Schema;
+
+  if (typeof s.$ref === 'string') {
+    if (refDepth >= MAX_REF_DEPTH) {
+      throw new Error(`$ref nesting exceeds ${MAX_REF_DEPTH} levels`);
+    }
+    validateNode(value, resolveRef(root, s.$ref), path, root, errors, refDepth + 1);
+  }
+
+  // type
+  if (s.type !== undefined) {
+    const types = Array.isArray(s.type) ? (s.type as string[]) : [s.type as string];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${jsonType(value)}` });
+      // Further keywords would only repeat the type mismatch
+      return;
+    }
+  }
+
+  // enum / const
+  if (Array.isArray(s.enum) && !s.enum.some((option) => jsonEqual(option, value))) {
+    errors.push({
+      path,
+      message: `must be one of ${s.enum.map((option) => JSON.stringify(option)).join(', ')}`,
+    });
+  }
+  if ('const' in s && !jsonEqual(s.const, value)) {
+    errors.push({ path, message: `must equal ${JSON.stringify(s.const)}` });
+  }
+
+  // Combinators
+  if (Array.isArray(s.allOf)) {
+    for (const sub of s.allOf) {
+      validateNode(value, sub, path, root, errors, refDepth);
+    }
+  }
+  for (const keyword of ['anyOf', 'oneOf'] as const) {
+    const options = s[keyword];
+    if (!Array.isArray(options)) continue;
+
+    const matches = options.filter((sub) => {
+      const subErrors: SchemaValidationError[] = [];
+      validateNode(value, sub, path, root, subErrors, refDepth);
+      return subErrors.length === 0;
+    }).length;
+    if (matches === 0) {
+      errors.push({ path, message: `does not match any of the ${keyword} schemas` });
+    } else if (keyword === 'oneOf' && matches > 1) {
+      errors.push({ path, message: `matches ${matches} of the oneOf schemas, expected exactly 1` });
+    }
+  }
+
+  // Strings
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (typeof s.minLength === 'number' && length < s.minLength) {
+      errors.push({ path, message: `must be at least ${s.minLength} characters` });
+    }
+    if (typeof s.maxLength === 'number' && length > s.maxLength) {
+      errors.push({ path, message: `must be at most ${s.maxLength} characters` });
+    }
+    if (typeof s.pattern === 'string' && !new RegExp(s.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match pattern ${s.pattern}` });
+    }
+  }
+
+  // Numbers
+  if (typeof value === 'number') {
+    if (typeof s.minimum === 'number' && value < s.minimum) {
+      errors.push({ path, message: `must be >= ${s.minimum}` });
+    }
+    if (typeof s.maximum === 'number' && value > s.maximum) {
+      errors.push({ path, message: `must be <= ${s.maximum}` });
+    }
+    if (typeof s.exclusiveMinimum === 'number' && value <= s.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${s.exclusiveMinimum}` });
+    }
+    if (typeof s.exclusiveMaximum === 'number' && value >= s.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${s.exclusiveMaximum}` });
+    }
+  }
+
+  // Arrays
+  if (Array.isArray(value)) {
+    if (typeof s.minItems === 'number' && value.length < s.minItems) {
+      errors.push({ path, message: `must have at least ${s.minItems} items` });
+    }
+    if (typeof s.maxItems === 'number' && value.length > s.maxItems) {
+      errors.push({ path, message: `must have at most ${s.maxItems} items` });
+    }
+    const prefixItems = Array.isArray(s.prefixItems) ? s.prefixItems : [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : s.items;
+      validateNode(item, itemSchema, `${path}[${index}]`, root, errors, refDepth);
+    });
+  }
+
+  // Objects
+  if (jsonType(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    const properties = (s.properties ?? {}) as Record<string, unknown>;
+
+    if (Array.isArray(s.required)) {
+      for (const key of s.required as string[]) {
+        if (!Object.hasOwn(object, key)) {
+          errors.push({ path: propertyPath(path, key), message: 'is required' });
+        }
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(object)) {
+      const childPath = propertyPath(path, key);
+      if (Object.hasOwn(properties, key)) {
+        validateNode(propertyValue, properties[key], childPath, root, errors, refDepth);
+      } else if (s.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed (additionalProperties: false)' });
+      } else {
+        validateNode(propertyValue, s.additionalProperties, childPath, root, errors, refDepth);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param value - Parsed JSON value
+ * @param schema - JSON Schema to check against
+ * @returns Validation errors (empty when the value matches)
+ * @throws Error if the schema uses an unsupported or unresolvable $ref
+ */
+export function validateJsonSchema(value: unknown, schema: Schema): SchemaValidationError[] {
+  const errors: SchemaValidationError[] = [];
+  validateNode(value, schema, '$', schema, errors, 0);
+  return errors;
+}
+
+/**
+ * Format validation errors one per line (`$.path: message`)
+ *
+ * @param errors - Errors from validateJsonSchema()
+ * @param limit - Maximum number of errors to list
+ */
+export function formatSchemaErrors(errors: SchemaValidationError[], limit: number = 10): string {
+  const lines = errors.slice(0, limit).map((error) => `${error.path}: ${error.message}`);
+  if (errors.length > limit) {
+    lines.push(`... and ${errors.length - limit} more`);
+  }
+  return lines.join('\n');
+}
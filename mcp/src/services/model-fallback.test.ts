@@ -0,0 +1,151 @@
+/**
+ * Model Fallback Service Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  formatFallbackNotice,
+  getFallbackReason,
+  parseModelFallbackChains,
+  runWithModelFallback,
+} from './model-fallback.js';
+import { DEFAULT_MODEL_FALLBACK_CHAINS, RequestCancelledError, XAIError } from '../types/index.js';
+
+const httpError = (status: number, body?: string): XAIError =>
+  new XAIError(`HTTP ${status}`, status, 'Error', body);
+
+describe('model-fallback', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation((): void => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getFallbackReason', () => {
+    it.each([
+      [500, 'server_error'],
+      [503, 'server_error'],
+      [408, 'timeout'],
+      [429, 'rate_limited'],
+      [404, 'model_not_found'],
+    ])('should classify HTTP %i as %s', (status, reason) => {
+      expect(getFallbackReason(httpError(status))).toBe(reason);
+    });
+
+    it('should classify 400 model-not-found bodies', () => {
+      const error = httpError(400, '{"error":"The model grok-9 does not exist"}');
+
+      expect(getFallbackReason(error)).toBe('model_not_found');
+    });
+
+    it.each([400, 401, 403, 422])('should not fall back on HTTP %i', (status) => {
+      expect(getFallbackReason(httpError(status))).toBeNull();
+    });
+
+    it('should not fall back on cancellation or non-API errors', () => {
+      expect(getFallbackReason(new RequestCancelledError())).toBeNull();
+      expect(getFallbackReason(new Error('boom'))).toBeNull();
+    });
+  });
+
+  describe('runWithModelFallback', () => {
+    it('should return the first model that answers', async () => {
+      const run = vi
+        .fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(408))
+        .mockResolvedValueOnce('answer');
+
+      const outcome = await runWithModelFallback(['a', 'b', 'c'], run);
+
+      expect(outcome).toEqual({
+        result: 'answer',
+        model: 'c',
+        attempts: [
+          { model: 'a', reason: 'server_error', status_code: 503 },
+          { model: 'b', reason: 'timeout', status_code: 408 },
+        ],
+      });
+      expect(run.mock.calls).toEqual([['a'], ['b'], ['c']]);
+    });
+
+    it('should not record attempts when the first model answers', async () => {
+      const outcome = await runWithModelFallback(['a', 'b'], async () => 'answer');
+
+      expect(outcome).toEqual({ result: 'answer', model: 'a', attempts: [] });
+    });
+
+    it('should throw the last error when every model fails', async () => {
+      const last = httpError(502);
+      const run = vi.fn().mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(last);
+
+      await expect(runWithModelFallback(['a', 'b'], run)).rejects.toBe(last);
+    });
+
+    it('should throw non-retriable errors without falling back', async () => {
+      const run = vi.fn().mockRejectedValue(httpError(401));
+
+      await expect(runWithModelFallback(['a', 'b'], run)).rejects.toMatchObject({
+        statusCode: 401,
+      });
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop falling back once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const run = vi.fn(async (): Promise<string> => {
+        controller.abort();
+        throw httpError(503);
+      });
+
+      await expect(runWithModelFallback(['a', 'b'], run, controller.signal)).rejects.toBeInstanceOf(
+        RequestCancelledError
+      );
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('formatFallbackNotice', () => {
+    it('should list each failed model and why', () => {
+      expect(
+        formatFallbackNotice('fast-model', [
+          { model: 'big-model', reason: 'server_error', status_code: 503 },
+          { model: 'mid-model', reason: 'model_not_found', status_code: 404 },
+        ])
+      ).toBe(
+        'Fell back to fast-model (big-model: server error, HTTP 503; mid-model: model not found, HTTP 404)'
+      );
+    });
+  });
+
+  describe('parseModelFallbackChains', () => {
+    it('should keep the defaults when unset', () => {
+      expect(parseModelFallbackChains(undefined, DEFAULT_MODEL_FALLBACK_CHAINS)).toEqual(
+        DEFAULT_MODEL_FALLBACK_CHAINS
+      );
+    });
+
+    it('should override listed aliases', () => {
+      const chains = parseModelFallbackChains(
+        'smartest = code, fast; code=',
+        DEFAULT_MODEL_FALLBACK_CHAINS
+      );
+
+      expect(chains.smartest).toEqual(['code', 'fast']);
+      expect(chains.code).toEqual([]);
+      expect(chains.reasoning).toEqual(DEFAULT_MODEL_FALLBACK_CHAINS.reasoning);
+    });
+
+    it('should disable all fallbacks with "off"', () => {
+      expect(parseModelFallbackChains('OFF', DEFAULT_MODEL_FALLBACK_CHAINS)).toEqual({});
+    });
+
+    it('should reject malformed entries', () => {
+      expect(() => parseModelFallbackChains('smartest', DEFAULT_MODEL_FALLBACK_CHAINS)).toThrow(
+        'Invalid GROK_MODEL_FALLBACKS entry "smartest"'
+      );
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Model Fallback Service
+ *
+ * Runs a request against an ordered chain of models, moving on to the next
+ * model when one fails with a retriable error (5xx, timeout, rate limit) or
+ * is not found. Client errors such as bad requests or invalid API keys fail
+ * immediately, since another model would fail the same way.
+ *
+ * @module services/model-fallback
+ */
+
+import {
+  XAIError,
+  RequestCancelledError,
+  throwIfCancelled,
+  type FallbackReason,
+  type ModelFallbackAttempt,
+} from '../types/index.js';
+
+/**
+ * Result of runWithModelFallback()
+ */
+export interface ModelFallbackResult<T> {
+  /** Result from the model that answered */
+  result: T;
+  /** Model that answered */
+  model: string;
+  /** Models that failed before it, in order (empty if the first model answered) */
+  attempts: ModelFallbackAttempt[];
+}
+
+const REASON_LABELS: Record<FallbackReason, string> = {
+  server_error: 'server error',
+  timeout: 'timed out',
+  rate_limited: 'rate limited',
+  model_not_found: 'model not found',
+};
+
+/**
+ * Whether an error body says the requested model does not exist
+ */
+function isModelNotFound(error: XAIError): boolean {
+  return (
+    error.hasResponseBodyContaining('does not exist') ||
+    error.hasResponseBodyContaining('odel not found')
+  );
+}
+
+/**
+ * Classify an error as a reason to try the next model
+ *
+ * @param error - Error thrown by the request
+ * @returns The fallback reason, or null if the error should be rethrown
+ */
+export function getFallbackReason(error: unknown): FallbackReason | null {
+  if (!(error instanceof XAIError) || error instanceof RequestCancelledError) {
+    return null;
+  }
+  if (error.statusCode === 408) return 'timeout';
+  if (error.statusCode === 429) return 'rate_limited';
+  if (error.statusCode === 404 || (error.statusCode === 400 && isModelNotFound(error))) {
+    return 'model_not_found';
+  }
+  if (error.statusCode >= 500) return 'server_error';
+  return null;
+}
+
+/**
+ * Run a request against each model in a chain until one answers
+ *
+ * @param chain - Resolved model IDs, in order of preference
+ * @param run - Request to run for a model
+ * @param signal - Cancellation signal, checked before each fallback
+ * @throws The last model's error if every model fails, or the first
+ *   non-retriable error
+ */
+export async function runWithModelFallback<T>(
+  chain: string[],
+  run: (model: string) => Promise<T>,
+  signal?: AbortSignal
+): Promise<ModelFallbackResult<T>> {
+  const attempts: ModelFallbackAttempt[] = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const model = chain[i];
+    try {
+      return { result: await run(model), model, attempts };
+    } catch (error) {
+      const reason = getFallbackReason(error);
+      const next = chain[i + 1];
+      if (!reason || !next) {
+        throw error;
+      }
+      throwIfCancelled(signal);
+
+      const statusCode = (error as XAIError).statusCode;
+      attempts.push({ model, reason, status_code: statusCode });
+      console.error(
+        `[Fallback] ${model} failed (${REASON_LABELS[reason]}, HTTP ${statusCode}), trying ${next}`
+      );
+    }
+  }
+
+  // Unreachable for a non-empty chain
+  throw new Error('Model fallback chain is empty');
+}
+
+/**
+ * Describe the fallbacks that led to a model answering
+ *
+ * @example
+ * formatFallbackNotice('grok-4-1-fast-reasoning', [
+ *   { model: 'grok-4-0709', reason: 'server_error', status_code: 503 },
+ * ]);
+ * // 'Fell back to grok-4-1-fast-reasoning (grok-4-0709: server error, HTTP 503)'
+ */
+export function formatFallbackNotice(model: string, attempts: ModelFallbackAttempt[]): string {
+  const failures = attempts
+    .map(
+      (attempt) => `${attempt.model}: ${REASON_LABELS[attempt.reason]}, HTTP ${attempt.status_code}`
+    )
+    .join('; ');
+  return `Fell back to ${model} (${failures})`;
+}
+
+/**
+ * Parse the GROK_MODEL_FALLBACKS setting
+ *
+ * Format: `alias=model1,model2;alias2=model3`. Listed aliases replace their
+ * default chain, an empty list (`code=`) disables fallback for that alias and
+ * `off` disables all fallbacks.
+ *
+ * @param value - Raw setting (unset keeps the defaults)
+ * @param defaults - Default chains
+ * @throws Error if an entry is not of the form `alias=models`
+ */
+export function parseModelFallbackChains(
+  value: string | undefined,
+  defaults: Record<string, string[]>
+): Record<string, string[]> {
+  const setting = value?.trim();
+  if (!setting) {
+    return { ...defaults };
+  }
+  if (setting.toLowerCase() === 'off') {
+    return {};
+  }
+
+  const chains = { ...defaults };
+  for (const entry of setting.split(';')) {
+    if (!entry.trim()) continue;
+    const separator = entry.indexOf('=');
+    const key = entry.slice(0, separator).trim();
+    if (separator === -1 || !key) {
+      throw new Error(
+        `Invalid GROK_MODEL_FALLBACKS entry "${entry.trim()}": expected alias=models`
+      );
+    }
+    chains[key] = entry
+      .slice(separator + 1)
+      .split(',')
+      .map((model) => model.trim())
+      .filter(Boolean);
+  }
+  return chains;
+}
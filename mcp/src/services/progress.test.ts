@@ -0,0 +1,181 @@
+/**
+ * MCP Progress Notification Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/mocks/server.js';
+import { XAIClient } from '../client/xai-client.js';
+import {
+  PROGRESS_INTERVAL_MS,
+  createProgressReporter,
+  formatProgressMessage,
+  streamChatCompletion,
+  type StreamProgress,
+} from './progress.js';
+
+function createSSEResponse(chunks: string[]): HttpResponse<ReadableStream<Uint8Array>> {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream<Uint8Array>({
+    start(controller: ReadableStreamDefaultController<Uint8Array>): void {
+      for (const chunk of chunks) {
+        controller.enqueue(encoder.encode(`data: ${chunk}\n\n`));
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    },
+  });
+  return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function createChunk(content: string, extra: Record<string, unknown> = {}): string {
+  return JSON.stringify({
+    id: 'stream-1',
+    object: 'chat.completion.chunk',
+    created: 1,
+    model: 'grok-4-0709',
+    choices: [{ index: 0, delta: { content }, finish_reason: null }],
+    ...extra,
+  });
+}
+
+describe('progress', () => {
+  describe('formatProgressMessage', () => {
+    it('should report chunks, tokens and elapsed seconds', () => {
+      expect(formatProgressMessage({ chunks: 12, approxTokens: 340, elapsedMs: 4250 })).toBe(
+        'Streaming: 12 chunks, ~340 tokens, 4.3s elapsed'
+      );
+    });
+  });
+
+  describe('createProgressReporter', () => {
+    const progress: StreamProgress = { chunks: 1, approxTokens: 5, elapsedMs: 100 };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(1_000_000);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should return undefined without a progress token', () => {
+      expect(createProgressReporter(undefined, vi.fn())).toBeUndefined();
+    });
+
+    it('should send progress notifications for the token', () => {
+      const send = vi.fn().mockResolvedValue(undefined);
+      const report = createProgressReporter('token-1', send)!;
+
+      report(progress);
+
+      expect(send).toHaveBeenCalledWith({
+        method: 'notifications/progress',
+        params: {
+          progressToken: 'token-1',
+          progress: 1,
+          message: 'Streaming: 1 chunks, ~5 tokens, 0.1s elapsed',
+        },
+      });
+    });
+
+    it('should throttle notifications', () => {
+      const send = vi.fn().mockResolvedValue(undefined);
+      const report = createProgressReporter(7, send)!;
+
+      report(progress);
+      report({ ...progress, chunks: 2 });
+      vi.advanceTimersByTime(PROGRESS_INTERVAL_MS);
+      report({ ...progress, chunks: 3 });
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[1][0].params.progress).toBe(3);
+    });
+
+    it('should ignore delivery failures', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation((): void => {});
+      const report = createProgressReporter('t', vi.fn().mockRejectedValue(new Error('closed')))!;
+
+      report(progress);
+      await vi.runAllTimersAsync();
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('closed'));
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('streamChatCompletion', () => {
+    const client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+    const messages = [{ role: 'user' as const, content: 'Explain streams' }];
+
+    it('should assemble the streamed answer and report each chunk', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          createSSEResponse([
+            createChunk('Hello'),
+            createChunk(' world', {
+              choices: [{ index: 0, delta: { content: ' world' }, finish_reason: 'stop' }],
+              usage: { prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 },
+            }),
+          ])
+        )
+      );
+      const onProgress = vi.fn();
+
+      const response = await streamChatCompletion(
+        client,
+        { model: 'grok-4', messages },
+        onProgress
+      );
+
+      expect(response.choices[0]).toEqual({
+        index: 0,
+        message: { role: 'assistant', content: 'Hello world' },
+        finish_reason: 'stop',
+      });
+      expect(response.model).toBe('grok-4-0709');
+      expect(response.usage).toEqual({ prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 });
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress.mock.calls[1][0]).toMatchObject({ chunks: 2, approxTokens: 3 });
+    });
+
+    it('should assemble streamed tool calls', async () => {
+      const toolCallChunk = (
+        toolCall: Record<string, unknown>,
+        finishReason: string | null
+      ): string =>
+        createChunk('', {
+          choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: finishReason }],
+        });
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          createSSEResponse([
+            toolCallChunk({ index: 0, id: 'call_1', function: { name: 'lookup' } }, null),
+            toolCallChunk({ index: 0, function: { arguments: '{"id":42}' } }, 'tool_calls'),
+          ])
+        )
+      );
+
+      const response = await streamChatCompletion(client, { model: 'grok-4', messages }, vi.fn());
+
+      expect(response.choices[0].finish_reason).toBe('tool_calls');
+      expect(response.choices[0].message.tool_calls).toEqual([
+        { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"id":42}' } },
+      ]);
+      expect(response.usage.completion_tokens).toBe(3);
+    });
+
+    it('should estimate usage when the stream has none', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          createSSEResponse([createChunk('12345678')])
+        )
+      );
+
+      const response = await streamChatCompletion(client, { model: 'grok-4', messages }, vi.fn());
+
+      expect(response.usage).toEqual({ prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * MCP Progress Notifications
+ *
+ * Reports progress on streamed Grok answers to MCP clients that sent a
+ * `progressToken` with the tool call, so long runs (up to 90s on grok-4)
+ * show feedback while chunks arrive. Progress never changes the final
+ * tool result.
+ *
+ * @module services/progress
+ */
+
+import type { ProgressNotification, ProgressToken } from '@modelcontextprotocol/sdk/types.js';
+import { mergeToolCallDeltas, type XAIClient } from '../client/xai-client.js';
+import type {
+  ChatCompletionParams,
+  ChatCompletionResponse,
+  ChatMessage,
+  ChatToolCall,
+  TokenUsage,
+} from '../types/index.js';
+
+/**
+ * Minimum time between progress notifications in milliseconds
+ */
+export const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Progress of a streamed answer
+ */
+export interface StreamProgress {
+  /** Chunks received so far */
+  chunks: number;
+  /** Approximate completion tokens received so far (~4 characters per token) */
+  approxTokens: number;
+  /** Milliseconds since the stream started */
+  elapsedMs: number;
+}
+
+/**
+ * Callback that reports stream progress to the client
+ */
+export type ProgressReporter = (progress: StreamProgress) => void;
+
+/**
+ * Format the human-readable progress message
+ */
+export function formatProgressMessage(progress: StreamProgress): string {
+  return `Streaming: ${progress.chunks} chunks, ~${progress.approxTokens} tokens, ${(progress.elapsedMs / 1000).toFixed(1)}s elapsed`;
+}
+
+/**
+ * Create a progress reporter for a tool call
+ *
+ * Notifications are throttled to one per PROGRESS_INTERVAL_MS (the first
+ * chunk is always reported). Delivery failures are logged and ignored.
+ *
+ * @param progressToken - Token from the request's `_meta`, if the client sent one
+ * @param sendNotification - Sends a notification tied to the request
+ * @returns Reporter, or undefined when the client did not ask for progress
+ */
+export function createProgressReporter(
+  progressToken: ProgressToken | undefined,
+  sendNotification: (notification: ProgressNotification) => Promise<void>
+): ProgressReporter | undefined {
+  if (progressToken === undefined) return undefined;
+
+  let lastSentAt = 0;
+  return (progress) => {
+    const now = Date.now();
+    if (lastSentAt > 0 && now - lastSentAt < PROGRESS_INTERVAL_MS) return;
+    lastSentAt = now;
+
+    sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress: progress.chunks,
+        message: formatProgressMessage(progress),
+      },
+    }).catch((error: unknown) => {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[progress] Failed to send progress notification: ${message}`);
+    });
+  };
+}
+
+/**
+ * Run a chat completion as a stream, reporting progress as chunks arrive
+ *
+ * Returns the same shape as XAIClient.chatCompletion so callers can build
+ * their result identically, including any function calls. Token usage comes
+ * from the final chunk, or is estimated (~4 characters per token) if the
+ * stream did not include it.
+ *
+ * @param client - XAI client instance
+ * @param params - Chat completion parameters
+ * @param onProgress - Called after each chunk
+ */
+export async function streamChatCompletion(
+  client: XAIClient,
+  params: Omit<ChatCompletionParams, 'stream'>,
+  onProgress: ProgressReporter
+): Promise<ChatCompletionResponse> {
+  const startTime = Date.now();
+  let content = '';
+  let toolCalls: ChatToolCall[] = [];
+  let chunks = 0;
+  let id = '';
+  let model = client.resolveModel(params.model);
+  let usage: TokenUsage | undefined;
+  let finishReason: ChatCompletionResponse['choices'][number]['finish_reason'] = null;
+
+  for await (const chunk of client.chatCompletionStream(params)) {
+    chunks++;
+    id = chunk.id || id;
+    model = chunk.model || model;
+    const choice = chunk.choices[0];
+    if (choice?.delta?.content) {
+      content += choice.delta.content;
+    }
+    if (choice?.delta?.tool_calls) {
+      toolCalls = mergeToolCallDeltas(toolCalls, choice.delta.tool_calls);
+    }
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    onProgress({
+      chunks,
+      approxTokens: Math.ceil(content.length / 4),
+      elapsedMs: Date.now() - startTime,
+    });
+  }
+
+  if (!usage) {
+    const promptChars = params.messages.reduce(
+      (sum, message) => sum + (typeof message.content === 'string' ? message.content.length : 0),
+      0
+    );
+    const promptTokens = Math.ceil(promptChars / 4);
+    const argumentChars = toolCalls.reduce((sum, call) => sum + call.function.arguments.length, 0);
+    const completionTokens = Math.ceil((content.length + argumentChars) / 4);
+    usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    };
+  }
+
+  const message: ChatMessage = { role: 'assistant', content };
+  if (toolCalls.length > 0) {
+    // Drop gaps left by out-of-range fragment indexes
+    message.tool_calls = toolCalls.filter(Boolean);
+  }
+
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(startTime / 1000),
+    model,
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage,
+  };
+}
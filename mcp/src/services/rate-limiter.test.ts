@@ -11,8 +11,9 @@ import {
   getDefaultRateLimiterOptions,
   getDefaultRateLimiter,
   resetDefaultRateLimiter,
+  type RateLimitClass,
 } from './rate-limiter.js';
-import { RATE_LIMITS } from '../types/index.js';
+import { RATE_LIMITS, RequestCancelledError } from '../types/index.js';
 
 describe('RateLimiter', () => {
   let limiter: RateLimiter;
@@ -92,6 +93,7 @@ describe('RateLimiter', () => {
       // Make many small requests
       for (let i = 0; i < 500; i++) {
         await limiter.acquire(1);
+        limiter.recordUsage(1, 1);
       }
       expect(limiter.canMakeRequest(1)).toBe(false);
     });
@@ -164,6 +166,32 @@ describe('RateLimiter', () => {
 
       expect(limiter.canMakeRequest(1000)).toBe(true);
     });
+
+    it('should refill capacity continuously', async () => {
+      await limiter.acquire(500_000);
+
+      // 500,000 TPM refills 50,000 tokens every 6 seconds
+      vi.advanceTimersByTime(6_000);
+
+      expect(limiter.getStatus().tokensUsed).toBe(450_000);
+      expect(limiter.canMakeRequest(50_000)).toBe(true);
+      expect(limiter.canMakeRequest(50_001)).toBe(false);
+    });
+
+    it('should not allow a double burst across a minute boundary', async () => {
+      vi.advanceTimersByTime(59_000);
+      await limiter.acquire(500_000);
+
+      vi.advanceTimersByTime(2_000);
+
+      expect(limiter.canMakeRequest(500_000)).toBe(false);
+    });
+
+    it('should report the time until usage has fully refilled', async () => {
+      await limiter.acquire(250_000);
+
+      expect(limiter.getStatus().resetInMs).toBe(30_000);
+    });
   });
 
   describe('handleRateLimitResponse', () => {
@@ -184,6 +212,8 @@ describe('RateLimiter', () => {
     });
 
     it('should use longer of server delay or exponential', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5); // No jitter
+
       // First retry with short server delay
       limiter.handleRateLimitResponse(0.5);
       expect(limiter.getStatus().currentRetryDelay).toBe(1000); // Initial delay
@@ -191,6 +221,7 @@ describe('RateLimiter', () => {
       // Second retry with long server delay
       limiter.handleRateLimitResponse(30);
       expect(limiter.getStatus().currentRetryDelay).toBe(30000); // Server delay wins
+      vi.restoreAllMocks();
     });
 
     it('should cap at max retry delay', () => {
@@ -228,6 +259,16 @@ describe('RateLimiter', () => {
 
       await expect(limiter.waitForRetry()).rejects.toThrow(RateLimitExceededError);
     });
+
+    it('should stop waiting when the signal is aborted', async () => {
+      limiter.handleRateLimitResponse(30);
+      const controller = new AbortController();
+
+      const waitPromise = limiter.waitForRetry(controller.signal);
+      controller.abort();
+
+      await expect(waitPromise).rejects.toThrow(RequestCancelledError);
+    });
   });
 
   describe('clearBackoff', () => {
@@ -262,6 +303,70 @@ describe('RateLimiter', () => {
     });
   });
 
+  describe('updateFromHeaders', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation((): void => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should adjust limits when the server reports different quotas', () => {
+      limiter.updateFromHeaders({ limitRequests: 60, limitTokens: 100_000 });
+
+      expect(limiter.getLimits()).toEqual({ tokensPerMinute: 100_000, requestsPerMinute: 60 });
+      expect(limiter.getStatus().limitsSource).toBe('server');
+    });
+
+    it('should keep tier limits when the server agrees with them', () => {
+      limiter.updateFromHeaders({ limitRequests: 500, limitTokens: 500_000 });
+
+      expect(limiter.getStatus().limitsSource).toBe('tier');
+    });
+
+    it("should report the server's remaining quota and reset time", () => {
+      limiter.updateFromHeaders({
+        remainingRequests: 12,
+        remainingTokens: 3_000,
+        resetRequestsMs: 5_000,
+        resetTokensMs: 20_000,
+      });
+
+      const status = limiter.getStatus();
+      expect(status.requestsRemaining).toBe(12);
+      expect(status.tokensRemaining).toBe(3_000);
+      expect(status.resetInMs).toBe(20_000);
+    });
+
+    it('should block requests the server has no quota for until it resets', () => {
+      limiter.updateFromHeaders({ remainingRequests: 0, resetRequestsMs: 2_000 });
+
+      expect(limiter.canMakeRequest()).toBe(false);
+
+      vi.advanceTimersByTime(2_000);
+
+      expect(limiter.canMakeRequest()).toBe(true);
+      expect(limiter.getStatus().requestsRemaining).toBe(500);
+    });
+
+    it('should block requests larger than the remaining tokens', () => {
+      limiter.updateFromHeaders({ remainingTokens: 1_000, resetTokensMs: 10_000 });
+
+      expect(limiter.canMakeRequest(500)).toBe(true);
+      expect(limiter.canMakeRequest(2_000)).toBe(false);
+    });
+
+    it('should return to tier limits when the tier is set', () => {
+      limiter.updateFromHeaders({ limitTokens: 100_000 });
+
+      limiter.setOptions({ tier: 'standard' });
+
+      expect(limiter.getLimits().tokensPerMinute).toBe(500_000);
+      expect(limiter.getStatus().limitsSource).toBe('tier');
+    });
+  });
+
   describe('reset', () => {
     it('should clear all state', async () => {
       await limiter.acquire(100_000);
@@ -350,6 +455,14 @@ describe('getDefaultRateLimiterOptions', () => {
     const options = getDefaultRateLimiterOptions();
     expect(options.initialRetryDelayMs).toBe(2000);
   });
+
+  it('should read GROK_MAX_CONCURRENT from env', () => {
+    delete process.env.GROK_MAX_CONCURRENT;
+    expect(getDefaultRateLimiterOptions().maxConcurrent).toBe(4);
+
+    process.env.GROK_MAX_CONCURRENT = '8';
+    expect(getDefaultRateLimiterOptions().maxConcurrent).toBe(8);
+  });
 });
 
 describe('singleton functions', () => {
@@ -388,6 +501,14 @@ describe('QueueTimeoutError', () => {
     expect(error.name).toBe('QueueTimeoutError');
     expect(error.timeoutMs).toBe(30000);
   });
+
+  it('should say which class was waiting', () => {
+    const error = new QueueTimeoutError(5000, 'batch', 'grok_generate_image');
+    expect(error.message).toBe(
+      'Request timed out waiting for rate limit (5000ms, batch queue (grok_generate_image)).'
+    );
+    expect(error.priority).toBe('batch');
+  });
 });
 
 describe('Queue limits', () => {
@@ -432,8 +553,8 @@ describe('Queue limits', () => {
     // Use up all capacity
     await limiter.acquire(500_000);
 
-    // Queue a request
-    const pending = limiter.acquire(1000);
+    // Queue a request that needs 12s of refill
+    const pending = limiter.acquire(100_000);
 
     // Advance time past timeout
     vi.advanceTimersByTime(1500);
@@ -442,6 +563,35 @@ describe('Queue limits', () => {
     expect(limiter.getPendingCount()).toBe(0);
   });
 
+  it('should reject without reserving when the signal is already aborted', async () => {
+    const limiter = new RateLimiter({ tier: 'standard' });
+
+    await expect(limiter.acquire(1000, AbortSignal.abort())).rejects.toThrow(RequestCancelledError);
+    expect(limiter.getStatus().requestsUsed).toBe(0);
+  });
+
+  it('should remove a cancelled request from the queue', async () => {
+    const limiter = new RateLimiter({
+      tier: 'standard',
+      maxPendingRequests: 10,
+      pendingTimeoutMs: 120000,
+    });
+    await limiter.acquire(500_000);
+
+    const controller = new AbortController();
+    const pending = limiter.acquire(1000, controller.signal);
+    expect(limiter.getPendingCount()).toBe(1);
+
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(RequestCancelledError);
+    expect(limiter.getPendingCount()).toBe(0);
+
+    // The window reset must not grant the cancelled request a slot
+    vi.advanceTimersByTime(61_000);
+    expect(limiter.getStatus().tokensUsed).toBe(0);
+  });
+
   it('should process queued requests when capacity frees up', async () => {
     const limiter = new RateLimiter({
       tier: 'standard',
@@ -457,14 +607,48 @@ describe('Queue limits', () => {
 
     expect(limiter.getPendingCount()).toBe(1);
 
-    // Advance time to reset the window
-    vi.advanceTimersByTime(61_000);
+    // 1,000 tokens refill in 120ms, well before a full window
+    vi.advanceTimersByTime(120);
 
     // The queued request should now be processed
     await pending;
 
     expect(limiter.getPendingCount()).toBe(0);
-    expect(limiter.getStatus().tokensUsed).toBe(2000);
+    expect(limiter.getStatus().tokensUsed).toBe(500_000);
+  });
+
+  it('should admit queued requests when tokens are released', async () => {
+    const limiter = new RateLimiter({
+      tier: 'standard',
+      maxPendingRequests: 10,
+      pendingTimeoutMs: 120000,
+    });
+    await limiter.acquire(500_000);
+    const pending = limiter.acquire(100_000);
+
+    limiter.release(500_000);
+
+    await pending;
+    expect(limiter.getPendingCount()).toBe(0);
+  });
+
+  it('should admit queued requests in order', async () => {
+    const limiter = new RateLimiter({
+      tier: 'standard',
+      maxPendingRequests: 10,
+      pendingTimeoutMs: 120000,
+    });
+    await limiter.acquire(500_000);
+    const admitted: string[] = [];
+
+    const large = limiter.acquire(100_000).then(() => admitted.push('large'));
+    const small = limiter.acquire(1_000).then(() => admitted.push('small'));
+
+    // The small request would fit first, but must not jump the queue
+    vi.advanceTimersByTime(12_200);
+    await Promise.all([large, small]);
+
+    expect(admitted).toEqual(['large', 'small']);
   });
 
   it('should track pending count correctly', async () => {
@@ -525,3 +709,215 @@ describe('Queue limits', () => {
     expect(options.pendingTimeoutMs).toBe(30000);
   });
 });
+
+describe('Priority classes', () => {
+  const interactive: RateLimitClass = { tool: 'grok_query', priority: 'interactive' };
+  const background: RateLimitClass = { tool: 'grok_search_x', priority: 'background' };
+  const batch: RateLimitClass = { tool: 'grok_generate_image', priority: 'batch' };
+  let limiter: RateLimiter;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    limiter = new RateLimiter({
+      tier: 'standard',
+      maxPendingRequests: 50,
+      pendingTimeoutMs: 120000,
+      maxConcurrent: 100,
+    });
+  });
+
+  afterEach(() => {
+    limiter.reset();
+    vi.useRealTimers();
+  });
+
+  it('should report queue depth per class', async () => {
+    await limiter.acquire(500_000);
+    limiter.acquire(1000, undefined, interactive);
+    limiter.acquire(1000, undefined, batch);
+    limiter.acquire(1000, undefined, batch);
+
+    expect(limiter.getStatus().queueDepth).toEqual({ interactive: 1, background: 0, batch: 2 });
+  });
+
+  it('should admit an interactive request ahead of a queued batch burst', async () => {
+    await limiter.acquire(500_000);
+    const admitted: string[] = [];
+    for (let i = 0; i < 5; i++) {
+      limiter.acquire(10_000, undefined, batch).then(() => admitted.push('batch'));
+    }
+    limiter.acquire(10_000, undefined, interactive).then(() => admitted.push('interactive'));
+
+    // 10,000 tokens refill every 1.2s
+    await vi.advanceTimersByTimeAsync(1_200);
+
+    expect(admitted).toEqual(['interactive']);
+  });
+
+  it('should share admissions between classes by weight', async () => {
+    await limiter.acquire(500_000);
+    const admitted: string[] = [];
+    for (let i = 0; i < 9; i++) {
+      limiter.acquire(10_000, undefined, interactive).then(() => admitted.push('interactive'));
+      limiter.acquire(10_000, undefined, background).then(() => admitted.push('background'));
+      limiter.acquire(10_000, undefined, batch).then(() => admitted.push('batch'));
+    }
+
+    // Room for ten requests
+    await vi.advanceTimersByTimeAsync(12_000);
+
+    const counts = { interactive: 0, background: 0, batch: 0 };
+    for (const priority of admitted) counts[priority as keyof typeof counts]++;
+    expect(counts).toEqual({ interactive: 6, background: 3, batch: 1 });
+  });
+
+  it('should hold back a tool at its concurrency cap', async () => {
+    const capped: RateLimitClass = { ...background, maxConcurrent: 2 };
+    await limiter.acquire(1000, undefined, capped);
+    await limiter.acquire(1000, undefined, capped);
+
+    let admitted = false;
+    limiter.acquire(1000, undefined, capped).then(() => (admitted = true));
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(admitted).toBe(false);
+    expect(limiter.getInFlightCount('grok_search_x')).toBe(2);
+
+    limiter.recordUsage(800, 1000, capped);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(admitted).toBe(true);
+  });
+
+  it('should let other tools pass a capped tool', async () => {
+    const capped: RateLimitClass = { ...background, maxConcurrent: 1 };
+    await limiter.acquire(1000, undefined, capped);
+    limiter.acquire(1000, undefined, capped);
+
+    await limiter.acquire(1000, undefined, { tool: 'grok_execute_code', priority: 'background' });
+
+    expect(limiter.getPendingCount()).toBe(1);
+  });
+
+  it('should free the concurrency slot on release', async () => {
+    const capped: RateLimitClass = { ...batch, maxConcurrent: 1 };
+    await limiter.acquire(0, undefined, capped);
+
+    limiter.release(0, capped);
+
+    expect(limiter.getInFlightCount('grok_generate_image')).toBe(0);
+    await limiter.acquire(0, undefined, capped);
+  });
+
+  it('should name the waiting class when a queued request times out', async () => {
+    const timedOut = new RateLimiter({ tier: 'standard', pendingTimeoutMs: 1000 });
+    await timedOut.acquire(500_000);
+
+    const pending = timedOut.acquire(100_000, undefined, batch);
+    vi.advanceTimersByTime(1500);
+
+    await expect(pending).rejects.toThrow('batch queue (grok_generate_image)');
+  });
+});
+
+describe('Concurrency limit', () => {
+  const chat: RateLimitClass = { tool: 'grok_query', priority: 'interactive' };
+  const responses: RateLimitClass = {
+    tool: 'grok_search_x',
+    endpoint: '/responses',
+    priority: 'interactive',
+  };
+  let limiter: RateLimiter;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    limiter = new RateLimiter({ tier: 'standard', maxConcurrent: 2 });
+  });
+
+  afterEach(() => {
+    limiter.reset();
+    vi.useRealTimers();
+  });
+
+  it('should hold requests beyond maxConcurrent per endpoint', async () => {
+    await limiter.acquire(100, undefined, chat);
+    await limiter.acquire(100, undefined, chat);
+
+    let admitted = false;
+    const third = limiter.acquire(100, undefined, chat).then(() => {
+      admitted = true;
+    });
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(admitted).toBe(false);
+    expect(limiter.getStatus().inFlight).toEqual({ '/chat/completions': 2 });
+
+    limiter.recordUsage(100, 100, chat);
+    await third;
+
+    expect(admitted).toBe(true);
+    expect(limiter.getStatus().inFlight).toEqual({ '/chat/completions': 2 });
+  });
+
+  it('should count endpoints separately', async () => {
+    await limiter.acquire(100, undefined, chat);
+    await limiter.acquire(100, undefined, chat);
+
+    await limiter.acquire(100, undefined, responses);
+
+    expect(limiter.getStatus().inFlight).toEqual({ '/chat/completions': 2, '/responses': 1 });
+  });
+
+  it('should free the slot on release', async () => {
+    await limiter.acquire(100, undefined, chat);
+    await limiter.acquire(100, undefined, chat);
+    const third = limiter.acquire(100, undefined, chat);
+
+    limiter.release(100, chat);
+    await third;
+
+    expect(limiter.getPendingCount()).toBe(0);
+  });
+
+  it('should admit waiting requests when maxConcurrent is raised', async () => {
+    await limiter.acquire(100, undefined, chat);
+    await limiter.acquire(100, undefined, chat);
+    const third = limiter.acquire(100, undefined, chat);
+
+    limiter.setOptions({ maxConcurrent: 3 });
+    await third;
+
+    expect(limiter.getStatus().inFlight).toEqual({ '/chat/completions': 3 });
+  });
+
+  it('should record how long requests waited', async () => {
+    await limiter.acquire(100, undefined, chat);
+    await limiter.acquire(100, undefined, chat);
+    const third = limiter.acquire(100, undefined, chat);
+    await vi.advanceTimersByTimeAsync(300);
+    limiter.recordUsage(100, 100, chat);
+    await third;
+
+    const fourth = limiter.acquire(100, undefined, chat);
+    await vi.advanceTimersByTimeAsync(100);
+    limiter.release(100, chat);
+    await fourth;
+
+    expect(limiter.getStatus().waits).toEqual({ count: 2, avgMs: 200, maxMs: 300 });
+  });
+
+  it('should not count requests admitted immediately as waits', async () => {
+    await limiter.acquire(100, undefined, chat);
+
+    expect(limiter.getStatus().waits).toEqual({ count: 0, avgMs: 0, maxMs: 0 });
+  });
+
+  it('should clear in-flight and wait stats on reset', async () => {
+    await limiter.acquire(100, undefined, chat);
+
+    limiter.reset();
+
+    expect(limiter.getStatus().inFlight).toEqual({});
+    expect(limiter.getStatus().waits.count).toBe(0);
+  });
+});
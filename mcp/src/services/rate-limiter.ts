@@ -1,13 +1,23 @@
 /**
  * Rate Limiter Service
  *
- * Implements token bucket rate limiting with tier-aware limits
- * and exponential backoff for API rate limit handling.
+ * Implements token bucket rate limiting with tier-aware limits. The bucket
+ * refills continuously, so capacity frees up as usage ages instead of all
+ * at once when a fixed window resets.
+ * Backoff after 429 responses comes from the shared RetryPolicy, so a 429
+ * seen by the client on any request also holds back this limiter.
  *
  * @module services/rate-limiter
  */
 
-import { APITier, RATE_LIMITS } from '../types/index.js';
+import {
+  APITier,
+  RATE_LIMITS,
+  RequestCancelledError,
+  throwIfCancelled,
+  type RateLimitHeaders,
+} from '../types/index.js';
+import { RetryPolicy, getDefaultRetryPolicy } from './retry-policy.js';
 
 /**
  * Configuration options for the rate limiter
@@ -25,21 +35,72 @@ export interface RateLimiterOptions {
   maxPendingRequests: number;
   /** Timeout for pending requests in ms (default: 30000) */
   pendingTimeoutMs: number;
+  /** Maximum requests in flight at once per endpoint (default: 4) */
+  maxConcurrent: number;
+}
+
+/**
+ * Priority class of a queued request
+ *
+ * - `interactive`: a user is waiting on the answer (grok_query, grok_reason, ...)
+ * - `background`: slower agentic calls (grok_search_x, grok_execute_code)
+ * - `batch`: bulk work such as multi-image generation
+ */
+export type RequestPriority = 'interactive' | 'background' | 'batch';
+
+/**
+ * Share of queue admissions each class gets while several are waiting
+ */
+export const PRIORITY_WEIGHTS: Record<RequestPriority, number> = {
+  interactive: 6,
+  background: 3,
+  batch: 1,
+};
+
+/**
+ * How a tool's requests are queued, declared by each tool
+ */
+export interface RateLimitClass {
+  /** Tool name */
+  tool: string;
+  /** API endpoint the tool calls (default: /chat/completions) */
+  endpoint?: string;
+  priority: RequestPriority;
+  /** Maximum requests from this tool in flight at once (default: unlimited) */
+  maxConcurrent?: number;
+}
+
+/**
+ * Class used when acquire() is called without one
+ */
+const DEFAULT_RATE_LIMIT_CLASS: RateLimitClass = { tool: 'unknown', priority: 'interactive' };
+
+const DEFAULT_ENDPOINT = '/chat/completions';
+
+/**
+ * A request waiting in the queue
+ */
+interface PendingRequest {
+  resolve: () => void;
+  reject: (error: Error) => void;
+  estimatedTokens: number;
+  requestClass: RateLimitClass;
+  timeoutId?: ReturnType<typeof setTimeout>;
 }
 
 /**
  * Rate limit status information
  */
 export interface RateLimitStatus {
-  /** Tokens used in current window */
+  /** Tokens used in the last minute (not yet refilled) */
   tokensUsed: number;
-  /** Tokens remaining in current window */
+  /** Tokens available now */
   tokensRemaining: number;
-  /** Requests made in current window */
+  /** Requests made in the last minute (not yet refilled) */
   requestsUsed: number;
-  /** Requests remaining in current window */
+  /** Requests available now */
   requestsRemaining: number;
-  /** Time until window resets (ms) */
+  /** Time until the full limits are available again (ms) */
   resetInMs: number;
   /** Whether currently rate limited */
   isLimited: boolean;
@@ -47,6 +108,26 @@ export interface RateLimitStatus {
   currentRetryDelay: number;
   /** Number of retries attempted */
   retryCount: number;
+  /** Where the limits come from: the configured tier, or the server's rate limit headers */
+  limitsSource: 'tier' | 'server';
+  /** Requests waiting in the queue, by priority class */
+  queueDepth: Record<RequestPriority, number>;
+  /** Requests acquired and not yet ended by recordUsage() or release(), by endpoint */
+  inFlight: Record<string, number>;
+  /** Requests that had to wait in acquire() (queue or backoff), and how long */
+  waits: { count: number; avgMs: number; maxMs: number };
+}
+
+/**
+ * Last rate limit state reported by the server
+ */
+interface ServerRateLimitState {
+  requestsRemaining?: number;
+  tokensRemaining?: number;
+  /** Timestamp (ms) when the server's request window resets */
+  requestsResetAt: number;
+  /** Timestamp (ms) when the server's token window resets */
+  tokensResetAt: number;
 }
 
 /**
@@ -83,8 +164,13 @@ export class QueueFullError extends Error {
  * Error thrown when a queued request times out
  */
 export class QueueTimeoutError extends Error {
-  constructor(public timeoutMs: number) {
-    super(`Request timed out waiting for rate limit (${timeoutMs}ms).`);
+  constructor(
+    public timeoutMs: number,
+    public priority?: RequestPriority,
+    public tool?: string
+  ) {
+    const waiting = priority ? `, ${priority} queue${tool ? ` (${tool})` : ''}` : '';
+    super(`Request timed out waiting for rate limit (${timeoutMs}ms${waiting}).`);
     this.name = 'QueueTimeoutError';
   }
 }
@@ -103,28 +189,36 @@ export function getDefaultRateLimiterOptions(): RateLimiterOptions {
     maxRetries: parseInt(process.env.GROK_RATE_LIMIT_MAX_RETRIES || '5', 10),
     maxPendingRequests: parseInt(process.env.GROK_RATE_LIMIT_MAX_PENDING || '100', 10),
     pendingTimeoutMs: parseInt(process.env.GROK_RATE_LIMIT_PENDING_TIMEOUT_MS || '30000', 10),
+    maxConcurrent: parseInt(process.env.GROK_MAX_CONCURRENT || '4', 10),
   };
 }
 
 /**
  * Rate Limiter for xAI API
  *
- * Uses a token bucket algorithm to track usage within
- * a sliding 60-second window. Provides:
+ * Uses a token bucket per limit (tokens and requests per minute) that
+ * refills continuously at the per-minute rate. Provides:
  * - Pre-request limit checking
+ * - A queue that admits waiting requests as soon as capacity frees up,
+ *   sharing admissions between priority classes by PRIORITY_WEIGHTS and
+ *   holding back tools at their concurrency cap
+ * - A per-endpoint limit on requests in flight at once (maxConcurrent), so
+ *   slow calls cannot pile up open connections
  * - Post-request token consumption tracking
  * - Exponential backoff on 429 responses
- * - Tier-aware limits (standard vs enterprise)
+ * - Tier-aware limits (standard vs enterprise), replaced by the server's
+ *   quotas once its rate limit headers report them (updateFromHeaders)
  *
  * @example
  * ```typescript
  * const limiter = new RateLimiter({ tier: 'standard' });
  *
  * // Before making a request
- * await limiter.acquire(100); // estimated tokens
+ * const requestClass = { tool: 'grok_query', priority: 'interactive' };
+ * await limiter.acquire(100, signal, requestClass); // estimated tokens
  *
  * // After request completes
- * limiter.recordUsage(actualTokens);
+ * limiter.recordUsage(actualTokens, 100, requestClass);
  *
  * // If 429 received
  * limiter.handleRateLimitResponse(retryAfterSeconds);
@@ -134,28 +228,38 @@ export function getDefaultRateLimiterOptions(): RateLimiterOptions {
 export class RateLimiter {
   private options: RateLimiterOptions;
   private limits: { tokensPerMinute: number; requestsPerMinute: number };
+  private limitsSource: 'tier' | 'server' = 'tier';
+  private serverState: ServerRateLimitState | null = null;
+  private readonly retryPolicy: RetryPolicy;
 
-  // Token bucket state
+  // Token bucket state: usage drains at the per-minute limits since lastRefill
   private tokensUsed: number = 0;
   private requestsUsed: number = 0;
-  private windowStart: number = Date.now();
+  private lastRefill: number = Date.now();
   private readonly windowDurationMs: number = 60_000;
 
-  // Backoff state
-  private retryCount: number = 0;
-  private nextRetryTime: number = 0;
-  private currentRetryDelay: number = 0;
-
-  // Request queue
-  private pendingRequests: Array<{
-    resolve: () => void;
-    reject: (error: Error) => void;
-    estimatedTokens: number;
-    timeoutId?: ReturnType<typeof setTimeout>;
-  }> = [];
-  private isProcessingQueue: boolean = false;
-
-  constructor(options?: Partial<RateLimiterOptions>) {
+  // Request queue (in arrival order; processQueue picks the class to admit)
+  private pendingRequests: PendingRequest[] = [];
+  private inFlightByTool: Map<string, number> = new Map();
+  private inFlightByEndpoint: Map<string, number> = new Map();
+  // Time spent waiting in acquire()
+  private waitCount: number = 0;
+  private totalWaitMs: number = 0;
+  private maxWaitMs: number = 0;
+  // Smooth weighted round-robin state per priority class
+  private priorityCredits: Record<RequestPriority, number> = {
+    interactive: 0,
+    background: 0,
+    batch: 0,
+  };
+  private queueTimer: ReturnType<typeof setTimeout> | null = null;
+
+  /**
+   * @param options - Limiter options
+   * @param retryPolicy - Retry policy holding the backoff state (default: a new
+   *   policy built from these options)
+   */
+  constructor(options?: Partial<RateLimiterOptions>, retryPolicy?: RetryPolicy) {
     const defaults = getDefaultRateLimiterOptions();
     this.options = {
       tier: options?.tier ?? defaults.tier,
@@ -164,64 +268,109 @@ export class RateLimiter {
       maxRetries: options?.maxRetries ?? defaults.maxRetries,
       maxPendingRequests: options?.maxPendingRequests ?? defaults.maxPendingRequests,
       pendingTimeoutMs: options?.pendingTimeoutMs ?? defaults.pendingTimeoutMs,
+      maxConcurrent: options?.maxConcurrent ?? defaults.maxConcurrent,
     };
 
     this.limits = RATE_LIMITS[this.options.tier];
-    this.currentRetryDelay = this.options.initialRetryDelayMs;
+    this.retryPolicy =
+      retryPolicy ??
+      new RetryPolicy({
+        initialDelayMs: this.options.initialRetryDelayMs,
+        maxDelayMs: this.options.maxRetryDelayMs,
+        maxRetries: this.options.maxRetries,
+      });
   }
 
   /**
    * Acquire permission to make a request
    *
-   * Waits if rate limited, throws if limit exceeded after retries.
+   * Waits if rate limited, throws if limit exceeded after retries. Pass the
+   * same request class to recordUsage() or release() when the request ends,
+   * so the tool's concurrency slot is freed.
    *
    * @param estimatedTokens - Estimated tokens for the request
+   * @param signal - Cancels the wait when aborted (nothing is reserved)
+   * @param requestClass - Tool, endpoint, priority class and concurrency cap (default: interactive)
    * @throws RateLimitExceededError if limit exceeded and retries exhausted
    * @throws QueueFullError if pending request queue is at capacity
    * @throws QueueTimeoutError if request times out waiting in queue
+   * @throws RequestCancelledError if the signal is aborted before the slot is acquired
    */
-  async acquire(estimatedTokens: number = 0): Promise<void> {
+  async acquire(
+    estimatedTokens: number = 0,
+    signal?: AbortSignal,
+    requestClass: RateLimitClass = DEFAULT_RATE_LIMIT_CLASS
+  ): Promise<void> {
+    throwIfCancelled(signal);
+    const startedAt = Date.now();
+
     // Check if we need to wait for retry
     if (this.isRateLimited()) {
-      await this.waitForRetry();
+      await this.waitForRetry(signal);
+      this.recordWait(Date.now() - startedAt);
     }
 
-    // Refresh window if needed
-    this.maybeResetWindow();
-
-    // Check if within limits
-    if (!this.canMakeRequest(estimatedTokens)) {
+    // Queue behind earlier requests, or until capacity and a concurrency slot free up
+    if (
+      this.pendingRequests.length > 0 ||
+      !this.canMakeRequest(estimatedTokens) ||
+      this.isAtConcurrencyCap(requestClass)
+    ) {
       // Check if queue is full
       if (this.pendingRequests.length >= this.options.maxPendingRequests) {
         throw new QueueFullError(this.pendingRequests.length, this.options.maxPendingRequests);
       }
 
       // Queue the request with timeout
-      return new Promise((resolve, reject) => {
-        const request: {
-          resolve: () => void;
-          reject: (error: Error) => void;
-          estimatedTokens: number;
-          timeoutId?: ReturnType<typeof setTimeout>;
-        } = { resolve, reject, estimatedTokens };
+      await new Promise<void>((resolve, reject) => {
+        const onAbort = (): void => {
+          const index = this.pendingRequests.indexOf(request);
+          if (index !== -1) {
+            this.pendingRequests.splice(index, 1);
+            clearTimeout(request.timeoutId);
+            reject(new RequestCancelledError());
+            // Requests behind it may fit now
+            this.processQueue();
+          }
+        };
+        const request: PendingRequest = {
+          resolve: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          },
+          reject: (error) => {
+            signal?.removeEventListener('abort', onAbort);
+            reject(error);
+          },
+          estimatedTokens,
+          requestClass,
+        };
 
         // Set up timeout
         request.timeoutId = setTimeout(() => {
           const index = this.pendingRequests.indexOf(request);
           if (index !== -1) {
             this.pendingRequests.splice(index, 1);
-            reject(new QueueTimeoutError(this.options.pendingTimeoutMs));
+            request.reject(
+              new QueueTimeoutError(
+                this.options.pendingTimeoutMs,
+                requestClass.priority,
+                requestClass.tool
+              )
+            );
+            this.processQueue();
           }
         }, this.options.pendingTimeoutMs);
 
+        signal?.addEventListener('abort', onAbort, { once: true });
         this.pendingRequests.push(request);
         this.processQueue();
       });
+      this.recordWait(Date.now() - startedAt);
+      return;
     }
 
-    // Reserve the tokens
-    this.tokensUsed += estimatedTokens;
-    this.requestsUsed++;
+    this.reserve(estimatedTokens, requestClass);
   }
 
   /**
@@ -231,11 +380,19 @@ export class RateLimiter {
    *
    * @param actualTokens - Actual tokens used by the request
    * @param estimatedTokens - Previously estimated tokens (optional)
+   * @param requestClass - Class passed to acquire(), to free its concurrency slots
    */
-  recordUsage(actualTokens: number, estimatedTokens: number = 0): void {
+  recordUsage(
+    actualTokens: number,
+    estimatedTokens: number = 0,
+    requestClass: RateLimitClass = DEFAULT_RATE_LIMIT_CLASS
+  ): void {
+    this.refill();
     // Adjust for difference between estimated and actual
     const adjustment = actualTokens - estimatedTokens;
     this.tokensUsed = Math.max(0, this.tokensUsed + adjustment);
+    this.endRequest(requestClass);
+    this.processQueue();
   }
 
   /**
@@ -244,50 +401,93 @@ export class RateLimiter {
    * Call this if a request fails before consuming tokens.
    *
    * @param estimatedTokens - Previously estimated tokens to release
+   * @param requestClass - Class passed to acquire(), to free its concurrency slots
    */
-  release(estimatedTokens: number = 0): void {
+  release(
+    estimatedTokens: number = 0,
+    requestClass: RateLimitClass = DEFAULT_RATE_LIMIT_CLASS
+  ): void {
+    this.refill();
     this.tokensUsed = Math.max(0, this.tokensUsed - estimatedTokens);
     this.requestsUsed = Math.max(0, this.requestsUsed - 1);
+    this.endRequest(requestClass);
+    this.processQueue();
+  }
+
+  /**
+   * Update limits and remaining quota from a response's rate limit headers
+   *
+   * Reported limits replace the tier's when they differ. Reported remaining
+   * requests and tokens cap what this limiter allows until the server's
+   * window resets.
+   *
+   * @param headers - Parsed `x-ratelimit-*` headers
+   */
+  updateFromHeaders(headers: RateLimitHeaders): void {
+    const tokensPerMinute = headers.limitTokens ?? this.limits.tokensPerMinute;
+    const requestsPerMinute = headers.limitRequests ?? this.limits.requestsPerMinute;
+    if (
+      tokensPerMinute !== this.limits.tokensPerMinute ||
+      requestsPerMinute !== this.limits.requestsPerMinute
+    ) {
+      console.error(
+        `[RateLimiter] Server reports ${tokensPerMinute.toLocaleString()} TPM / ` +
+          `${requestsPerMinute.toLocaleString()} RPM, adjusting from ${this.limitsSource} limits`
+      );
+      // Usage so far drained at the old rates
+      this.refill();
+      this.limits = { tokensPerMinute, requestsPerMinute };
+      this.limitsSource = 'server';
+    }
+
+    if (headers.remainingRequests !== undefined || headers.remainingTokens !== undefined) {
+      const now = Date.now();
+      // Without a reset header, assume the server's quota refills within a minute
+      const windowEnd = now + this.windowDurationMs;
+      this.serverState = {
+        requestsRemaining: headers.remainingRequests,
+        tokensRemaining: headers.remainingTokens,
+        requestsResetAt:
+          headers.resetRequestsMs !== undefined ? now + headers.resetRequestsMs : windowEnd,
+        tokensResetAt:
+          headers.resetTokensMs !== undefined ? now + headers.resetTokensMs : windowEnd,
+      };
+    }
+    this.processQueue();
   }
 
   /**
    * Handle a 429 rate limit response from the API
    *
-   * Updates backoff state based on retry-after header.
+   * Puts the retry policy into backoff, using the longer of the server's
+   * delay and the policy's exponential backoff.
    *
    * @param retryAfterSeconds - Seconds to wait (from Retry-After header)
    */
   handleRateLimitResponse(retryAfterSeconds: number): void {
-    this.retryCount++;
-
-    // Use the longer of: server-suggested delay or exponential backoff
-    const exponentialDelay = Math.min(
-      this.options.initialRetryDelayMs * Math.pow(2, this.retryCount - 1),
-      this.options.maxRetryDelayMs
-    );
-
-    const serverDelay = retryAfterSeconds * 1000;
-    this.currentRetryDelay = Math.max(exponentialDelay, serverDelay);
-    this.nextRetryTime = Date.now() + this.currentRetryDelay;
+    this.retryPolicy.recordRateLimit(retryAfterSeconds * 1000);
   }
 
   /**
    * Wait for the retry period to elapse
    *
+   * @param signal - Cancels the wait when aborted
    * @throws RateLimitExceededError if max retries exceeded
+   * @throws RequestCancelledError if the signal is aborted while waiting
    */
-  async waitForRetry(): Promise<void> {
-    if (this.retryCount >= this.options.maxRetries) {
+  async waitForRetry(signal?: AbortSignal): Promise<void> {
+    if (this.retryPolicy.getRateLimitCount() >= this.retryPolicy.getOptions().maxRetries) {
+      this.refill();
       throw new RateLimitExceededError(
-        this.tokensUsed,
+        Math.ceil(this.tokensUsed),
         this.limits.tokensPerMinute,
-        this.currentRetryDelay
+        this.retryPolicy.getBackoffRemainingMs()
       );
     }
 
-    const waitTime = Math.max(0, this.nextRetryTime - Date.now());
+    const waitTime = this.retryPolicy.getBackoffRemainingMs();
     if (waitTime > 0) {
-      await this.sleep(waitTime);
+      await this.sleep(waitTime, signal);
     }
   }
 
@@ -295,18 +495,21 @@ export class RateLimiter {
    * Check if currently rate limited
    */
   isRateLimited(): boolean {
-    return Date.now() < this.nextRetryTime;
+    return this.retryPolicy.isBackingOff();
   }
 
   /**
    * Check if a request can be made within limits
    */
   canMakeRequest(estimatedTokens: number = 0): boolean {
-    this.maybeResetWindow();
+    this.refill();
 
+    const server = this.getServerRemaining();
     return (
       this.tokensUsed + estimatedTokens <= this.limits.tokensPerMinute &&
-      this.requestsUsed < this.limits.requestsPerMinute
+      this.requestsUsed + 1 <= this.limits.requestsPerMinute &&
+      (server.tokens === undefined || estimatedTokens <= server.tokens) &&
+      (server.requests === undefined || server.requests > 0)
     );
   }
 
@@ -314,19 +517,46 @@ export class RateLimiter {
    * Get current rate limit status
    */
   getStatus(): RateLimitStatus {
-    this.maybeResetWindow();
-
-    const resetInMs = Math.max(0, this.windowStart + this.windowDurationMs - Date.now());
+    this.refill();
+
+    const server = this.getServerRemaining();
+    // Partially refilled usage counts as used
+    const tokensUsed = Math.ceil(this.tokensUsed);
+    const requestsUsed = Math.ceil(this.requestsUsed);
+    // While the server's view is current, its reset times replace the local refill time
+    const resetInMs =
+      server.resetAt !== undefined
+        ? Math.max(0, server.resetAt - Date.now())
+        : Math.ceil(
+            Math.max(
+              this.tokensUsed / this.limits.tokensPerMinute,
+              this.requestsUsed / this.limits.requestsPerMinute
+            ) * this.windowDurationMs
+          );
 
     return {
-      tokensUsed: this.tokensUsed,
-      tokensRemaining: Math.max(0, this.limits.tokensPerMinute - this.tokensUsed),
-      requestsUsed: this.requestsUsed,
-      requestsRemaining: Math.max(0, this.limits.requestsPerMinute - this.requestsUsed),
+      tokensUsed,
+      tokensRemaining: Math.max(
+        0,
+        Math.min(this.limits.tokensPerMinute - tokensUsed, server.tokens ?? Infinity)
+      ),
+      requestsUsed,
+      requestsRemaining: Math.max(
+        0,
+        Math.min(this.limits.requestsPerMinute - requestsUsed, server.requests ?? Infinity)
+      ),
       resetInMs,
       isLimited: this.isRateLimited(),
-      currentRetryDelay: this.currentRetryDelay,
-      retryCount: this.retryCount,
+      currentRetryDelay: this.retryPolicy.getCurrentDelay(),
+      retryCount: this.retryPolicy.getRateLimitCount(),
+      limitsSource: this.limitsSource,
+      queueDepth: this.getQueueDepth(),
+      inFlight: Object.fromEntries(this.inFlightByEndpoint),
+      waits: {
+        count: this.waitCount,
+        avgMs: this.waitCount > 0 ? Math.round(this.totalWaitMs / this.waitCount) : 0,
+        maxMs: this.maxWaitMs,
+      },
     };
   }
 
@@ -336,10 +566,13 @@ export class RateLimiter {
   reset(): void {
     this.tokensUsed = 0;
     this.requestsUsed = 0;
-    this.windowStart = Date.now();
-    this.retryCount = 0;
-    this.nextRetryTime = 0;
-    this.currentRetryDelay = this.options.initialRetryDelayMs;
+    this.lastRefill = Date.now();
+    this.retryPolicy.clearBackoff();
+    this.serverState = null;
+    if (this.queueTimer) {
+      clearTimeout(this.queueTimer);
+      this.queueTimer = null;
+    }
     // Clear all pending request timeouts
     for (const request of this.pendingRequests) {
       if (request.timeoutId) {
@@ -347,15 +580,19 @@ export class RateLimiter {
       }
     }
     this.pendingRequests = [];
+    this.inFlightByTool.clear();
+    this.inFlightByEndpoint.clear();
+    this.waitCount = 0;
+    this.totalWaitMs = 0;
+    this.maxWaitMs = 0;
+    this.priorityCredits = { interactive: 0, background: 0, batch: 0 };
   }
 
   /**
    * Clear the backoff state (after successful request)
    */
   clearBackoff(): void {
-    this.retryCount = 0;
-    this.nextRetryTime = 0;
-    this.currentRetryDelay = this.options.initialRetryDelayMs;
+    this.retryPolicy.clearBackoff();
   }
 
   /**
@@ -363,17 +600,23 @@ export class RateLimiter {
    */
   setOptions(options: Partial<RateLimiterOptions>): void {
     if (options.tier !== undefined) {
+      this.refill();
       this.options.tier = options.tier;
       this.limits = RATE_LIMITS[options.tier];
+      this.limitsSource = 'tier';
+      this.processQueue();
     }
     if (options.initialRetryDelayMs !== undefined) {
       this.options.initialRetryDelayMs = options.initialRetryDelayMs;
+      this.retryPolicy.setOptions({ initialDelayMs: options.initialRetryDelayMs });
     }
     if (options.maxRetryDelayMs !== undefined) {
       this.options.maxRetryDelayMs = options.maxRetryDelayMs;
+      this.retryPolicy.setOptions({ maxDelayMs: options.maxRetryDelayMs });
     }
     if (options.maxRetries !== undefined) {
       this.options.maxRetries = options.maxRetries;
+      this.retryPolicy.setOptions({ maxRetries: options.maxRetries });
     }
     if (options.maxPendingRequests !== undefined) {
       this.options.maxPendingRequests = options.maxPendingRequests;
@@ -381,6 +624,10 @@ export class RateLimiter {
     if (options.pendingTimeoutMs !== undefined) {
       this.options.pendingTimeoutMs = options.pendingTimeoutMs;
     }
+    if (options.maxConcurrent !== undefined) {
+      this.options.maxConcurrent = options.maxConcurrent;
+      this.processQueue();
+    }
   }
 
   /**
@@ -391,12 +638,19 @@ export class RateLimiter {
   }
 
   /**
-   * Get tier limits
+   * Get current limits (the tier's, or the server's once reported)
    */
   getLimits(): { tokensPerMinute: number; requestsPerMinute: number } {
     return { ...this.limits };
   }
 
+  /**
+   * Get the retry policy holding this limiter's backoff state
+   */
+  getRetryPolicy(): RetryPolicy {
+    return this.retryPolicy;
+  }
+
   /**
    * Get the number of pending requests in queue
    */
@@ -404,52 +658,223 @@ export class RateLimiter {
     return this.pendingRequests.length;
   }
 
+  /**
+   * Get the number of pending requests per priority class
+   */
+  getQueueDepth(): Record<RequestPriority, number> {
+    const depth: Record<RequestPriority, number> = { interactive: 0, background: 0, batch: 0 };
+    for (const request of this.pendingRequests) {
+      depth[request.requestClass.priority]++;
+    }
+    return depth;
+  }
+
+  /**
+   * Get the number of requests in flight for a tool
+   */
+  getInFlightCount(tool: string): number {
+    return this.inFlightByTool.get(tool) ?? 0;
+  }
+
   // Private methods
 
-  private maybeResetWindow(): void {
+  /**
+   * Remaining quota last reported by the server, dropping values whose window has reset
+   */
+  private getServerRemaining(): { requests?: number; tokens?: number; resetAt?: number } {
+    if (!this.serverState) return {};
     const now = Date.now();
-    if (now - this.windowStart >= this.windowDurationMs) {
-      this.tokensUsed = 0;
-      this.requestsUsed = 0;
-      this.windowStart = now;
+    const state = this.serverState;
+    const requestsCurrent = state.requestsRemaining !== undefined && now < state.requestsResetAt;
+    const tokensCurrent = state.tokensRemaining !== undefined && now < state.tokensResetAt;
+    if (!requestsCurrent && !tokensCurrent) {
+      this.serverState = null;
+      return {};
     }
+
+    return {
+      requests: requestsCurrent ? state.requestsRemaining : undefined,
+      tokens: tokensCurrent ? state.tokensRemaining : undefined,
+      resetAt: Math.max(
+        requestsCurrent ? state.requestsResetAt : 0,
+        tokensCurrent ? state.tokensResetAt : 0
+      ),
+    };
   }
 
-  private async processQueue(): Promise<void> {
-    if (this.isProcessingQueue) return;
-    this.isProcessingQueue = true;
-
-    try {
-      while (this.pendingRequests.length > 0) {
-        // Wait for window reset if needed
-        const status = this.getStatus();
-        if (status.resetInMs > 0 && !this.canMakeRequest(this.pendingRequests[0].estimatedTokens)) {
-          await this.sleep(status.resetInMs + 100); // Small buffer
-          this.maybeResetWindow();
-        }
-
-        const request = this.pendingRequests[0];
-        if (this.canMakeRequest(request.estimatedTokens)) {
-          this.pendingRequests.shift();
-          // Clear timeout before resolving
-          if (request.timeoutId) {
-            clearTimeout(request.timeoutId);
-          }
-          this.tokensUsed += request.estimatedTokens;
-          this.requestsUsed++;
-          request.resolve();
-        } else {
-          // Still can't process, wait for next window
-          break;
-        }
+  /**
+   * Drain usage at the per-minute limits for the time since the last refill
+   */
+  private refill(): void {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    if (elapsed <= 0) return;
+    this.tokensUsed = Math.max(
+      0,
+      this.tokensUsed - (elapsed * this.limits.tokensPerMinute) / this.windowDurationMs
+    );
+    this.requestsUsed = Math.max(
+      0,
+      this.requestsUsed - (elapsed * this.limits.requestsPerMinute) / this.windowDurationMs
+    );
+    this.lastRefill = now;
+  }
+
+  private reserve(estimatedTokens: number, requestClass: RateLimitClass): void {
+    this.refill();
+    this.tokensUsed += estimatedTokens;
+    this.requestsUsed++;
+    adjustCount(this.inFlightByTool, requestClass.tool, 1);
+    adjustCount(this.inFlightByEndpoint, requestClass.endpoint ?? DEFAULT_ENDPOINT, 1);
+  }
+
+  private endRequest(requestClass: RateLimitClass): void {
+    adjustCount(this.inFlightByTool, requestClass.tool, -1);
+    adjustCount(this.inFlightByEndpoint, requestClass.endpoint ?? DEFAULT_ENDPOINT, -1);
+  }
+
+  private recordWait(waitMs: number): void {
+    this.waitCount++;
+    this.totalWaitMs += waitMs;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+  }
+
+  /**
+   * Whether the request's tool or endpoint already has its maximum in flight
+   */
+  private isAtConcurrencyCap(requestClass: RateLimitClass): boolean {
+    const endpointInFlight =
+      this.inFlightByEndpoint.get(requestClass.endpoint ?? DEFAULT_ENDPOINT) ?? 0;
+    return (
+      endpointInFlight >= this.options.maxConcurrent ||
+      (requestClass.maxConcurrent !== undefined &&
+        this.getInFlightCount(requestClass.tool) >= requestClass.maxConcurrent)
+    );
+  }
+
+  /**
+   * Pick the next request to admit
+   *
+   * Takes the oldest request of each class whose tool and endpoint are
+   * under their concurrency caps, then chooses between classes by smooth weighted
+   * round-robin so lower classes still get a share. Credits are only
+   * committed when the request is admitted.
+   */
+  private selectNextRequest(): { request: PendingRequest; commit: () => void } | null {
+    const heads = new Map<RequestPriority, PendingRequest>();
+    for (const request of this.pendingRequests) {
+      const { priority } = request.requestClass;
+      if (!heads.has(priority) && !this.isAtConcurrencyCap(request.requestClass)) {
+        heads.set(priority, request);
+      }
+    }
+    if (heads.size === 0) return null;
+
+    const candidates = [...heads.entries()];
+    const credits = { ...this.priorityCredits };
+    let totalWeight = 0;
+    for (const [priority] of candidates) {
+      credits[priority] += PRIORITY_WEIGHTS[priority];
+      totalWeight += PRIORITY_WEIGHTS[priority];
+    }
+    const [selected, request] = candidates.reduce((best, candidate) =>
+      credits[candidate[0]] > credits[best[0]] ? candidate : best
+    );
+    credits[selected] -= totalWeight;
+
+    return {
+      request,
+      commit: (): void => {
+        this.priorityCredits = credits;
+      },
+    };
+  }
+
+  /**
+   * Time until a request of this size fits in the buckets and the server's quota
+   */
+  private getWaitMs(estimatedTokens: number): number {
+    this.refill();
+    const { tokensPerMinute, requestsPerMinute } = this.limits;
+    const tokenExcess = this.tokensUsed + estimatedTokens - tokensPerMinute;
+    const requestExcess = this.requestsUsed + 1 - requestsPerMinute;
+    let waitMs = Math.max(
+      (tokenExcess / tokensPerMinute) * this.windowDurationMs,
+      (requestExcess / requestsPerMinute) * this.windowDurationMs,
+      0
+    );
+
+    const server = this.getServerRemaining();
+    if (
+      server.resetAt !== undefined &&
+      ((server.tokens !== undefined && estimatedTokens > server.tokens) || server.requests === 0)
+    ) {
+      waitMs = Math.max(waitMs, server.resetAt - Date.now());
+    }
+    return Math.max(1, Math.ceil(waitMs));
+  }
+
+  /**
+   * Admit queued requests while they fit, then wake up when the next one will
+   */
+  private processQueue(): void {
+    if (this.queueTimer) {
+      clearTimeout(this.queueTimer);
+      this.queueTimer = null;
+    }
+
+    let next = this.selectNextRequest();
+    while (next) {
+      const { request, commit } = next;
+      if (!this.canMakeRequest(request.estimatedTokens)) {
+        this.queueTimer = setTimeout(() => {
+          this.queueTimer = null;
+          this.processQueue();
+        }, this.getWaitMs(request.estimatedTokens));
+        return;
+      }
+
+      commit();
+      this.pendingRequests.splice(this.pendingRequests.indexOf(request), 1);
+      // Clear timeout before resolving
+      if (request.timeoutId) {
+        clearTimeout(request.timeoutId);
       }
-    } finally {
-      this.isProcessingQueue = false;
+      this.reserve(request.estimatedTokens, request.requestClass);
+      request.resolve();
+      next = this.selectNextRequest();
     }
+    // Anything still queued is waiting for a concurrency slot (freed by recordUsage or release)
+  }
+
+  private sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RequestCancelledError());
+        return;
+      }
+      const onAbort = (): void => {
+        clearTimeout(timeoutId);
+        reject(new RequestCancelledError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
+}
 
-  private sleep(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Add to a per-key counter, dropping keys that reach zero
+ */
+function adjustCount(counts: Map<string, number>, key: string, delta: number): void {
+  const count = (counts.get(key) ?? 0) + delta;
+  if (count > 0) {
+    counts.set(key, count);
+  } else {
+    counts.delete(key);
   }
 }
 
@@ -463,7 +888,7 @@ let defaultLimiterInstance: RateLimiter | null = null;
  */
 export function getDefaultRateLimiter(): RateLimiter {
   if (!defaultLimiterInstance) {
-    defaultLimiterInstance = new RateLimiter();
+    defaultLimiterInstance = new RateLimiter(undefined, getDefaultRetryPolicy());
   }
   return defaultLimiterInstance;
 }
@@ -0,0 +1,198 @@
+/**
+ * Retry Policy Service Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  RetryPolicy,
+  getDefaultRetryPolicy,
+  getDefaultRetryPolicyOptions,
+  isRetriableStatus,
+  parseRetryAfter,
+  resetDefaultRetryPolicy,
+} from './retry-policy.js';
+
+describe('RetryPolicy', () => {
+  let policy: RetryPolicy;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    policy = new RetryPolicy({
+      maxRetries: 3,
+      initialDelayMs: 1000,
+      maxDelayMs: 10_000,
+      maxElapsedMs: 30_000,
+      jitter: 0.2,
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('isRetriableStatus', () => {
+    it.each([408, 429, 500, 502, 503, 504])('should retry HTTP %i', (status) => {
+      expect(isRetriableStatus(status)).toBe(true);
+      expect(policy.isRetriable(status)).toBe(true);
+    });
+
+    it.each([400, 401, 403, 404, 422, 501])('should not retry HTTP %i', (status) => {
+      expect(isRetriableStatus(status)).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds', () => {
+      expect(parseRetryAfter('7')).toBe(7000);
+      expect(parseRetryAfter('0.5')).toBe(500);
+    });
+
+    it('should parse HTTP dates', () => {
+      const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30_000);
+    });
+
+    it.each([null, '', 'later'])('should ignore %j', (value) => {
+      expect(parseRetryAfter(value)).toBeUndefined();
+    });
+  });
+
+  describe('getDelay', () => {
+    it('should back off exponentially without jitter at the midpoint', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect([0, 1, 2, 3].map((attempt) => policy.getDelay(attempt))).toEqual([
+        1000, 2000, 4000, 8000,
+      ]);
+    });
+
+    it('should spread delays by the jitter ratio', () => {
+      vi.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.999999);
+
+      expect(policy.getDelay(0)).toBe(800);
+      expect(policy.getDelay(0)).toBe(1200);
+    });
+
+    it("should wait at least the server's Retry-After", () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(policy.getDelay(0, 5000)).toBe(5000);
+      expect(policy.getDelay(0, 100)).toBe(1000);
+    });
+
+    it('should cap delays at maxDelayMs', () => {
+      expect(policy.getDelay(10)).toBeLessThanOrEqual(10_000);
+      expect(policy.getDelay(0, 60_000)).toBe(10_000);
+    });
+  });
+
+  describe('shouldRetry', () => {
+    it('should stop after maxRetries', () => {
+      expect(policy.shouldRetry(2, 0, 1000)).toBe(true);
+      expect(policy.shouldRetry(3, 0, 1000)).toBe(false);
+    });
+
+    it('should accept a per-caller retry limit', () => {
+      expect(policy.shouldRetry(1, 0, 1000, 1)).toBe(false);
+    });
+
+    it('should stop when the next wait would pass the max elapsed time', () => {
+      expect(policy.shouldRetry(0, 25_000, 5000)).toBe(true);
+      expect(policy.shouldRetry(0, 25_000, 5001)).toBe(false);
+    });
+  });
+
+  describe('rate limit backoff', () => {
+    it('should enter backoff on a 429', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      const delay = policy.recordRateLimit(3000);
+
+      expect(delay).toBe(3000);
+      expect(policy.isBackingOff()).toBe(true);
+      expect(policy.getBackoffRemainingMs()).toBe(3000);
+      expect(policy.getRateLimitCount()).toBe(1);
+
+      vi.advanceTimersByTime(3000);
+      expect(policy.isBackingOff()).toBe(false);
+    });
+
+    it('should back off longer on consecutive 429s', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(policy.recordRateLimit()).toBe(1000);
+      expect(policy.recordRateLimit()).toBe(2000);
+      expect(policy.getCurrentDelay()).toBe(2000);
+    });
+
+    it('should clear the backoff state', () => {
+      policy.recordRateLimit(5000);
+
+      policy.clearBackoff();
+
+      expect(policy.isBackingOff()).toBe(false);
+      expect(policy.getRateLimitCount()).toBe(0);
+      expect(policy.getCurrentDelay()).toBe(1000);
+    });
+  });
+
+  describe('options', () => {
+    it('should update options at runtime', () => {
+      policy.setOptions({ maxRetries: 7 });
+
+      expect(policy.getOptions()).toMatchObject({ maxRetries: 7, initialDelayMs: 1000 });
+    });
+  });
+});
+
+describe('getDefaultRetryPolicyOptions', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should use defaults when env vars are not set', () => {
+    delete process.env.GROK_RATE_LIMIT_MAX_RETRIES;
+    delete process.env.GROK_RETRY_MAX_ELAPSED_MS;
+    delete process.env.GROK_RETRY_JITTER;
+
+    expect(getDefaultRetryPolicyOptions()).toMatchObject({
+      maxRetries: 5,
+      maxElapsedMs: 120_000,
+      jitter: 0.2,
+    });
+  });
+
+  it('should read env vars', () => {
+    process.env.GROK_RATE_LIMIT_INITIAL_DELAY_MS = '250';
+    process.env.GROK_RETRY_MAX_ELAPSED_MS = '5000';
+    process.env.GROK_RETRY_JITTER = '0';
+
+    expect(getDefaultRetryPolicyOptions()).toMatchObject({
+      initialDelayMs: 250,
+      maxElapsedMs: 5000,
+      jitter: 0,
+    });
+  });
+});
+
+describe('default retry policy', () => {
+  afterEach(() => {
+    resetDefaultRetryPolicy();
+  });
+
+  it('should return the same instance until reset', () => {
+    const policy = getDefaultRetryPolicy();
+
+    expect(getDefaultRetryPolicy()).toBe(policy);
+    resetDefaultRetryPolicy();
+    expect(getDefaultRetryPolicy()).not.toBe(policy);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Retry Policy Service
+ *
+ * One retry and backoff policy shared by the xAI client and the rate
+ * limiter: which statuses are retriable, how long to wait (exponential
+ * backoff with jitter, or the server's Retry-After if longer), and when to
+ * give up (max retries or max elapsed time).
+ *
+ * The policy also holds the server-wide rate limit backoff state. A 429
+ * seen by any request puts every tool into backoff until it expires, which
+ * grok_status reports as `rate_limited`.
+ *
+ * @module services/retry-policy
+ */
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+ */
+export const RETRIABLE_STATUS_CODES: readonly number[] = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Configuration options for the retry policy
+ */
+export interface RetryPolicyOptions {
+  /** Maximum retries per request, and consecutive 429s before failing fast (default: 5) */
+  maxRetries: number;
+  /** Delay before the first retry in ms (default: 1000) */
+  initialDelayMs: number;
+  /** Maximum delay between retries in ms (default: 60000) */
+  maxDelayMs: number;
+  /** Stop retrying once a request has taken this long, in ms (default: 120000) */
+  maxElapsedMs: number;
+  /** Random spread applied to backoff delays, 0-1 (default: 0.2 = ±20%) */
+  jitter: number;
+}
+
+/**
+ * Whether a failed request with this HTTP status should be retried
+ */
+export function isRetriableStatus(status: number): boolean {
+  return RETRIABLE_STATUS_CODES.includes(status);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ *
+ * @param value - Raw header value
+ * @param now - Current time in ms (for HTTP dates)
+ * @returns Delay in ms, or undefined if the header is missing or invalid
+ */
+export function parseRetryAfter(
+  value: string | null,
+  now: number = Date.now()
+): number | undefined {
+  const trimmed = value?.trim();
+  if (!trimmed) {
+    return undefined;
+  }
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+  const date = Date.parse(trimmed);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Default options loaded from environment variables
+ *
+ * Shares GROK_RATE_LIMIT_* with the rate limiter so both see the same values.
+ */
+export function getDefaultRetryPolicyOptions(): RetryPolicyOptions {
+  return {
+    maxRetries: parseInt(process.env.GROK_RATE_LIMIT_MAX_RETRIES || '5', 10),
+    initialDelayMs: parseInt(process.env.GROK_RATE_LIMIT_INITIAL_DELAY_MS || '1000', 10),
+    maxDelayMs: parseInt(process.env.GROK_RATE_LIMIT_MAX_DELAY_MS || '60000', 10),
+    maxElapsedMs: parseInt(process.env.GROK_RETRY_MAX_ELAPSED_MS || '120000', 10),
+    jitter: parseFloat(process.env.GROK_RETRY_JITTER || '0.2'),
+  };
+}
+
+/**
+ * Retry policy with shared rate limit backoff state
+ *
+ * @example
+ * ```typescript
+ * const policy = new RetryPolicy();
+ *
+ * // After a failed attempt
+ * if (isRetriableStatus(status)) {
+ *   const delay = status === 429 ? policy.recordRateLimit(retryAfterMs) : policy.getDelay(attempt);
+ *   if (policy.shouldRetry(attempt, Date.now() - startedAt, delay)) {
+ *     await sleep(delay);
+ *   }
+ * }
+ * ```
+ */
+export class RetryPolicy {
+  private options: RetryPolicyOptions;
+
+  // Rate limit backoff state (shared by every request using this policy)
+  private rateLimitCount: number = 0;
+  private backoffUntil: number = 0;
+  private currentDelay: number;
+
+  constructor(options?: Partial<RetryPolicyOptions>) {
+    const defaults = getDefaultRetryPolicyOptions();
+    this.options = {
+      maxRetries: options?.maxRetries ?? defaults.maxRetries,
+      initialDelayMs: options?.initialDelayMs ?? defaults.initialDelayMs,
+      maxDelayMs: options?.maxDelayMs ?? defaults.maxDelayMs,
+      maxElapsedMs: options?.maxElapsedMs ?? defaults.maxElapsedMs,
+      jitter: options?.jitter ?? defaults.jitter,
+    };
+    this.currentDelay = this.options.initialDelayMs;
+  }
+
+  /**
+   * Whether a failed request with this HTTP status should be retried
+   */
+  isRetriable(status: number): boolean {
+    return isRetriableStatus(status);
+  }
+
+  /**
+   * Delay before a retry
+   *
+   * Exponential backoff with jitter, or the server's Retry-After if that is
+   * longer, capped at maxDelayMs.
+   *
+   * @param attempt - Number of retries already made (0 for the first retry)
+   * @param retryAfterMs - Delay requested by the server, if any
+   */
+  getDelay(attempt: number, retryAfterMs?: number): number {
+    const { initialDelayMs, maxDelayMs, jitter } = this.options;
+    const backoff = Math.min(initialDelayMs * Math.pow(2, attempt), maxDelayMs);
+    const jittered = Math.round(backoff * (1 + jitter * (2 * Math.random() - 1)));
+    return Math.min(Math.max(jittered, retryAfterMs ?? 0), maxDelayMs);
+  }
+
+  /**
+   * Whether another retry is allowed
+   *
+   * @param attempt - Number of retries already made
+   * @param elapsedMs - Time since the first attempt started
+   * @param delayMs - Delay before the next retry
+   * @param maxRetries - Per-caller retry limit (default: the policy's)
+   */
+  shouldRetry(
+    attempt: number,
+    elapsedMs: number,
+    delayMs: number,
+    maxRetries: number = this.options.maxRetries
+  ): boolean {
+    return attempt < maxRetries && elapsedMs + delayMs <= this.options.maxElapsedMs;
+  }
+
+  /**
+   * Record a 429 response and enter backoff
+   *
+   * Consecutive 429s back off exponentially until clearBackoff() is called.
+   *
+   * @param retryAfterMs - Delay requested by the server, if any
+   * @returns The backoff delay in ms
+   */
+  recordRateLimit(retryAfterMs?: number): number {
+    this.currentDelay = this.getDelay(this.rateLimitCount, retryAfterMs);
+    this.rateLimitCount++;
+    this.backoffUntil = Math.max(this.backoffUntil, Date.now() + this.currentDelay);
+    return this.currentDelay;
+  }
+
+  /**
+   * Clear the backoff state (after a successful request)
+   */
+  clearBackoff(): void {
+    this.rateLimitCount = 0;
+    this.backoffUntil = 0;
+    this.currentDelay = this.options.initialDelayMs;
+  }
+
+  /**
+   * Whether requests should currently wait for a rate limit backoff
+   */
+  isBackingOff(): boolean {
+    return Date.now() < this.backoffUntil;
+  }
+
+  /**
+   * Time left in the current backoff (0 if none)
+   */
+  getBackoffRemainingMs(): number {
+    return Math.max(0, this.backoffUntil - Date.now());
+  }
+
+  /**
+   * Number of consecutive 429s since the last clearBackoff()
+   */
+  getRateLimitCount(): number {
+    return this.rateLimitCount;
+  }
+
+  /**
+   * Most recent backoff delay
+   */
+  getCurrentDelay(): number {
+    return this.currentDelay;
+  }
+
+  /**
+   * Update options at runtime
+   */
+  setOptions(options: Partial<RetryPolicyOptions>): void {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Get current options
+   */
+  getOptions(): Readonly<RetryPolicyOptions> {
+    return { ...this.options };
+  }
+}
+
+/**
+ * Singleton instance for shared use
+ */
+let defaultPolicyInstance: RetryPolicy | null = null;
+
+/**
+ * Get or create the default retry policy instance
+ */
+export function getDefaultRetryPolicy(): RetryPolicy {
+  if (!defaultPolicyInstance) {
+    defaultPolicyInstance = new RetryPolicy();
+  }
+  return defaultPolicyInstance;
+}
+
+/**
+ * Reset the default policy instance
+ */
+export function resetDefaultRetryPolicy(): void {
+  defaultPolicyInstance = null;
+}
@@ -0,0 +1,131 @@
+/**
+ * SARIF Output Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildSarifLog, getRuleId, type SarifFinding } from './sarif.js';
+
+const FINDINGS: SarifFinding[] = [
+  {
+    type: 'security',
+    severity: 'critical',
+    file: 'src/db.ts',
+    line: 12,
+    endLine: 14,
+    message: 'SQL injection',
+    suggestion: 'Use a parameterized query',
+    codeSnippet: "db.run('SELECT ' + id)",
+  },
+  { type: 'style', severity: 'low', file: 'src/db.ts', line: 3, message: 'Magic number' },
+  { type: 'Security', severity: 'medium', file: 'src/api.ts', line: 40, message: 'No rate limit' },
+];
+
+describe('SARIF output', () => {
+  describe('getRuleId', () => {
+    it.each([
+      ['security', 'grok/security'],
+      ['Code Smell', 'grok/code-smell'],
+      ['  ', 'grok/unknown'],
+    ])('should map %j to %s', (type, ruleId) => {
+      expect(getRuleId(type)).toBe(ruleId);
+    });
+  });
+
+  describe('buildSarifLog', () => {
+    it('should produce a SARIF 2.1.0 log with one run', () => {
+      const log = buildSarifLog(FINDINGS, { properties: { model: 'grok-code-fast-1' } });
+
+      expect(log.version).toBe('2.1.0');
+      expect(log.$schema).toBe('https://json.schemastore.org/sarif-2.1.0.json');
+      expect(log.runs).toHaveLength(1);
+      expect(log.runs[0].tool.driver.name).toBe('grok-mcp');
+      expect(log.runs[0].properties).toEqual({ model: 'grok-code-fast-1' });
+    });
+
+    it('should declare one rule per issue type', () => {
+      const [run] = buildSarifLog(FINDINGS).runs;
+
+      expect(run.tool.driver.rules).toEqual([
+        {
+          id: 'grok/security',
+          name: 'Security',
+          shortDescription: { text: 'Security issue found by Grok' },
+        },
+        {
+          id: 'grok/style',
+          name: 'Style',
+          shortDescription: { text: 'Style issue found by Grok' },
+        },
+      ]);
+      expect(run.results.map((result) => [result.ruleId, result.ruleIndex])).toEqual([
+        ['grok/security', 0],
+        ['grok/style', 1],
+        ['grok/security', 0],
+      ]);
+    });
+
+    it('should map severities to levels', () => {
+      const [run] = buildSarifLog([
+        ...FINDINGS,
+        { type: 'bug', severity: 'high', message: 'Off by one' },
+      ]).runs;
+
+      expect(run.results.map((result) => result.level)).toEqual([
+        'error',
+        'note',
+        'warning',
+        'error',
+      ]);
+      expect(run.results[0].properties).toEqual({ severity: 'critical' });
+    });
+
+    it('should locate findings in their file and lines', () => {
+      const [result] = buildSarifLog(FINDINGS).runs[0].results;
+
+      expect(result.locations).toEqual([
+        {
+          physicalLocation: {
+            artifactLocation: { uri: 'src/db.ts' },
+            region: { startLine: 12, endLine: 14, snippet: { text: "db.run('SELECT ' + id)" } },
+          },
+        },
+      ]);
+    });
+
+    it('should append suggestions to the message instead of giving fixes', () => {
+      const [result, withoutSuggestion] = buildSarifLog(FINDINGS).runs[0].results;
+
+      expect(result.message.text).toBe('SQL injection\n\nSuggestion: Use a parameterized query');
+      expect(result).not.toHaveProperty('fixes');
+      expect(withoutSuggestion.message.text).toBe('Magic number');
+    });
+
+    it('should describe the snippet when findings have no file', () => {
+      const [result] = buildSarifLog(
+        [{ type: 'bug', severity: 'high', line: 2, message: 'Null check', suggestion: 'Guard it' }],
+        { snippetDescription: 'Analyzed javascript code' }
+      ).runs[0].results;
+
+      expect(result.locations?.[0].physicalLocation).toEqual({
+        artifactLocation: { description: { text: 'Analyzed javascript code' } },
+        region: { startLine: 2 },
+      });
+      expect(result.message.text).toBe('Null check\n\nSuggestion: Guard it');
+    });
+
+    it('should leave out locations for findings without a file or line', () => {
+      const [result] = buildSarifLog([{ type: 'bug', severity: 'low', message: 'General' }]).runs[0]
+        .results;
+
+      expect(result.locations).toBeUndefined();
+    });
+
+    it('should merge extra result properties', () => {
+      const [result] = buildSarifLog([
+        { ...FINDINGS[1], properties: { outsideChangedLines: true } },
+      ]).runs[0].results;
+
+      expect(result.properties).toEqual({ severity: 'low', outsideChangedLines: true });
+    });
+  });
+});
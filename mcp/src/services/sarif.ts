@@ -0,0 +1,195 @@
+/**
+ * SARIF Output
+ *
+ * Converts code analysis findings into a SARIF 2.1.0 log, the format code
+ * scanning dashboards and editor problem panes import. Each issue type
+ * becomes a rule (`grok/<type>`), severities map to SARIF levels and line
+ * ranges to regions.
+ *
+ * @module services/sarif
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'grok-mcp';
+
+/**
+ * A finding to report, optionally located in a file (a CodeIssue plus its file)
+ */
+export interface SarifFinding {
+  /** Issue type, e.g. "security" (becomes the rule) */
+  type: string;
+  severity: 'low' | 'medium' | 'high' | 'critical';
+  /** Path of the file the issue is in, relative to the repository root */
+  file?: string;
+  line?: number;
+  endLine?: number;
+  message: string;
+  suggestion?: string;
+  codeSnippet?: string;
+  /** Extra result properties (e.g. where a diff finding sits in the diff) */
+  properties?: Record<string, unknown>;
+}
+
+/**
+ * SARIF result level
+ */
+export type SarifLevel = 'error' | 'warning' | 'note';
+
+/**
+ * The parts of the SARIF 2.1.0 object model this module produces
+ */
+export interface SarifLog {
+  $schema: string;
+  version: '2.1.0';
+  runs: SarifRun[];
+}
+
+export interface SarifRun {
+  tool: {
+    driver: {
+      name: string;
+      rules: SarifRule[];
+    };
+  };
+  results: SarifResult[];
+  properties?: Record<string, unknown>;
+}
+
+export interface SarifRule {
+  id: string;
+  name: string;
+  shortDescription: { text: string };
+}
+
+export interface SarifRegion {
+  startLine: number;
+  endLine?: number;
+  snippet?: { text: string };
+}
+
+export interface SarifArtifactLocation {
+  uri?: string;
+  description?: { text: string };
+}
+
+export interface SarifResult {
+  ruleId: string;
+  ruleIndex: number;
+  level: SarifLevel;
+  message: { text: string };
+  locations?: Array<{
+    physicalLocation: {
+      artifactLocation: SarifArtifactLocation;
+      region?: SarifRegion;
+    };
+  }>;
+  properties: Record<string, unknown>;
+}
+
+/**
+ * SARIF level for each severity
+ */
+export const SEVERITY_LEVELS: Record<SarifFinding['severity'], SarifLevel> = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+};
+
+/**
+ * Rule ID for an issue type, e.g. "Security" -> "grok/security"
+ */
+export function getRuleId(type: string): string {
+  const slug = type
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `grok/${slug || 'unknown'}`;
+}
+
+/**
+ * Rule for an ID, e.g. "grok/code-smell" -> name "CodeSmell"
+ */
+function createRule(ruleId: string): SarifRule {
+  const words = ruleId.slice('grok/'.length).split('-');
+  const name = words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  const text = words.join(' ');
+  return {
+    id: ruleId,
+    name,
+    shortDescription: {
+      text: `${text.charAt(0).toUpperCase()}${text.slice(1)} issue found by Grok`,
+    },
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log with one run from a list of findings
+ *
+ * Findings without a file are located by `snippetDescription` instead of a
+ * URI. Suggestions are appended to the message rather than given as SARIF
+ * fixes: Grok suggests fixes in prose, and a fix without real artifact
+ * changes would show up in tools as an action that changes nothing.
+ *
+ * @param findings - Findings to report
+ * @param options.snippetDescription - Describes the code analyzed when findings have no file
+ * @param options.properties - Run properties (e.g. model and summary)
+ */
+export function buildSarifLog(
+  findings: SarifFinding[],
+  options: { snippetDescription?: string; properties?: Record<string, unknown> } = {}
+): SarifLog {
+  const rules: SarifRule[] = [];
+  const ruleIndexes = new Map<string, number>();
+
+  const results = findings.map((finding): SarifResult => {
+    const ruleId = getRuleId(finding.type);
+    let ruleIndex = ruleIndexes.get(ruleId);
+    if (ruleIndex === undefined) {
+      ruleIndex = rules.length;
+      ruleIndexes.set(ruleId, ruleIndex);
+      rules.push(createRule(ruleId));
+    }
+
+    const artifactLocation: SarifArtifactLocation = finding.file
+      ? { uri: finding.file }
+      : { description: { text: options.snippetDescription ?? 'Analyzed code' } };
+
+    let region: SarifRegion | undefined;
+    if (finding.line !== undefined && finding.line > 0) {
+      region = { startLine: finding.line };
+      if (finding.endLine !== undefined && finding.endLine > finding.line) {
+        region.endLine = finding.endLine;
+      }
+      if (finding.codeSnippet) {
+        region.snippet = { text: finding.codeSnippet };
+      }
+    }
+
+    const message = finding.suggestion
+      ? `${finding.message}\n\nSuggestion: ${finding.suggestion}`
+      : finding.message;
+    const result: SarifResult = {
+      ruleId,
+      ruleIndex,
+      level: SEVERITY_LEVELS[finding.severity],
+      message: { text: message },
+      properties: { severity: finding.severity, ...finding.properties },
+    };
+    if (region || finding.file) {
+      result.locations = [{ physicalLocation: { artifactLocation, region } }];
+    }
+
+    return result;
+  });
+
+  const run: SarifRun = {
+    tool: { driver: { name: TOOL_NAME, rules } },
+    results,
+  };
+  if (options.properties) {
+    run.properties = options.properties;
+  }
+
+  return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
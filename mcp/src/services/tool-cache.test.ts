@@ -0,0 +1,146 @@
+/**
+ * Shared Tool Response Caching Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ResponseCache } from './cache.js';
+import { CostTracker } from './cost-tracker.js';
+import { RateLimiter } from './rate-limiter.js';
+import {
+  formatCacheBadge,
+  getTtlClassForTemperature,
+  lookupToolCache,
+  storeToolCache,
+} from './tool-cache.js';
+import type { CacheKeyRequest } from './cache-key.js';
+import type { CostEstimate, Services } from '../types/index.js';
+
+interface ToolResult {
+  answer: string;
+  cost: CostEstimate;
+}
+
+const request: CacheKeyRequest = {
+  model: 'grok-code-fast-1',
+  messages: [{ role: 'user', content: 'Review this' }],
+  temperature: 0.1,
+};
+
+const result: ToolResult = {
+  answer: 'Looks good',
+  cost: {
+    estimated_usd: 0.002,
+    input_tokens: 100,
+    output_tokens: 50,
+    model: 'grok-code-fast-1',
+    pricing: { input_per_1m: 0.2, output_per_1m: 1.5 },
+  },
+};
+
+describe('tool cache', () => {
+  let services: Services;
+
+  beforeEach(() => {
+    services = {
+      cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+      costTracker: new CostTracker({ limitUsd: 10 }),
+      rateLimiter: new RateLimiter({ tier: 'standard' }),
+    };
+  });
+
+  describe('lookupToolCache', () => {
+    it('should miss, then hit after storing', () => {
+      const miss = lookupToolCache<ToolResult>(services, 'grok_analyze_code', request);
+      expect(miss.hit).toBeNull();
+      expect(miss.key).toMatch(/^[a-f0-9]{64}$/);
+
+      storeToolCache(services, miss, result);
+
+      const hit = lookupToolCache<ToolResult>(services, 'grok_analyze_code', request);
+      expect(hit.hit?.answer).toBe('Looks good');
+      expect(hit.expiresIn).toBeGreaterThan(290);
+    });
+
+    it('should namespace keys by tool', () => {
+      const a = lookupToolCache(services, 'grok_analyze_code', request);
+      const b = lookupToolCache(services, 'grok_reason', request);
+
+      expect(a.key).not.toBe(b.key);
+    });
+
+    it('should count hits and misses under the tool name', () => {
+      storeToolCache(services, lookupToolCache(services, 'grok_reason', request), result);
+      lookupToolCache(services, 'grok_reason', request);
+
+      expect(services.cache.getStats().byTool.grok_reason).toEqual({
+        hits: 1,
+        misses: 1,
+        tokensSaved: 150,
+        costSavedUsd: 0.002,
+      });
+    });
+
+    it('should skip the cache entirely in bypass mode', () => {
+      storeToolCache(services, lookupToolCache(services, 'grok_reason', request), result);
+
+      const lookup = lookupToolCache(services, 'grok_reason', request, 'bypass');
+      expect(lookup).toEqual({ hit: null });
+    });
+
+    it('should return a key but no hit in refresh mode', () => {
+      storeToolCache(services, lookupToolCache(services, 'grok_reason', request), result);
+
+      const lookup = lookupToolCache(services, 'grok_reason', request, 'refresh');
+      expect(lookup.hit).toBeNull();
+      expect(lookup.key).toBeDefined();
+    });
+
+    it('should not produce a key when caching is disabled or unavailable', () => {
+      services.cache.setOptions({ enabled: false });
+
+      expect(lookupToolCache(services, 'grok_reason', request).key).toBeUndefined();
+      expect(lookupToolCache(undefined, 'grok_reason', request).key).toBeUndefined();
+    });
+  });
+
+  describe('storeToolCache', () => {
+    it('should store with the TTL of the given class', () => {
+      services.cache.setOptions({ searchTtlSeconds: 45 });
+      const setSpy = vi.spyOn(services.cache, 'set');
+      const lookup = lookupToolCache(services, 'grok_search_x', request);
+
+      storeToolCache(services, lookup, result, 'search');
+
+      expect(setSpy).toHaveBeenCalledWith(lookup.key, result, 45);
+    });
+
+    it('should do nothing without a key', () => {
+      const setSpy = vi.spyOn(services.cache, 'set');
+
+      storeToolCache(services, { hit: null }, result);
+
+      expect(setSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTtlClassForTemperature', () => {
+    it.each([
+      [0, 'deterministic'],
+      [0.1, 'deterministic'],
+      [0.7, 'default'],
+      [undefined, 'default'],
+    ])('should map temperature %s to %s', (temperature, ttlClass) => {
+      expect(getTtlClassForTemperature(temperature)).toBe(ttlClass);
+    });
+  });
+
+  describe('formatCacheBadge', () => {
+    it('should include remaining minutes when known', () => {
+      expect(formatCacheBadge(90)).toBe('📦 **CACHED** (2m remaining)');
+    });
+
+    it('should omit remaining time when unknown', () => {
+      expect(formatCacheBadge()).toBe('📦 **CACHED**');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Shared Tool Response Caching
+ *
+ * Lets any tool handler opt into the response cache: look up a result
+ * before checking the budget and acquiring a rate limit slot, and store
+ * the result after a successful call. Keys are namespaced by tool so
+ * different tools never share entries, and hits are counted per tool.
+ *
+ * @module services/tool-cache
+ */
+
+import type { CacheMode, Services } from '../types/index.js';
+import type { CacheableResponse, CacheTtlClass } from './cache.js';
+import type { CacheKeyRequest } from './cache-key.js';
+
+/**
+ * Temperatures at or below this are treated as deterministic and cached longer
+ */
+export const DETERMINISTIC_TEMPERATURE = 0.1;
+
+/**
+ * Result of a cache lookup
+ */
+export interface ToolCacheLookup<T extends CacheableResponse> {
+  /** Cache key, or undefined when caching does not apply (disabled or bypassed) */
+  key?: string;
+  /** Cached result on a hit */
+  hit: T | null;
+  /** Seconds until the cached result expires (hits only) */
+  expiresIn?: number;
+}
+
+/**
+ * Pick the TTL class for a chat request based on its temperature
+ */
+export function getTtlClassForTemperature(temperature?: number): CacheTtlClass {
+  return temperature !== undefined && temperature <= DETERMINISTIC_TEMPERATURE
+    ? 'deterministic'
+    : 'default';
+}
+
+/**
+ * Look up a cached tool result
+ *
+ * @param services - MCP services (caching is skipped if missing or disabled)
+ * @param tool - Tool name, used to namespace keys and for per-tool stats
+ * @param request - Request fields that determine the result
+ * @param mode - Cache behavior (default: use)
+ */
+export function lookupToolCache<T extends CacheableResponse>(
+  services: Services | undefined,
+  tool: string,
+  request: CacheKeyRequest,
+  mode: CacheMode = 'use'
+): ToolCacheLookup<T> {
+  const cache = services?.cache;
+  if (!cache?.isEnabled() || mode === 'bypass') {
+    return { hit: null };
+  }
+
+  const key = cache.generateKey({ ...request, extra: { ...request.extra, tool } });
+  if (mode === 'refresh') {
+    return { key, hit: null };
+  }
+
+  const hit = cache.get<T>(key, tool);
+  if (!hit) {
+    return { key, hit: null };
+  }
+
+  const expiresAt = cache.getExpiresAt(key);
+  const expiresIn = expiresAt
+    ? Math.max(0, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000))
+    : undefined;
+  return { key, hit, expiresIn };
+}
+
+/**
+ * Store a tool result after a successful call
+ *
+ * No-op when the lookup did not produce a key.
+ *
+ * @param services - MCP services
+ * @param lookup - Result of lookupToolCache for the same request
+ * @param result - Tool result to cache
+ * @param ttlClass - TTL class for the entry (default: 'default')
+ */
+export function storeToolCache<T extends CacheableResponse>(
+  services: Services | undefined,
+  lookup: ToolCacheLookup<T>,
+  result: T,
+  ttlClass: CacheTtlClass = 'default'
+): void {
+  const cache = services?.cache;
+  if (!cache || !lookup.key) return;
+  cache.set(lookup.key, result, cache.getTtlSeconds(ttlClass));
+}
+
+/**
+ * Format the cache badge shown on cached results
+ *
+ * @param expiresIn - Seconds until the entry expires
+ */
+export function formatCacheBadge(expiresIn?: number): string {
+  if (expiresIn !== undefined && expiresIn > 0) {
+    const mins = Math.ceil(expiresIn / 60);
+    return `📦 **CACHED** (${mins}m remaining)`;
+  }
+  return '📦 **CACHED**';
+}
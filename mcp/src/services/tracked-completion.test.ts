@@ -0,0 +1,146 @@
+/**
+ * Tracked Completion Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { server } from '../test/mocks/server.js';
+import { errorHandlers } from '../test/mocks/handlers.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from './cache.js';
+import { CostTracker } from './cost-tracker.js';
+import { startToolCall } from './cost-attribution.js';
+import { RateLimiter, type RateLimitClass } from './rate-limiter.js';
+import { getFanOutLimit, mapWithConcurrency, runTrackedCompletion } from './tracked-completion.js';
+import type { Services } from '../types/index.js';
+
+const requestClass: RateLimitClass = { tool: 'grok_compare', priority: 'interactive' };
+const params = {
+  model: 'grok-4-fast-non-reasoning',
+  messages: [{ role: 'user' as const, content: 'Hi' }],
+};
+
+function createServices(): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
+describe('runTrackedCompletion', () => {
+  let client: XAIClient;
+
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+    client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  it('should return the answer with usage and cost', async () => {
+    const result = await runTrackedCompletion(client, params, {
+      call: startToolCall('grok_compare', {}),
+      requestClass,
+    });
+
+    expect(result.content).toBe('Mock response from Grok');
+    expect(result.model).toBe('grok-4-fast-non-reasoning');
+    expect(result.usage.total_tokens).toBe(30);
+    expect(result.cost.estimated_usd).toBeGreaterThan(0);
+  });
+
+  it('should record usage and cost against the tool', async () => {
+    const services = createServices();
+    const recordSpy = vi.spyOn(services.rateLimiter, 'recordUsage');
+
+    await runTrackedCompletion(client, params, {
+      call: startToolCall('grok_compare', { tag: 'eval' }),
+      requestClass,
+      services,
+    });
+
+    expect(recordSpy).toHaveBeenCalledWith(30, expect.any(Number), requestClass);
+    expect(services.rateLimiter.getInFlightCount('grok_compare')).toBe(0);
+    const summary = services.costTracker.getUsageSummary();
+    expect(summary.byTool.grok_compare.queries).toBe(1);
+    expect(summary.byTag.eval.queries).toBe(1);
+  });
+
+  it('should release the slot when the call fails', async () => {
+    server.use(errorHandlers.unauthorized);
+    const services = createServices();
+    const releaseSpy = vi.spyOn(services.rateLimiter, 'release');
+
+    await expect(
+      runTrackedCompletion(client, params, {
+        call: startToolCall('grok_compare', {}),
+        requestClass,
+        services,
+      })
+    ).rejects.toThrow();
+
+    expect(releaseSpy).toHaveBeenCalledWith(expect.any(Number), requestClass);
+    expect(services.rateLimiter.getInFlightCount('grok_compare')).toBe(0);
+    expect(services.costTracker.getUsageSummary().queryCount).toBe(0);
+  });
+});
+
+describe('getFanOutLimit', () => {
+  const services = (): Services => ({
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard', maxConcurrent: 3 }),
+  });
+
+  it('should cap the requested concurrency at the rate limiter limit', () => {
+    expect(getFanOutLimit(requestClass, services(), 8)).toBe(3);
+    expect(getFanOutLimit(requestClass, services(), 2)).toBe(2);
+    expect(getFanOutLimit(requestClass, services())).toBe(3);
+  });
+
+  it("should respect the tool's own limit", () => {
+    expect(getFanOutLimit({ ...requestClass, maxConcurrent: 1 }, services(), 4)).toBe(1);
+  });
+
+  it('should not limit calls without a rate limiter', () => {
+    expect(getFanOutLimit(requestClass, undefined, 6)).toBe(6);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('should keep at most the limit pending and return results in order', async () => {
+    let pending = 0;
+    let maxPending = 0;
+
+    const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (delay, index) => {
+      pending++;
+      maxPending = Math.max(maxPending, pending);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      pending--;
+      return index * 10;
+    });
+
+    expect(results).toEqual([0, 10, 20, 30, 40]);
+    expect(maxPending).toBe(2);
+  });
+
+  it('should stop starting items after one fails', async () => {
+    const started: number[] = [];
+
+    await expect(
+      mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+        started.push(item);
+        if (item === 2) throw new Error('boom');
+        return item;
+      })
+    ).rejects.toThrow('boom');
+    expect(started).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tracked Chat Completions
+ *
+ * Sends one chat completion the way every tool does: holding a rate limit
+ * slot for the call, recording actual usage and cost afterwards, and
+ * releasing the slot if it fails. Used by tools that fan one request out
+ * into several calls (grok_compare, grok_consensus, grok_batch, and
+ * grok_analyze_code for large files), which check the budget for those
+ * calls themselves.
+ *
+ * @module services/tracked-completion
+ */
+
+import type { XAIClient } from '../client/xai-client.js';
+import type { ChatCompletionParams, CostEstimate, Services, TokenUsage } from '../types/index.js';
+import { getCostAttribution, type ToolCall } from './cost-attribution.js';
+import type { RateLimitClass } from './rate-limiter.js';
+
+/**
+ * Result of a tracked completion
+ */
+export interface TrackedCompletion {
+  /** Text of the first choice ('' if it had none) */
+  content: string;
+  /** Model that answered */
+  model: string;
+  usage: TokenUsage;
+  cost: CostEstimate;
+  /** Latency including any rate limit wait, in milliseconds */
+  response_time_ms: number;
+}
+
+/**
+ * Most calls of one tool call to have in flight at once
+ *
+ * Calls past the rate limiter's per-endpoint limit (or the tool's own) only
+ * wait in its queue, where they fail with QueueTimeoutError after
+ * `pendingTimeoutMs` if the calls ahead of them are slow.
+ *
+ * @param requestClass - Rate limit queue class of the calling tool
+ * @param services - Optional services; without a rate limiter there is no limit
+ * @param requested - Concurrency asked for by the caller
+ */
+export function getFanOutLimit(
+  requestClass: RateLimitClass,
+  services?: Services,
+  requested: number = Infinity
+): number {
+  const limits = [requested];
+  if (services?.rateLimiter) {
+    limits.push(services.rateLimiter.getOptions().maxConcurrent);
+    if (requestClass.maxConcurrent !== undefined) limits.push(requestClass.maxConcurrent);
+  }
+  return Math.max(1, Math.min(...limits));
+}
+
+/**
+ * Call `fn` for every item with at most `limit` calls pending at once
+ *
+ * Each worker takes the next unstarted item until none are left. Results
+ * are in item order; the first rejection rejects the whole run, and items
+ * not yet started are then never started.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: readonly T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async (): Promise<void> => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(1, limit), items.length) }, () => worker())
+  );
+  return results;
+}
+
+/**
+ * Send a chat completion through the rate limiter and cost tracker
+ *
+ * Does not check the budget; callers check the cost of their calls first.
+ *
+ * @param client - XAI client instance
+ * @param params - Completion parameters (the signal is taken from options)
+ * @param options.call - Tool call the cost is attributed to
+ * @param options.requestClass - Rate limit queue class of the calling tool
+ * @param options.services - Optional services for rate limiting and cost tracking
+ * @param options.signal - Cancels the call (including rate limit waits) when aborted
+ */
+export async function runTrackedCompletion(
+  client: XAIClient,
+  params: Omit<ChatCompletionParams, 'signal'>,
+  options: {
+    call: ToolCall;
+    requestClass: RateLimitClass;
+    services?: Services;
+    signal?: AbortSignal;
+  }
+): Promise<TrackedCompletion> {
+  const { call, requestClass, services, signal } = options;
+  const startTime = Date.now();
+  const estimatedTokens = Math.ceil(JSON.stringify(params.messages).length / 4);
+
+  if (services?.rateLimiter) {
+    await services.rateLimiter.acquire(estimatedTokens, signal, requestClass);
+  }
+
+  try {
+    const apiResponse = await client.chatCompletion({ ...params, signal });
+    const content = apiResponse.choices[0]?.message?.content;
+    const cost = client.calculateCost(
+      apiResponse.model,
+      apiResponse.usage.prompt_tokens,
+      apiResponse.usage.completion_tokens
+    );
+
+    if (services?.rateLimiter) {
+      services.rateLimiter.recordUsage(
+        apiResponse.usage.total_tokens,
+        estimatedTokens,
+        requestClass
+      );
+      services.rateLimiter.clearBackoff();
+    }
+    if (services?.costTracker) {
+      services.costTracker.addFromEstimate(cost, getCostAttribution(call));
+    }
+
+    return {
+      content: typeof content === 'string' ? content : '',
+      model: apiResponse.model,
+      usage: apiResponse.usage,
+      cost,
+      response_time_ms: Date.now() - startTime,
+    };
+  } catch (error) {
+    if (services?.rateLimiter) {
+      services.rateLimiter.release(estimatedTokens, requestClass);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Unified Diff Parsing Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DiffParseError, parseUnifiedDiff } from './unified-diff.js';
+
+const GIT_DIFF = `diff --git a/src/math.ts b/src/math.ts
+index 1111111..2222222 100644
+--- a/src/math.ts
++++ b/src/math.ts
+@@ -10,6 +10,7 @@ export function add(a: number, b: number): number {
+   const x = a;
+   const y = b;
+-  return x + y;
++  const sum = x + y;
++  return sum;
+ }
+
+ export function sub(a: number, b: number): number {
+@@ -40,3 +41,3 @@ export function mul(a: number, b: number): number {
+   const x = a;
+-  return x * b;
++  return a * b;
+ }
+`;
+
+describe('parseUnifiedDiff', () => {
+  it('should number hunk lines on both sides', () => {
+    const [file] = parseUnifiedDiff(GIT_DIFF);
+
+    expect(file).toMatchObject({
+      oldPath: 'src/math.ts',
+      newPath: 'src/math.ts',
+      path: 'src/math.ts',
+      status: 'modified',
+      additions: 3,
+      deletions: 2,
+    });
+    expect(file.hunks).toHaveLength(2);
+    expect(file.hunks[0].section).toBe('export function add(a: number, b: number): number {');
+    expect(file.hunks[0].lines.slice(2, 5)).toEqual([
+      { kind: 'removed', content: '  return x + y;', oldLine: 12 },
+      { kind: 'added', content: '  const sum = x + y;', newLine: 12 },
+      { kind: 'added', content: '  return sum;', newLine: 13 },
+    ]);
+    expect(file.hunks[0].lines[5]).toEqual({
+      kind: 'context',
+      content: '}',
+      oldLine: 13,
+      newLine: 14,
+    });
+    expect(file.hunks[1].lines[2]).toEqual({
+      kind: 'added',
+      content: '  return a * b;',
+      newLine: 42,
+    });
+  });
+
+  it('should treat an empty line in a hunk as blank context', () => {
+    const [file] = parseUnifiedDiff(GIT_DIFF);
+
+    expect(file.hunks[0].lines[6]).toEqual({
+      kind: 'context',
+      content: '',
+      oldLine: 14,
+      newLine: 15,
+    });
+  });
+
+  it('should detect added, deleted and renamed files', () => {
+    const files = parseUnifiedDiff(`diff --git a/new.ts b/new.ts
+new file mode 100644
+--- /dev/null
++++ b/new.ts
+@@ -0,0 +1,2 @@
++export const a = 1;
++export const b = 2;
+diff --git a/old.ts b/old.ts
+deleted file mode 100644
+--- a/old.ts
++++ /dev/null
+@@ -1 +0,0 @@
+-export const c = 3;
+diff --git a/lib/a.ts b/lib/b.ts
+similarity index 100%
+rename from lib/a.ts
+rename to lib/b.ts
+`);
+
+    expect(files.map((file) => [file.path, file.status])).toEqual([
+      ['new.ts', 'added'],
+      ['old.ts', 'deleted'],
+      ['lib/b.ts', 'renamed'],
+    ]);
+    expect(files[0].hunks[0].lines[1].newLine).toBe(2);
+    expect(files[1].hunks[0].lines[0]).toEqual({
+      kind: 'removed',
+      content: 'export const c = 3;',
+      oldLine: 1,
+    });
+    expect(files[2].oldPath).toBe('lib/a.ts');
+    expect(files[2].hunks).toHaveLength(0);
+  });
+
+  it('should read paths that contain spaces', () => {
+    const files = parseUnifiedDiff(`diff --git a/docs/my notes.md b/docs/my notes.md
+index 1111111..2222222 100644
+--- a/docs/my notes.md
++++ b/docs/my notes.md
+@@ -1 +1 @@
+-old
++new
+diff --git a/old name.ts b/lib/new name.ts
+similarity index 100%
+rename from old name.ts
+rename to lib/new name.ts
+diff --git a/assets/a b.png b/assets/a b.png
+index 1111111..2222222 100644
+Binary files a/assets/a b.png and b/assets/a b.png differ
+`);
+
+    expect(files.map((file) => [file.oldPath, file.newPath, file.status])).toEqual([
+      ['docs/my notes.md', 'docs/my notes.md', 'modified'],
+      ['old name.ts', 'lib/new name.ts', 'renamed'],
+      ['assets/a b.png', 'assets/a b.png', 'modified'],
+    ]);
+  });
+
+  it('should parse diff -u output without git headers', () => {
+    const files = parseUnifiedDiff(`--- a.txt\t2024-01-01 10:00:00.000000000 +0000
++++ a.txt\t2024-01-02 10:00:00.000000000 +0000
+@@ -1 +1 @@
+-one
++uno
+--- b.txt\t2024-01-01 10:00:00.000000000 +0000
++++ b.txt\t2024-01-02 10:00:00.000000000 +0000
+@@ -5,2 +5,2 @@
+ two
+-three
++tres
+`);
+
+    expect(files.map((file) => file.path)).toEqual(['a.txt', 'b.txt']);
+    expect(files[1].hunks[0].lines[2]).toEqual({ kind: 'added', content: 'tres', newLine: 6 });
+  });
+
+  it('should keep removed lines that look like file headers in their hunk', () => {
+    const [file] = parseUnifiedDiff(`--- a/notes.md
++++ b/notes.md
+@@ -1,3 +1,2 @@
+ # Notes
+--- old separator
++++ new separator
+`);
+
+    expect(file.hunks[0].lines.map((line) => line.kind)).toEqual(['context', 'removed', 'added']);
+    expect(file.hunks[0].lines[1].content).toBe('-- old separator');
+  });
+
+  it('should skip "No newline at end of file" markers', () => {
+    const [file] = parseUnifiedDiff(`--- a/a.txt
++++ b/a.txt
+@@ -1 +1 @@
+-old
+\\ No newline at end of file
++new
+\\ No newline at end of file
+`);
+
+    expect(file.hunks[0].lines).toEqual([
+      { kind: 'removed', content: 'old', oldLine: 1 },
+      { kind: 'added', content: 'new', newLine: 1 },
+    ]);
+  });
+
+  it('should flag binary files', () => {
+    const [file] = parseUnifiedDiff(`diff --git a/logo.png b/logo.png
+index 1111111..2222222 100644
+Binary files a/logo.png and b/logo.png differ
+`);
+
+    expect(file).toMatchObject({ path: 'logo.png', binary: true, hunks: [] });
+  });
+
+  it('should keep the lines of a truncated hunk', () => {
+    const [file] = parseUnifiedDiff(`--- a/a.txt
++++ b/a.txt
+@@ -1,10 +1,10 @@
+ one
+-two
++dos`);
+
+    expect(file.hunks[0].lines).toHaveLength(3);
+    expect(file.additions).toBe(1);
+  });
+
+  it('should accept CRLF line endings', () => {
+    const [file] = parseUnifiedDiff('--- a/a.txt\r\n+++ b/a.txt\r\n@@ -1 +1 @@\r\n-a\r\n+b\r\n');
+
+    expect(file.hunks[0].lines[1]).toEqual({ kind: 'added', content: 'b', newLine: 1 });
+  });
+
+  it('should return no files for text that is not a diff', () => {
+    expect(parseUnifiedDiff('just some text')).toEqual([]);
+  });
+
+  it('should reject a hunk without a file header', () => {
+    expect(() => parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b')).toThrow(DiffParseError);
+    expect(() => parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b')).toThrow('diff line 1');
+  });
+});
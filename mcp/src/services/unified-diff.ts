@@ -0,0 +1,261 @@
+/**
+ * Unified Diff Parsing
+ *
+ * Parses unified diff text (`git diff`, `git format-patch`, `diff -u`) into
+ * files and hunks, numbering every hunk line with its position in the old
+ * and new file. Handles /dev/null sides, renames, `a/` and `b/` prefixes,
+ * binary files and "\ No newline at end of file" markers.
+ *
+ * @module services/unified-diff
+ */
+
+/**
+ * What a hunk line does
+ */
+export type DiffLineKind = 'context' | 'added' | 'removed';
+
+/**
+ * One line of a hunk
+ */
+export interface DiffLine {
+  kind: DiffLineKind;
+  /** Line text without the leading marker */
+  content: string;
+  /** Line number in the old file (context and removed lines) */
+  oldLine?: number;
+  /** Line number in the new file (context and added lines) */
+  newLine?: number;
+}
+
+/**
+ * One `@@ ... @@` hunk
+ */
+export interface DiffHunk {
+  oldStart: number;
+  oldLines: number;
+  newStart: number;
+  newLines: number;
+  /** Text after the closing `@@`, usually the enclosing function */
+  section: string;
+  lines: DiffLine[];
+}
+
+/**
+ * How a file changed
+ */
+export type DiffFileStatus = 'added' | 'deleted' | 'modified' | 'renamed';
+
+/**
+ * One file in the diff
+ */
+export interface DiffFile {
+  /** Path before the change (null for added files) */
+  oldPath: string | null;
+  /** Path after the change (null for deleted files) */
+  newPath: string | null;
+  /** Path to report the file under: the new path, or the old one if deleted */
+  path: string;
+  status: DiffFileStatus;
+  /** Whether the diff only says the binary contents differ */
+  binary: boolean;
+  hunks: DiffHunk[];
+  additions: number;
+  deletions: number;
+}
+
+/**
+ * Error thrown when diff text cannot be parsed
+ */
+export class DiffParseError extends Error {
+  constructor(
+    message: string,
+    public lineNumber?: number
+  ) {
+    super(lineNumber !== undefined ? `${message} (diff line ${lineNumber})` : message);
+    this.name = 'DiffParseError';
+  }
+}
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+const GIT_HEADER = /^diff --git (?:"?a\/)?(.+?)"? (?:"?b\/)?(.+?)"?$/;
+
+/**
+ * Path from a `---`/`+++` header, or null for /dev/null
+ *
+ * Drops the timestamp `diff -u` appends after a tab, surrounding quotes and
+ * the `a/` or `b/` prefix git adds.
+ */
+function parseHeaderPath(raw: string, prefix: 'a/' | 'b/'): string | null {
+  let path = raw.split('\t')[0].trim();
+  if (path.startsWith('"') && path.endsWith('"') && path.length > 1) {
+    path = path.slice(1, -1);
+  }
+  if (path === '/dev/null') return null;
+  return path.startsWith(prefix) ? path.slice(prefix.length) : path;
+}
+
+/**
+ * Old and new paths from a `diff --git` line
+ *
+ * The line is ambiguous when paths contain spaces, so these are only a
+ * fallback: the `---`/`+++` and `rename from`/`rename to` lines that follow
+ * replace them. Without those (binary files, mode changes) both paths are
+ * the same, which is the one split that is certain.
+ */
+function parseGitHeader(line: string): [string | null, string | null] {
+  const rest = line.slice('diff --git '.length);
+  const half = (rest.length - 1) / 2;
+  if (Number.isInteger(half) && rest.charAt(half) === ' ') {
+    const oldPath = parseHeaderPath(rest.slice(0, half), 'a/');
+    const newPath = parseHeaderPath(rest.slice(half + 1), 'b/');
+    if (oldPath !== null && oldPath === newPath) return [oldPath, newPath];
+  }
+  const match = line.match(GIT_HEADER);
+  return [match?.[1] ?? null, match?.[2] ?? null];
+}
+
+/**
+ * Fill in the fields derived from the paths and hunks
+ */
+function finishFile(file: DiffFile): DiffFile {
+  file.path = file.newPath ?? file.oldPath ?? 'unknown';
+  if (file.oldPath === null) {
+    file.status = 'added';
+  } else if (file.newPath === null) {
+    file.status = 'deleted';
+  } else if (file.oldPath !== file.newPath) {
+    file.status = 'renamed';
+  } else {
+    file.status = 'modified';
+  }
+  for (const hunk of file.hunks) {
+    for (const line of hunk.lines) {
+      if (line.kind === 'added') file.additions++;
+      if (line.kind === 'removed') file.deletions++;
+    }
+  }
+  return file;
+}
+
+/**
+ * Parse unified diff text into files and hunks
+ *
+ * Hunk bodies are read by the line counts in their `@@` headers, so lines
+ * that look like headers (`--- x` removed from a file) stay in their hunk.
+ * A hunk cut short (e.g. a truncated paste) keeps the lines it has.
+ *
+ * @param diff - Unified diff text
+ * @returns Files in the order they appear (empty if the text has no file headers)
+ * @throws DiffParseError if a hunk appears before any file header
+ */
+export function parseUnifiedDiff(diff: string): DiffFile[] {
+  const lines = diff.replace(/\r\n/g, '\n').split('\n');
+  const files: DiffFile[] = [];
+  let current: DiffFile | undefined;
+  let hasPathHeaders = false;
+
+  const startFile = (oldPath: string | null, newPath: string | null): DiffFile => {
+    current = {
+      oldPath,
+      newPath,
+      path: '',
+      status: 'modified',
+      binary: false,
+      hunks: [],
+      additions: 0,
+      deletions: 0,
+    };
+    hasPathHeaders = false;
+    files.push(current);
+    return current;
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git ')) {
+      startFile(...parseGitHeader(line));
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // Without `diff --git` lines, each ---/+++ pair starts the next file
+      const file =
+        current && !hasPathHeaders && current.hunks.length === 0 ? current : startFile(null, null);
+      file.oldPath = parseHeaderPath(line.slice(4), 'a/');
+      file.newPath = parseHeaderPath(lines[i + 1].slice(4), 'b/');
+      hasPathHeaders = true;
+      i += 2;
+      continue;
+    }
+
+    const hunkMatch = line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      if (!current) {
+        throw new DiffParseError('Hunk found before any file header', i + 1);
+      }
+      const hunk: DiffHunk = {
+        oldStart: Number(hunkMatch[1]),
+        oldLines: hunkMatch[2] !== undefined ? Number(hunkMatch[2]) : 1,
+        newStart: Number(hunkMatch[3]),
+        newLines: hunkMatch[4] !== undefined ? Number(hunkMatch[4]) : 1,
+        section: hunkMatch[5].trim(),
+        lines: [],
+      };
+      current.hunks.push(hunk);
+      i++;
+
+      let oldLine = hunk.oldStart;
+      let newLine = hunk.newStart;
+      let oldRemaining = hunk.oldLines;
+      let newRemaining = hunk.newLines;
+      while (i < lines.length && (oldRemaining > 0 || newRemaining > 0)) {
+        const body = lines[i];
+        const marker = body.charAt(0);
+        if (marker === '\\') {
+          i++;
+          continue;
+        }
+        // Some tools strip the trailing space from blank context lines
+        if (marker === ' ' || (body === '' && oldRemaining > 0 && newRemaining > 0)) {
+          hunk.lines.push({ kind: 'context', content: body.slice(1), oldLine, newLine });
+          oldLine++;
+          newLine++;
+          oldRemaining--;
+          newRemaining--;
+        } else if (marker === '+' && newRemaining > 0) {
+          hunk.lines.push({ kind: 'added', content: body.slice(1), newLine });
+          newLine++;
+          newRemaining--;
+        } else if (marker === '-' && oldRemaining > 0) {
+          hunk.lines.push({ kind: 'removed', content: body.slice(1), oldLine });
+          oldLine++;
+          oldRemaining--;
+        } else {
+          break;
+        }
+        i++;
+      }
+      continue;
+    }
+
+    if (current) {
+      if (line.startsWith('new file mode')) {
+        current.oldPath = null;
+      } else if (line.startsWith('deleted file mode')) {
+        current.newPath = null;
+      } else if (line.startsWith('rename from ')) {
+        current.oldPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        current.newPath = line.slice('rename to '.length);
+      } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+        current.binary = true;
+      }
+    }
+    i++;
+  }
+
+  return files.map(finishFile);
+}
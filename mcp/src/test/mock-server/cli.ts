@@ -0,0 +1,60 @@
+/**
+ * Mock xAI API Server - Command Line Entry
+ *
+ * Usage: npm run mock-server -- [options]
+ *
+ *   --port <n>          Port to listen on (default: 4010)
+ *   --host <host>       Host to bind (default: 127.0.0.1)
+ *   --latency <ms>      Delay before every response
+ *   --chunk-delay <ms>  Delay between SSE chunks
+ *   --fault <spec>      Scripted fault, repeatable: type[:times][@endpoint]
+ *                       e.g. rate_limit:2@/chat/completions, server_error, malformed_chunk
+ *   --retry-after <s>   Retry-After seconds for rate_limit faults (default: 1)
+ *   --api-key <key>     Only accept this API key (default: any "xai-" key)
+ *
+ * Faults can also be added while running: POST /__mock/faults with
+ * `{ "faults": [{ "type": "server_error", "status": 503, "times": 2 }] }`.
+ *
+ * @module test/mock-server/cli
+ */
+
+import { parseArgs } from 'util';
+import { parseFaultSpec, startMockXAIServer } from './server.js';
+
+async function main(): Promise<void> {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '4010' },
+      host: { type: 'string', default: '127.0.0.1' },
+      latency: { type: 'string', default: '0' },
+      'chunk-delay': { type: 'string', default: '0' },
+      fault: { type: 'string', multiple: true, default: [] },
+      'retry-after': { type: 'string' },
+      'api-key': { type: 'string' },
+    },
+  });
+
+  const retryAfter = values['retry-after'] ? parseInt(values['retry-after'], 10) : undefined;
+  const server = await startMockXAIServer({
+    port: parseInt(values.port, 10),
+    host: values.host,
+    latencyMs: parseInt(values.latency, 10),
+    chunkDelayMs: parseInt(values['chunk-delay'], 10),
+    faults: values.fault.map((spec) => parseFaultSpec(spec, retryAfter)),
+    apiKey: values['api-key'],
+  });
+
+  console.error(`[mock-xai] Listening on ${server.url}`);
+  console.error(`[mock-xai] Run the MCP server with XAI_BASE_URL=${server.url}`);
+
+  const shutdown = (): void => {
+    server.close().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error: unknown) => {
+  console.error(`[mock-xai] ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
@@ -0,0 +1,276 @@
+/**
+ * Mock xAI API Server Tests
+ *
+ * Exercises the mock server over real HTTP with the real XAIClient.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { http, passthrough } from 'msw';
+import { server as mswServer } from '../mocks/server.js';
+import { XAIClient } from '../../client/xai-client.js';
+import { XAIError, extractAgentResponseText } from '../../types/index.js';
+import {
+  MOCK_CHAT_CONTENT,
+  MOCK_CODE_OUTPUT,
+  parseFaultSpec,
+  startMockXAIServer,
+  type MockServerOptions,
+  type MockXAIServer,
+} from './server.js';
+
+const API_KEY = 'xai-mock-server-test-key';
+const messages = [{ role: 'user' as const, content: 'Hello mock' }];
+
+describe('mock xAI server', () => {
+  let mock: MockXAIServer;
+  let client: XAIClient;
+
+  async function start(options: MockServerOptions = {}): Promise<void> {
+    mock = await startMockXAIServer(options);
+    client = new XAIClient({ apiKey: API_KEY, baseUrl: mock.url, maxRetries: 0 });
+    // Let requests to the local server through msw
+    mswServer.use(http.all(`${mock.url.replace('/v1', '')}/*`, () => passthrough()));
+  }
+
+  beforeEach(async () => {
+    await start();
+  });
+
+  afterEach(async () => {
+    await mock.close();
+  });
+
+  describe('/v1/chat/completions', () => {
+    it('should answer chat completions', async () => {
+      const response = await client.chatCompletion({ model: 'fast', messages });
+
+      expect(response.model).toBe('grok-4-fast-non-reasoning');
+      expect(response.choices[0].message.content).toBe(MOCK_CHAT_CONTENT);
+      expect(response.usage.prompt_tokens).toBe(3);
+      expect(mock.requests).toHaveLength(1);
+      expect(mock.requests[0]).toMatchObject({ method: 'POST', endpoint: '/chat/completions' });
+    });
+
+    it('should stream answers as SSE chunks', async () => {
+      const contents: string[] = [];
+      let finishReason: string | null = null;
+      for await (const chunk of client.chatCompletionStream({ model: 'fast', messages })) {
+        contents.push(chunk.choices[0].delta.content ?? '');
+        finishReason = chunk.choices[0].finish_reason ?? finishReason;
+      }
+
+      expect(contents.length).toBeGreaterThan(2);
+      expect(contents.join('')).toBe(MOCK_CHAT_CONTENT);
+      expect(finishReason).toBe('stop');
+    });
+
+    it('should return JSON when a response format is requested', async () => {
+      const response = await client.chatCompletion({
+        model: 'fast',
+        messages,
+        response_format: { type: 'json_object' },
+      });
+
+      expect(JSON.parse(response.choices[0].message.content as string)).toEqual({
+        response: MOCK_CHAT_CONTENT,
+      });
+    });
+
+    it('should call the first offered function', async () => {
+      const response = await client.chatCompletion({
+        model: 'fast',
+        messages,
+        tools: [{ type: 'function', function: { name: 'get_weather' } }],
+      });
+
+      expect(response.choices[0].finish_reason).toBe('tool_calls');
+      expect(response.choices[0].message.tool_calls?.[0].function).toEqual({
+        name: 'get_weather',
+        arguments: '{}',
+      });
+    });
+
+    it('should answer in text after function results', async () => {
+      const response = await client.chatCompletion({
+        model: 'fast',
+        messages: [...messages, { role: 'tool', content: '{"temp":20}', tool_call_id: 'call_1' }],
+        tools: [{ type: 'function', function: { name: 'get_weather' } }],
+      });
+
+      expect(response.choices[0].message.content).toBe(MOCK_CHAT_CONTENT);
+    });
+  });
+
+  describe('/v1/responses', () => {
+    it('should return code_interpreter outputs', async () => {
+      const response = await client.responsesCreate({
+        model: 'grok-4-1-fast',
+        input: [{ role: 'user', content: 'print(1)' }],
+        tools: [{ type: 'code_interpreter' }],
+      });
+
+      expect(response.output?.[0]).toMatchObject({
+        type: 'code_interpreter_call',
+        code: 'print(1)',
+        outputs: [{ type: 'logs', logs: `${MOCK_CODE_OUTPUT}\n` }],
+      });
+      expect(extractAgentResponseText(response.output)).toContain(MOCK_CODE_OUTPUT);
+      expect(response.server_side_tool_usage.SERVER_SIDE_TOOL_CODE_EXECUTION).toBe(1);
+    });
+
+    it('should return citations for searches', async () => {
+      const response = await client.responsesCreate({
+        model: 'grok-4-1-fast',
+        input: [{ role: 'user', content: 'news' }],
+        tools: [{ type: 'web_search' }, { type: 'x_search' }],
+        include: ['inline_citations'],
+      });
+
+      expect(response.citations.map((citation) => citation.type)).toEqual(['web', 'x_post']);
+      expect(response.inline_citations).toHaveLength(2);
+      expect(extractAgentResponseText(response.output)).toBe(MOCK_CHAT_CONTENT);
+      expect(response.usage.total_tokens).toBeGreaterThan(0);
+    });
+  });
+
+  describe('/v1/images/generations and /v1/models', () => {
+    it('should generate image URLs', async () => {
+      const response = await client.generateImage({ model: 'image', prompt: 'a cat', n: 2 });
+
+      expect(response.data).toHaveLength(2);
+      expect(response.data[0].revised_prompt).toBe('Mock image: a cat');
+    });
+
+    it('should generate base64 images', async () => {
+      const response = await client.generateImage({
+        model: 'image',
+        prompt: 'a cat',
+        response_format: 'b64_json',
+      });
+
+      expect(Buffer.from(response.data[0].b64_json!, 'base64').toString()).toBe('mock image 1');
+    });
+
+    it('should list models', async () => {
+      const response = await client.listModels();
+
+      expect(response.data.map((model) => model.id)).toContain('grok-4-fast-non-reasoning');
+    });
+  });
+
+  describe('authentication', () => {
+    it('should reject requests without a valid API key', async () => {
+      const response = await fetch(`${mock.url}/models`, {
+        headers: { Authorization: 'Bearer not-a-key' },
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should only accept the configured API key', async () => {
+      await mock.close();
+      await start({ apiKey: 'xai-only-this-key' });
+
+      await expect(client.listModels()).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('faults', () => {
+    it('should return 429 with Retry-After', async () => {
+      mock.addFaults([{ type: 'rate_limit', retryAfter: 7 }]);
+
+      const response = await fetch(`${mock.url}/models`, {
+        headers: { Authorization: `Bearer ${API_KEY}` },
+      });
+
+      expect(response.status).toBe(429);
+      expect(response.headers.get('Retry-After')).toBe('7');
+      expect(mock.requests[0].fault).toBe('rate_limit');
+    });
+
+    it('should apply faults the given number of times', async () => {
+      mock.addFaults([{ type: 'server_error', status: 503, times: 2 }]);
+
+      await expect(client.listModels(true)).rejects.toMatchObject({ statusCode: 503 });
+      await expect(client.listModels(true)).rejects.toMatchObject({ statusCode: 503 });
+      await expect(client.listModels(true)).resolves.toBeDefined();
+    });
+
+    it('should only apply faults to their endpoint', async () => {
+      mock.addFaults([{ type: 'server_error', endpoint: '/chat/completions' }]);
+
+      await expect(client.listModels()).resolves.toBeDefined();
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toBeInstanceOf(
+        XAIError
+      );
+    });
+
+    it('should inject a malformed chunk into streams', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation((): void => {});
+      mock.addFaults([{ type: 'malformed_chunk' }]);
+
+      let content = '';
+      for await (const chunk of client.chatCompletionStream({ model: 'fast', messages })) {
+        content += chunk.choices[0].delta.content ?? '';
+      }
+
+      expect(content).toBe(MOCK_CHAT_CONTENT);
+      expect(consoleSpy).toHaveBeenCalledWith('[XAI] Malformed SSE chunk, skipping');
+      consoleSpy.mockRestore();
+    });
+
+    it('should truncate non-streaming bodies for malformed faults', async () => {
+      mock.addFaults([{ type: 'malformed_chunk' }]);
+
+      await expect(client.chatCompletion({ model: 'fast', messages })).rejects.toThrow(
+        'Invalid JSON response from xAI API'
+      );
+    });
+
+    it('should add latency', async () => {
+      mock.addFaults([{ type: 'latency', delayMs: 60 }]);
+
+      const start = Date.now();
+      await client.listModels();
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(50);
+    });
+  });
+
+  describe('control endpoints', () => {
+    it('should add faults and list requests over HTTP', async () => {
+      const base = mock.url.replace('/v1', '');
+      await fetch(`${base}/__mock/faults`, {
+        method: 'POST',
+        body: JSON.stringify({ faults: [{ type: 'server_error', status: 502 }] }),
+      });
+
+      await expect(client.listModels()).rejects.toMatchObject({ statusCode: 502 });
+      const log = (await (await fetch(`${base}/__mock/requests`)).json()) as {
+        requests: Array<{ endpoint: string; fault?: string }>;
+      };
+      expect(log.requests).toEqual([
+        expect.objectContaining({ endpoint: '/models', fault: 'server_error' }),
+      ]);
+
+      await fetch(`${base}/__mock/reset`, { method: 'POST' });
+      expect(mock.requests).toEqual([]);
+    });
+  });
+
+  describe('parseFaultSpec', () => {
+    it('should parse type, count and endpoint', () => {
+      expect(parseFaultSpec('rate_limit:3@/chat/completions', 2)).toEqual({
+        type: 'rate_limit',
+        times: 3,
+        endpoint: '/chat/completions',
+        retryAfter: 2,
+      });
+      expect(parseFaultSpec('server_error')).toMatchObject({ type: 'server_error', times: 1 });
+    });
+
+    it('should reject unknown faults', () => {
+      expect(() => parseFaultSpec('timeout')).toThrow('Invalid fault "timeout"');
+    });
+  });
+});
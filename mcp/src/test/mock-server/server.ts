@@ -0,0 +1,581 @@
+/**
+ * Mock xAI API Server
+ *
+ * A real HTTP server that imitates the xAI API, for end-to-end runs of the
+ * built MCP server (`dist/index.js`) without network access or cost. Point
+ * the MCP server at it with `XAI_BASE_URL=<server.url>`.
+ *
+ * Implements `/v1/chat/completions` (including SSE streaming and function
+ * calls), `/v1/responses` (citations and code_interpreter outputs),
+ * `/v1/images/generations` and `/v1/models`. Faults (rate limits, server
+ * errors, malformed chunks, extra latency) can be scripted at startup or at
+ * runtime through the `/__mock/*` control endpoints.
+ *
+ * @module test/mock-server/server
+ */
+
+import { createServer, type IncomingMessage, type ServerResponse } from 'http';
+import type { AddressInfo } from 'net';
+import { MODEL_PRICING } from '../../types/index.js';
+
+/**
+ * Kinds of scripted faults
+ *
+ * - `rate_limit`: 429 with a Retry-After header
+ * - `server_error`: 5xx error response
+ * - `malformed_chunk`: an invalid JSON SSE chunk mid-stream, or a truncated
+ *   JSON body for non-streaming requests
+ * - `latency`: extra delay before responding
+ */
+export type MockFaultType = 'rate_limit' | 'server_error' | 'malformed_chunk' | 'latency';
+
+/**
+ * A scripted fault, applied to the next matching request(s)
+ */
+export interface MockFault {
+  type: MockFaultType;
+  /** Only affect this endpoint, e.g. `/chat/completions` (default: all endpoints) */
+  endpoint?: string;
+  /** Number of requests affected (default: 1) */
+  times?: number;
+  /** rate_limit: Retry-After value in seconds (default: 1) */
+  retryAfter?: number;
+  /** server_error: HTTP status (default: 500) */
+  status?: number;
+  /** latency: delay in milliseconds (default: 1000) */
+  delayMs?: number;
+}
+
+/**
+ * Mock server options
+ */
+export interface MockServerOptions {
+  /** Port to listen on (default: 0, any free port) */
+  port?: number;
+  /** Host to bind (default: 127.0.0.1) */
+  host?: string;
+  /** Delay before every response in milliseconds (default: 0) */
+  latencyMs?: number;
+  /** Delay between SSE chunks in milliseconds (default: 0) */
+  chunkDelayMs?: number;
+  /** Faults to apply from the first request */
+  faults?: MockFault[];
+  /** Accepted API key (default: any key starting with "xai-") */
+  apiKey?: string;
+}
+
+/**
+ * A request received by the mock server
+ */
+export interface MockRequestLog {
+  method: string;
+  /** Path without the /v1 prefix, e.g. /chat/completions */
+  endpoint: string;
+  body?: unknown;
+  /** Fault applied to this request, if any */
+  fault?: MockFaultType;
+  timestamp: number;
+}
+
+/**
+ * A running mock server
+ */
+export interface MockXAIServer {
+  /** Base URL to use as XAI_BASE_URL (includes /v1) */
+  url: string;
+  /** Port the server is listening on */
+  port: number;
+  /** Requests received so far (control endpoints excluded) */
+  readonly requests: MockRequestLog[];
+  /** Queue more faults */
+  addFaults(faults: MockFault[]): void;
+  /** Clear faults and the request log */
+  reset(): void;
+  /** Stop the server */
+  close(): Promise<void>;
+}
+
+interface ChatRequestBody {
+  model?: string;
+  messages?: Array<{ role: string; content: unknown }>;
+  stream?: boolean;
+  tools?: Array<{ type: string; function: { name: string } }>;
+  tool_choice?: string | { type: string; function: { name: string } };
+  response_format?: { type: string };
+}
+
+interface ResponsesRequestBody {
+  model?: string;
+  input?: Array<{ role: string; content: string }>;
+  tools?: Array<{ type: string }>;
+  include?: string[];
+}
+
+interface ImagesRequestBody {
+  model?: string;
+  prompt?: string;
+  n?: number;
+  response_format?: 'url' | 'b64_json';
+}
+
+/**
+ * Text returned by chat completions
+ */
+export const MOCK_CHAT_CONTENT = 'Mock response from Grok';
+
+/**
+ * stdout reported for code_interpreter calls
+ */
+export const MOCK_CODE_OUTPUT = 'mock output';
+
+const API_PREFIX = '/v1';
+const CONTROL_PREFIX = '/__mock';
+
+/**
+ * Approximate token count (~4 characters per token)
+ */
+function countTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function sendJson(
+  res: ServerResponse,
+  status: number,
+  body: unknown,
+  headers: Record<string, string> = {}
+): void {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(
+  res: ServerResponse,
+  status: number,
+  message: string,
+  headers: Record<string, string> = {}
+): void {
+  sendJson(res, status, { error: { message } }, headers);
+}
+
+async function readBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    chunks.push(chunk as Buffer);
+  }
+  const text = Buffer.concat(chunks).toString('utf-8');
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Text of the messages sent in a chat request (for usage counts)
+ */
+function promptText(messages: ChatRequestBody['messages']): string {
+  return (messages ?? [])
+    .map((message) =>
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    )
+    .join('\n');
+}
+
+/**
+ * Function the mock "chooses" to call, if the request offers tools
+ */
+function chooseFunction(body: ChatRequestBody): string | undefined {
+  if (!body.tools?.length || body.tool_choice === 'none') return undefined;
+  // Answer in text once function results have been sent back
+  if (body.messages?.at(-1)?.role === 'tool') return undefined;
+  if (typeof body.tool_choice === 'object') return body.tool_choice.function.name;
+  return body.tools[0].function.name;
+}
+
+function chatContent(body: ChatRequestBody): string {
+  return body.response_format ? JSON.stringify({ response: MOCK_CHAT_CONTENT }) : MOCK_CHAT_CONTENT;
+}
+
+/**
+ * Supported fault types
+ */
+export const MOCK_FAULT_TYPES: MockFaultType[] = [
+  'rate_limit',
+  'server_error',
+  'malformed_chunk',
+  'latency',
+];
+
+/**
+ * Parse a `type[:times][@endpoint]` fault spec
+ *
+ * @throws Error if the spec is invalid
+ */
+export function parseFaultSpec(spec: string, retryAfter?: number): MockFault {
+  const match = spec.match(/^([a-z_]+)(?::(\d+))?(?:@(\/\S+))?$/);
+  if (!match || !MOCK_FAULT_TYPES.includes(match[1] as MockFaultType)) {
+    throw new Error(
+      `Invalid fault "${spec}": expected type[:times][@endpoint] with type one of ${MOCK_FAULT_TYPES.join(', ')}`
+    );
+  }
+  return {
+    type: match[1] as MockFaultType,
+    times: match[2] ? parseInt(match[2], 10) : 1,
+    endpoint: match[3],
+    retryAfter,
+  };
+}
+
+/**
+ * Start a mock xAI API server
+ *
+ * @param options - Port, latency and initial faults
+ * @returns The running server
+ */
+export async function startMockXAIServer(options: MockServerOptions = {}): Promise<MockXAIServer> {
+  const host = options.host ?? '127.0.0.1';
+  const latencyMs = options.latencyMs ?? 0;
+  const chunkDelayMs = options.chunkDelayMs ?? 0;
+  let faults: MockFault[] = [];
+  const requests: MockRequestLog[] = [];
+  let nextId = 1;
+
+  const addFaults = (added: MockFault[]): void => {
+    faults.push(...added.map((fault) => ({ ...fault, times: fault.times ?? 1 })));
+  };
+  addFaults(options.faults ?? []);
+
+  const reset = (): void => {
+    faults = [];
+    requests.length = 0;
+  };
+
+  /**
+   * Take the first fault that applies to an endpoint
+   */
+  const takeFault = (endpoint: string): MockFault | undefined => {
+    const index = faults.findIndex((fault) => !fault.endpoint || fault.endpoint === endpoint);
+    if (index === -1) return undefined;
+
+    const fault = faults[index];
+    fault.times = (fault.times ?? 1) - 1;
+    if (fault.times <= 0) {
+      faults.splice(index, 1);
+    }
+    return fault;
+  };
+
+  const isAuthorized = (req: IncomingMessage): boolean => {
+    const key = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    if (!key) return false;
+    return options.apiKey ? key === options.apiKey : key.startsWith('xai-');
+  };
+
+  /**
+   * Chat completion, streamed as one SSE chunk per word when requested
+   */
+  const handleChat = async (
+    res: ServerResponse,
+    body: ChatRequestBody,
+    malformed: boolean
+  ): Promise<void> => {
+    const id = `chatcmpl-mock-${nextId++}`;
+    const model = body.model ?? 'grok-4-fast-non-reasoning';
+    const created = Math.floor(Date.now() / 1000);
+    const functionName = chooseFunction(body);
+    const content = functionName ? '' : chatContent(body);
+    const toolCalls = functionName
+      ? [
+          {
+            id: `call_mock_${nextId++}`,
+            type: 'function',
+            function: { name: functionName, arguments: '{}' },
+          },
+        ]
+      : undefined;
+    const finishReason = functionName ? 'tool_calls' : 'stop';
+    const promptTokens = countTokens(promptText(body.messages));
+    const completionTokens = Math.max(1, countTokens(content || '{}'));
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    };
+
+    if (!body.stream) {
+      sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content, ...(toolCalls && { tool_calls: toolCalls }) },
+            finish_reason: finishReason,
+          },
+        ],
+        usage,
+      });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+
+    const chunk = (delta: Record<string, unknown>, finish: string | null, extra = {}): string =>
+      JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finish }],
+        ...extra,
+      });
+
+    const events: string[] = [];
+    if (toolCalls) {
+      events.push(
+        chunk(
+          { role: 'assistant', tool_calls: toolCalls.map((call, index) => ({ index, ...call })) },
+          null
+        )
+      );
+    } else {
+      // One chunk per word, keeping the separating spaces
+      for (const piece of content.match(/\S+\s*/g) ?? []) {
+        events.push(chunk({ content: piece }, null));
+      }
+    }
+    if (malformed) {
+      events.splice(Math.min(1, events.length), 0, '{"id":"malformed", "choices": [');
+    }
+    events.push(chunk({}, finishReason, { usage }));
+    events.push('[DONE]');
+
+    for (const event of events) {
+      if (res.destroyed) return;
+      res.write(`data: ${event}\n\n`);
+      if (chunkDelayMs > 0) await sleep(chunkDelayMs);
+    }
+    res.end();
+  };
+
+  /**
+   * Agent Tools response with citations and code_interpreter outputs
+   */
+  const handleResponses = (res: ServerResponse, body: ResponsesRequestBody): void => {
+    const toolTypes = new Set((body.tools ?? []).map((tool) => tool.type));
+    const output: unknown[] = [];
+    const citations: Array<{ url: string; title?: string; type: string }> = [];
+    const toolUsage: Record<string, number> = {};
+    let text = MOCK_CHAT_CONTENT;
+
+    if (toolTypes.has('code_interpreter')) {
+      output.push({
+        id: `ci_mock_${nextId++}`,
+        type: 'code_interpreter_call',
+        status: 'completed',
+        code: body.input?.at(-1)?.content ?? '',
+        outputs: [{ type: 'logs', logs: `${MOCK_CODE_OUTPUT}\n` }],
+      });
+      toolUsage.SERVER_SIDE_TOOL_CODE_EXECUTION = 1;
+      text = `The code ran successfully.\n\n\`\`\`output\n${MOCK_CODE_OUTPUT}\n\`\`\``;
+    }
+    if (toolTypes.has('web_search')) {
+      citations.push({
+        url: 'https://example.com/mock-article',
+        title: 'Mock article',
+        type: 'web',
+      });
+      toolUsage.SERVER_SIDE_TOOL_WEB_SEARCH = 1;
+    }
+    if (toolTypes.has('x_search')) {
+      citations.push({ url: 'https://x.com/xai/status/1', title: 'Mock post', type: 'x_post' });
+      toolUsage.SERVER_SIDE_TOOL_X_SEARCH = 1;
+    }
+
+    output.push({
+      id: `msg_mock_${nextId++}`,
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content: [{ type: 'output_text', text, annotations: [] }],
+    });
+
+    const inputTokens = countTokens(
+      (body.input ?? []).map((message) => message.content).join('\n')
+    );
+    const outputTokens = countTokens(text);
+    sendJson(res, 200, {
+      id: `resp_mock_${nextId++}`,
+      object: 'response',
+      created_at: new Date().toISOString(),
+      model: body.model ?? 'grok-4-1-fast-reasoning',
+      output,
+      usage: {
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens,
+      },
+      citations,
+      ...(body.include?.includes('inline_citations') && {
+        inline_citations: citations.map((citation, index) => ({
+          id: index + 1,
+          start_index: 0,
+          end_index: text.length,
+          web_citation: { url: citation.url, title: citation.title },
+        })),
+      }),
+      server_side_tool_usage: toolUsage,
+      stop_reason: 'end_turn',
+    });
+  };
+
+  const handleImages = (res: ServerResponse, body: ImagesRequestBody): void => {
+    const count = body.n ?? 1;
+    sendJson(res, 200, {
+      created: Math.floor(Date.now() / 1000),
+      data: Array.from({ length: count }, (_, index) =>
+        body.response_format === 'b64_json'
+          ? { b64_json: Buffer.from(`mock image ${index + 1}`).toString('base64') }
+          : {
+              url: `https://example.com/mock-images/${nextId++}.jpg`,
+              revised_prompt: `Mock image: ${body.prompt ?? ''}`,
+            }
+      ),
+    });
+  };
+
+  const handleControl = async (
+    req: IncomingMessage,
+    res: ServerResponse,
+    path: string
+  ): Promise<void> => {
+    if (path === '/faults' && req.method === 'POST') {
+      const body = (await readBody(req)) as { faults?: MockFault[] } | undefined;
+      addFaults(body?.faults ?? []);
+      sendJson(res, 200, { faults });
+    } else if (path === '/faults' && req.method === 'GET') {
+      sendJson(res, 200, { faults });
+    } else if (path === '/requests' && req.method === 'GET') {
+      sendJson(res, 200, { requests });
+    } else if (path === '/reset' && req.method === 'POST') {
+      reset();
+      sendJson(res, 200, { ok: true });
+    } else {
+      sendError(res, 404, `Unknown control endpoint: ${req.method} ${CONTROL_PREFIX}${path}`);
+    }
+  };
+
+  const handle = async (req: IncomingMessage, res: ServerResponse): Promise<void> => {
+    const path = new URL(req.url ?? '/', 'http://localhost').pathname;
+
+    if (path.startsWith(CONTROL_PREFIX)) {
+      await handleControl(req, res, path.slice(CONTROL_PREFIX.length));
+      return;
+    }
+
+    if (!path.startsWith(API_PREFIX)) {
+      sendError(res, 404, `Not found: ${path}`);
+      return;
+    }
+
+    const endpoint = path.slice(API_PREFIX.length);
+    let body: unknown;
+    try {
+      body = await readBody(req);
+    } catch {
+      sendError(res, 400, 'Request body is not valid JSON');
+      return;
+    }
+
+    const fault = takeFault(endpoint);
+    requests.push({
+      method: req.method ?? 'GET',
+      endpoint,
+      body,
+      fault: fault?.type,
+      timestamp: Date.now(),
+    });
+
+    if (latencyMs > 0) await sleep(latencyMs);
+    if (fault?.type === 'latency') await sleep(fault.delayMs ?? 1000);
+
+    if (!isAuthorized(req)) {
+      sendError(res, 401, 'Invalid API key');
+      return;
+    }
+    if (fault?.type === 'rate_limit') {
+      sendError(res, 429, 'Rate limit exceeded', { 'Retry-After': String(fault.retryAfter ?? 1) });
+      return;
+    }
+    if (fault?.type === 'server_error') {
+      sendError(res, fault.status ?? 500, 'Internal server error');
+      return;
+    }
+
+    const malformed = fault?.type === 'malformed_chunk';
+    const streaming = !!(body as ChatRequestBody | undefined)?.stream;
+    if (malformed && !streaming) {
+      // Truncated JSON body
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"id":"malformed","object":');
+      return;
+    }
+
+    if (endpoint === '/chat/completions' && req.method === 'POST') {
+      await handleChat(res, (body ?? {}) as ChatRequestBody, malformed);
+    } else if (endpoint === '/responses' && req.method === 'POST') {
+      handleResponses(res, (body ?? {}) as ResponsesRequestBody);
+    } else if (endpoint === '/images/generations' && req.method === 'POST') {
+      handleImages(res, (body ?? {}) as ImagesRequestBody);
+    } else if (endpoint === '/models' && req.method === 'GET') {
+      sendJson(res, 200, {
+        object: 'list',
+        data: Object.keys(MODEL_PRICING).map((id) => ({
+          id,
+          object: 'model',
+          created: 1704067200,
+          owned_by: 'xai',
+        })),
+      });
+    } else {
+      sendError(res, 404, `Unknown endpoint: ${req.method} ${path}`);
+    }
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error: unknown) => {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[mock-xai] ${req.method} ${req.url} failed: ${message}`);
+      if (!res.headersSent) {
+        sendError(res, 500, message);
+      } else {
+        res.destroy();
+      }
+    });
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, host, () => resolve());
+  });
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    url: `http://${host}:${port}${API_PREFIX}`,
+    port,
+    requests,
+    addFaults,
+    reset,
+    close: () =>
+      new Promise<void>((resolve, reject) => {
+        server.closeAllConnections();
+        server.close((error) => (error ? reject(error) : resolve()));
+      }),
+  };
+}
@@ -1,6 +1,9 @@
 import { beforeAll, afterAll, afterEach } from 'vitest';
 import { server } from './mocks/server.js';
 
+// Keep trackers created with default options out of the real cost ledger
+process.env.GROK_COST_LEDGER_ENABLED ??= 'false';
+
 // Start MSW server before all tests
 beforeAll(() => {
   server.listen({ onUnhandledRequest: 'warn' });
@@ -2,16 +2,131 @@
  * grok_analyze_code Tool Tests
  */
 
-import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
 import { server } from '../test/mocks/server.js';
 import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import type { Services } from '../types/index.js';
 import {
   executeAnalyzeCode,
   handleAnalyzeCode,
   detectLanguage,
   analyzeCodeSchema,
   AnalyzeCodeInput,
+  mergeChunkIssues,
+  rebaseIssue,
+  type AnalyzeCodeResponse,
+  type CodeIssue,
 } from './analyze-code.js';
+import type { SarifLog } from '../services/sarif.js';
+import { chunkCode } from '../services/code-chunker.js';
+
+/**
+ * A file of `count` top-level functions, 152 lines each
+ */
+function largeFile(count: number): string {
+  return Array.from({ length: count }, (_, f) =>
+    [
+      `function step${f}(input) {`,
+      ...Array.from({ length: 150 }, (_, i) => `  const value${i} = input * ${i};`),
+      '}',
+    ].join('\n')
+  ).join('\n');
+}
+
+/**
+ * Reply to each chunk with an issue on its second line, or fail the chunk
+ * starting at `failLine`; returns the chunk ranges requested
+ */
+function useChunkAnalysis(failLine?: number): { ranges: string[] } {
+  const seen: { ranges: string[] } = { ranges: [] };
+  server.use(
+    http.post('https://api.x.ai/v1/chat/completions', async ({ request }) => {
+      const body = (await request.json()) as {
+        messages: Array<{ role: string; content: string }>;
+      };
+      const [, start, end] = body.messages[1].content.match(/This is lines (\d+)-(\d+)/) ?? [];
+      seen.ranges.push(`${start}-${end}`);
+      if (Number(start) === failLine) {
+        return HttpResponse.json({ error: { message: 'Bad request' } }, { status: 400 });
+      }
+      return HttpResponse.json({
+        id: `chatcmpl-chunk-${start}`,
+        object: 'chat.completion',
+        created: 1704067200,
+        model: 'grok-code-fast-1',
+        choices: [
+          {
+            index: 0,
+            message: {
+              role: 'assistant',
+              content: JSON.stringify({
+                issues: [
+                  { type: 'style', severity: 'low', line: 2, message: `Unused value at ${start}` },
+                  { type: 'bug', severity: 'high', message: 'No input validation' },
+                ],
+                summary: `Chunk from ${start} looks fine.`,
+              }),
+            },
+            finish_reason: 'stop',
+          },
+        ],
+        usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 },
+      });
+    })
+  );
+  return seen;
+}
+
+/**
+ * Reply to the analysis with one SQL injection issue
+ */
+function useAnalysisWithIssue(): void {
+  server.use(
+    http.post('https://api.x.ai/v1/chat/completions', () =>
+      HttpResponse.json({
+        id: 'chatcmpl-analysis',
+        object: 'chat.completion',
+        created: 1704067200,
+        model: 'grok-code-fast-1',
+        choices: [
+          {
+            index: 0,
+            message: {
+              role: 'assistant',
+              content: JSON.stringify({
+                issues: [
+                  {
+                    type: 'security',
+                    severity: 'high',
+                    line: 2,
+                    endLine: 3,
+                    message: 'SQL injection',
+                    suggestion: 'Use a parameterized query',
+                  },
+                ],
+                summary: 'One injection.',
+              }),
+            },
+            finish_reason: 'stop',
+          },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 },
+      })
+    )
+  );
+}
+
+function createServices(): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
 
 describe('grok_analyze_code tool', () => {
   let client: XAIClient;
@@ -23,6 +138,7 @@ describe('grok_analyze_code tool', () => {
 
   afterEach(() => {
     server.resetHandlers();
+    vi.restoreAllMocks();
   });
 
   afterAll(() => {
@@ -189,6 +305,104 @@ describe('grok_analyze_code tool', () => {
     });
   });
 
+  describe('rebaseIssue', () => {
+    const chunk = { startLine: 101, endLine: 150, text: '' };
+    const issue: CodeIssue = { type: 'bug', severity: 'high', line: 3, message: 'm' };
+
+    it('should move chunk lines to file lines', () => {
+      expect(rebaseIssue({ ...issue, endLine: 5 }, chunk)).toMatchObject({
+        line: 103,
+        endLine: 105,
+      });
+    });
+
+    it('should cut an end line past the chunk to its last line', () => {
+      expect(rebaseIssue({ ...issue, endLine: 80 }, chunk).endLine).toBe(150);
+    });
+
+    it('should drop lines outside the chunk', () => {
+      const rebased = rebaseIssue({ ...issue, line: 51, endLine: 52 }, chunk);
+
+      expect(rebased.line).toBeUndefined();
+      expect(rebased.endLine).toBeUndefined();
+      expect(rebased.message).toBe('m');
+    });
+  });
+
+  describe('mergeChunkIssues', () => {
+    // Lines 101-120 are in both chunks
+    const first = { startLine: 1, endLine: 120, text: '' };
+    const second = { startLine: 101, endLine: 200, text: '' };
+
+    it('should keep an issue repeated in the overlap once at the highest severity', () => {
+      const merged = mergeChunkIssues([
+        {
+          chunk: first,
+          issues: [{ type: 'bug', severity: 'medium', line: 110, message: 'Off by one' }],
+        },
+        {
+          chunk: second,
+          issues: [{ type: 'Bug', severity: 'high', line: 110, message: ' off by one' }],
+        },
+      ]);
+
+      expect(merged).toEqual([
+        { type: 'Bug', severity: 'high', line: 110, message: ' off by one' },
+      ]);
+    });
+
+    it('should keep different issues of one type on one line', () => {
+      const merged = mergeChunkIssues([
+        {
+          chunk: first,
+          issues: [
+            { type: 'bug', severity: 'high', line: 110, message: 'Loop bound is off by one' },
+            { type: 'bug', severity: 'low', line: 50, message: 'Unchecked null' },
+            { type: 'bug', severity: 'low', line: 50, message: 'Result is ignored' },
+          ],
+        },
+        {
+          chunk: second,
+          issues: [{ type: 'bug', severity: 'high', line: 110, message: 'Index may be negative' }],
+        },
+      ]);
+
+      expect(merged.map((issue) => [issue.line, issue.message])).toEqual([
+        [50, 'Unchecked null'],
+        [50, 'Result is ignored'],
+        [110, 'Loop bound is off by one'],
+        [110, 'Index may be negative'],
+      ]);
+    });
+
+    it('should not merge repeated issues outside the overlap', () => {
+      const issue: CodeIssue = { type: 'style', severity: 'low', line: 150, message: 'Long line' };
+
+      expect(mergeChunkIssues([{ chunk: second, issues: [issue, { ...issue }] }])).toHaveLength(2);
+    });
+
+    it('should merge issues without a line by message and sort by line', () => {
+      const merged = mergeChunkIssues([
+        {
+          chunk: first,
+          issues: [
+            { type: 'bug', severity: 'low', message: 'No tests' },
+            { type: 'bug', severity: 'low', line: 90, message: 'a' },
+          ],
+        },
+        {
+          chunk: second,
+          issues: [
+            { type: 'bug', severity: 'low', message: ' no tests' },
+            { type: 'bug', severity: 'low', line: 12, message: 'b' },
+          ],
+        },
+      ]);
+
+      expect(merged.map((issue) => issue.line ?? issue.message)).toEqual([12, 90, 'No tests']);
+    });
+  });
+
   describe('handleAnalyzeCode', () => {
     it('should return formatted MCP response on success', async () => {
       const input = {
@@ -268,5 +482,337 @@ describe('grok_analyze_code tool', () => {
         expect(result.isError).toBe(false);
       }
     });
+
+    describe('cost attribution', () => {
+      it('should attribute the cost to the tool and tag', async () => {
+        const services = createServices();
+
+        await handleAnalyzeCode(client, { code: 'const a = 1;', tag: 'billing' }, services);
+
+        const summary = services.costTracker.getUsageSummary();
+        expect(summary.byTool.grok_analyze_code.queries).toBe(1);
+        expect(summary.byTag.billing.queries).toBe(1);
+        expect(services.costTracker.getRecords()[0].requestId).toEqual(expect.any(String));
+      });
+
+      it('should record cache hits against the tag', async () => {
+        const services = createServices();
+        const input = { code: 'const b = 2;', tag: 'billing' };
+
+        await handleAnalyzeCode(client, input, services);
+        await handleAnalyzeCode(client, input, services);
+
+        expect(services.costTracker.getUsageSummary().byTag.billing).toMatchObject({
+          queries: 1,
+          cacheHits: 1,
+        });
+      });
+
+      it('should reject an invalid tag', async () => {
+        const result = await handleAnalyzeCode(client, { code: 'const c = 3;', tag: '' });
+
+        expect(result.isError).toBe(true);
+        expect((result.content[0] as { text: string }).text).toContain('tag must be');
+      });
+    });
+
+    describe('output formats', () => {
+      it('should list the output formats in the schema', () => {
+        expect(analyzeCodeSchema.properties.output_format.enum).toEqual([
+          'markdown',
+          'json',
+          'sarif',
+        ]);
+      });
+
+      it('should return the result as JSON', async () => {
+        useAnalysisWithIssue();
+
+        const result = await handleAnalyzeCode(client, {
+          code: 'const q = "SELECT " + id;',
+          filename: 'src/db.ts',
+          output_format: 'json',
+        });
+
+        const parsed = JSON.parse((result.content[0] as { text: string }).text);
+        expect(parsed.filename).toBe('src/db.ts');
+        expect(parsed.issues[0]).toMatchObject({ type: 'security', line: 2 });
+        expect(parsed.summary).toBe('One injection.');
+      });
+
+      it('should return a SARIF log located in the file', async () => {
+        useAnalysisWithIssue();
+
+        const result = await handleAnalyzeCode(client, {
+          code: 'const q = "SELECT " + id;',
+          filename: 'src/db.ts',
+          output_format: 'sarif',
+        });
+
+        const log = JSON.parse((result.content[0] as { text: string }).text) as SarifLog;
+        const [sarifResult] = log.runs[0].results;
+        expect(log.version).toBe('2.1.0');
+        expect(sarifResult).toMatchObject({ ruleId: 'grok/security', level: 'error' });
+        expect(sarifResult.locations?.[0].physicalLocation).toEqual({
+          artifactLocation: { uri: 'src/db.ts' },
+          region: { startLine: 2, endLine: 3 },
+        });
+        expect(sarifResult.message.text).toBe(
+          'SQL injection\n\nSuggestion: Use a parameterized query'
+        );
+        expect(log.runs[0].properties).toMatchObject({ summary: 'One injection.' });
+      });
+
+      it('should describe the snippet when no filename is given', async () => {
+        useAnalysisWithIssue();
+
+        const result = await handleAnalyzeCode(client, {
+          code: 'const q = "SELECT " + id;',
+          language: 'javascript',
+          output_format: 'sarif',
+        });
+
+        const log = JSON.parse((result.content[0] as { text: string }).text) as SarifLog;
+        expect(log.runs[0].results[0].locations?.[0].physicalLocation.artifactLocation).toEqual({
+          description: { text: 'Analyzed javascript code' },
+        });
+      });
+
+      it('should name the file in the prompt', async () => {
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        await handleAnalyzeCode(client, { code: 'const a = 1;', filename: 'src/a.ts' });
+
+        expect(chatSpy.mock.calls[0][0].messages[1].content).toContain('code from src/a.ts');
+      });
+
+      it('should reject an unknown output format', async () => {
+        const result = await handleAnalyzeCode(client, { code: 'x', output_format: 'xml' });
+
+        expect(result.isError).toBe(true);
+        expect((result.content[0] as { text: string }).text).toContain('output_format');
+      });
+    });
+
+    describe('chunked analysis', () => {
+      const code = largeFile(4);
+      const chunks = chunkCode(code);
+
+      it('should analyze each chunk of a large file once', async () => {
+        const seen = useChunkAnalysis();
+
+        const result = await handleAnalyzeCode(client, { code, output_format: 'json' });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(seen.ranges.sort()).toEqual(
+          chunks.map((chunk) => `${chunk.startLine}-${chunk.endLine}`).sort()
+        );
+        const parsed = JSON.parse(
+          (result.content[0] as { text: string }).text
+        ) as AnalyzeCodeResponse;
+        expect(parsed.chunks).toHaveLength(chunks.length);
+      });
+
+      it('should rebase issue lines and merge repeated issues', async () => {
+        useChunkAnalysis();
+
+        const result = await handleAnalyzeCode(client, { code, output_format: 'json' });
+
+        const parsed = JSON.parse(
+          (result.content[0] as { text: string }).text
+        ) as AnalyzeCodeResponse;
+        expect(parsed.issues.filter((issue) => issue.type === 'style').map((i) => i.line)).toEqual(
+          chunks.map((chunk) => chunk.startLine + 1)
+        );
+        expect(parsed.issues.filter((issue) => issue.type === 'bug')).toHaveLength(1);
+      });
+
+      it('should combine the summaries and report totals for the whole run', async () => {
+        useChunkAnalysis();
+
+        const result = await handleAnalyzeCode(client, { code, output_format: 'json' });
+
+        const parsed = JSON.parse(
+          (result.content[0] as { text: string }).text
+        ) as AnalyzeCodeResponse;
+        expect(parsed.summary).toContain(`Analyzed ${chunks.at(-1)?.endLine} lines in`);
+        expect(parsed.summary).toContain(
+          `- Lines ${chunks[1].startLine}-${chunks[1].endLine}: Chunk from ${chunks[1].startLine} looks fine.`
+        );
+        expect(parsed.usage.total_tokens).toBe(120 * chunks.length);
+        expect(parsed.cost.estimated_usd).toBeCloseTo(
+          client.calculateCost('grok-code-fast-1', 100, 20).estimated_usd * chunks.length
+        );
+      });
+
+      it('should charge every chunk to the tool call', async () => {
+        useChunkAnalysis();
+        const services = createServices();
+
+        await handleAnalyzeCode(client, { code, tag: 'audit' }, services);
+
+        expect(services.costTracker.getUsageSummary().byTag.audit.queries).toBe(chunks.length);
+      });
+
+      it('should check the budget once for the prompts of every chunk', async () => {
+        const seen = useChunkAnalysis();
+        const services = createServices();
+        const checkBudget = vi.spyOn(services.costTracker, 'checkBudget');
+        const context = 'Shared context. '.repeat(500);
+        // The context is sent with every chunk, not once
+        const chunkTokens = chunks.reduce(
+          (total, chunk) => total + (chunk.text.length + context.length) / 4,
+          0
+        );
+
+        await handleAnalyzeCode(client, { code, context }, services);
+
+        expect(seen.ranges).toHaveLength(chunks.length);
+        expect(checkBudget).toHaveBeenCalledTimes(1);
+        expect(checkBudget.mock.calls[0][0]).toBeGreaterThan(
+          CostTracker.estimateCost('grok-code-fast-1', chunkTokens, 4000 * chunks.length)
+        );
+      });
+
+      it('should not start more chunks than the rate limiter lets through', async () => {
+        const seen = useChunkAnalysis();
+        const services = {
+          ...createServices(),
+          rateLimiter: new RateLimiter({ tier: 'standard', maxConcurrent: 2 }),
+        };
+        const rateLimiter = services.rateLimiter;
+        const recordUsage = rateLimiter.recordUsage.bind(rateLimiter);
+        let maxQueued = 0;
+        vi.spyOn(rateLimiter, 'recordUsage').mockImplementation((...args) => {
+          maxQueued = Math.max(maxQueued, rateLimiter.getPendingCount());
+          recordUsage(...args);
+        });
+        const manyChunks = largeFile(12);
+
+        const result = await handleAnalyzeCode(
+          client,
+          { code: manyChunks, output_format: 'json' },
+          services
+        );
+
+        const parsed = JSON.parse(
+          (result.content[0] as { text: string }).text
+        ) as AnalyzeCodeResponse;
+        expect(parsed.chunks?.length).toBeGreaterThan(2);
+        expect(parsed.chunks?.filter((chunk) => chunk.error)).toEqual([]);
+        expect(seen.ranges).toHaveLength(chunkCode(manyChunks).length);
+        expect(maxQueued).toBe(0);
+      });
+
+      it('should show the chunk count in the report', async () => {
+        useChunkAnalysis();
+
+        const result = await handleAnalyzeCode(client, { code });
+
+        expect((result.content[0] as { text: string }).text).toContain(
+          `**Chunks:** ${chunks.length}`
+        );
+      });
+
+      it('should report a failed chunk and not cache the partial analysis', async () => {
+        const seen = useChunkAnalysis(chunks[1].startLine);
+        const services = createServices();
+
+        const first = await handleAnalyzeCode(client, { code, output_format: 'json' }, services);
+        await handleAnalyzeCode(client, { code, output_format: 'json' }, services);
+
+        expect(first.isError).toBe(false);
+        const parsed = JSON.parse(
+          (first.content[0] as { text: string }).text
+        ) as AnalyzeCodeResponse;
+        expect(parsed.summary).toContain(
+          `- Lines ${chunks[1].startLine}-${chunks[1].endLine}: not analyzed`
+        );
+        expect(parsed.chunks?.[1].error).toBeDefined();
+        expect(seen.ranges).toHaveLength(chunks.length * 2);
+      });
+
+      it('should fail when every chunk fails', async () => {
+        server.use(
+          http.post('https://api.x.ai/v1/chat/completions', () =>
+            HttpResponse.json({ error: { message: 'Bad request' } }, { status: 400 })
+          )
+        );
+
+        const result = await handleAnalyzeCode(client, { code });
+
+        expect(result.isError).toBe(true);
+        expect((result.content[0] as { text: string }).text).toContain('All chunks failed');
+      });
+
+      it('should send small code in one request without chunks', async () => {
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        await handleAnalyzeCode(client, { code: 'const small = 1;' });
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect(chatSpy.mock.calls[0][0].messages[1].content).not.toContain('analyzed in parts');
+      });
+    });
+
+    describe('caching', () => {
+      it('should serve a repeated analysis from the cache', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+        const input = { code: 'const x = 1;', language: 'javascript' };
+
+        const first = await handleAnalyzeCode(client, input, services);
+        const second = await handleAnalyzeCode(client, input, services);
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect((first.content[0] as { text: string }).text).not.toContain('CACHED');
+        expect((second.content[0] as { text: string }).text).toContain('📦 **CACHED**');
+        expect(services.costTracker.getUsageSummary().queryCount).toBe(1);
+        expect(services.cache.getStats().byTool.grok_analyze_code).toMatchObject({
+          hits: 1,
+          misses: 1,
+          tokensSaved: 30,
+        });
+      });
+
+      it('should use the deterministic TTL', async () => {
+        const services = createServices();
+        services.cache.setOptions({ deterministicTtlSeconds: 3600 });
+        const setSpy = vi.spyOn(services.cache, 'set');
+
+        await handleAnalyzeCode(client, { code: 'const y = 2;' }, services);
+
+        expect(setSpy).toHaveBeenCalledWith(expect.any(String), expect.anything(), 3600);
+      });
+
+      it('should not share entries across analysis types', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        await handleAnalyzeCode(client, { code: 'const z = 3;', analysis_type: 'bugs' }, services);
+        await handleAnalyzeCode(
+          client,
+          { code: 'const z = 3;', analysis_type: 'security' },
+          services
+        );
+
+        expect(chatSpy).toHaveBeenCalledTimes(2);
+      });
+
+      it('should serve other output formats from the same entry', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        await handleAnalyzeCode(client, { code: 'const w = 4;' }, services);
+        const sarif = await handleAnalyzeCode(
+          client,
+          { code: 'const w = 4;', output_format: 'sarif' },
+          services
+        );
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect(JSON.parse((sarif.content[0] as { text: string }).text).version).toBe('2.1.0');
+      });
+    });
   });
 });
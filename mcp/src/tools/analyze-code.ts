@@ -9,14 +9,44 @@
 
 import { CallToolResult, TextContent } from '@modelcontextprotocol/sdk/types.js';
 import { XAIClient } from '../client/xai-client.js';
-import { TokenUsage, CostEstimate, Services } from '../types/index.js';
+import {
+  TokenUsage,
+  CostEstimate,
+  Services,
+  ChatMessage,
+  RequestCancelledError,
+  XAIError,
+} from '../types/index.js';
 import { CostTracker } from '../services/cost-tracker.js';
+import { formatCacheBadge, lookupToolCache, storeToolCache } from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+  type ToolCall,
+} from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
+import { buildSarifLog, type SarifLog } from '../services/sarif.js';
+import { chunkCode, type CodeChunk } from '../services/code-chunker.js';
+import {
+  getFanOutLimit,
+  mapWithConcurrency,
+  runTrackedCompletion,
+  type TrackedCompletion,
+} from '../services/tracked-completion.js';
 
 /**
  * Analysis type options
  */
 export type AnalysisType = 'performance' | 'bugs' | 'security' | 'style' | 'all';
 
+/**
+ * How findings are returned: a markdown report, the raw result as JSON, or a SARIF 2.1.0 log
+ */
+export type AnalysisOutputFormat = 'markdown' | 'json' | 'sarif';
+
+export const ANALYSIS_OUTPUT_FORMATS: AnalysisOutputFormat[] = ['markdown', 'json', 'sarif'];
+
 /**
  * Input parameters for grok_analyze_code tool
  */
@@ -33,6 +63,10 @@ export interface AnalyzeCodeInput {
   context?: string;
   /** Request timeout in milliseconds (default: 60000 for code analysis) */
   timeout?: number;
+  /** Path of the file the code comes from, used for SARIF artifact locations */
+  filename?: string;
+  /** Output format (default: markdown) */
+  output_format?: AnalysisOutputFormat;
 }
 
 /**
@@ -55,6 +89,23 @@ export interface CodeIssue {
   codeSnippet?: string;
 }
 
+/**
+ * One chunk of a file too large to analyze in one request
+ */
+export interface AnalysisChunk {
+  /** First line of the chunk in the file */
+  startLine: number;
+  /** Last line of the chunk in the file */
+  endLine: number;
+  /** Issues found in the chunk, before merging */
+  issues: number;
+  tokens?: number;
+  cost_usd?: number;
+  response_time_ms: number;
+  /** Why the chunk could not be analyzed */
+  error?: string;
+}
+
 /**
  * Response from code analysis
  */
@@ -67,6 +118,8 @@ export interface AnalyzeCodeResponse {
   language: string;
   /** Analysis types performed */
   analysisType: AnalysisType;
+  /** File the code comes from, if given */
+  filename?: string;
   /** Model used for analysis */
   model: string;
   /** Token usage information */
@@ -75,6 +128,8 @@ export interface AnalyzeCodeResponse {
   cost: CostEstimate;
   /** Response time in milliseconds */
   response_time_ms: number;
+  /** Chunks the code was analyzed in, when it was too large for one request */
+  chunks?: AnalysisChunk[];
 }
 
 /**
@@ -115,6 +170,19 @@ export const analyzeCodeSchema = {
       minimum: 1000,
       maximum: 120000,
     },
+    filename: {
+      type: 'string',
+      description:
+        'Path of the file the code comes from, relative to the repository root. Named in the prompt and used as the SARIF artifact location.',
+    },
+    output_format: {
+      type: 'string',
+      enum: ANALYSIS_OUTPUT_FORMATS,
+      default: 'markdown',
+      description:
+        'markdown (report), json (issues, summary and usage as JSON) or sarif (SARIF 2.1.0 log for code scanning tools)',
+    },
+    tag: tagSchemaProperty,
   },
   required: ['code'],
   additionalProperties: false,
@@ -204,23 +272,17 @@ export function detectLanguage(code: string): string {
 }
 
 /**
- * Build the analysis prompt based on type
+ * What to look for in each analysis type (also used by grok_review_diff)
  */
-function buildAnalysisPrompt(
-  code: string,
-  language: string,
-  analysisType: AnalysisType,
-  context?: string
-): string {
-  const analysisInstructions: Record<AnalysisType, string> = {
-    performance: `Focus on performance issues such as:
+export const ANALYSIS_INSTRUCTIONS: Record<AnalysisType, string> = {
+  performance: `Focus on performance issues such as:
 - Inefficient algorithms or data structures
 - Unnecessary computations or memory allocations
 - N+1 query problems or excessive iterations
 - Missing caching opportunities
 - Blocking operations that could be async`,
 
-    bugs: `Focus on potential bugs such as:
+  bugs: `Focus on potential bugs such as:
 - Logic errors and edge cases
 - Null/undefined reference issues
 - Off-by-one errors
@@ -228,7 +290,7 @@ function buildAnalysisPrompt(
 - Incorrect type handling
 - Resource leaks`,
 
-    security: `Focus on security vulnerabilities such as:
+  security: `Focus on security vulnerabilities such as:
 - SQL injection
 - XSS (Cross-Site Scripting)
 - Command injection
@@ -238,7 +300,7 @@ function buildAnalysisPrompt(
 - Missing input validation
 - Improper error handling that leaks information`,
 
-    style: `Focus on code style and quality issues such as:
+  style: `Focus on code style and quality issues such as:
 - Naming conventions
 - Code organization and structure
 - Excessive complexity
@@ -247,16 +309,31 @@ function buildAnalysisPrompt(
 - Inconsistent formatting
 - Magic numbers or strings`,
 
-    all: `Perform a comprehensive analysis covering:
+  all: `Perform a comprehensive analysis covering:
 1. Performance issues
 2. Potential bugs and logic errors
 3. Security vulnerabilities
 4. Code style and quality`,
-  };
+};
 
-  const prompt = `Analyze the following ${language} code and identify issues.
+/**
+ * Build the analysis prompt based on type
+ */
+function buildAnalysisPrompt(
+  code: string,
+  language: string,
+  analysisType: AnalysisType,
+  context?: string,
+  filename?: string,
+  part?: { chunk: CodeChunk; totalLines: number }
+): string {
+  const source = filename ? ` from ${filename}` : '';
+  const partNote = part
+    ? `\n\nThis is lines ${part.chunk.startLine}-${part.chunk.endLine} of a ${part.totalLines}-line file that is analyzed in parts. Count line numbers from the first line shown as line 1, and only report issues in the code shown.`
+    : '';
+  const prompt = `Analyze the following ${language} code${source} and identify issues.${partNote}
 
-${analysisInstructions[analysisType]}
+${ANALYSIS_INSTRUCTIONS[analysisType]}
 
 ${context ? `Additional context: ${context}\n\n` : ''}Respond with a JSON object containing:
 1. "issues": An array of issues, each with:
@@ -280,9 +357,12 @@ ${code}
 }
 
 /**
- * Parse the analysis response from Grok
+ * Parse the JSON issues and summary from an analysis response
+ *
+ * Falls back to no issues, with the start of the response as the summary,
+ * if the response is not valid JSON.
  */
-function parseAnalysisResponse(response: string): { issues: CodeIssue[]; summary: string } {
+export function parseAnalysisResponse(response: string): { issues: CodeIssue[]; summary: string } {
   try {
     // Try to extract JSON from the response
     let jsonStr = response;
@@ -345,11 +425,56 @@ function validateSeverity(severity: unknown): CodeIssue['severity'] {
 const DEFAULT_ANALYSIS_TIMEOUT = 60000;
 
 /**
- * Execute code analysis
+ * Low temperature for consistent analysis
+ */
+const ANALYSIS_TEMPERATURE = 0.1;
+
+/**
+ * Max response tokens for analysis
+ */
+const ANALYSIS_MAX_TOKENS = 4000;
+
+/**
+ * Build the messages for a code analysis request
+ *
+ * @param part - The chunk to analyze instead of the whole code
+ */
+function buildAnalysisMessages(
+  input: AnalyzeCodeInput,
+  language: string,
+  analysisType: AnalysisType,
+  part?: { chunk: CodeChunk; totalLines: number }
+): ChatMessage[] {
+  return [
+    {
+      role: 'system',
+      content:
+        'You are an expert code reviewer. Analyze code and respond with structured JSON containing issues and suggestions.',
+    },
+    {
+      role: 'user',
+      content: buildAnalysisPrompt(
+        part ? part.chunk.text : input.code,
+        language,
+        analysisType,
+        input.context,
+        input.filename,
+        part
+      ),
+    },
+  ];
+}
+
+/**
+ * Execute code analysis in one request
+ *
+ * The handler sends code too large for one request through
+ * executeChunkedAnalysis instead.
  */
 export async function executeAnalyzeCode(
   client: XAIClient,
-  input: AnalyzeCodeInput
+  input: AnalyzeCodeInput,
+  signal?: AbortSignal
 ): Promise<AnalyzeCodeResponse> {
   const startTime = Date.now();
 
@@ -363,26 +488,14 @@ export async function executeAnalyzeCode(
   const analysisType = input.analysis_type || 'all';
   const model = input.model || 'grok-code-fast-1';
 
-  // Build the prompt
-  const prompt = buildAnalysisPrompt(input.code, language, analysisType, input.context);
-
   // Make the API call with extended timeout for code analysis
   const response = await client.chatCompletion({
     model,
-    messages: [
-      {
-        role: 'system',
-        content:
-          'You are an expert code reviewer. Analyze code and respond with structured JSON containing issues and suggestions.',
-      },
-      {
-        role: 'user',
-        content: prompt,
-      },
-    ],
-    temperature: 0.1, // Low temperature for consistent analysis
-    max_tokens: 4000,
+    messages: buildAnalysisMessages(input, language, analysisType),
+    temperature: ANALYSIS_TEMPERATURE,
+    max_tokens: ANALYSIS_MAX_TOKENS,
     timeout: input.timeout ?? DEFAULT_ANALYSIS_TIMEOUT,
+    signal,
   });
 
   const responseTime = Date.now() - startTime;
@@ -398,6 +511,7 @@ export async function executeAnalyzeCode(
     summary,
     language,
     analysisType,
+    filename: input.filename,
     model: response.model,
     usage: response.usage,
     cost: client.calculateCost(
@@ -409,17 +523,266 @@ export async function executeAnalyzeCode(
   };
 }
 
+const SEVERITY_RANK: Record<CodeIssue['severity'], number> = {
+  critical: 3,
+  high: 2,
+  medium: 1,
+  low: 0,
+};
+
+/**
+ * Move an issue from chunk line numbers to file line numbers
+ *
+ * A line outside the chunk cannot be placed in the file, so the issue keeps
+ * no line; an end line past the chunk is cut to its last line.
+ */
+export function rebaseIssue(issue: CodeIssue, chunk: CodeChunk): CodeIssue {
+  const length = chunk.endLine - chunk.startLine + 1;
+  if (issue.line === undefined || issue.line < 1 || issue.line > length) {
+    return { ...issue, line: undefined, endLine: undefined };
+  }
+  const offset = chunk.startLine - 1;
+  return {
+    ...issue,
+    line: issue.line + offset,
+    endLine:
+      issue.endLine !== undefined && issue.endLine > issue.line
+        ? Math.min(issue.endLine, length) + offset
+        : undefined,
+  };
+}
+
+/**
+ * Merge the rebased issues of all chunks, sorted by line
+ *
+ * Overlapping chunks can report the same issue twice. An issue on a line
+ * that another chunk also covers is kept once if the same type and message
+ * are reported there again; issues without a line are merged by type and
+ * message alone. The highest severity reported is kept. Issues anywhere
+ * else, even of one type on one line, are all kept.
+ *
+ * @param parts - Each chunk with its issues, in file line numbers
+ */
+export function mergeChunkIssues(
+  parts: Array<{ chunk: CodeChunk; issues: CodeIssue[] }>
+): CodeIssue[] {
+  const merged: CodeIssue[] = [];
+  const indexByKey = new Map<string, number>();
+
+  parts.forEach(({ issues }, partIndex) => {
+    const isShared = (line: number): boolean =>
+      parts.some(
+        ({ chunk }, otherIndex) =>
+          otherIndex !== partIndex && line >= chunk.startLine && line <= chunk.endLine
+      );
+
+    for (const issue of issues) {
+      const type = issue.type.toLowerCase();
+      const message = issue.message.trim().toLowerCase();
+      let key: string | undefined;
+      if (issue.line === undefined) {
+        key = `${type}:${message}`;
+      } else if (isShared(issue.line)) {
+        key = `${type}:${issue.line}:${message}`;
+      }
+
+      const existing = key !== undefined ? indexByKey.get(key) : undefined;
+      if (existing === undefined) {
+        if (key !== undefined) indexByKey.set(key, merged.length);
+        merged.push(issue);
+      } else if (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[merged[existing].severity]) {
+        merged[existing] = issue;
+      }
+    }
+  });
+
+  const lineOf = (issue: CodeIssue): number => issue.line ?? Number.MAX_SAFE_INTEGER;
+  return merged.sort((a, b) => lineOf(a) - lineOf(b));
+}
+
+/**
+ * Outcome of analyzing one chunk
+ */
+interface ChunkAnalysis {
+  chunk: CodeChunk;
+  /** Issues with file line numbers */
+  issues: CodeIssue[];
+  summary?: string;
+  completion?: TrackedCompletion;
+  error?: string;
+  response_time_ms: number;
+}
+
+/**
+ * Describe an error for the chunk summary
+ */
+function getErrorMessage(error: unknown): string {
+  if (error instanceof XAIError) return error.getSanitizedMessage();
+  return error instanceof Error ? error.message : 'Unknown error occurred';
+}
+
+/**
+ * Estimate the input tokens of every chunk request together
+ *
+ * Each chunk is sent with its own prompt and context, so the total is more
+ * than the code alone.
+ */
+function estimateChunkedInputTokens(
+  input: AnalyzeCodeInput,
+  language: string,
+  analysisType: AnalysisType,
+  chunks: CodeChunk[]
+): number {
+  const totalLines = chunks[chunks.length - 1].endLine;
+  return chunks.reduce((total, chunk) => {
+    const messages = buildAnalysisMessages(input, language, analysisType, { chunk, totalLines });
+    return total + Math.ceil(JSON.stringify(messages).length / 4);
+  }, 0);
+}
+
+/**
+ * Execute code analysis of a large file, one request per chunk
+ *
+ * Chunks are sent in parallel, no more at once than the rate limiter lets
+ * through (the rest would time out in its queue), and each is charged to the
+ * session as it completes; callers check the budget for all of them first.
+ * Issues are rebased to file line numbers and merged, and the chunk summaries
+ * are combined into one. Usage, cost and time cover the whole run.
+ * A failed chunk is reported in the summary and `chunks` without failing the
+ * analysis, unless every chunk fails.
+ *
+ * @param client - XAI client instance
+ * @param input - Tool input
+ * @param chunks - Chunks of `input.code`, from chunkCode
+ * @param call - Tool call the costs are attributed to
+ * @param services - Optional services for rate limiting and cost tracking
+ * @param signal - Cancels every chunk when aborted
+ * @throws Error if every chunk fails
+ */
+export async function executeChunkedAnalysis(
+  client: XAIClient,
+  input: AnalyzeCodeInput,
+  chunks: CodeChunk[],
+  call: ToolCall,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<AnalyzeCodeResponse> {
+  const startTime = Date.now();
+  const language = input.language || detectLanguage(input.code);
+  const analysisType = input.analysis_type || 'all';
+  const model = input.model || 'grok-code-fast-1';
+  const totalLines = chunks[chunks.length - 1].endLine;
+
+  const parts = await mapWithConcurrency(
+    chunks,
+    getFanOutLimit(analyzeCodeRateLimitClass, services),
+    async (chunk): Promise<ChunkAnalysis> => {
+      const chunkStart = Date.now();
+      try {
+        const completion = await runTrackedCompletion(
+          client,
+          {
+            model,
+            messages: buildAnalysisMessages(input, language, analysisType, { chunk, totalLines }),
+            temperature: ANALYSIS_TEMPERATURE,
+            max_tokens: ANALYSIS_MAX_TOKENS,
+            timeout: input.timeout ?? DEFAULT_ANALYSIS_TIMEOUT,
+          },
+          { call, requestClass: analyzeCodeRateLimitClass, services, signal }
+        );
+        const { issues, summary } = parseAnalysisResponse(completion.content || 'No response');
+        return {
+          chunk,
+          issues: issues.map((issue) => rebaseIssue(issue, chunk)),
+          summary,
+          completion,
+          response_time_ms: completion.response_time_ms,
+        };
+      } catch (error) {
+        if (error instanceof RequestCancelledError) throw error;
+        return {
+          chunk,
+          issues: [],
+          error: getErrorMessage(error),
+          response_time_ms: Date.now() - chunkStart,
+        };
+      }
+    }
+  );
+
+  const range = (part: ChunkAnalysis): string =>
+    `Lines ${part.chunk.startLine}-${part.chunk.endLine}`;
+  const completions = parts.flatMap((part) => (part.completion ? [part.completion] : []));
+  if (completions.length === 0) {
+    throw new Error(
+      `All chunks failed: ${parts.map((part) => `${range(part)}: ${part.error}`).join('; ')}`
+    );
+  }
+
+  const summary = [`Analyzed ${totalLines} lines in ${chunks.length} chunks.`];
+  for (const part of parts) {
+    summary.push(
+      part.error !== undefined
+        ? `- ${range(part)}: not analyzed (${part.error})`
+        : `- ${range(part)}: ${part.summary}`
+    );
+  }
+
+  const usage: TokenUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let costUsd = 0;
+  for (const completion of completions) {
+    usage.prompt_tokens += completion.usage.prompt_tokens;
+    usage.completion_tokens += completion.usage.completion_tokens;
+    usage.total_tokens += completion.usage.total_tokens;
+    costUsd += completion.cost.estimated_usd;
+  }
+  const responseModel = completions[0].model;
+
+  return {
+    issues: mergeChunkIssues(parts),
+    summary: summary.join('\n'),
+    language,
+    analysisType,
+    filename: input.filename,
+    model: responseModel,
+    usage,
+    cost: {
+      ...client.calculateCost(responseModel, usage.prompt_tokens, usage.completion_tokens),
+      estimated_usd: costUsd,
+    },
+    response_time_ms: Date.now() - startTime,
+    chunks: parts.map(
+      (part): AnalysisChunk => ({
+        startLine: part.chunk.startLine,
+        endLine: part.chunk.endLine,
+        issues: part.issues.length,
+        tokens: part.completion?.usage.total_tokens,
+        cost_usd: part.completion?.cost.estimated_usd,
+        response_time_ms: part.response_time_ms,
+        error: part.error,
+      })
+    ),
+  };
+}
+
 /**
  * Format analysis result for MCP response
+ *
+ * @param result - Analysis result
+ * @param cacheInfo - Present when the result came from the cache
  */
-function formatAnalysisOutput(result: AnalyzeCodeResponse): string {
+function formatAnalysisOutput(
+  result: AnalyzeCodeResponse,
+  cacheInfo?: { expiresIn?: number }
+): string {
   const lines: string[] = [];
 
   // Header
   lines.push(`🤖 **Grok Code Analysis:**`);
   lines.push('');
+  const chunkInfo = result.chunks ? ` | **Chunks:** ${result.chunks.length}` : '';
   lines.push(
-    `**Language:** ${result.language} | **Type:** ${result.analysisType} | **Model:** ${result.model}`
+    `**Language:** ${result.language} | **Type:** ${result.analysisType} | **Model:** ${result.model}${chunkInfo}`
   );
   lines.push('');
 
@@ -479,24 +842,77 @@ function formatAnalysisOutput(result: AnalyzeCodeResponse): string {
   lines.push(
     `⚡ *${result.model} • ${result.usage.total_tokens} tokens • $${result.cost.estimated_usd.toFixed(4)} • ${result.response_time_ms}ms*`
   );
+  if (cacheInfo) {
+    lines.push(formatCacheBadge(cacheInfo.expiresIn));
+  }
 
   return lines.join('\n');
 }
 
+/**
+ * Convert an analysis result to a SARIF 2.1.0 log
+ *
+ * Issues are located in `filename` when it was given, otherwise in the
+ * analyzed snippet.
+ */
+export function buildAnalysisSarif(result: AnalyzeCodeResponse): SarifLog {
+  return buildSarifLog(
+    result.issues.map((issue) => ({ ...issue, file: result.filename })),
+    {
+      snippetDescription: `Analyzed ${result.language} code`,
+      properties: {
+        model: result.model,
+        analysisType: result.analysisType,
+        summary: result.summary,
+      },
+    }
+  );
+}
+
+/**
+ * Format an analysis result in the requested output format
+ */
+function formatAnalysisResult(
+  result: AnalyzeCodeResponse,
+  outputFormat: AnalysisOutputFormat,
+  cacheInfo?: { expiresIn?: number }
+): string {
+  switch (outputFormat) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'sarif':
+      return JSON.stringify(buildAnalysisSarif(result), null, 2);
+    default:
+      return formatAnalysisOutput(result, cacheInfo);
+  }
+}
+
+/**
+ * Code analysis is awaited interactively, so it queues alongside grok_query
+ */
+export const analyzeCodeRateLimitClass: RateLimitClass = {
+  tool: 'grok_analyze_code',
+  priority: 'interactive',
+};
+
 /**
  * Handle grok_analyze_code tool call
  *
  * @param client - XAI client instance
  * @param input - Tool input parameters
  * @param services - Optional services for cost tracking and rate limiting
+ * @param signal - Cancels the request (including rate limit waits) when aborted
  * @returns MCP CallToolResult
  */
 export async function handleAnalyzeCode(
   client: XAIClient,
   input: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal
 ): Promise<CallToolResult> {
   try {
+    const call = startToolCall('grok_analyze_code', input);
+
     // Validate input
     if (!input || typeof input !== 'object') {
       throw new Error('Invalid input: expected object with code property');
@@ -507,6 +923,15 @@ export async function handleAnalyzeCode(
       throw new Error('Invalid input: code property is required and must be a string');
     }
 
+    if (
+      params.output_format !== undefined &&
+      !ANALYSIS_OUTPUT_FORMATS.includes(params.output_format as AnalysisOutputFormat)
+    ) {
+      throw new Error(
+        `Invalid input: output_format must be one of ${ANALYSIS_OUTPUT_FORMATS.join(', ')}`
+      );
+    }
+
     const analyzeInput: AnalyzeCodeInput = {
       code: params.code,
       language: typeof params.language === 'string' ? params.language : undefined,
@@ -517,16 +942,49 @@ export async function handleAnalyzeCode(
       model: typeof params.model === 'string' ? params.model : undefined,
       context: typeof params.context === 'string' ? params.context : undefined,
       timeout: typeof params.timeout === 'number' ? params.timeout : undefined,
+      filename: typeof params.filename === 'string' ? params.filename : undefined,
+      output_format: params.output_format as AnalysisOutputFormat | undefined,
     };
+    const outputFormat = analyzeInput.output_format ?? 'markdown';
+
+    // Files too large for one request are analyzed in chunks
+    const chunks = chunkCode(analyzeInput.code);
 
     // Resolve model for budget/rate estimation
     const resolvedModel = client.resolveModel(analyzeInput.model || 'grok-code-fast-1');
 
+    // CHECK CACHE (analysis is deterministic, so results are cached for long)
+    const language = analyzeInput.language || detectLanguage(analyzeInput.code);
+    const analysisType = analyzeInput.analysis_type || 'all';
+    const cacheLookup = lookupToolCache<AnalyzeCodeResponse>(services, 'grok_analyze_code', {
+      model: resolvedModel,
+      messages: buildAnalysisMessages(analyzeInput, language, analysisType),
+      temperature: ANALYSIS_TEMPERATURE,
+      max_tokens: ANALYSIS_MAX_TOKENS,
+    });
+    if (cacheLookup.hit) {
+      if (services?.costTracker) {
+        services.costTracker.recordCacheHit(cacheLookup.hit.model, getCostAttribution(call, true));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatAnalysisResult(cacheLookup.hit, outputFormat, {
+              expiresIn: cacheLookup.expiresIn,
+            }),
+          },
+        ],
+        isError: false,
+      };
+    }
+
     // Estimate tokens for budget and rate limiting
-    const estimatedInputTokens = Math.ceil(
-      (analyzeInput.code.length + (analyzeInput.context?.length || 0)) / 4
-    );
-    const estimatedOutputTokens = 4000; // Max tokens for analysis
+    const estimatedInputTokens =
+      chunks.length > 1
+        ? estimateChunkedInputTokens(analyzeInput, language, analysisType, chunks)
+        : Math.ceil((analyzeInput.code.length + (analyzeInput.context?.length || 0)) / 4);
+    const estimatedOutputTokens = ANALYSIS_MAX_TOKENS * chunks.length; // Max tokens per chunk
 
     // CHECK BUDGET (estimate cost before call)
     if (services?.costTracker) {
@@ -538,28 +996,57 @@ export async function handleAnalyzeCode(
       services.costTracker.checkBudget(estimatedCost); // throws if over budget
     }
 
+    if (chunks.length > 1) {
+      // Each chunk acquires its own rate limit slot and records its own cost
+      const result = await executeChunkedAnalysis(
+        client,
+        analyzeInput,
+        chunks,
+        call,
+        services,
+        signal
+      );
+
+      // Cache only complete analyses, so a failed chunk is retried next time
+      if (result.chunks?.every((chunk) => chunk.error === undefined)) {
+        storeToolCache(services, cacheLookup, result, 'deterministic');
+      }
+
+      return {
+        content: [{ type: 'text', text: formatAnalysisResult(result, outputFormat) }],
+        isError: false,
+      };
+    }
+
     // ACQUIRE RATE LIMIT
     if (services?.rateLimiter) {
-      await services.rateLimiter.acquire(estimatedInputTokens);
+      await services.rateLimiter.acquire(estimatedInputTokens, signal, analyzeCodeRateLimitClass);
     }
 
     try {
-      const result = await executeAnalyzeCode(client, analyzeInput);
+      const result = await executeAnalyzeCode(client, analyzeInput, signal);
 
       // RECORD ACTUAL USAGE
       if (services?.rateLimiter) {
-        services.rateLimiter.recordUsage(result.usage.total_tokens, estimatedInputTokens);
+        services.rateLimiter.recordUsage(
+          result.usage.total_tokens,
+          estimatedInputTokens,
+          analyzeCodeRateLimitClass
+        );
         services.rateLimiter.clearBackoff();
       }
 
       // TRACK COST
       if (services?.costTracker) {
-        services.costTracker.addFromEstimate(result.cost);
+        services.costTracker.addFromEstimate(result.cost, getCostAttribution(call));
       }
 
+      // CACHE RESULT
+      storeToolCache(services, cacheLookup, result, 'deterministic');
+
       const content: TextContent = {
         type: 'text',
-        text: formatAnalysisOutput(result),
+        text: formatAnalysisResult(result, outputFormat),
       };
 
       return {
@@ -569,7 +1056,7 @@ export async function handleAnalyzeCode(
     } catch (error) {
       // Release rate limiter slot on failure
       if (services?.rateLimiter) {
-        services.rateLimiter.release(estimatedInputTokens);
+        services.rateLimiter.release(estimatedInputTokens, analyzeCodeRateLimitClass);
       }
       throw error;
     }
@@ -0,0 +1,422 @@
+/**
+ * grok_batch Tool Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { http, HttpResponse, delay } from 'msw';
+import { server } from '../test/mocks/server.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import { startToolCall } from '../services/cost-attribution.js';
+import type { Services } from '../types/index.js';
+import {
+  executeGrokBatch,
+  formatBatchOutput,
+  grokBatchRateLimitClass,
+  grokBatchSchema,
+  handleGrokBatch,
+  validateGrokBatchInput,
+  type GrokBatchResponse,
+} from './batch.js';
+
+const CHAT_URL = 'https://api.x.ai/v1/chat/completions';
+
+function createServices(limitUsd: number = 10): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
+interface SeenRequest {
+  model: string;
+  prompt: string;
+  system?: string;
+}
+
+/**
+ * Echo each prompt back, failing the prompts listed, and track how many
+ * requests were in flight at once
+ */
+function useEchoAnswers(failing: string[] = []): { requests: SeenRequest[]; maxInFlight: number } {
+  const seen = { requests: [] as SeenRequest[], maxInFlight: 0 };
+  let inFlight = 0;
+  server.use(
+    http.post(CHAT_URL, async ({ request }) => {
+      const body = (await request.json()) as {
+        model: string;
+        messages: Array<{ role: string; content: string }>;
+      };
+      inFlight++;
+      seen.maxInFlight = Math.max(seen.maxInFlight, inFlight);
+      const prompt = body.messages[body.messages.length - 1].content;
+      seen.requests.push({
+        model: body.model,
+        prompt,
+        system: body.messages.find((message) => message.role === 'system')?.content,
+      });
+      await delay(5);
+      inFlight--;
+      if (failing.includes(prompt)) {
+        return HttpResponse.json({ error: { message: 'Bad request' } }, { status: 400 });
+      }
+      return HttpResponse.json({
+        id: 'chatcmpl-batch',
+        object: 'chat.completion',
+        created: 1704067200,
+        model: body.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content: `Answer to ${prompt}` },
+            finish_reason: 'stop',
+          },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 },
+      });
+    })
+  );
+  return seen;
+}
+
+function queries(count: number): Array<{ query: string }> {
+  return Array.from({ length: count }, (_, index) => ({ query: `Q${index + 1}` }));
+}
+
+describe('grok_batch tool', () => {
+  let client: XAIClient;
+
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+    client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  describe('grokBatchSchema', () => {
+    it('should require items and limit them to 100', () => {
+      expect(grokBatchSchema.required).toEqual(['items']);
+      expect(grokBatchSchema.properties.items.maxItems).toBe(100);
+      expect(grokBatchSchema.properties.items.items.required).toEqual(['query']);
+    });
+  });
+
+  describe('validateGrokBatchInput', () => {
+    it('should apply defaults and number items without an id', () => {
+      const input = validateGrokBatchInput({ items: [{ query: 'A' }, { query: 'B', id: 'b' }] });
+
+      expect(input.items.map((item) => item.id)).toEqual(['1', 'b']);
+      expect(input).toMatchObject({
+        model: 'fast',
+        max_tokens: 1024,
+        temperature: 0.7,
+        parallelism: 4,
+        max_cost_usd: undefined,
+      });
+    });
+
+    it('should reject an empty or oversized batch', () => {
+      expect(() => validateGrokBatchInput({ items: [] })).toThrow('non-empty array');
+      expect(() => validateGrokBatchInput({ items: queries(101) })).toThrow('at most 100');
+    });
+
+    it('should name the item that is invalid', () => {
+      expect(() => validateGrokBatchInput({ items: [{ query: 'A' }, { query: ' ' }] })).toThrow(
+        'items[1].query'
+      );
+      expect(() => validateGrokBatchInput({ items: [{ query: 'A', model: 3 }] })).toThrow(
+        'items[0].model must be a string'
+      );
+    });
+
+    it('should reject duplicate ids', () => {
+      expect(() =>
+        validateGrokBatchInput({
+          items: [
+            { query: 'A', id: 'x' },
+            { query: 'B', id: 'x' },
+          ],
+        })
+      ).toThrow('Duplicate item id: x');
+    });
+
+    it.each([0, 9, 1.5])('should reject a parallelism of %s', (parallelism) => {
+      expect(() => validateGrokBatchInput({ items: queries(1), parallelism })).toThrow(
+        'parallelism'
+      );
+    });
+
+    it('should reject a non-positive batch budget', () => {
+      expect(() => validateGrokBatchInput({ items: queries(1), max_cost_usd: 0 })).toThrow(
+        'max_cost_usd'
+      );
+    });
+  });
+
+  describe('executeGrokBatch', () => {
+    it('should answer every item in input order', async () => {
+      useEchoAnswers();
+      const input = validateGrokBatchInput({ items: queries(5), parallelism: 2 });
+
+      const result = await executeGrokBatch(client, input, startToolCall('grok_batch', {}));
+
+      expect(result.results.map((item) => item.response)).toEqual([
+        'Answer to Q1',
+        'Answer to Q2',
+        'Answer to Q3',
+        'Answer to Q4',
+        'Answer to Q5',
+      ]);
+      expect(result.succeeded).toBe(5);
+      expect(result.total_tokens).toBe(150);
+      expect(result.total_cost_usd).toBeGreaterThan(0);
+    });
+
+    it('should keep at most `parallelism` items in flight', async () => {
+      const seen = useEchoAnswers();
+      const input = validateGrokBatchInput({ items: queries(6), parallelism: 2 });
+
+      await executeGrokBatch(client, input, startToolCall('grok_batch', {}));
+
+      expect(seen.requests).toHaveLength(6);
+      expect(seen.maxInFlight).toBe(2);
+    });
+
+    it('should not start more items than the rate limiter lets through', async () => {
+      const seen = useEchoAnswers();
+      const services = {
+        ...createServices(),
+        rateLimiter: new RateLimiter({ tier: 'standard', maxConcurrent: 2 }),
+      };
+      const rateLimiter = services.rateLimiter;
+      const recordUsage = rateLimiter.recordUsage.bind(rateLimiter);
+      let maxQueued = 0;
+      vi.spyOn(rateLimiter, 'recordUsage').mockImplementation((...args) => {
+        maxQueued = Math.max(maxQueued, rateLimiter.getPendingCount());
+        recordUsage(...args);
+      });
+      const input = validateGrokBatchInput({ items: queries(8), parallelism: 8 });
+
+      const result = await executeGrokBatch(
+        client,
+        input,
+        startToolCall('grok_batch', {}),
+        services
+      );
+
+      expect(result.succeeded).toBe(8);
+      expect(seen.maxInFlight).toBe(2);
+      expect(maxQueued).toBe(0);
+    });
+
+    it('should use per-item model and context over the batch defaults', async () => {
+      const seen = useEchoAnswers();
+      const input = validateGrokBatchInput({
+        items: [{ query: 'A' }, { query: 'B', model: 'code', context: 'Be terse' }],
+        context: 'Be brief',
+        parallelism: 1,
+      });
+
+      const result = await executeGrokBatch(client, input, startToolCall('grok_batch', {}));
+
+      expect(seen.requests).toEqual([
+        { model: 'grok-4-fast-non-reasoning', prompt: 'A', system: 'Be brief' },
+        { model: 'grok-code-fast-1', prompt: 'B', system: 'Be terse' },
+      ]);
+      expect(result.results[1].model).toBe('grok-code-fast-1');
+    });
+
+    it('should report a failed item and carry on', async () => {
+      useEchoAnswers(['Q2']);
+      const input = validateGrokBatchInput({ items: queries(3) });
+
+      const result = await executeGrokBatch(client, input, startToolCall('grok_batch', {}));
+
+      expect(result.results[1]).toMatchObject({ id: '2', status: 'failed' });
+      expect(result.results[1].error).toBeDefined();
+      expect(result.succeeded).toBe(2);
+      expect(result.failed).toBe(1);
+    });
+
+    it('should skip the remaining items once the batch budget is reached', async () => {
+      const seen = useEchoAnswers();
+      const model = 'grok-4-fast-non-reasoning';
+      const estimate = CostTracker.estimateCost(model, 10, 1024);
+      const actual = client.calculateCost(model, 10, 20).estimated_usd;
+      // Two answered items leave less than one estimate of the budget
+      const input = validateGrokBatchInput({
+        items: queries(5),
+        parallelism: 1,
+        max_cost_usd: estimate + actual * 1.5,
+      });
+
+      const result = await executeGrokBatch(client, input, startToolCall('grok_batch', {}));
+
+      expect(seen.requests.map((request) => request.prompt)).toEqual(['Q1', 'Q2']);
+      expect(result.results.map((item) => item.status)).toEqual([
+        'succeeded',
+        'succeeded',
+        'skipped',
+        'skipped',
+        'skipped',
+      ]);
+      expect(result.skipped).toBe(3);
+      expect(result.stopped_reason).toContain('batch budget');
+    });
+
+    it('should stop at the session budget', async () => {
+      const seen = useEchoAnswers();
+      const services = createServices(0.000001);
+      const input = validateGrokBatchInput({ items: queries(3) });
+
+      const result = await executeGrokBatch(
+        client,
+        input,
+        startToolCall('grok_batch', {}),
+        services
+      );
+
+      expect(seen.requests).toHaveLength(0);
+      expect(result.skipped).toBe(3);
+      expect(result.stopped_reason).toContain('Cost limit exceeded');
+    });
+
+    it('should queue items as batch work and record cost per item', async () => {
+      useEchoAnswers();
+      const services = createServices();
+      const acquireSpy = vi.spyOn(services.rateLimiter, 'acquire');
+      const input = validateGrokBatchInput({ items: queries(3) });
+
+      await executeGrokBatch(client, input, startToolCall('grok_batch', {}), services);
+
+      expect(acquireSpy).toHaveBeenCalledTimes(3);
+      expect(acquireSpy).toHaveBeenCalledWith(
+        expect.any(Number),
+        undefined,
+        grokBatchRateLimitClass
+      );
+      expect(grokBatchRateLimitClass.priority).toBe('batch');
+      expect(services.rateLimiter.getInFlightCount('grok_batch')).toBe(0);
+      expect(services.costTracker.getUsageSummary().byTool.grok_batch.queries).toBe(3);
+    });
+  });
+
+  describe('formatBatchOutput', () => {
+    const result: GrokBatchResponse = {
+      results: [
+        {
+          id: 'a.ts',
+          status: 'succeeded',
+          model: 'grok-4-fast-non-reasoning',
+          response: 'Looks fine',
+          tokens: 1200,
+          cost_usd: 0.0005,
+          response_time_ms: 400,
+        },
+        {
+          id: 'b.ts',
+          status: 'failed',
+          model: 'grok-4-fast-non-reasoning',
+          error: 'Bad request',
+          response_time_ms: 30,
+        },
+        { id: 'c.ts', status: 'skipped', model: 'grok-4-fast-non-reasoning' },
+      ],
+      succeeded: 1,
+      failed: 1,
+      skipped: 1,
+      stopped_reason: 'batch budget of $0.0010 reached ($0.0005 spent)',
+      total_tokens: 1200,
+      total_cost_usd: 0.0005,
+      total_time_ms: 450,
+    };
+
+    it('should summarize every item in a table', () => {
+      const output = formatBatchOutput(result);
+
+      expect(output).toContain('## Batch Results: 1/3 succeeded');
+      expect(output).toContain('Stopped early, 1 skipped: batch budget of $0.0010 reached');
+      expect(output).toContain(
+        '| a.ts | grok-4-fast-non-reasoning | succeeded | 400ms | 1,200 | $0.0005 |'
+      );
+      expect(output).toContain('| c.ts | grok-4-fast-non-reasoning | skipped | - | - | - |');
+    });
+
+    it('should list answers and errors but not skipped items', () => {
+      const output = formatBatchOutput(result);
+
+      expect(output).toContain('### a.ts\n\nLooks fine');
+      expect(output).toContain('### b.ts\n\n**Error:** Bad request');
+      expect(output).not.toContain('### c.ts');
+      expect(output).toContain('1 succeeded • 1 failed • 1 skipped');
+    });
+
+    it('should escape pipes in item ids in the table', () => {
+      const output = formatBatchOutput({
+        ...result,
+        results: [{ ...result.results[0], id: 'a|b\nc' }],
+      });
+
+      expect(output).toContain(
+        '| a\\|b c | grok-4-fast-non-reasoning | succeeded | 400ms | 1,200 | $0.0005 |'
+      );
+    });
+  });
+
+  describe('handleGrokBatch', () => {
+    it('should return the report and the results as structured content', async () => {
+      useEchoAnswers();
+
+      const result = await handleGrokBatch(client, { items: [{ query: 'Hi', id: 'greeting' }] });
+
+      expect(result.isError).toBe(false);
+      expect((result.content[0] as { text: string }).text).toContain('### greeting');
+      expect(result.structuredContent).toMatchObject({
+        succeeded: 1,
+        results: [{ id: 'greeting', status: 'succeeded', response: 'Answer to Hi' }],
+      });
+    });
+
+    it('should be an error when no item succeeded', async () => {
+      useEchoAnswers(['Q1']);
+
+      const result = await handleGrokBatch(client, { items: queries(1) });
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toMatchObject({ failed: 1 });
+    });
+
+    it('should return an error for invalid input', async () => {
+      const result = await handleGrokBatch(client, { items: 'Q1' });
+
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain('Error during batch');
+    });
+
+    it('should return an error when cancelled', async () => {
+      useEchoAnswers();
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await handleGrokBatch(
+        client,
+        { items: queries(2) },
+        createServices(),
+        controller.signal
+      );
+
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain('Error during batch');
+    });
+  });
+});
@@ -0,0 +1,512 @@
+/**
+ * grok_batch Tool
+ *
+ * Runs many independent prompts in one tool call, a few at a time, and
+ * returns every item's answer or error along with the total cost. Stops
+ * starting new items once the batch budget or the session budget is reached.
+ *
+ * @module tools/batch
+ */
+
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ChatMessage, RequestCancelledError, Services, XAIError } from '../types/index.js';
+import { CostLimitExceededError, CostTracker } from '../services/cost-tracker.js';
+import { startToolCall, tagSchemaProperty, type ToolCall } from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
+import {
+  getFanOutLimit,
+  mapWithConcurrency,
+  runTrackedCompletion,
+} from '../services/tracked-completion.js';
+
+const DEFAULT_MODEL = 'fast';
+const MAX_ITEMS = 100;
+const DEFAULT_PARALLELISM = 4;
+const MAX_PARALLELISM = 8;
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * One prompt in the batch
+ */
+export interface BatchItem {
+  /** Identifies the item in the results (default: its 1-based position) */
+  id: string;
+  /** Prompt for this item */
+  query: string;
+  /** Model alias or ID for this item (default: the batch model) */
+  model?: string;
+  /** System prompt for this item (default: the batch context) */
+  context?: string;
+}
+
+/**
+ * Input parameters for grok_batch tool
+ */
+export interface GrokBatchInput {
+  /** 1-100 prompts (required) */
+  items: BatchItem[];
+  /** Model for items that do not name one (default: fast) */
+  model: string;
+  /** System prompt for items that do not give one */
+  context?: string;
+  /** Maximum tokens per answer (default: 1024) */
+  max_tokens: number;
+  /** Sampling temperature (default: 0.7) */
+  temperature: number;
+  /** Items in flight at once (default: 4) */
+  parallelism: number;
+  /** Stop starting items once this much has been spent on the batch */
+  max_cost_usd?: number;
+}
+
+/**
+ * Outcome of one item: answered, failed, or never sent because the batch stopped
+ */
+export type BatchItemStatus = 'succeeded' | 'failed' | 'skipped';
+
+/**
+ * Result of one item
+ */
+export interface BatchItemResult {
+  id: string;
+  status: BatchItemStatus;
+  /** Model the item was (or would have been) sent to */
+  model: string;
+  /** Answer text (succeeded items only) */
+  response?: string;
+  /** Error message (failed items only) */
+  error?: string;
+  /** Total tokens used (succeeded items only) */
+  tokens?: number;
+  /** Cost in USD (succeeded items only) */
+  cost_usd?: number;
+  /** Latency including any rate limit wait (sent items only) */
+  response_time_ms?: number;
+}
+
+/**
+ * Response from grok_batch tool
+ */
+export interface GrokBatchResponse {
+  /** One result per item, in input order */
+  results: BatchItemResult[];
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  /** Why the batch stopped before sending every item */
+  stopped_reason?: string;
+  total_tokens: number;
+  total_cost_usd: number;
+  /** Wall-clock time for the whole batch in milliseconds */
+  total_time_ms: number;
+}
+
+/**
+ * JSON Schema for grok_batch tool (JSON Schema 2020-12)
+ */
+export const grokBatchSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object' as const,
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_ITEMS,
+      items: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'Identifies the item in the results (default: its position, from 1)',
+          },
+          query: { type: 'string', minLength: 1, description: 'Prompt for this item' },
+          model: {
+            type: 'string',
+            description: 'Model alias or ID for this item (default: the batch model)',
+          },
+          context: {
+            type: 'string',
+            description: 'System prompt for this item (default: the batch context)',
+          },
+        },
+        required: ['query'],
+        additionalProperties: false,
+      },
+      description: `1-${MAX_ITEMS} independent prompts`,
+    },
+    model: {
+      type: 'string',
+      description: `Model for items that do not name one (default: ${DEFAULT_MODEL})`,
+    },
+    context: {
+      type: 'string',
+      description: 'System prompt for items that do not give one',
+    },
+    max_tokens: {
+      type: 'integer',
+      minimum: 1,
+      description: `Maximum tokens per answer (default: ${DEFAULT_MAX_TOKENS})`,
+    },
+    temperature: {
+      type: 'number',
+      minimum: 0,
+      maximum: 2,
+      description: `Sampling temperature for every item (0.0-2.0, default: ${DEFAULT_TEMPERATURE})`,
+    },
+    parallelism: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_PARALLELISM,
+      description: `Items in flight at once (1-${MAX_PARALLELISM}, default: ${DEFAULT_PARALLELISM}), never more than the per-endpoint request limit (GROK_MAX_CONCURRENT)`,
+    },
+    max_cost_usd: {
+      type: 'number',
+      exclusiveMinimum: 0,
+      description:
+        'Batch budget in USD: items that would take the batch past it are skipped (the session budget always applies)',
+    },
+    tag: tagSchemaProperty,
+  },
+  required: ['items'],
+  additionalProperties: false,
+};
+
+/**
+ * Tool definition for grok_batch
+ */
+export const grokBatchToolDefinition = {
+  name: 'grok_batch',
+  description:
+    'Run up to 100 independent Grok prompts in one call with bounded parallelism, e.g. the same question for many files or log lines. Returns each answer or error and the total cost, stopping early when the batch budget is reached.',
+  inputSchema: grokBatchSchema,
+};
+
+/**
+ * Validate one item, giving it its position as ID if it has none
+ */
+function validateBatchItem(raw: unknown, index: number): BatchItem {
+  const position = index + 1;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`items[${index}] must be an object`);
+  }
+
+  const item = raw as Record<string, unknown>;
+  if (typeof item.query !== 'string' || item.query.trim().length === 0) {
+    throw new Error(`items[${index}].query is required and must be a non-empty string`);
+  }
+  for (const field of ['id', 'model', 'context'] as const) {
+    if (item[field] !== undefined && typeof item[field] !== 'string') {
+      throw new Error(`items[${index}].${field} must be a string`);
+    }
+  }
+
+  const id = (item.id as string | undefined)?.trim();
+  return {
+    id: id || String(position),
+    query: item.query,
+    model: (item.model as string | undefined)?.trim() || undefined,
+    context: item.context as string | undefined,
+  };
+}
+
+/**
+ * Validate and normalize input parameters
+ */
+export function validateGrokBatchInput(input: unknown): GrokBatchInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Input must be an object');
+  }
+
+  const params = input as Record<string, unknown>;
+
+  if (!Array.isArray(params.items) || params.items.length === 0) {
+    throw new Error('items parameter is required and must be a non-empty array');
+  }
+  if (params.items.length > MAX_ITEMS) {
+    throw new Error(`items parameter must list at most ${MAX_ITEMS} items`);
+  }
+  const items = params.items.map(validateBatchItem);
+
+  const seen = new Set<string>();
+  for (const item of items) {
+    if (seen.has(item.id)) {
+      throw new Error(`Duplicate item id: ${item.id}`);
+    }
+    seen.add(item.id);
+  }
+
+  if (params.model !== undefined && typeof params.model !== 'string') {
+    throw new Error('model parameter must be a string');
+  }
+  if (params.context !== undefined && typeof params.context !== 'string') {
+    throw new Error('context parameter must be a string');
+  }
+  if (
+    params.max_tokens !== undefined &&
+    (typeof params.max_tokens !== 'number' ||
+      !Number.isInteger(params.max_tokens) ||
+      params.max_tokens < 1)
+  ) {
+    throw new Error('max_tokens must be a positive integer');
+  }
+  if (
+    params.temperature !== undefined &&
+    (typeof params.temperature !== 'number' || params.temperature < 0 || params.temperature > 2)
+  ) {
+    throw new Error('temperature must be a number between 0 and 2');
+  }
+  if (
+    params.parallelism !== undefined &&
+    (typeof params.parallelism !== 'number' ||
+      !Number.isInteger(params.parallelism) ||
+      params.parallelism < 1 ||
+      params.parallelism > MAX_PARALLELISM)
+  ) {
+    throw new Error(`parallelism must be an integer between 1 and ${MAX_PARALLELISM}`);
+  }
+  if (
+    params.max_cost_usd !== undefined &&
+    (typeof params.max_cost_usd !== 'number' || !(params.max_cost_usd > 0))
+  ) {
+    throw new Error('max_cost_usd must be a positive number');
+  }
+
+  return {
+    items,
+    model: (params.model as string | undefined)?.trim() || DEFAULT_MODEL,
+    context: params.context as string | undefined,
+    max_tokens: (params.max_tokens as number | undefined) ?? DEFAULT_MAX_TOKENS,
+    temperature: (params.temperature as number | undefined) ?? DEFAULT_TEMPERATURE,
+    parallelism: (params.parallelism as number | undefined) ?? DEFAULT_PARALLELISM,
+    max_cost_usd: params.max_cost_usd as number | undefined,
+  };
+}
+
+/**
+ * Describe an error for the report
+ */
+function getErrorMessage(error: unknown): string {
+  if (error instanceof XAIError) return error.getSanitizedMessage();
+  return error instanceof Error ? error.message : 'Unknown error occurred';
+}
+
+/**
+ * Rate limit queue class for grok_batch: bulk work waits behind interactive calls
+ */
+export const grokBatchRateLimitClass: RateLimitClass = {
+  tool: 'grok_batch',
+  priority: 'batch',
+};
+
+/**
+ * Run the batch
+ *
+ * Up to `parallelism` items are in flight at once, each through the rate
+ * limiter, and never more than its per-endpoint limit: items past it would
+ * only wait in its queue and fail with QueueTimeoutError. Before an item is
+ * sent, its estimated cost plus the cost of the batch so far (and of items
+ * still in flight) is checked against `max_cost_usd` and the session
+ * budget; once either would be exceeded, no further items are started and
+ * the rest are reported as skipped. A failed item does not stop the batch.
+ *
+ * @param client - XAI client instance
+ * @param input - Validated input
+ * @param call - Tool call the costs are attributed to
+ * @param services - Optional services for budget, rate limiting and cost tracking
+ * @param signal - Cancels the batch when aborted
+ * @throws RequestCancelledError if cancelled
+ */
+export async function executeGrokBatch(
+  client: XAIClient,
+  input: GrokBatchInput,
+  call: ToolCall,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<GrokBatchResponse> {
+  const startTime = Date.now();
+  const models = input.items.map((item) =>
+    client.resolveModel(item.model ?? input.model, item.query, item.context ?? input.context)
+  );
+
+  let spent = 0;
+  let reserved = 0;
+  let stoppedReason: string | undefined;
+
+  /**
+   * Reason not to start an item with this estimated cost, if any
+   */
+  const findStopReason = (estimatedCost: number): string | undefined => {
+    if (input.max_cost_usd !== undefined && spent + reserved + estimatedCost > input.max_cost_usd) {
+      return `batch budget of $${input.max_cost_usd.toFixed(4)} reached ($${spent.toFixed(4)} spent)`;
+    }
+    try {
+      // Items still in flight have not been charged to the session yet
+      services?.costTracker.checkBudget(reserved + estimatedCost);
+    } catch (error) {
+      if (error instanceof CostLimitExceededError) return error.message;
+      throw error;
+    }
+    return undefined;
+  };
+
+  const runItem = async (index: number): Promise<BatchItemResult> => {
+    const item = input.items[index];
+    const model = models[index];
+    const context = item.context ?? input.context;
+    const messages: ChatMessage[] = [];
+    if (context) {
+      messages.push({ role: 'system', content: context });
+    }
+    messages.push({ role: 'user', content: item.query });
+
+    const estimatedCost = CostTracker.estimateCost(
+      model,
+      Math.ceil(JSON.stringify(messages).length / 4),
+      input.max_tokens
+    );
+    stoppedReason ??= findStopReason(estimatedCost);
+    if (stoppedReason !== undefined) {
+      return { id: item.id, status: 'skipped', model };
+    }
+
+    const itemStart = Date.now();
+    reserved += estimatedCost;
+    try {
+      const result = await runTrackedCompletion(
+        client,
+        { model, messages, max_tokens: input.max_tokens, temperature: input.temperature },
+        { call, requestClass: grokBatchRateLimitClass, services, signal }
+      );
+      spent += result.cost.estimated_usd;
+      return {
+        id: item.id,
+        status: 'succeeded',
+        model: result.model,
+        response: result.content,
+        tokens: result.usage.total_tokens,
+        cost_usd: result.cost.estimated_usd,
+        response_time_ms: result.response_time_ms,
+      };
+    } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
+      return {
+        id: item.id,
+        status: 'failed',
+        model,
+        error: getErrorMessage(error),
+        response_time_ms: Date.now() - itemStart,
+      };
+    } finally {
+      reserved -= estimatedCost;
+    }
+  };
+
+  // Once the batch has stopped, the remaining items are taken and marked skipped
+  const results = await mapWithConcurrency(
+    input.items,
+    getFanOutLimit(grokBatchRateLimitClass, services, input.parallelism),
+    (_item, index) => runItem(index)
+  );
+
+  const count = (status: BatchItemStatus): number =>
+    results.filter((result) => result.status === status).length;
+
+  return {
+    results,
+    succeeded: count('succeeded'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    stopped_reason: stoppedReason,
+    total_tokens: results.reduce((sum, result) => sum + (result.tokens ?? 0), 0),
+    total_cost_usd: spent,
+    total_time_ms: Date.now() - startTime,
+  };
+}
+
+/**
+ * Keep a user-supplied value from breaking out of its table cell
+ */
+function escapeTableCell(value: string): string {
+  return value.replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Format the batch as a markdown report
+ */
+export function formatBatchOutput(result: GrokBatchResponse): string {
+  const lines: string[] = [];
+  const total = result.results.length;
+
+  lines.push(`## Batch Results: ${result.succeeded}/${total} succeeded`);
+  lines.push('');
+  if (result.stopped_reason !== undefined) {
+    lines.push(`⚠️ *Stopped early, ${result.skipped} skipped: ${result.stopped_reason}*`);
+    lines.push('');
+  }
+
+  lines.push('| ID | Model | Status | Latency | Tokens | Cost |');
+  lines.push('|----|-------|--------|---------|--------|------|');
+  for (const item of result.results) {
+    const latency = item.response_time_ms !== undefined ? `${item.response_time_ms}ms` : '-';
+    const tokens = item.tokens !== undefined ? item.tokens.toLocaleString() : '-';
+    const cost = item.cost_usd !== undefined ? `$${item.cost_usd.toFixed(4)}` : '-';
+    lines.push(
+      `| ${escapeTableCell(item.id)} | ${item.model} | ${item.status} | ${latency} | ${tokens} | ${cost} |`
+    );
+  }
+  lines.push('');
+
+  for (const item of result.results) {
+    if (item.status === 'skipped') continue;
+    lines.push(`### ${item.id}`);
+    lines.push('');
+    lines.push(item.status === 'failed' ? `**Error:** ${item.error}` : item.response || '');
+    lines.push('');
+  }
+
+  lines.push('---');
+  lines.push(
+    `⚡ *${result.succeeded} succeeded • ${result.failed} failed • ${result.skipped} skipped • ${result.total_tokens.toLocaleString()} tokens • $${result.total_cost_usd.toFixed(4)} total • ${result.total_time_ms}ms*`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Handle grok_batch tool call
+ *
+ * The report is returned as markdown, and the results as structuredContent.
+ * The call is an error only if no item succeeded.
+ *
+ * @param client - XAI client instance
+ * @param args - Tool input parameters
+ * @param services - Optional services for cost tracking and rate limiting
+ * @param signal - Cancels the batch (including rate limit waits) when aborted
+ * @returns MCP CallToolResult
+ */
+export async function handleGrokBatch(
+  client: XAIClient,
+  args: unknown,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<CallToolResult> {
+  try {
+    const call = startToolCall('grok_batch', args);
+    const input = validateGrokBatchInput(args);
+
+    const result = await executeGrokBatch(client, input, call, services, signal);
+
+    return {
+      content: [{ type: 'text', text: formatBatchOutput(result) }],
+      structuredContent: { ...result },
+      isError: result.succeeded === 0,
+    };
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `Error during batch: ${getErrorMessage(error)}` }],
+      isError: true,
+    };
+  }
+}
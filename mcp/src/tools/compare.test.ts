@@ -0,0 +1,387 @@
+/**
+ * grok_compare Tool Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/mocks/server.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import { startToolCall } from '../services/cost-attribution.js';
+import type { Services } from '../types/index.js';
+import {
+  DEFAULT_COMPARE_MODELS,
+  executeGrokCompare,
+  formatCompareOutput,
+  grokCompareRateLimitClass,
+  grokCompareSchema,
+  handleGrokCompare,
+  validateGrokCompareInput,
+  type GrokCompareResponse,
+} from './compare.js';
+
+const CHAT_URL = 'https://api.x.ai/v1/chat/completions';
+
+function createServices(limitUsd: number = 10): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
+/**
+ * Answer with the model's name, or fail for the models listed
+ */
+function useModelAnswers(failing: string[] = []): Array<{ model: string; system?: string }> {
+  const requests: Array<{ model: string; system?: string }> = [];
+  server.use(
+    http.post(CHAT_URL, async ({ request }) => {
+      const body = (await request.json()) as {
+        model: string;
+        messages: Array<{ role: string; content: string }>;
+      };
+      requests.push({
+        model: body.model,
+        system: body.messages.find((message) => message.role === 'system')?.content,
+      });
+      if (failing.includes(body.model)) {
+        return HttpResponse.json({ error: { message: 'Bad request' } }, { status: 400 });
+      }
+      const isSummary = body.messages[0]?.content.startsWith('You compare answers');
+      return HttpResponse.json({
+        id: 'chatcmpl-compare',
+        object: 'chat.completion',
+        created: 1704067200,
+        model: body.model,
+        choices: [
+          {
+            index: 0,
+            message: {
+              role: 'assistant',
+              content: isSummary ? '- The models disagree on X' : `Answer from ${body.model}`,
+            },
+            finish_reason: 'stop',
+          },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 },
+      });
+    })
+  );
+  return requests;
+}
+
+describe('grok_compare tool', () => {
+  let client: XAIClient;
+
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+    client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  describe('grokCompareSchema', () => {
+    it('should require a prompt and allow 2-4 models', () => {
+      expect(grokCompareSchema.required).toEqual(['prompt']);
+      expect(grokCompareSchema.properties.models.minItems).toBe(2);
+      expect(grokCompareSchema.properties.models.maxItems).toBe(4);
+    });
+  });
+
+  describe('validateGrokCompareInput', () => {
+    it('should apply defaults', () => {
+      expect(validateGrokCompareInput({ prompt: 'Hi' })).toEqual({
+        prompt: 'Hi',
+        models: DEFAULT_COMPARE_MODELS,
+        context: undefined,
+        max_tokens: 2048,
+        temperature: 0.7,
+        summarize_differences: false,
+      });
+    });
+
+    it('should reject a missing prompt', () => {
+      expect(() => validateGrokCompareInput({ prompt: '  ' })).toThrow('prompt parameter');
+    });
+
+    it.each([[['fast']], [['fast', 'code', 'smartest', 'reasoning', 'cheap']]])(
+      'should reject %j',
+      (models) => {
+        expect(() => validateGrokCompareInput({ prompt: 'Hi', models })).toThrow('2-4 models');
+      }
+    );
+
+    it('should reject non-string models', () => {
+      expect(() => validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 3] })).toThrow(
+        'array of model names'
+      );
+    });
+
+    it('should reject an out-of-range temperature', () => {
+      expect(() => validateGrokCompareInput({ prompt: 'Hi', temperature: 3 })).toThrow(
+        'temperature'
+      );
+    });
+  });
+
+  describe('executeGrokCompare', () => {
+    it('should ask every model the same prompt in parallel', async () => {
+      const requests = useModelAnswers();
+      const input = validateGrokCompareInput({
+        prompt: 'Which is faster?',
+        models: ['fast', 'code'],
+        context: 'Be brief',
+      });
+
+      const result = await executeGrokCompare(client, input, startToolCall('grok_compare', {}));
+
+      expect(result.answers.map((answer) => answer.model)).toEqual([
+        'grok-4-fast-non-reasoning',
+        'grok-code-fast-1',
+      ]);
+      expect(result.answers[0]).toMatchObject({
+        requested: 'fast',
+        response: 'Answer from grok-4-fast-non-reasoning',
+        usage: { total_tokens: 30 },
+      });
+      expect(requests.every((request) => request.system === 'Be brief')).toBe(true);
+      expect(result.total_cost_usd).toBeGreaterThan(0);
+    });
+
+    it('should drop aliases that resolve to the same model', async () => {
+      const requests = useModelAnswers();
+      const input = validateGrokCompareInput({
+        prompt: 'Hi',
+        models: ['fast', 'cheap', 'code'],
+      });
+
+      const result = await executeGrokCompare(client, input, startToolCall('grok_compare', {}));
+
+      expect(result.answers).toHaveLength(2);
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should require two distinct models', async () => {
+      const input = validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 'cheap'] });
+
+      await expect(
+        executeGrokCompare(client, input, startToolCall('grok_compare', {}))
+      ).rejects.toThrow('at least 2 different models');
+    });
+
+    it('should report a failed model alongside the others', async () => {
+      useModelAnswers(['grok-code-fast-1']);
+      const input = validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 'code'] });
+
+      const result = await executeGrokCompare(client, input, startToolCall('grok_compare', {}));
+
+      expect(result.answers[0].response).toBe('Answer from grok-4-fast-non-reasoning');
+      expect(result.answers[1].error).toBeDefined();
+      expect(result.answers[1].response).toBeUndefined();
+    });
+
+    it('should fail when every model fails', async () => {
+      useModelAnswers(['grok-4-fast-non-reasoning', 'grok-code-fast-1']);
+      const input = validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 'code'] });
+
+      await expect(
+        executeGrokCompare(client, input, startToolCall('grok_compare', {}))
+      ).rejects.toThrow('All models failed');
+    });
+
+    it('should summarize differences with one extra call', async () => {
+      const requests = useModelAnswers();
+      const input = validateGrokCompareInput({
+        prompt: 'Hi',
+        models: ['smartest', 'code'],
+        summarize_differences: true,
+      });
+
+      const result = await executeGrokCompare(client, input, startToolCall('grok_compare', {}));
+
+      expect(requests).toHaveLength(3);
+      expect(requests[2].model).toBe('grok-4-fast-non-reasoning');
+      expect(result.differences).toBe('- The models disagree on X');
+    });
+
+    it('should skip the summary when fewer than two models answered', async () => {
+      const requests = useModelAnswers(['grok-code-fast-1']);
+      const input = validateGrokCompareInput({
+        prompt: 'Hi',
+        models: ['smartest', 'code'],
+        summarize_differences: true,
+      });
+
+      const result = await executeGrokCompare(client, input, startToolCall('grok_compare', {}));
+
+      expect(requests).toHaveLength(2);
+      expect(result.differences).toBeUndefined();
+      expect(result.differences_error).toBe('fewer than two models answered');
+    });
+
+    it('should check the budget for every model before calling any', async () => {
+      const requests = useModelAnswers();
+      const services = createServices(0.000001);
+      const input = validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 'smartest'] });
+
+      await expect(
+        executeGrokCompare(client, input, startToolCall('grok_compare', {}), services)
+      ).rejects.toThrow();
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should go through the rate limiter and record cost per model', async () => {
+      useModelAnswers();
+      const services = createServices();
+      const acquireSpy = vi.spyOn(services.rateLimiter, 'acquire');
+      const input = validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 'code'] });
+
+      await executeGrokCompare(client, input, startToolCall('grok_compare', {}), services);
+
+      expect(acquireSpy).toHaveBeenCalledTimes(2);
+      expect(acquireSpy).toHaveBeenCalledWith(
+        expect.any(Number),
+        undefined,
+        grokCompareRateLimitClass
+      );
+      expect(services.rateLimiter.getInFlightCount('grok_compare')).toBe(0);
+      expect(services.costTracker.getUsageSummary().byTool.grok_compare.queries).toBe(2);
+    });
+
+    it('should not ask more models at once than the rate limiter lets through', async () => {
+      const requests = useModelAnswers();
+      const services = {
+        ...createServices(),
+        rateLimiter: new RateLimiter({ tier: 'standard', maxConcurrent: 2 }),
+      };
+      const rateLimiter = services.rateLimiter;
+      const recordUsage = rateLimiter.recordUsage.bind(rateLimiter);
+      let maxQueued = 0;
+      vi.spyOn(rateLimiter, 'recordUsage').mockImplementation((...args) => {
+        maxQueued = Math.max(maxQueued, rateLimiter.getPendingCount());
+        recordUsage(...args);
+      });
+      const input = validateGrokCompareInput({
+        prompt: 'Hi',
+        models: ['fast', 'code', 'smartest'],
+      });
+
+      const result = await executeGrokCompare(
+        client,
+        input,
+        startToolCall('grok_compare', {}),
+        services
+      );
+
+      expect(requests).toHaveLength(3);
+      expect(result.answers.map((answer) => answer.requested)).toEqual([
+        'fast',
+        'code',
+        'smartest',
+      ]);
+      expect(result.answers.every((answer) => answer.error === undefined)).toBe(true);
+      expect(maxQueued).toBe(0);
+    });
+
+    it('should release the slot of a failed model', async () => {
+      useModelAnswers(['grok-code-fast-1']);
+      const services = createServices();
+      const input = validateGrokCompareInput({ prompt: 'Hi', models: ['fast', 'code'] });
+
+      await executeGrokCompare(client, input, startToolCall('grok_compare', {}), services);
+
+      expect(services.rateLimiter.getInFlightCount('grok_compare')).toBe(0);
+    });
+  });
+
+  describe('formatCompareOutput', () => {
+    const result: GrokCompareResponse = {
+      answers: [
+        {
+          requested: 'fast',
+          model: 'grok-4-fast-non-reasoning',
+          response: 'Use a map',
+          usage: { prompt_tokens: 10, completion_tokens: 1990, total_tokens: 2000 },
+          cost: {
+            estimated_usd: 0.0012,
+            input_tokens: 10,
+            output_tokens: 1990,
+            model: 'grok-4-fast-non-reasoning',
+            pricing: { input_per_1m: 0.2, output_per_1m: 0.5 },
+          },
+          response_time_ms: 800,
+        },
+        {
+          requested: 'code',
+          model: 'grok-code-fast-1',
+          error: 'Bad request',
+          response_time_ms: 50,
+        },
+      ],
+      differences: '- Only one answer',
+      total_cost_usd: 0.0012,
+      total_time_ms: 810,
+    };
+
+    it('should put latency, tokens and cost side by side', () => {
+      const output = formatCompareOutput(result);
+
+      expect(output).toContain('| grok-4-fast-non-reasoning (fast) | 800ms | 2,000 | $0.0012 |');
+      expect(output).toContain('| grok-code-fast-1 (code) | failed | - | - |');
+    });
+
+    it('should list each answer and the differences', () => {
+      const output = formatCompareOutput(result);
+
+      expect(output).toContain('### grok-4-fast-non-reasoning (fast)\n\nUse a map');
+      expect(output).toContain('**Error:** Bad request');
+      expect(output).toContain('### Where They Disagree\n\n- Only one answer');
+      expect(output).toContain('1/2 models answered');
+    });
+  });
+
+  describe('handleGrokCompare', () => {
+    it('should return the report', async () => {
+      useModelAnswers();
+
+      const result = await handleGrokCompare(client, { prompt: 'Hi', models: ['fast', 'code'] });
+
+      expect(result.isError).toBe(false);
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain('## Model Comparison');
+      expect(text).toContain('Answer from grok-code-fast-1');
+    });
+
+    it('should return an error for invalid input', async () => {
+      const result = await handleGrokCompare(client, { models: ['fast', 'code'] });
+
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain('Error during comparison');
+    });
+
+    it('should return an error when cancelled', async () => {
+      useModelAnswers();
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await handleGrokCompare(
+        client,
+        { prompt: 'Hi', models: ['fast', 'code'] },
+        createServices(),
+        controller.signal
+      );
+
+      expect(result.isError).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,483 @@
+/**
+ * grok_compare Tool
+ *
+ * Runs one prompt against several models in parallel and reports their
+ * answers side by side with latency, tokens and cost, optionally followed
+ * by a short summary of where the answers disagree.
+ *
+ * @module tools/compare
+ */
+
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { XAIClient } from '../client/xai-client.js';
+import {
+  ChatMessage,
+  CostEstimate,
+  RequestCancelledError,
+  Services,
+  TokenUsage,
+  XAIError,
+} from '../types/index.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { startToolCall, tagSchemaProperty, type ToolCall } from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
+import {
+  getFanOutLimit,
+  mapWithConcurrency,
+  runTrackedCompletion,
+} from '../services/tracked-completion.js';
+
+/**
+ * Models compared when none are given (the same four grok_estimate_cost compares)
+ */
+export const DEFAULT_COMPARE_MODELS = ['fast', 'smartest', 'code', 'reasoning'];
+const MIN_MODELS = 2;
+const MAX_MODELS = 4;
+const DEFAULT_MAX_TOKENS = 2048;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * The difference summary is a short, deterministic call on a cheap model.
+ * Answers are truncated so a long answer cannot blow up its cost.
+ */
+const SUMMARY_MODEL = 'fast';
+const SUMMARY_MAX_TOKENS = 512;
+const SUMMARY_MAX_ANSWER_CHARS = 6000;
+
+const SUMMARY_SYSTEM_PROMPT = `You compare answers that different AI models gave to the same prompt.
+List where the answers disagree on facts, recommendations or conclusions, in at most 5 short bullet points naming the models involved.
+If they agree on substance, say so in one sentence.
+Ignore differences in style, length and formatting.`;
+
+/**
+ * Input parameters for grok_compare tool
+ */
+export interface GrokCompareInput {
+  /** Prompt sent to every model (required) */
+  prompt: string;
+  /** 2-4 model aliases or IDs (default: fast, smartest, code, reasoning) */
+  models: string[];
+  /** System prompt sent to every model */
+  context?: string;
+  /** Maximum tokens per answer (default: 2048) */
+  max_tokens: number;
+  /** Sampling temperature (default: 0.7) */
+  temperature: number;
+  /** Add a short summary of where the answers disagree (default: false) */
+  summarize_differences: boolean;
+}
+
+/**
+ * One model's answer
+ */
+export interface CompareAnswer {
+  /** Model as requested (alias or ID) */
+  requested: string;
+  /** Model that answered */
+  model: string;
+  /** Answer text (absent if the call failed) */
+  response?: string;
+  /** Error message if the call failed */
+  error?: string;
+  usage?: TokenUsage;
+  cost?: CostEstimate;
+  /** Latency in milliseconds */
+  response_time_ms: number;
+}
+
+/**
+ * Response from grok_compare tool
+ */
+export interface GrokCompareResponse {
+  answers: CompareAnswer[];
+  /** Where the answers disagree (only if summarize_differences was set) */
+  differences?: string;
+  /** Why the difference summary is missing, if it was requested but failed */
+  differences_error?: string;
+  /** Cost of all calls, including the difference summary */
+  total_cost_usd: number;
+  /** Wall-clock time for the whole comparison in milliseconds */
+  total_time_ms: number;
+}
+
+/**
+ * JSON Schema for grok_compare tool (JSON Schema 2020-12)
+ */
+export const grokCompareSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object' as const,
+  properties: {
+    prompt: {
+      type: 'string',
+      minLength: 1,
+      description: 'Prompt sent to every model',
+    },
+    models: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: MIN_MODELS,
+      maxItems: MAX_MODELS,
+      description: `${MIN_MODELS}-${MAX_MODELS} model aliases or IDs to compare (default: ${DEFAULT_COMPARE_MODELS.join(', ')})`,
+    },
+    context: {
+      type: 'string',
+      description: 'System prompt sent to every model',
+    },
+    max_tokens: {
+      type: 'integer',
+      minimum: 1,
+      description: `Maximum tokens per answer (default: ${DEFAULT_MAX_TOKENS})`,
+    },
+    temperature: {
+      type: 'number',
+      minimum: 0,
+      maximum: 2,
+      description: `Sampling temperature for every model (0.0-2.0, default: ${DEFAULT_TEMPERATURE})`,
+    },
+    summarize_differences: {
+      type: 'boolean',
+      default: false,
+      description:
+        'Add a short summary of where the answers disagree (one extra call on the fast model)',
+    },
+    tag: tagSchemaProperty,
+  },
+  required: ['prompt'],
+  additionalProperties: false,
+};
+
+/**
+ * Tool definition for grok_compare
+ */
+export const grokCompareToolDefinition = {
+  name: 'grok_compare',
+  description:
+    'Ask 2-4 Grok models the same question in parallel and compare their answers side by side with latency, tokens and cost, optionally summarizing where they disagree.',
+  inputSchema: grokCompareSchema,
+};
+
+/**
+ * Validate and normalize input parameters
+ */
+export function validateGrokCompareInput(input: unknown): GrokCompareInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Input must be an object');
+  }
+
+  const params = input as Record<string, unknown>;
+
+  if (typeof params.prompt !== 'string' || params.prompt.trim().length === 0) {
+    throw new Error('prompt parameter is required and must be a non-empty string');
+  }
+
+  let models = DEFAULT_COMPARE_MODELS;
+  if (params.models !== undefined) {
+    if (
+      !Array.isArray(params.models) ||
+      params.models.some((model) => typeof model !== 'string' || model.trim().length === 0)
+    ) {
+      throw new Error('models parameter must be an array of model names');
+    }
+    models = params.models.map((model: string) => model.trim());
+    if (models.length < MIN_MODELS || models.length > MAX_MODELS) {
+      throw new Error(`models parameter must list ${MIN_MODELS}-${MAX_MODELS} models`);
+    }
+  }
+
+  if (params.context !== undefined && typeof params.context !== 'string') {
+    throw new Error('context parameter must be a string');
+  }
+  if (
+    params.max_tokens !== undefined &&
+    (typeof params.max_tokens !== 'number' ||
+      !Number.isInteger(params.max_tokens) ||
+      params.max_tokens < 1)
+  ) {
+    throw new Error('max_tokens must be a positive integer');
+  }
+  if (
+    params.temperature !== undefined &&
+    (typeof params.temperature !== 'number' || params.temperature < 0 || params.temperature > 2)
+  ) {
+    throw new Error('temperature must be a number between 0 and 2');
+  }
+  if (
+    params.summarize_differences !== undefined &&
+    typeof params.summarize_differences !== 'boolean'
+  ) {
+    throw new Error('summarize_differences parameter must be a boolean');
+  }
+
+  return {
+    prompt: params.prompt,
+    models,
+    context: params.context as string | undefined,
+    max_tokens: (params.max_tokens as number | undefined) ?? DEFAULT_MAX_TOKENS,
+    temperature: (params.temperature as number | undefined) ?? DEFAULT_TEMPERATURE,
+    summarize_differences: (params.summarize_differences as boolean | undefined) ?? false,
+  };
+}
+
+/**
+ * Build the messages sent to every model
+ */
+function buildCompareMessages(input: GrokCompareInput): ChatMessage[] {
+  const messages: ChatMessage[] = [];
+  if (input.context) {
+    messages.push({ role: 'system', content: input.context });
+  }
+  messages.push({ role: 'user', content: input.prompt });
+  return messages;
+}
+
+/**
+ * Build the messages asking for a summary of where the answers disagree
+ */
+function buildSummaryMessages(prompt: string, answers: CompareAnswer[]): ChatMessage[] {
+  const sections = answers.map((answer) => {
+    const text = answer.response ?? '';
+    const truncated =
+      text.length > SUMMARY_MAX_ANSWER_CHARS
+        ? `${text.slice(0, SUMMARY_MAX_ANSWER_CHARS)}\n[truncated]`
+        : text;
+    return `=== Answer from ${answer.model} ===\n${truncated}`;
+  });
+
+  return [
+    { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+    { role: 'user', content: `Prompt:\n${prompt}\n\n${sections.join('\n\n')}` },
+  ];
+}
+
+/**
+ * Describe an error for the report
+ */
+function getErrorMessage(error: unknown): string {
+  if (error instanceof XAIError) return error.getSanitizedMessage();
+  return error instanceof Error ? error.message : 'Unknown error occurred';
+}
+
+/**
+ * Rate limit queue class for grok_compare (each model call queues separately)
+ */
+export const grokCompareRateLimitClass: RateLimitClass = {
+  tool: 'grok_compare',
+  priority: 'interactive',
+};
+
+/**
+ * Run the comparison
+ *
+ * Models run in parallel, no more at once than the rate limiter lets through
+ * (the rest would time out in its queue). A model that fails is reported with
+ * its error; the comparison only fails if every model does, or if it was
+ * cancelled.
+ *
+ * @param client - XAI client instance
+ * @param input - Validated input
+ * @param call - Tool call the costs are attributed to
+ * @param services - Optional services for budget, rate limiting and cost tracking
+ * @param signal - Cancels every model call when aborted
+ * @throws Error if the budget does not cover every call, or every model failed
+ */
+export async function executeGrokCompare(
+  client: XAIClient,
+  input: GrokCompareInput,
+  call: ToolCall,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<GrokCompareResponse> {
+  const startTime = Date.now();
+  const messages = buildCompareMessages(input);
+
+  // The same model under two aliases would only repeat itself
+  const targets = new Map<string, string>();
+  for (const requested of input.models) {
+    const model = client.resolveModel(requested, input.prompt, input.context);
+    if (!targets.has(model)) {
+      targets.set(model, requested);
+    }
+  }
+  if (targets.size < MIN_MODELS) {
+    throw new Error(
+      `models must resolve to at least ${MIN_MODELS} different models (got ${[...targets.keys()].join(', ')})`
+    );
+  }
+
+  // CHECK BUDGET for every call up front, so a comparison is never cut short
+  if (services?.costTracker) {
+    const inputTokens = Math.ceil(JSON.stringify(messages).length / 4);
+    let estimatedCost = 0;
+    for (const model of targets.keys()) {
+      estimatedCost += CostTracker.estimateCost(model, inputTokens, input.max_tokens);
+    }
+    if (input.summarize_differences) {
+      estimatedCost += CostTracker.estimateCost(
+        client.resolveModel(SUMMARY_MODEL),
+        inputTokens + Math.ceil((targets.size * SUMMARY_MAX_ANSWER_CHARS) / 4),
+        SUMMARY_MAX_TOKENS
+      );
+    }
+    services.costTracker.checkBudget(estimatedCost); // throws if over budget
+  }
+
+  const answers = await mapWithConcurrency(
+    [...targets.entries()],
+    getFanOutLimit(grokCompareRateLimitClass, services),
+    async ([model, requested]): Promise<CompareAnswer> => {
+      const modelStart = Date.now();
+      try {
+        const result = await runTrackedCompletion(
+          client,
+          { model, messages, max_tokens: input.max_tokens, temperature: input.temperature },
+          { call, requestClass: grokCompareRateLimitClass, services, signal }
+        );
+        return {
+          requested,
+          model: result.model,
+          response: result.content,
+          usage: result.usage,
+          cost: result.cost,
+          response_time_ms: result.response_time_ms,
+        };
+      } catch (error) {
+        if (error instanceof RequestCancelledError) throw error;
+        return {
+          requested,
+          model,
+          error: getErrorMessage(error),
+          response_time_ms: Date.now() - modelStart,
+        };
+      }
+    }
+  );
+
+  const succeeded = answers.filter((answer) => answer.error === undefined);
+  if (succeeded.length === 0) {
+    throw new Error(
+      `All models failed: ${answers.map((answer) => `${answer.model}: ${answer.error}`).join('; ')}`
+    );
+  }
+
+  const result: GrokCompareResponse = {
+    answers,
+    total_cost_usd: 0,
+    total_time_ms: 0,
+  };
+  let totalCost = succeeded.reduce((sum, answer) => sum + (answer.cost?.estimated_usd ?? 0), 0);
+
+  if (input.summarize_differences) {
+    if (succeeded.length < MIN_MODELS) {
+      result.differences_error = 'fewer than two models answered';
+    } else {
+      try {
+        const summary = await runTrackedCompletion(
+          client,
+          {
+            model: client.resolveModel(SUMMARY_MODEL),
+            messages: buildSummaryMessages(input.prompt, succeeded),
+            max_tokens: SUMMARY_MAX_TOKENS,
+            temperature: 0,
+          },
+          { call, requestClass: grokCompareRateLimitClass, services, signal }
+        );
+        result.differences = summary.content.trim();
+        totalCost += summary.cost.estimated_usd;
+      } catch (error) {
+        if (error instanceof RequestCancelledError) throw error;
+        result.differences_error = getErrorMessage(error);
+      }
+    }
+  }
+
+  result.total_cost_usd = totalCost;
+  result.total_time_ms = Date.now() - startTime;
+  return result;
+}
+
+/**
+ * Label a model with the alias it was requested as, if different
+ */
+function formatModelLabel(answer: CompareAnswer): string {
+  return answer.requested === answer.model ? answer.model : `${answer.model} (${answer.requested})`;
+}
+
+/**
+ * Format the comparison as a markdown report
+ */
+export function formatCompareOutput(result: GrokCompareResponse): string {
+  const lines: string[] = [];
+
+  lines.push('## Model Comparison');
+  lines.push('');
+  lines.push('| Model | Latency | Tokens | Cost |');
+  lines.push('|-------|---------|--------|------|');
+  for (const answer of result.answers) {
+    if (answer.error !== undefined) {
+      lines.push(`| ${formatModelLabel(answer)} | failed | - | - |`);
+    } else {
+      lines.push(
+        `| ${formatModelLabel(answer)} | ${answer.response_time_ms}ms | ${(answer.usage?.total_tokens ?? 0).toLocaleString()} | $${(answer.cost?.estimated_usd ?? 0).toFixed(4)} |`
+      );
+    }
+  }
+  lines.push('');
+
+  for (const answer of result.answers) {
+    lines.push(`### ${formatModelLabel(answer)}`);
+    lines.push('');
+    lines.push(answer.error !== undefined ? `**Error:** ${answer.error}` : answer.response || '');
+    lines.push('');
+  }
+
+  if (result.differences !== undefined) {
+    lines.push('### Where They Disagree');
+    lines.push('');
+    lines.push(result.differences);
+    lines.push('');
+  } else if (result.differences_error !== undefined) {
+    lines.push(`*Difference summary unavailable: ${result.differences_error}*`);
+    lines.push('');
+  }
+
+  const answered = result.answers.filter((answer) => answer.error === undefined).length;
+  lines.push('---');
+  lines.push(
+    `⚡ *${answered}/${result.answers.length} models answered • $${result.total_cost_usd.toFixed(4)} total • ${result.total_time_ms}ms*`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Handle grok_compare tool call
+ *
+ * @param client - XAI client instance
+ * @param args - Tool input parameters
+ * @param services - Optional services for cost tracking and rate limiting
+ * @param signal - Cancels the comparison (including rate limit waits) when aborted
+ * @returns MCP CallToolResult
+ */
+export async function handleGrokCompare(
+  client: XAIClient,
+  args: unknown,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<CallToolResult> {
+  try {
+    const call = startToolCall('grok_compare', args);
+    const input = validateGrokCompareInput(args);
+
+    const result = await executeGrokCompare(client, input, call, services, signal);
+
+    return {
+      content: [{ type: 'text', text: formatCompareOutput(result) }],
+      isError: false,
+    };
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `Error during comparison: ${getErrorMessage(error)}` }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * grok_consensus Tool Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/mocks/server.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import { startToolCall } from '../services/cost-attribution.js';
+import type { Services } from '../types/index.js';
+import {
+  answersEquivalent,
+  clusterAnswers,
+  executeGrokConsensus,
+  formatConsensusOutput,
+  grokConsensusRateLimitClass,
+  grokConsensusSchema,
+  handleGrokConsensus,
+  normalizeAnswer,
+  planSamples,
+  validateGrokConsensusInput,
+  type ConsensusSample,
+} from './consensus.js';
+
+const CHAT_URL = 'https://api.x.ai/v1/chat/completions';
+
+function createServices(limitUsd: number = 10): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
+/**
+ * Answer each request in turn with the given responses (an Error fails it)
+ */
+function useResponses(
+  responses: Array<string | Error>
+): Array<{ model: string; temperature: number }> {
+  const requests: Array<{ model: string; temperature: number }> = [];
+  let received = 0;
+  server.use(
+    http.post(CHAT_URL, async ({ request }) => {
+      // Take the next response before awaiting, so it follows request order
+      const response = responses[received++];
+      const body = (await request.json()) as { model: string; temperature: number };
+      requests.push({ model: body.model, temperature: body.temperature });
+      if (response instanceof Error) {
+        return HttpResponse.json({ error: { message: response.message } }, { status: 400 });
+      }
+      return HttpResponse.json({
+        id: 'chatcmpl-consensus',
+        object: 'chat.completion',
+        created: 1704067200,
+        model: body.model,
+        choices: [
+          { index: 0, message: { role: 'assistant', content: response }, finish_reason: 'stop' },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 },
+      });
+    })
+  );
+  return requests;
+}
+
+function reasoned(thinking: string, answer: string): string {
+  return `<thinking>${thinking}</thinking>\n<answer>${answer}</answer>`;
+}
+
+function sample(index: number, answer?: string): ConsensusSample {
+  return { index, model: 'grok-4-1-fast-reasoning', temperature: 0.5, answer, response_time_ms: 1 };
+}
+
+describe('grok_consensus tool', () => {
+  let client: XAIClient;
+
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+    client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  describe('grokConsensusSchema', () => {
+    it('should require a query and limit samples to 2-10', () => {
+      expect(grokConsensusSchema.required).toEqual(['query']);
+      expect(grokConsensusSchema.properties.samples.minimum).toBe(2);
+      expect(grokConsensusSchema.properties.samples.maximum).toBe(10);
+    });
+  });
+
+  describe('validateGrokConsensusInput', () => {
+    it('should default to 5 temperature samples on the reasoning model', () => {
+      expect(validateGrokConsensusInput({ query: 'Q' })).toMatchObject({
+        samples: 5,
+        vary: 'temperature',
+        models: ['grok-4-1-fast-reasoning'],
+        max_tokens: 4000,
+      });
+    });
+
+    it('should vary by model when several models are given', () => {
+      expect(validateGrokConsensusInput({ query: 'Q', models: ['fast', 'code'] }).vary).toBe(
+        'model'
+      );
+    });
+
+    it('should need two models to vary by model', () => {
+      expect(() =>
+        validateGrokConsensusInput({ query: 'Q', vary: 'model', models: ['fast'] })
+      ).toThrow('at least 2 models');
+    });
+
+    it.each([1, 11, 2.5])('should reject %s samples', (samples) => {
+      expect(() => validateGrokConsensusInput({ query: 'Q', samples })).toThrow('samples');
+    });
+  });
+
+  describe('planSamples', () => {
+    it('should spread temperatures from 0.2 to 1.0', () => {
+      const plan = planSamples(validateGrokConsensusInput({ query: 'Q', samples: 5 }));
+
+      expect(plan.map((entry) => entry.temperature)).toEqual([0.2, 0.4, 0.6, 0.8, 1]);
+      expect(new Set(plan.map((entry) => entry.model))).toEqual(
+        new Set(['grok-4-1-fast-reasoning'])
+      );
+    });
+
+    it('should take the models in turn', () => {
+      const plan = planSamples(
+        validateGrokConsensusInput({ query: 'Q', samples: 3, models: ['fast', 'code'] })
+      );
+
+      expect(plan).toEqual([
+        { model: 'fast', temperature: 0.5 },
+        { model: 'code', temperature: 0.5 },
+        { model: 'fast', temperature: 0.5 },
+      ]);
+    });
+  });
+
+  describe('answer clustering', () => {
+    it('should normalize formatting and prefixes', () => {
+      expect(normalizeAnswer('**Final Answer:**  Paris.')).toBe('paris');
+    });
+
+    it.each([
+      ['42', 'The answer is 42.'],
+      ['1,000', '1000 apples'],
+      ['Yes', 'Yes, because the set is finite'],
+      ['Use a hash map for lookups', 'use a hash map for lookups!'],
+    ])('should treat %j and %j as equivalent', (a, b) => {
+      expect(answersEquivalent(a, b)).toBe(true);
+    });
+
+    it.each([
+      ['42', '41'],
+      ['Yes', 'No, it diverges'],
+      ['Use a hash map', 'Use a sorted array with binary search'],
+    ])('should treat %j and %j as different', (a, b) => {
+      expect(answersEquivalent(a, b)).toBe(false);
+    });
+
+    it('should order clusters by size and skip failed samples', () => {
+      const clusters = clusterAnswers([
+        sample(1, '41'),
+        sample(2, '42'),
+        sample(3),
+        sample(4, '42.'),
+      ]);
+
+      expect(clusters).toEqual([
+        { answer: '42', samples: [2, 4] },
+        { answer: '41', samples: [1] },
+      ]);
+    });
+  });
+
+  describe('executeGrokConsensus', () => {
+    it('should report the majority answer and agreement', async () => {
+      const requests = useResponses([
+        reasoned('6 * 7', '42'),
+        reasoned('6 * 7 again', '42'),
+        reasoned('Misread the question', '41'),
+        reasoned('Multiply', 'The answer is 42'),
+      ]);
+      const input = validateGrokConsensusInput({ query: 'What is 6 * 7?', samples: 4 });
+
+      const result = await executeGrokConsensus(client, input, startToolCall('grok_consensus', {}));
+
+      expect(requests).toHaveLength(4);
+      expect(result.majority_answer).toBe('42');
+      expect(result.agreement).toBe(0.75);
+      expect(result.tied).toBe(false);
+      expect(result.answered).toBe(4);
+      expect(result.clusters[1]).toEqual({ answer: '41', samples: [3] });
+      expect(result.samples[2].thinking).toBe('Misread the question');
+    });
+
+    it('should leave failed samples out of the agreement score', async () => {
+      useResponses([reasoned('a', 'Yes'), new Error('Bad request'), reasoned('b', 'Yes')]);
+      const input = validateGrokConsensusInput({ query: 'Q', samples: 3 });
+
+      const result = await executeGrokConsensus(client, input, startToolCall('grok_consensus', {}));
+
+      expect(result.agreement).toBe(1);
+      expect(result.answered).toBe(2);
+      expect(result.samples.find((entry) => entry.error)).toBeDefined();
+    });
+
+    it('should fail when every sample fails', async () => {
+      useResponses([new Error('Bad request'), new Error('Bad request')]);
+      const input = validateGrokConsensusInput({ query: 'Q', samples: 2 });
+
+      await expect(
+        executeGrokConsensus(client, input, startToolCall('grok_consensus', {}))
+      ).rejects.toThrow('All samples failed');
+    });
+
+    it('should check the budget for every sample before sending any', async () => {
+      const requests = useResponses([]);
+      const services = createServices(0.01);
+      const input = validateGrokConsensusInput({
+        query: 'Q',
+        samples: 10,
+        models: ['grok-4-0709', 'grok-4-1-fast-reasoning'],
+      });
+
+      await expect(
+        executeGrokConsensus(client, input, startToolCall('grok_consensus', {}), services)
+      ).rejects.toThrow();
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should queue every sample through the rate limiter', async () => {
+      useResponses([reasoned('a', '1'), reasoned('b', '1')]);
+      const services = createServices();
+      const acquireSpy = vi.spyOn(services.rateLimiter, 'acquire');
+      const input = validateGrokConsensusInput({ query: 'Q', samples: 2 });
+
+      await executeGrokConsensus(client, input, startToolCall('grok_consensus', {}), services);
+
+      expect(acquireSpy).toHaveBeenCalledTimes(2);
+      expect(acquireSpy).toHaveBeenCalledWith(
+        expect.any(Number),
+        undefined,
+        grokConsensusRateLimitClass
+      );
+      expect(services.costTracker.getUsageSummary().byTool.grok_consensus.queries).toBe(2);
+    });
+
+    it('should not start more samples than the rate limiter lets through', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      server.use(
+        http.post(CHAT_URL, async ({ request }) => {
+          const body = (await request.json()) as { model: string };
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, 30));
+          inFlight--;
+          return HttpResponse.json({
+            id: 'chatcmpl-consensus',
+            object: 'chat.completion',
+            created: 1704067200,
+            model: body.model,
+            choices: [
+              {
+                index: 0,
+                message: { role: 'assistant', content: reasoned('a', '42') },
+                finish_reason: 'stop',
+              },
+            ],
+            usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 },
+          });
+        })
+      );
+      // Samples queued behind the first two would wait longer than this
+      const services = {
+        ...createServices(),
+        rateLimiter: new RateLimiter({ tier: 'standard', maxConcurrent: 2, pendingTimeoutMs: 50 }),
+      };
+      const input = validateGrokConsensusInput({ query: 'Q', samples: 10 });
+
+      const result = await executeGrokConsensus(
+        client,
+        input,
+        startToolCall('grok_consensus', {}),
+        services
+      );
+
+      expect(maxInFlight).toBe(2);
+      expect(result.answered).toBe(10);
+      expect(result.samples.filter((entry) => entry.error)).toEqual([]);
+    });
+  });
+
+  describe('formatConsensusOutput', () => {
+    it('should show the agreement, answer table and dissent', async () => {
+      useResponses([
+        reasoned('6 * 7', '42'),
+        reasoned('6 * 7', '42'),
+        reasoned('Off by one somewhere', '41'),
+      ]);
+      const result = await executeGrokConsensus(
+        client,
+        validateGrokConsensusInput({ query: 'Q', samples: 3 }),
+        startToolCall('grok_consensus', {})
+      );
+
+      const output = formatConsensusOutput(result);
+
+      expect(output).toContain('## Consensus: 2/3 samples agree (67%)');
+      expect(output).toContain('### Majority Answer\n\n42');
+      expect(output).toContain('| 42 | #1, #2 | 67% |');
+      expect(output).toContain('**Sample #3** (grok-4-1-fast-reasoning, temperature 1): 41');
+      expect(output).toContain('> Off by one somewhere');
+    });
+
+    it('should call a tie', async () => {
+      useResponses([reasoned('a', 'Yes'), reasoned('b', 'No')]);
+      const result = await executeGrokConsensus(
+        client,
+        validateGrokConsensusInput({ query: 'Q', samples: 2 }),
+        startToolCall('grok_consensus', {})
+      );
+
+      expect(formatConsensusOutput(result)).toContain('## Consensus: none (tie at 1/2 samples)');
+    });
+  });
+
+  describe('handleGrokConsensus', () => {
+    it('should return the report', async () => {
+      useResponses([reasoned('a', 'Paris'), reasoned('b', 'Paris')]);
+
+      const result = await handleGrokConsensus(client, { query: 'Capital of France?', samples: 2 });
+
+      expect(result.isError).toBe(false);
+      expect((result.content[0] as { text: string }).text).toContain('2/2 samples agree (100%)');
+    });
+
+    it('should return an error for invalid input', async () => {
+      const result = await handleGrokConsensus(client, { samples: 3 });
+
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain('Error during consensus');
+    });
+  });
+});
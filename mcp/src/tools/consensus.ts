@@ -0,0 +1,604 @@
+/**
+ * grok_consensus Tool
+ *
+ * Samples several answers to the same question, across temperatures or
+ * across models, groups equivalent final answers and reports the majority
+ * answer with an agreement score and the reasoning of the samples that
+ * disagreed.
+ *
+ * @module tools/consensus
+ */
+
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { XAIClient } from '../client/xai-client.js';
+import {
+  ChatMessage,
+  CostEstimate,
+  RequestCancelledError,
+  Services,
+  TokenUsage,
+  XAIError,
+} from '../types/index.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { startToolCall, tagSchemaProperty, type ToolCall } from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
+import {
+  getFanOutLimit,
+  mapWithConcurrency,
+  runTrackedCompletion,
+} from '../services/tracked-completion.js';
+import { parseReasoningResponse } from './reason.js';
+
+/**
+ * How samples differ from each other
+ *
+ * - `temperature`: one model, temperatures spread from 0.2 to 1.0
+ * - `model`: the given models in turn, at a fixed temperature
+ */
+export type ConsensusVary = 'temperature' | 'model';
+
+const DEFAULT_MODEL = 'grok-4-1-fast-reasoning';
+const DEFAULT_SAMPLES = 5;
+const MIN_SAMPLES = 2;
+const MAX_SAMPLES = 10;
+const MAX_MODELS = 4;
+const DEFAULT_MAX_TOKENS = 4000;
+const MIN_TEMPERATURE = 0.2;
+const MAX_TEMPERATURE = 1.0;
+const MODEL_TEMPERATURE = 0.5;
+
+/**
+ * Reasoning shown per dissenting sample, in characters
+ */
+const DISSENT_REASONING_CHARS = 600;
+
+/**
+ * Answers of at most this many words are compared by their number or verdict
+ */
+const SHORT_ANSWER_WORDS = 8;
+
+/**
+ * Word overlap (Jaccard) at which two longer answers count as the same
+ */
+const SIMILARITY_THRESHOLD = 0.8;
+
+const CONSENSUS_SYSTEM_PROMPT = `You are a careful reasoning assistant.
+Work through the problem step by step, then give your final answer.
+Format:
+<thinking>
+[Your step-by-step reasoning]
+</thinking>
+
+<answer>
+[Only the final answer, as briefly as possible: a number, a name, yes/no, or one sentence]
+</answer>`;
+
+/**
+ * Input parameters for grok_consensus tool
+ */
+export interface GrokConsensusInput {
+  /** Question to answer (required) */
+  query: string;
+  /** Additional context for the question */
+  context?: string;
+  /** Number of samples, 2-10 (default: 5) */
+  samples: number;
+  /** How samples differ (default: model if models are given, else temperature) */
+  vary: ConsensusVary;
+  /** Models sampled in turn (vary: model) or the single model (vary: temperature) */
+  models: string[];
+  /** Maximum tokens per sample (default: 4000) */
+  max_tokens: number;
+}
+
+/**
+ * One sampled answer
+ */
+export interface ConsensusSample {
+  /** 1-based sample number */
+  index: number;
+  model: string;
+  temperature: number;
+  /** Final answer extracted from the response (absent if the call failed) */
+  answer?: string;
+  /** Reasoning before the final answer */
+  thinking?: string;
+  /** Error message if the call failed */
+  error?: string;
+  usage?: TokenUsage;
+  cost?: CostEstimate;
+  response_time_ms: number;
+}
+
+/**
+ * A group of equivalent answers
+ */
+export interface AnswerCluster {
+  /** Answer of the first sample in the group */
+  answer: string;
+  /** Sample numbers in the group */
+  samples: number[];
+}
+
+/**
+ * Response from grok_consensus tool
+ */
+export interface GrokConsensusResponse {
+  /** Answer of the largest group */
+  majority_answer: string;
+  /** Share of answered samples in the largest group (0-1) */
+  agreement: number;
+  /** True when two or more groups tie for largest */
+  tied: boolean;
+  /** Samples that returned an answer */
+  answered: number;
+  /** Groups of equivalent answers, largest first */
+  clusters: AnswerCluster[];
+  samples: ConsensusSample[];
+  total_cost_usd: number;
+  total_time_ms: number;
+}
+
+/**
+ * JSON Schema for grok_consensus tool (JSON Schema 2020-12)
+ */
+export const grokConsensusSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object' as const,
+  properties: {
+    query: {
+      type: 'string',
+      minLength: 1,
+      description: 'Question to answer; best for questions with a short, checkable answer',
+    },
+    context: {
+      type: 'string',
+      description: 'Additional context or background information',
+    },
+    samples: {
+      type: 'integer',
+      minimum: MIN_SAMPLES,
+      maximum: MAX_SAMPLES,
+      description: `Number of answers to sample (default: ${DEFAULT_SAMPLES})`,
+    },
+    vary: {
+      type: 'string',
+      enum: ['temperature', 'model'],
+      description:
+        'How samples differ: temperature (one model, temperatures 0.2-1.0) or model (the given models in turn). Default: model when models lists several, else temperature',
+    },
+    models: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1,
+      maxItems: MAX_MODELS,
+      description: `Models to sample (default: ${DEFAULT_MODEL}). With vary: temperature only the first is used`,
+    },
+    max_tokens: {
+      type: 'integer',
+      minimum: 1,
+      description: `Maximum tokens per sample (default: ${DEFAULT_MAX_TOKENS})`,
+    },
+    tag: tagSchemaProperty,
+  },
+  required: ['query'],
+  additionalProperties: false,
+};
+
+/**
+ * Tool definition for grok_consensus
+ */
+export const grokConsensusToolDefinition = {
+  name: 'grok_consensus',
+  description:
+    'Sample several Grok answers to the same question (across temperatures or models), group equivalent answers and report the majority answer with an agreement score and dissenting reasoning. The total cost is checked against the budget before sampling.',
+  inputSchema: grokConsensusSchema,
+};
+
+/**
+ * Validate and normalize input parameters
+ */
+export function validateGrokConsensusInput(input: unknown): GrokConsensusInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Input must be an object');
+  }
+
+  const params = input as Record<string, unknown>;
+
+  if (typeof params.query !== 'string' || params.query.trim().length === 0) {
+    throw new Error('query parameter is required and must be a non-empty string');
+  }
+  if (params.context !== undefined && typeof params.context !== 'string') {
+    throw new Error('context parameter must be a string');
+  }
+
+  const samples = params.samples ?? DEFAULT_SAMPLES;
+  if (
+    typeof samples !== 'number' ||
+    !Number.isInteger(samples) ||
+    samples < MIN_SAMPLES ||
+    samples > MAX_SAMPLES
+  ) {
+    throw new Error(`samples must be an integer from ${MIN_SAMPLES} to ${MAX_SAMPLES}`);
+  }
+
+  let models = [DEFAULT_MODEL];
+  if (params.models !== undefined) {
+    if (
+      !Array.isArray(params.models) ||
+      params.models.length === 0 ||
+      params.models.length > MAX_MODELS ||
+      params.models.some((model) => typeof model !== 'string' || model.trim().length === 0)
+    ) {
+      throw new Error(`models parameter must be an array of 1-${MAX_MODELS} model names`);
+    }
+    models = params.models.map((model: string) => model.trim());
+  }
+
+  if (params.vary !== undefined && params.vary !== 'temperature' && params.vary !== 'model') {
+    throw new Error('vary must be "temperature" or "model"');
+  }
+  const vary: ConsensusVary = params.vary ?? (models.length > 1 ? 'model' : 'temperature');
+  if (vary === 'model' && models.length < 2) {
+    throw new Error('vary: "model" needs at least 2 models');
+  }
+
+  if (
+    params.max_tokens !== undefined &&
+    (typeof params.max_tokens !== 'number' ||
+      !Number.isInteger(params.max_tokens) ||
+      params.max_tokens < 1)
+  ) {
+    throw new Error('max_tokens must be a positive integer');
+  }
+
+  return {
+    query: params.query,
+    context: params.context as string | undefined,
+    samples,
+    vary,
+    models,
+    max_tokens: (params.max_tokens as number | undefined) ?? DEFAULT_MAX_TOKENS,
+  };
+}
+
+/**
+ * Model and temperature of each sample
+ */
+export function planSamples(
+  input: GrokConsensusInput
+): Array<{ model: string; temperature: number }> {
+  return Array.from({ length: input.samples }, (_, i) => {
+    if (input.vary === 'model') {
+      return { model: input.models[i % input.models.length], temperature: MODEL_TEMPERATURE };
+    }
+    const spread = (MAX_TEMPERATURE - MIN_TEMPERATURE) * (i / (input.samples - 1));
+    return {
+      model: input.models[0],
+      temperature: Math.round((MIN_TEMPERATURE + spread) * 100) / 100,
+    };
+  });
+}
+
+/**
+ * Normalize an answer for comparison
+ *
+ * Lowercases, drops markdown, an "Answer:" prefix, trailing punctuation and
+ * extra whitespace.
+ */
+export function normalizeAnswer(answer: string): string {
+  return answer
+    .toLowerCase()
+    .replace(/[*_`#>]/g, '')
+    .replace(/^\s*(?:final answer|answer|the answer is)\s*[:-]?\s*/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!;:,]+$/, '')
+    .trim();
+}
+
+/**
+ * The only number in an answer, if it has exactly one
+ */
+function extractNumber(normalized: string): number | undefined {
+  const matches = normalized.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/g);
+  return matches?.length === 1 ? parseFloat(matches[0]) : undefined;
+}
+
+/**
+ * Leading yes/no of an answer, if it starts with one
+ */
+function extractVerdict(normalized: string): 'yes' | 'no' | undefined {
+  const match = normalized.match(/^(yes|no)\b/);
+  return match ? (match[1] as 'yes' | 'no') : undefined;
+}
+
+/**
+ * Whether two answers say the same thing
+ *
+ * Short answers with one number match when the numbers are equal, and
+ * answers starting with yes/no match when the verdict is the same. Other
+ * answers match when they normalize to the same text or share most of
+ * their words.
+ */
+export function answersEquivalent(a: string, b: string): boolean {
+  const left = normalizeAnswer(a);
+  const right = normalizeAnswer(b);
+  if (left === right) return true;
+
+  const isShort = (text: string): boolean => text.split(' ').length <= SHORT_ANSWER_WORDS;
+  if (isShort(left) && isShort(right)) {
+    const [leftNumber, rightNumber] = [extractNumber(left), extractNumber(right)];
+    if (leftNumber !== undefined && rightNumber !== undefined) {
+      return leftNumber === rightNumber;
+    }
+  }
+
+  const [leftVerdict, rightVerdict] = [extractVerdict(left), extractVerdict(right)];
+  if (leftVerdict && rightVerdict) {
+    return leftVerdict === rightVerdict;
+  }
+
+  const leftWords = new Set(left.split(/\W+/).filter(Boolean));
+  const rightWords = new Set(right.split(/\W+/).filter(Boolean));
+  const shared = [...leftWords].filter((word) => rightWords.has(word)).length;
+  const total = new Set([...leftWords, ...rightWords]).size;
+  return total > 0 && shared / total >= SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Group equivalent answers, largest group first (ties keep sample order)
+ */
+export function clusterAnswers(samples: ConsensusSample[]): AnswerCluster[] {
+  const clusters: AnswerCluster[] = [];
+  for (const sample of samples) {
+    if (sample.answer === undefined) continue;
+    const cluster = clusters.find((candidate) =>
+      answersEquivalent(candidate.answer, sample.answer as string)
+    );
+    if (cluster) {
+      cluster.samples.push(sample.index);
+    } else {
+      clusters.push({ answer: sample.answer, samples: [sample.index] });
+    }
+  }
+  return clusters.sort((a, b) => b.samples.length - a.samples.length);
+}
+
+/**
+ * Describe an error for the report
+ */
+function getErrorMessage(error: unknown): string {
+  if (error instanceof XAIError) return error.getSanitizedMessage();
+  return error instanceof Error ? error.message : 'Unknown error occurred';
+}
+
+/**
+ * Build the messages sent for every sample
+ */
+function buildConsensusMessages(input: GrokConsensusInput): ChatMessage[] {
+  const messages: ChatMessage[] = [{ role: 'system', content: CONSENSUS_SYSTEM_PROMPT }];
+  if (input.context) {
+    messages.push({ role: 'user', content: `Context:\n${input.context}` });
+    messages.push({
+      role: 'assistant',
+      content: 'I understand the context. Please provide your question.',
+    });
+  }
+  messages.push({ role: 'user', content: input.query });
+  return messages;
+}
+
+/**
+ * Rate limit queue class for grok_consensus (each sample queues separately)
+ */
+export const grokConsensusRateLimitClass: RateLimitClass = {
+  tool: 'grok_consensus',
+  priority: 'interactive',
+};
+
+/**
+ * Run every sample and build the consensus
+ *
+ * The cost of all samples is checked against the budget before any is
+ * sent. Samples run in parallel, but no more at once than the rate limiter
+ * lets through, so later samples are not left to time out in its queue.
+ * Failed samples are reported and left out of the agreement score.
+ *
+ * @param client - XAI client instance
+ * @param input - Validated input
+ * @param call - Tool call the costs are attributed to
+ * @param services - Optional services for budget, rate limiting and cost tracking
+ * @param signal - Cancels every sample when aborted
+ * @throws Error if the budget does not cover every sample, or every sample failed
+ */
+export async function executeGrokConsensus(
+  client: XAIClient,
+  input: GrokConsensusInput,
+  call: ToolCall,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<GrokConsensusResponse> {
+  const startTime = Date.now();
+  const messages = buildConsensusMessages(input);
+  const plan = planSamples(input).map((sample) => ({
+    ...sample,
+    model: client.resolveModel(sample.model),
+  }));
+
+  // CHECK BUDGET for every sample up front
+  if (services?.costTracker) {
+    const inputTokens = Math.ceil(JSON.stringify(messages).length / 4);
+    const estimatedCost = plan.reduce(
+      (sum, sample) => sum + CostTracker.estimateCost(sample.model, inputTokens, input.max_tokens),
+      0
+    );
+    services.costTracker.checkBudget(estimatedCost); // throws if over budget
+  }
+
+  const samples = await mapWithConcurrency(
+    plan,
+    getFanOutLimit(grokConsensusRateLimitClass, services),
+    async ({ model, temperature }, i): Promise<ConsensusSample> => {
+      const index = i + 1;
+      const sampleStart = Date.now();
+      try {
+        const result = await runTrackedCompletion(
+          client,
+          { model, messages, temperature, max_tokens: input.max_tokens },
+          { call, requestClass: grokConsensusRateLimitClass, services, signal }
+        );
+        const { thinking, answer } = parseReasoningResponse(result.content);
+        return {
+          index,
+          model: result.model,
+          temperature,
+          answer: answer.trim(),
+          thinking: thinking || undefined,
+          usage: result.usage,
+          cost: result.cost,
+          response_time_ms: result.response_time_ms,
+        };
+      } catch (error) {
+        if (error instanceof RequestCancelledError) throw error;
+        return {
+          index,
+          model,
+          temperature,
+          error: getErrorMessage(error),
+          response_time_ms: Date.now() - sampleStart,
+        };
+      }
+    }
+  );
+
+  const clusters = clusterAnswers(samples);
+  if (clusters.length === 0) {
+    throw new Error(
+      `All samples failed: ${samples.map((sample) => `#${sample.index}: ${sample.error}`).join('; ')}`
+    );
+  }
+
+  const answered = clusters.reduce((sum, cluster) => sum + cluster.samples.length, 0);
+  return {
+    majority_answer: clusters[0].answer,
+    agreement: Math.round((clusters[0].samples.length / answered) * 100) / 100,
+    tied: clusters.length > 1 && clusters[1].samples.length === clusters[0].samples.length,
+    answered,
+    clusters,
+    samples,
+    total_cost_usd: samples.reduce((sum, sample) => sum + (sample.cost?.estimated_usd ?? 0), 0),
+    total_time_ms: Date.now() - startTime,
+  };
+}
+
+/**
+ * Shorten reasoning for the dissent section
+ */
+function truncateReasoning(text: string): string {
+  return text.length > DISSENT_REASONING_CHARS
+    ? `${text.slice(0, DISSENT_REASONING_CHARS).trimEnd()}…`
+    : text;
+}
+
+/**
+ * Format the consensus as a markdown report
+ */
+export function formatConsensusOutput(result: GrokConsensusResponse): string {
+  const lines: string[] = [];
+  const majority = result.clusters[0];
+  const percent = Math.round(result.agreement * 100);
+
+  lines.push(
+    result.tied
+      ? `## Consensus: none (tie at ${majority.samples.length}/${result.answered} samples)`
+      : `## Consensus: ${majority.samples.length}/${result.answered} samples agree (${percent}%)`
+  );
+  lines.push('');
+  lines.push(result.tied ? '### Leading Answer' : '### Majority Answer');
+  lines.push('');
+  lines.push(result.majority_answer);
+  lines.push('');
+
+  lines.push('### Answers');
+  lines.push('');
+  lines.push('| Answer | Samples | Share |');
+  lines.push('|--------|---------|-------|');
+  for (const cluster of result.clusters) {
+    const answer = cluster.answer.replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+    lines.push(
+      `| ${answer} | ${cluster.samples.map((index) => `#${index}`).join(', ')} | ${Math.round((cluster.samples.length / result.answered) * 100)}% |`
+    );
+  }
+  lines.push('');
+
+  const majoritySamples = new Set(majority.samples);
+  const dissent = result.samples.filter(
+    (sample) => sample.answer !== undefined && !majoritySamples.has(sample.index)
+  );
+  if (dissent.length > 0) {
+    lines.push('### Dissenting Reasoning');
+    lines.push('');
+    for (const sample of dissent) {
+      lines.push(
+        `**Sample #${sample.index}** (${sample.model}, temperature ${sample.temperature}): ${sample.answer}`
+      );
+      if (sample.thinking) {
+        lines.push('');
+        for (const line of truncateReasoning(sample.thinking).split('\n')) {
+          lines.push(`> ${line}`);
+        }
+      }
+      lines.push('');
+    }
+  }
+
+  const failed = result.samples.filter((sample) => sample.error !== undefined);
+  if (failed.length > 0) {
+    lines.push(
+      `**Failed samples:** ${failed.map((sample) => `#${sample.index} (${sample.model}): ${sample.error}`).join('; ')}`
+    );
+    lines.push('');
+  }
+
+  const models = [...new Set(result.samples.map((sample) => sample.model))].join(', ');
+  const tokens = result.samples.reduce((sum, sample) => sum + (sample.usage?.total_tokens ?? 0), 0);
+  lines.push('---');
+  lines.push(
+    `⚡ *${result.samples.length} samples • ${models} • ${tokens.toLocaleString()} tokens • $${result.total_cost_usd.toFixed(4)} • ${result.total_time_ms}ms*`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Handle grok_consensus tool call
+ *
+ * @param client - XAI client instance
+ * @param args - Tool input parameters
+ * @param services - Optional services for cost tracking and rate limiting
+ * @param signal - Cancels the sampling (including rate limit waits) when aborted
+ * @returns MCP CallToolResult
+ */
+export async function handleGrokConsensus(
+  client: XAIClient,
+  args: unknown,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<CallToolResult> {
+  try {
+    const call = startToolCall('grok_consensus', args);
+    const input = validateGrokConsensusInput(args);
+
+    const result = await executeGrokConsensus(client, input, call, services, signal);
+
+    return {
+      content: [{ type: 'text', text: formatConsensusOutput(result) }],
+      isError: false,
+    };
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `Error during consensus: ${getErrorMessage(error)}` }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * grok_conversation Tool Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  grokConversationSchema,
+  grokConversationToolDefinition,
+  validateGrokConversationInput,
+  executeConversationAction,
+  handleGrokConversation,
+} from './conversation.js';
+import { ConversationStore } from '../services/conversation-store.js';
+import type { CostEstimate, Services } from '../types/index.js';
+
+const cost: CostEstimate = {
+  estimated_usd: 0.0015,
+  input_tokens: 120,
+  output_tokens: 40,
+  model: 'grok-4-fast-non-reasoning',
+  pricing: { input_per_1m: 0.2, output_per_1m: 0.5 },
+};
+
+function createServices(store: ConversationStore): Services {
+  return { conversations: store } as unknown as Services;
+}
+
+describe('grok_conversation tool', () => {
+  let store: ConversationStore;
+
+  beforeEach(() => {
+    store = new ConversationStore({ maxConversations: 10 });
+  });
+
+  describe('schema', () => {
+    it('should have correct JSON Schema version', () => {
+      expect(grokConversationSchema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+    });
+
+    it('should require action', () => {
+      expect(grokConversationSchema.required).toEqual(['action']);
+      expect(grokConversationSchema.properties.action.enum).toEqual([
+        'list',
+        'show',
+        'fork',
+        'delete',
+      ]);
+    });
+
+    it('should have the correct tool name', () => {
+      expect(grokConversationToolDefinition.name).toBe('grok_conversation');
+      expect(grokConversationToolDefinition.inputSchema).toBe(grokConversationSchema);
+    });
+  });
+
+  describe('validateGrokConversationInput', () => {
+    it('should accept list without conversation_id', () => {
+      expect(validateGrokConversationInput({ action: 'list' })).toEqual({
+        action: 'list',
+        conversation_id: undefined,
+        at_turn: undefined,
+      });
+    });
+
+    it('should reject unknown actions', () => {
+      expect(() => validateGrokConversationInput({ action: 'rename' })).toThrow(
+        'action must be one of: list, show, fork, delete'
+      );
+    });
+
+    it('should reject non-object input', () => {
+      expect(() => validateGrokConversationInput(null)).toThrow('expected object');
+    });
+
+    it('should require conversation_id for show, fork and delete', () => {
+      for (const action of ['show', 'fork', 'delete']) {
+        expect(() => validateGrokConversationInput({ action })).toThrow(
+          `conversation_id is required for ${action}`
+        );
+      }
+    });
+
+    it('should reject invalid at_turn values', () => {
+      expect(() =>
+        validateGrokConversationInput({ action: 'fork', conversation_id: 'c', at_turn: -1 })
+      ).toThrow('at_turn must be a non-negative integer');
+      expect(() =>
+        validateGrokConversationInput({ action: 'fork', conversation_id: 'c', at_turn: 1.5 })
+      ).toThrow('at_turn must be a non-negative integer');
+    });
+  });
+
+  describe('executeConversationAction', () => {
+    it('should show an empty list hint', () => {
+      const text = executeConversationAction(store, { action: 'list' });
+      expect(text).toContain('## Conversations (0)');
+      expect(text).toContain('conversation_id: "new"');
+    });
+
+    it('should list conversations with cost and preview', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'What is a | pipe?', 'A character', cost);
+
+      const text = executeConversationAction(store, { action: 'list' });
+      expect(text).toContain('## Conversations (1)');
+      expect(text).toContain(conversation.id);
+      expect(text).toContain('$0.0015');
+      expect(text).toContain('What is a \\| pipe?');
+    });
+
+    it('should show full history and totals', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'First', 'Reply one', cost);
+      store.appendTurn(conversation.id, 'Second', 'Reply two', cost);
+
+      const text = executeConversationAction(store, {
+        action: 'show',
+        conversation_id: conversation.id,
+      });
+      expect(text).toContain(`## Conversation ${conversation.id}`);
+      expect(text).toContain('**Turns:** 2');
+      expect(text).toContain('**Total Cost:** $0.0030');
+      expect(text).toContain('### Turn 2 (grok-4-fast-non-reasoning • $0.0015)');
+      expect(text).toContain('**User:** Second');
+      expect(text).toContain('**Grok:** Reply two');
+    });
+
+    it('should fork a conversation at a turn', () => {
+      const conversation = store.create();
+      store.appendTurn(conversation.id, 'First', 'Reply one', cost);
+      store.appendTurn(conversation.id, 'Second', 'Reply two', cost);
+
+      const text = executeConversationAction(store, {
+        action: 'fork',
+        conversation_id: conversation.id,
+        at_turn: 1,
+      });
+      expect(text).toContain('with 1 turn(s)');
+      expect(store.size()).toBe(2);
+      const forked = store.list().find((s) => s.parentId === conversation.id);
+      expect(forked?.turns).toBe(1);
+    });
+
+    it('should delete a conversation', () => {
+      const conversation = store.create();
+      const text = executeConversationAction(store, {
+        action: 'delete',
+        conversation_id: conversation.id,
+      });
+      expect(text).toContain(`Deleted conversation ${conversation.id}`);
+      expect(store.has(conversation.id)).toBe(false);
+    });
+
+    it('should throw for unknown conversations', () => {
+      expect(() =>
+        executeConversationAction(store, { action: 'show', conversation_id: 'conv_missing' })
+      ).toThrow('Conversation "conv_missing" not found');
+      expect(() =>
+        executeConversationAction(store, { action: 'delete', conversation_id: 'conv_missing' })
+      ).toThrow('Conversation "conv_missing" not found');
+    });
+  });
+
+  describe('handleGrokConversation', () => {
+    it('should return formatted content on success', async () => {
+      const result = await handleGrokConversation(createServices(store), { action: 'list' });
+      expect(result.isError).toBe(false);
+      expect(result.content[0].type).toBe('text');
+    });
+
+    it('should return an error result for invalid input', async () => {
+      const result = await handleGrokConversation(createServices(store), { action: 'show' });
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain(
+        'Error managing conversation:'
+      );
+    });
+
+    it('should return an error when the store is unavailable', async () => {
+      const result = await handleGrokConversation({} as Services, { action: 'list' });
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain(
+        'Conversation store not available'
+      );
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * grok_conversation Tool
+ *
+ * Manage server-side multi-turn conversations used by grok_query's
+ * conversation_id parameter: list, show, fork and delete.
+ *
+ * @module tools/conversation
+ */
+
+import { CallToolResult, TextContent } from '@modelcontextprotocol/sdk/types.js';
+import type { Services } from '../types/index.js';
+import type { Conversation, ConversationStore } from '../services/conversation-store.js';
+import { tagSchemaProperty } from '../services/cost-attribution.js';
+
+/**
+ * Supported conversation actions
+ */
+export type ConversationAction = 'list' | 'show' | 'fork' | 'delete';
+
+/**
+ * Input parameters for grok_conversation tool
+ */
+export interface GrokConversationInput {
+  /** Action to perform */
+  action: ConversationAction;
+  /** Target conversation (required for show, fork and delete) */
+  conversation_id?: string;
+  /** For fork: keep only the first N turns (default: all) */
+  at_turn?: number;
+}
+
+/**
+ * JSON Schema for grok_conversation tool (JSON Schema 2020-12)
+ */
+export const grokConversationSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object' as const,
+  properties: {
+    action: {
+      type: 'string',
+      enum: ['list', 'show', 'fork', 'delete'],
+      description:
+        'list (all conversations), show (full history and cost), fork (copy into a new conversation), delete',
+    },
+    conversation_id: {
+      type: 'string',
+      description: 'Conversation ID (required for show, fork and delete)',
+    },
+    at_turn: {
+      type: 'integer',
+      minimum: 0,
+      description: 'For fork: keep only the first N turns (default: all turns)',
+    },
+    tag: tagSchemaProperty,
+  },
+  required: ['action'],
+  additionalProperties: false,
+};
+
+/**
+ * Tool definition for grok_conversation
+ */
+export const grokConversationToolDefinition = {
+  name: 'grok_conversation',
+  description:
+    'Manage multi-turn Grok conversations created with grok_query conversation_id: list, show history and cost, fork, or delete.',
+  inputSchema: grokConversationSchema,
+};
+
+/**
+ * Validate input parameters for grok_conversation
+ */
+export function validateGrokConversationInput(input: unknown): GrokConversationInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Invalid input: expected object with action property');
+  }
+
+  const params = input as Record<string, unknown>;
+  const validActions: ConversationAction[] = ['list', 'show', 'fork', 'delete'];
+  if (!validActions.includes(params.action as ConversationAction)) {
+    throw new Error(`Invalid input: action must be one of: ${validActions.join(', ')}`);
+  }
+
+  const action = params.action as ConversationAction;
+
+  if (params.conversation_id !== undefined && typeof params.conversation_id !== 'string') {
+    throw new Error('Invalid input: conversation_id must be a string');
+  }
+  if (action !== 'list' && !params.conversation_id) {
+    throw new Error(`Invalid input: conversation_id is required for ${action}`);
+  }
+
+  if (params.at_turn !== undefined) {
+    if (
+      typeof params.at_turn !== 'number' ||
+      !Number.isInteger(params.at_turn) ||
+      params.at_turn < 0
+    ) {
+      throw new Error('Invalid input: at_turn must be a non-negative integer');
+    }
+  }
+
+  return {
+    action,
+    conversation_id: params.conversation_id as string | undefined,
+    at_turn: params.at_turn as number | undefined,
+  };
+}
+
+/**
+ * Format the conversation list
+ */
+function formatList(store: ConversationStore): string {
+  const summaries = store.list();
+  const lines: string[] = [];
+
+  lines.push(`## Conversations (${summaries.length})`);
+  lines.push('');
+
+  if (summaries.length === 0) {
+    lines.push('No conversations yet. Start one with grok_query `conversation_id: "new"`.');
+    return lines.join('\n');
+  }
+
+  lines.push('| ID | Turns | Cost | Last Model | Updated | First Message |');
+  lines.push('|----|-------|------|------------|---------|---------------|');
+  for (const summary of summaries) {
+    const forked = summary.parentId ? ` (fork of ${summary.parentId})` : '';
+    lines.push(
+      `| ${summary.id}${forked} | ${summary.turns} | $${summary.totalCostUsd.toFixed(4)} | ${summary.lastModel || '-'} | ${summary.updatedAt} | ${summary.preview.replace(/\|/g, '\\|')} |`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a single conversation with its history
+ */
+function formatConversation(store: ConversationStore, conversation: Conversation): string {
+  const summary = store.summarize(conversation);
+  const lines: string[] = [];
+
+  lines.push(`## Conversation ${conversation.id}`);
+  lines.push('');
+  if (conversation.parentId) {
+    lines.push(`- **Forked From:** ${conversation.parentId}`);
+  }
+  lines.push(`- **Turns:** ${summary.turns}`);
+  lines.push(
+    `- **Tokens:** ${conversation.totalInputTokens.toLocaleString()} in / ${conversation.totalOutputTokens.toLocaleString()} out`
+  );
+  lines.push(`- **Total Cost:** $${conversation.totalCostUsd.toFixed(4)}`);
+  lines.push(`- **Created:** ${summary.createdAt}`);
+  lines.push(`- **Updated:** ${summary.updatedAt}`);
+
+  conversation.turns.forEach((turn, index) => {
+    lines.push('');
+    lines.push(`### Turn ${index + 1} (${turn.model} • $${turn.costUsd.toFixed(4)})`);
+    lines.push('');
+    lines.push(`**User:** ${turn.user}`);
+    lines.push('');
+    lines.push(`**Grok:** ${turn.assistant}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Execute a conversation action and return formatted markdown
+ */
+export function executeConversationAction(
+  store: ConversationStore,
+  input: GrokConversationInput
+): string {
+  switch (input.action) {
+    case 'list':
+      return formatList(store);
+
+    case 'show':
+      return formatConversation(store, store.require(input.conversation_id!));
+
+    case 'fork': {
+      const forked = store.fork(input.conversation_id!, input.at_turn);
+      return (
+        `Forked ${input.conversation_id} into **${forked.id}** with ${forked.turns.length} turn(s).\n\n` +
+        `Continue it with grok_query \`conversation_id: "${forked.id}"\`.`
+      );
+    }
+
+    case 'delete': {
+      store.require(input.conversation_id!);
+      store.delete(input.conversation_id!);
+      return `Deleted conversation ${input.conversation_id}.`;
+    }
+  }
+}
+
+/**
+ * Handle grok_conversation tool call
+ *
+ * @param services - MCP services (must include conversations)
+ * @param input - Tool input parameters
+ * @returns MCP CallToolResult
+ */
+export async function handleGrokConversation(
+  services: Services,
+  input: unknown
+): Promise<CallToolResult> {
+  try {
+    if (!services?.conversations) {
+      throw new Error('Conversation store not available');
+    }
+
+    const conversationInput = validateGrokConversationInput(input);
+
+    const content: TextContent = {
+      type: 'text',
+      text: executeConversationAction(services.conversations, conversationInput),
+    };
+
+    return {
+      content: [content],
+      isError: false,
+    };
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return {
+      content: [{ type: 'text', text: `Error managing conversation: ${errorMessage}` }],
+      isError: true,
+    };
+  }
+}
@@ -17,6 +17,7 @@ import {
   COMPLEXITY_WEIGHTS,
   WeightedIndicator,
 } from '../types/index.js';
+import { tagSchemaProperty } from '../services/cost-attribution.js';
 
 /**
  * Input parameters for grok_estimate_cost tool
@@ -86,6 +87,7 @@ export const estimateCostSchema = {
       maximum: 100000,
       description: 'Expected maximum output tokens. Default: estimated based on query length',
     },
+    tag: tagSchemaProperty,
   },
   required: ['query'],
   additionalProperties: false,
@@ -271,6 +271,22 @@ describe('handleGrokExecuteCode', () => {
     expect(mockServices.rateLimiter.release).toHaveBeenCalled();
   });
 
+  it('should not release a slot it never acquired', async () => {
+    const mockServices = {
+      costTracker: { checkBudget: vi.fn() },
+      rateLimiter: {
+        acquire: vi.fn().mockResolvedValue(undefined),
+        release: vi.fn(),
+      },
+    };
+
+    const { handleGrokExecuteCode } = await import('./execute-code.js');
+    await handleGrokExecuteCode(mockClient as any, { code: '' }, mockServices as any);
+
+    expect(mockServices.rateLimiter.acquire).not.toHaveBeenCalled();
+    expect(mockServices.rateLimiter.release).not.toHaveBeenCalled();
+  });
+
   it('should respect max_turns parameter', async () => {
     const { handleGrokExecuteCode } = await import('./execute-code.js');
     await handleGrokExecuteCode(mockClient as any, { code: 'print("hello")', max_turns: 5 });
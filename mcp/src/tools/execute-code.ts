@@ -14,6 +14,12 @@ import {
   Services,
   extractAgentResponseText,
 } from '../types/index.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
 
 const DEFAULT_MODEL = 'grok-4-1-fast';
 const DEFAULT_MAX_TURNS = 3;
@@ -50,6 +56,7 @@ export const grokExecuteCodeSchema = {
       type: 'string',
       description: 'Model to use (default: grok-4-1-fast)',
     },
+    tag: tagSchemaProperty,
   },
   required: ['code'],
   additionalProperties: false,
@@ -200,17 +207,34 @@ function formatResponse(result: GrokExecuteCodeResponse): string {
   return output;
 }
 
+/**
+ * Rate limit queue class: sandboxed runs are slow, so at most two run at once
+ */
+export const grokExecuteCodeRateLimitClass: RateLimitClass = {
+  tool: 'grok_execute_code',
+  endpoint: '/responses',
+  priority: 'background',
+  maxConcurrent: 2,
+};
+
 /**
  * Handle grok_execute_code tool execution
+ *
+ * @param signal - Cancels the request (including rate limit waits) when aborted
  */
 export async function handleGrokExecuteCode(
   client: XAIClient,
   args: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal
 ): Promise<{ content: Array<{ type: string; text: string }> }> {
   const startTime = Date.now();
+  // Tokens held in the rate limiter, until recordUsage() or release() frees the slot
+  let reservedTokens: number | null = null;
 
   try {
+    const call = startToolCall('grok_execute_code', args);
+
     // Validate input
     const input = validateGrokExecuteCodeInput(args);
 
@@ -225,7 +249,8 @@ export async function handleGrokExecuteCode(
     // Acquire rate limit slot
     const estimatedTokens = Math.ceil(input.code.length / 4) + 500;
     if (services?.rateLimiter) {
-      await services.rateLimiter.acquire(estimatedTokens);
+      await services.rateLimiter.acquire(estimatedTokens, signal, grokExecuteCodeRateLimitClass);
+      reservedTokens = estimatedTokens;
     }
 
     // Build code execution tool config
@@ -246,7 +271,7 @@ export async function handleGrokExecuteCode(
     };
 
     // Execute the request
-    const response = await client.responsesCreate(agentParams);
+    const response = await client.responsesCreate({ ...agentParams, signal });
     const responseTime = Date.now() - startTime;
 
     // Calculate cost
@@ -257,11 +282,16 @@ export async function handleGrokExecuteCode(
 
     // Record usage with services
     if (services?.costTracker) {
-      services.costTracker.addFromEstimate(cost);
+      services.costTracker.addFromEstimate(cost, getCostAttribution(call));
     }
 
     if (services?.rateLimiter) {
-      services.rateLimiter.recordUsage(response.usage.total_tokens, estimatedTokens);
+      services.rateLimiter.recordUsage(
+        response.usage.total_tokens,
+        estimatedTokens,
+        grokExecuteCodeRateLimitClass
+      );
+      reservedTokens = null;
       services.rateLimiter.clearBackoff();
     }
 
@@ -295,9 +325,8 @@ export async function handleGrokExecuteCode(
     const responseTime = Date.now() - startTime;
 
     // Release rate limit slot on error
-    if (services?.rateLimiter) {
-      const estimatedTokens = 500;
-      services.rateLimiter.release(estimatedTokens);
+    if (services?.rateLimiter && reservedTokens !== null) {
+      services.rateLimiter.release(reservedTokens, grokExecuteCodeRateLimitClass);
     }
 
     const errorMessage =
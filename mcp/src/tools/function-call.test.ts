@@ -0,0 +1,515 @@
+/**
+ * grok_function_call Tool Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import type { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { server } from '../test/mocks/server.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import type {
+  ChatCompletionResponse,
+  ChatCompletionStreamChunk,
+  ChatToolCall,
+  Services,
+} from '../types/index.js';
+import {
+  executeGrokFunctionCall,
+  grokFunctionCallRateLimitClass,
+  grokFunctionCallSchema,
+  handleGrokFunctionCall,
+  parseToolCall,
+  validateGrokFunctionCallInput,
+} from './function-call.js';
+
+function createServices(): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
+const weatherFunction = {
+  name: 'get_weather',
+  description: 'Get the current weather for a city',
+  parameters: {
+    type: 'object',
+    properties: { city: { type: 'string' }, unit: { type: 'string' } },
+    required: ['city'],
+  },
+};
+
+const timeFunction = { name: 'get_time', description: 'Get the current time' };
+
+const weatherCall: ChatToolCall = {
+  id: 'call_1',
+  type: 'function',
+  function: { name: 'get_weather', arguments: '{"city":"Paris","unit":"celsius"}' },
+};
+
+const usage = { prompt_tokens: 60, completion_tokens: 20, total_tokens: 80 };
+
+function createResponse(
+  message: ChatCompletionResponse['choices'][number]['message'],
+  finishReason: ChatCompletionResponse['choices'][number]['finish_reason'] = 'tool_calls'
+): ChatCompletionResponse {
+  return {
+    id: 'resp-1',
+    object: 'chat.completion',
+    created: 1,
+    model: 'grok-4-1-fast-non-reasoning',
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage,
+  };
+}
+
+function parseOutput(result: CallToolResult): Record<string, unknown> {
+  return JSON.parse((result.content[0] as { text: string }).text) as Record<string, unknown>;
+}
+
+describe('grok_function_call tool', () => {
+  let client: XAIClient;
+
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+    client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  describe('grokFunctionCallSchema', () => {
+    it('should require query and functions', () => {
+      expect(grokFunctionCallSchema.required).toEqual(['query', 'functions']);
+    });
+
+    it('should default tool_choice to auto', () => {
+      expect(grokFunctionCallSchema.properties.tool_choice.default).toBe('auto');
+    });
+
+    it('should accept a tag', () => {
+      expect(grokFunctionCallSchema.properties.tag).toBeDefined();
+    });
+  });
+
+  describe('validateGrokFunctionCallInput', () => {
+    it('should apply defaults', () => {
+      const input = validateGrokFunctionCallInput({
+        query: 'Weather in Paris?',
+        functions: [weatherFunction],
+      });
+
+      expect(input.tool_choice).toBe('auto');
+      expect(input.parallel).toBe(true);
+      expect(input.model).toBe('grok-4-1-fast-non-reasoning');
+    });
+
+    it.each([
+      ['a missing query', { functions: [weatherFunction] }, 'query parameter is required'],
+      ['missing functions', { query: 'q' }, 'functions parameter is required'],
+      ['an empty function list', { query: 'q', functions: [] }, 'non-empty array'],
+      [
+        'an invalid function name',
+        { query: 'q', functions: [{ name: 'get weather' }] },
+        'functions[0].name must be',
+      ],
+      [
+        'non-object parameters',
+        { query: 'q', functions: [{ name: 'f', parameters: [] }] },
+        'functions[0].parameters must be a JSON Schema object',
+      ],
+      [
+        'duplicate function names',
+        { query: 'q', functions: [timeFunction, timeFunction] },
+        'Duplicate function name: get_time',
+      ],
+      [
+        'an unknown tool_choice',
+        { query: 'q', functions: [timeFunction], tool_choice: 'get_weather' },
+        'tool_choice must be one of auto, none, required or a function name',
+      ],
+    ])('should reject %s', (_name, input, message) => {
+      expect(() => validateGrokFunctionCallInput(input)).toThrow(message);
+    });
+
+    it('should accept a function name as tool_choice', () => {
+      const input = validateGrokFunctionCallInput({
+        query: 'q',
+        functions: [weatherFunction],
+        tool_choice: 'get_weather',
+      });
+      expect(input.tool_choice).toBe('get_weather');
+    });
+
+    it('should reject tool_results without tool_calls', () => {
+      expect(() =>
+        validateGrokFunctionCallInput({
+          query: 'q',
+          functions: [weatherFunction],
+          tool_results: [{ tool_call_id: 'call_1', content: '{}' }],
+        })
+      ).toThrow('tool_results requires the tool_calls they answer');
+    });
+
+    it('should reject results for unknown calls', () => {
+      expect(() =>
+        validateGrokFunctionCallInput({
+          query: 'q',
+          functions: [weatherFunction],
+          tool_calls: [{ id: 'call_1', name: 'get_weather', arguments: {} }],
+          tool_results: [{ tool_call_id: 'call_2', content: '{}' }],
+        })
+      ).toThrow('tool_results[0].tool_call_id must match a tool_calls id');
+    });
+
+    it('should require a result for every previous call', () => {
+      expect(() =>
+        validateGrokFunctionCallInput({
+          query: 'q',
+          functions: [weatherFunction, timeFunction],
+          tool_calls: [
+            { id: 'call_1', name: 'get_weather', arguments: {} },
+            { id: 'call_2', name: 'get_time', arguments: {} },
+          ],
+          tool_results: [{ tool_call_id: 'call_1', content: '{}' }],
+        })
+      ).toThrow('tool_results is missing results for: call_2');
+    });
+  });
+
+  describe('parseToolCall', () => {
+    it('should parse JSON arguments', () => {
+      expect(parseToolCall(weatherCall)).toEqual({
+        id: 'call_1',
+        name: 'get_weather',
+        arguments: { city: 'Paris', unit: 'celsius' },
+      });
+    });
+
+    it('should treat empty arguments as an empty object', () => {
+      const call = { ...weatherCall, function: { name: 'get_time', arguments: '' } };
+      expect(parseToolCall(call).arguments).toEqual({});
+    });
+
+    it('should report invalid JSON without throwing', () => {
+      const call = { ...weatherCall, function: { name: 'get_weather', arguments: '{"city":' } };
+      const parsed = parseToolCall(call);
+
+      expect(parsed.arguments).toBeNull();
+      expect(parsed.raw_arguments).toBe('{"city":');
+      expect(parsed.parse_error).toBeDefined();
+    });
+
+    it('should report arguments that are not an object', () => {
+      const call = { ...weatherCall, function: { name: 'get_weather', arguments: '[1]' } };
+      expect(parseToolCall(call).parse_error).toBe('arguments are not a JSON object');
+    });
+  });
+
+  describe('executeGrokFunctionCall', () => {
+    it('should send the functions and tool choice to the API', async () => {
+      const chatSpy = vi
+        .spyOn(client, 'chatCompletion')
+        .mockResolvedValue(
+          createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+        );
+
+      await executeGrokFunctionCall(
+        client,
+        validateGrokFunctionCallInput({
+          query: 'Weather in Paris?',
+          functions: [weatherFunction],
+          tool_choice: 'get_weather',
+          parallel: false,
+        })
+      );
+
+      const params = chatSpy.mock.calls[0][0];
+      expect(params.tools).toEqual([{ type: 'function', function: weatherFunction }]);
+      expect(params.tool_choice).toEqual({ type: 'function', function: { name: 'get_weather' } });
+      expect(params.parallel_tool_calls).toBe(false);
+      expect(params.temperature).toBe(0);
+    });
+
+    it('should return the chosen functions with parsed arguments', async () => {
+      vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+        createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+      );
+
+      const result = await executeGrokFunctionCall(
+        client,
+        validateGrokFunctionCallInput({ query: 'Weather in Paris?', functions: [weatherFunction] })
+      );
+
+      expect(result.function_calls).toEqual([
+        { id: 'call_1', name: 'get_weather', arguments: { city: 'Paris', unit: 'celsius' } },
+      ]);
+      expect(result.finish_reason).toBe('tool_calls');
+      expect(result.usage).toEqual(usage);
+      expect(result.cost.estimated_usd).toBeGreaterThan(0);
+    });
+
+    it('should return a direct answer when no function is called', async () => {
+      vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+        createResponse({ role: 'assistant', content: 'It is sunny.' }, 'stop')
+      );
+
+      const result = await executeGrokFunctionCall(
+        client,
+        validateGrokFunctionCallInput({ query: 'Weather?', functions: [weatherFunction] })
+      );
+
+      expect(result.function_calls).toEqual([]);
+      expect(result.content).toBe('It is sunny.');
+    });
+
+    it('should send previous calls and their results as messages', async () => {
+      const chatSpy = vi
+        .spyOn(client, 'chatCompletion')
+        .mockResolvedValue(
+          createResponse({ role: 'assistant', content: '18°C in Paris.' }, 'stop')
+        );
+
+      await executeGrokFunctionCall(
+        client,
+        validateGrokFunctionCallInput({
+          query: 'Weather in Paris?',
+          functions: [weatherFunction],
+          context: 'You are a weather assistant.',
+          tool_calls: [{ id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } }],
+          tool_results: [{ tool_call_id: 'call_1', content: '{"temp":18}' }],
+        })
+      );
+
+      expect(chatSpy.mock.calls[0][0].messages).toEqual([
+        { role: 'system', content: 'You are a weather assistant.' },
+        { role: 'user', content: 'Weather in Paris?' },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [
+            {
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'get_weather', arguments: '{"city":"Paris"}' },
+            },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"temp":18}' },
+      ]);
+    });
+
+    it('should send string arguments back unchanged', async () => {
+      const chatSpy = vi
+        .spyOn(client, 'chatCompletion')
+        .mockResolvedValue(createResponse({ role: 'assistant', content: 'Done.' }, 'stop'));
+
+      await executeGrokFunctionCall(
+        client,
+        validateGrokFunctionCallInput({
+          query: 'q',
+          functions: [weatherFunction],
+          tool_calls: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Oslo"}' }],
+          tool_results: [{ tool_call_id: 'call_1', content: 'ok' }],
+        })
+      );
+
+      const assistant = chatSpy.mock.calls[0][0].messages[1];
+      expect(assistant.tool_calls?.[0].function.arguments).toBe('{"city":"Oslo"}');
+    });
+
+    it('should assemble streamed tool calls when a reporter is given', async () => {
+      vi.spyOn(client, 'chatCompletionStream').mockImplementation(
+        async function* (): AsyncGenerator<ChatCompletionStreamChunk> {
+          const deltas = [
+            {
+              index: 0,
+              id: 'call_1',
+              type: 'function' as const,
+              function: { name: 'get_weather' },
+            },
+            { index: 0, function: { arguments: '{"city":' } },
+            { index: 0, function: { arguments: '"Paris"}' } },
+          ];
+          for (const [i, delta] of deltas.entries()) {
+            const last = i === deltas.length - 1;
+            yield {
+              id: 'resp-1',
+              object: 'chat.completion.chunk',
+              created: 1,
+              model: 'grok-4-1-fast-non-reasoning',
+              choices: [
+                {
+                  index: 0,
+                  delta: { tool_calls: [delta] },
+                  finish_reason: last ? 'tool_calls' : null,
+                },
+              ],
+              usage: last ? usage : undefined,
+            };
+          }
+        }
+      );
+      const chatSpy = vi.spyOn(client, 'chatCompletion');
+      const onProgress = vi.fn();
+
+      const result = await executeGrokFunctionCall(
+        client,
+        validateGrokFunctionCallInput({ query: 'Weather in Paris?', functions: [weatherFunction] }),
+        undefined,
+        onProgress
+      );
+
+      expect(chatSpy).not.toHaveBeenCalled();
+      expect(onProgress).toHaveBeenCalledTimes(3);
+      expect(result.function_calls).toEqual([
+        { id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } },
+      ]);
+      expect(result.finish_reason).toBe('tool_calls');
+    });
+  });
+
+  describe('handleGrokFunctionCall', () => {
+    it('should return the result as JSON', async () => {
+      vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+        createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+      );
+
+      const result = await handleGrokFunctionCall(client, {
+        query: 'Weather in Paris?',
+        functions: [weatherFunction],
+      });
+
+      expect(result.isError).toBe(false);
+      const output = parseOutput(result);
+      expect(output.function_calls).toEqual([
+        { id: 'call_1', name: 'get_weather', arguments: { city: 'Paris', unit: 'celsius' } },
+      ]);
+      expect(output.model).toBe('grok-4-1-fast-non-reasoning');
+      expect(output.cost_usd).toBeGreaterThan(0);
+    });
+
+    it('should pass tool definitions through to the API request body', async () => {
+      let body: Record<string, unknown> | undefined;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', async ({ request }) => {
+          body = (await request.json()) as Record<string, unknown>;
+          return HttpResponse.json(
+            createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+          );
+        })
+      );
+
+      const result = await handleGrokFunctionCall(client, {
+        query: 'Weather in Paris?',
+        functions: [weatherFunction],
+        tool_choice: 'required',
+      });
+
+      expect(result.isError).toBe(false);
+      expect(body?.tools).toEqual([{ type: 'function', function: weatherFunction }]);
+      expect(body?.tool_choice).toBe('required');
+      expect(body?.parallel_tool_calls).toBe(true);
+      expect(body).not.toHaveProperty('signal');
+    });
+
+    it('should return an error result for invalid input', async () => {
+      const result = await handleGrokFunctionCall(client, { query: 'q', functions: [] });
+
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain(
+        'Error during function calling: functions parameter is required'
+      );
+    });
+
+    it('should track cost and rate limit usage', async () => {
+      vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+        createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+      );
+      const services = createServices();
+      const recordSpy = vi.spyOn(services.rateLimiter, 'recordUsage');
+
+      await handleGrokFunctionCall(
+        client,
+        { query: 'Weather in Paris?', functions: [weatherFunction], tag: 'travel' },
+        services
+      );
+
+      expect(recordSpy).toHaveBeenCalledWith(
+        80,
+        expect.any(Number),
+        grokFunctionCallRateLimitClass
+      );
+      const summary = services.costTracker.getUsageSummary();
+      expect(summary.queryCount).toBe(1);
+      expect(summary.byTool.grok_function_call.queries).toBe(1);
+      expect(summary.byTag.travel.queries).toBe(1);
+    });
+
+    it('should release the rate limit reservation on failure', async () => {
+      vi.spyOn(client, 'chatCompletion').mockRejectedValue(new Error('boom'));
+      const services = createServices();
+      const releaseSpy = vi.spyOn(services.rateLimiter, 'release');
+
+      const result = await handleGrokFunctionCall(
+        client,
+        { query: 'Weather in Paris?', functions: [weatherFunction] },
+        services
+      );
+
+      expect(result.isError).toBe(true);
+      expect(releaseSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve a repeated request from the cache', async () => {
+      const chatSpy = vi
+        .spyOn(client, 'chatCompletion')
+        .mockResolvedValue(
+          createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+        );
+      const services = createServices();
+      const input = { query: 'Weather in Paris?', functions: [weatherFunction] };
+
+      await handleGrokFunctionCall(client, input, services);
+      const second = await handleGrokFunctionCall(client, input, services);
+
+      expect(chatSpy).toHaveBeenCalledTimes(1);
+      expect(parseOutput(second).cached).toBe(true);
+      expect(services.cache.getStats().byTool.grok_function_call.hits).toBe(1);
+    });
+
+    it('should not share cache entries across function sets or tool choices', async () => {
+      const chatSpy = vi
+        .spyOn(client, 'chatCompletion')
+        .mockResolvedValue(
+          createResponse({ role: 'assistant', content: '', tool_calls: [weatherCall] })
+        );
+      const services = createServices();
+      const query = 'Weather in Paris?';
+
+      await handleGrokFunctionCall(client, { query, functions: [weatherFunction] }, services);
+      await handleGrokFunctionCall(
+        client,
+        { query, functions: [weatherFunction, timeFunction] },
+        services
+      );
+      await handleGrokFunctionCall(
+        client,
+        { query, functions: [weatherFunction], tool_choice: 'required' },
+        services
+      );
+
+      expect(chatSpy).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,586 @@
+/**
+ * grok_function_call Tool
+ *
+ * Native function calling: sends function definitions to Grok and returns
+ * the function it chose and its arguments as structured JSON. Results of
+ * running the functions can be sent back to get Grok's final answer or its
+ * next call.
+ *
+ * @module tools/function-call
+ */
+
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { XAIClient } from '../client/xai-client.js';
+import {
+  ChatMessage,
+  ChatToolCall,
+  ChatToolChoice,
+  ChatToolDefinition,
+  FunctionDefinition,
+  GrokFunctionCall,
+  GrokFunctionCallInput,
+  GrokFunctionCallResponse,
+  GrokFunctionResult,
+  Services,
+  XAIError,
+} from '../types/index.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { lookupToolCache, storeToolCache } from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import { streamChatCompletion, type ProgressReporter } from '../services/progress.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
+
+const DEFAULT_MODEL = 'grok-4-1-fast-non-reasoning';
+const MAX_FUNCTIONS = 128;
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const BUILTIN_TOOL_CHOICES = ['auto', 'none', 'required'];
+
+/**
+ * Function selection is deterministic, so results are cached for long
+ */
+const FUNCTION_CALL_TEMPERATURE = 0;
+const FUNCTION_CALL_MAX_TOKENS = 2048;
+
+export const grokFunctionCallSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  properties: {
+    query: {
+      type: 'string',
+      minLength: 1,
+      description: 'Request for Grok to fulfil using the functions',
+    },
+    functions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_FUNCTIONS,
+      description: 'Functions Grok may call',
+      items: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            pattern: FUNCTION_NAME_PATTERN.source,
+            description: 'Function name',
+          },
+          description: {
+            type: 'string',
+            description: 'What the function does',
+          },
+          parameters: {
+            type: 'object',
+            description: 'JSON Schema for the function arguments',
+          },
+        },
+        required: ['name'],
+        additionalProperties: false,
+      },
+    },
+    tool_choice: {
+      type: 'string',
+      default: 'auto',
+      description:
+        'auto (Grok decides), none (never call), required (always call), or a function name to force that function',
+    },
+    parallel: {
+      type: 'boolean',
+      default: true,
+      description: 'Allow Grok to call several functions in one response',
+    },
+    context: {
+      type: 'string',
+      description: 'System prompt or background information for the request',
+    },
+    tool_calls: {
+      type: 'array',
+      description:
+        'function_calls from a previous grok_function_call response, when sending their results',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          arguments: { type: ['object', 'string', 'null'] },
+        },
+        required: ['id', 'name'],
+      },
+    },
+    tool_results: {
+      type: 'array',
+      description: 'Results of running the previous calls, one per tool call ID',
+      items: {
+        type: 'object',
+        properties: {
+          tool_call_id: { type: 'string' },
+          content: { type: 'string' },
+        },
+        required: ['tool_call_id', 'content'],
+        additionalProperties: false,
+      },
+    },
+    model: {
+      type: 'string',
+      description: `Model to use (default: ${DEFAULT_MODEL})`,
+    },
+    tag: tagSchemaProperty,
+  },
+  required: ['query', 'functions'],
+  additionalProperties: false,
+} as const;
+
+export const grokFunctionCallToolDefinition = {
+  name: 'grok_function_call',
+  description:
+    'Let Grok choose which of your functions to call using native function calling. Returns the chosen function and its arguments as JSON; send the function results back to continue.',
+  inputSchema: grokFunctionCallSchema,
+};
+
+/**
+ * Validate a function definition
+ */
+function validateFunctionDefinition(value: unknown, index: number): FunctionDefinition {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`functions[${index}] must be an object`);
+  }
+
+  const fn = value as Record<string, unknown>;
+  if (typeof fn.name !== 'string' || !FUNCTION_NAME_PATTERN.test(fn.name)) {
+    throw new Error(`functions[${index}].name must be 1-64 letters, digits, underscores or dashes`);
+  }
+  if (fn.description !== undefined && typeof fn.description !== 'string') {
+    throw new Error(`functions[${index}].description must be a string`);
+  }
+  if (
+    fn.parameters !== undefined &&
+    (!fn.parameters || typeof fn.parameters !== 'object' || Array.isArray(fn.parameters))
+  ) {
+    throw new Error(`functions[${index}].parameters must be a JSON Schema object`);
+  }
+
+  return {
+    name: fn.name,
+    description: fn.description as string | undefined,
+    parameters: fn.parameters as Record<string, unknown> | undefined,
+  };
+}
+
+/**
+ * Validate a previous function call being sent back with its result
+ */
+function validatePreviousCall(value: unknown, index: number): GrokFunctionCall {
+  if (!value || typeof value !== 'object') {
+    throw new Error(`tool_calls[${index}] must be an object`);
+  }
+
+  const call = value as Record<string, unknown>;
+  if (typeof call.id !== 'string' || call.id.length === 0) {
+    throw new Error(`tool_calls[${index}].id must be a non-empty string`);
+  }
+  if (typeof call.name !== 'string' || call.name.length === 0) {
+    throw new Error(`tool_calls[${index}].name must be a non-empty string`);
+  }
+
+  const args = call.arguments;
+  if (typeof args === 'string') {
+    return { id: call.id, name: call.name, arguments: null, raw_arguments: args };
+  }
+  if (args !== undefined && args !== null && (typeof args !== 'object' || Array.isArray(args))) {
+    throw new Error(`tool_calls[${index}].arguments must be an object or a JSON string`);
+  }
+  return {
+    id: call.id,
+    name: call.name,
+    arguments: (args as Record<string, unknown> | undefined) ?? null,
+    raw_arguments: typeof call.raw_arguments === 'string' ? call.raw_arguments : undefined,
+  };
+}
+
+/**
+ * Validate and normalize input parameters
+ */
+export function validateGrokFunctionCallInput(input: unknown): GrokFunctionCallInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Input must be an object');
+  }
+
+  const params = input as Record<string, unknown>;
+
+  if (typeof params.query !== 'string' || params.query.trim().length === 0) {
+    throw new Error('query parameter is required and must be a non-empty string');
+  }
+
+  // Validate function definitions
+  if (!Array.isArray(params.functions) || params.functions.length === 0) {
+    throw new Error('functions parameter is required and must be a non-empty array');
+  }
+  if (params.functions.length > MAX_FUNCTIONS) {
+    throw new Error(`functions parameter exceeds maximum of ${MAX_FUNCTIONS} functions`);
+  }
+  const functions = params.functions.map(validateFunctionDefinition);
+  const names = new Set<string>();
+  for (const fn of functions) {
+    if (names.has(fn.name)) {
+      throw new Error(`Duplicate function name: ${fn.name}`);
+    }
+    names.add(fn.name);
+  }
+
+  // Validate tool_choice: a built-in mode or one of the function names
+  if (params.tool_choice !== undefined) {
+    if (
+      typeof params.tool_choice !== 'string' ||
+      (!BUILTIN_TOOL_CHOICES.includes(params.tool_choice) && !names.has(params.tool_choice))
+    ) {
+      throw new Error(
+        `tool_choice must be one of ${BUILTIN_TOOL_CHOICES.join(', ')} or a function name`
+      );
+    }
+  }
+
+  if (params.parallel !== undefined && typeof params.parallel !== 'boolean') {
+    throw new Error('parallel parameter must be a boolean');
+  }
+  if (params.context !== undefined && typeof params.context !== 'string') {
+    throw new Error('context parameter must be a string');
+  }
+  if (params.model !== undefined && typeof params.model !== 'string') {
+    throw new Error('model parameter must be a string');
+  }
+
+  // Validate previous calls and their results
+  let toolCalls: GrokFunctionCall[] | undefined;
+  if (params.tool_calls !== undefined) {
+    if (!Array.isArray(params.tool_calls) || params.tool_calls.length === 0) {
+      throw new Error('tool_calls parameter must be a non-empty array');
+    }
+    toolCalls = params.tool_calls.map(validatePreviousCall);
+  }
+
+  // The API needs a result for every previous call, and only for those
+  let toolResults: GrokFunctionResult[] | undefined;
+  if (params.tool_results !== undefined && !toolCalls) {
+    throw new Error('tool_results requires the tool_calls they answer');
+  }
+  if (toolCalls) {
+    if (!Array.isArray(params.tool_results)) {
+      throw new Error('tool_results parameter is required with tool_calls and must be an array');
+    }
+    const callIds = new Set(toolCalls.map((call) => call.id));
+    toolResults = params.tool_results.map((value: unknown, index) => {
+      const result = (value ?? {}) as Record<string, unknown>;
+      if (typeof result.tool_call_id !== 'string' || !callIds.has(result.tool_call_id)) {
+        throw new Error(`tool_results[${index}].tool_call_id must match a tool_calls id`);
+      }
+      if (typeof result.content !== 'string') {
+        throw new Error(`tool_results[${index}].content must be a string`);
+      }
+      return { tool_call_id: result.tool_call_id, content: result.content };
+    });
+    const answered = new Set(toolResults.map((result) => result.tool_call_id));
+    const missing = toolCalls.filter((call) => !answered.has(call.id)).map((call) => call.id);
+    if (missing.length > 0) {
+      throw new Error(`tool_results is missing results for: ${missing.join(', ')}`);
+    }
+  }
+
+  return {
+    query: params.query,
+    functions,
+    tool_choice: (params.tool_choice as string | undefined) ?? 'auto',
+    parallel: (params.parallel as boolean | undefined) ?? true,
+    context: params.context as string | undefined,
+    tool_calls: toolCalls,
+    tool_results: toolResults,
+    model: (params.model as string | undefined) ?? DEFAULT_MODEL,
+  };
+}
+
+/**
+ * Convert the tool_choice input to the API format
+ */
+function toApiToolChoice(toolChoice: string | undefined): ChatToolChoice {
+  if (toolChoice === undefined || BUILTIN_TOOL_CHOICES.includes(toolChoice)) {
+    return (toolChoice ?? 'auto') as ChatToolChoice;
+  }
+  return { type: 'function', function: { name: toolChoice } };
+}
+
+/**
+ * Build the API tool definitions
+ */
+function buildTools(functions: FunctionDefinition[]): ChatToolDefinition[] {
+  return functions.map((fn) => ({ type: 'function', function: fn }));
+}
+
+/**
+ * Build the messages for a function calling request
+ *
+ * Previous calls are replayed as an assistant message, followed by one
+ * `tool` message per result.
+ */
+function buildFunctionCallMessages(input: GrokFunctionCallInput): ChatMessage[] {
+  const messages: ChatMessage[] = [];
+
+  if (input.context) {
+    messages.push({ role: 'system', content: input.context });
+  }
+
+  messages.push({ role: 'user', content: input.query });
+
+  if (input.tool_calls) {
+    messages.push({
+      role: 'assistant',
+      content: '',
+      tool_calls: input.tool_calls.map(
+        (call): ChatToolCall => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: call.raw_arguments ?? JSON.stringify(call.arguments ?? {}),
+          },
+        })
+      ),
+    });
+  }
+
+  for (const result of input.tool_results ?? []) {
+    messages.push({ role: 'tool', tool_call_id: result.tool_call_id, content: result.content });
+  }
+
+  return messages;
+}
+
+/**
+ * Parse a tool call's JSON arguments
+ *
+ * Invalid or non-object JSON is reported rather than thrown, so the caller
+ * still sees which function Grok chose.
+ */
+export function parseToolCall(call: ChatToolCall): GrokFunctionCall {
+  const raw = call.function.arguments || '{}';
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('arguments are not a JSON object');
+    }
+    return { id: call.id, name: call.function.name, arguments: parsed as Record<string, unknown> };
+  } catch (error) {
+    return {
+      id: call.id,
+      name: call.function.name,
+      arguments: null,
+      raw_arguments: raw,
+      parse_error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * Execute a function calling request
+ *
+ * @param client - XAI client instance
+ * @param input - Validated input
+ * @param signal - Cancels the request when aborted
+ * @param onProgress - Streams the response and reports progress when given
+ */
+export async function executeGrokFunctionCall(
+  client: XAIClient,
+  input: GrokFunctionCallInput,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
+): Promise<GrokFunctionCallResponse> {
+  const startTime = Date.now();
+
+  const params = {
+    model: input.model || DEFAULT_MODEL,
+    messages: buildFunctionCallMessages(input),
+    tools: buildTools(input.functions),
+    tool_choice: toApiToolChoice(input.tool_choice),
+    parallel_tool_calls: input.parallel !== false,
+    temperature: FUNCTION_CALL_TEMPERATURE,
+    max_tokens: FUNCTION_CALL_MAX_TOKENS,
+    signal,
+  };
+  const apiResponse = onProgress
+    ? await streamChatCompletion(client, params, onProgress)
+    : await client.chatCompletion(params);
+
+  const choice = apiResponse.choices[0];
+  const content = choice?.message?.content;
+
+  return {
+    function_calls: (choice?.message?.tool_calls ?? []).map(parseToolCall),
+    content: typeof content === 'string' ? content : '',
+    finish_reason: choice?.finish_reason ?? null,
+    model: apiResponse.model,
+    usage: apiResponse.usage,
+    cost: client.calculateCost(
+      apiResponse.model,
+      apiResponse.usage.prompt_tokens,
+      apiResponse.usage.completion_tokens
+    ),
+    response_time_ms: Date.now() - startTime,
+  };
+}
+
+/**
+ * Format the result as JSON for the MCP response
+ *
+ * @param result - Function calling result
+ * @param cacheInfo - Present when the result came from the cache
+ */
+function formatFunctionCallOutput(
+  result: GrokFunctionCallResponse,
+  cacheInfo?: { expiresIn?: number }
+): string {
+  const output: Record<string, unknown> = {
+    function_calls: result.function_calls,
+    content: result.content,
+    finish_reason: result.finish_reason,
+    model: result.model,
+    usage: result.usage,
+    cost_usd: result.cost.estimated_usd,
+    response_time_ms: result.response_time_ms,
+  };
+  if (cacheInfo) {
+    output.cached = true;
+    output.cache_expires_in_seconds = cacheInfo.expiresIn;
+  }
+  return JSON.stringify(output, null, 2);
+}
+
+/**
+ * Rate limit queue class: function calls sit on an agent's critical path
+ */
+export const grokFunctionCallRateLimitClass: RateLimitClass = {
+  tool: 'grok_function_call',
+  priority: 'interactive',
+};
+
+/**
+ * Handle grok_function_call tool call
+ *
+ * @param client - XAI client instance
+ * @param args - Tool input parameters
+ * @param services - Optional services for caching, cost tracking and rate limiting
+ * @param signal - Cancels the request (including rate limit waits) when aborted
+ * @param onProgress - Reports streaming progress to the client
+ * @returns MCP CallToolResult
+ */
+export async function handleGrokFunctionCall(
+  client: XAIClient,
+  args: unknown,
+  services?: Services,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
+): Promise<CallToolResult> {
+  try {
+    const call = startToolCall('grok_function_call', args);
+    const input = validateGrokFunctionCallInput(args);
+
+    // Resolve model for budget/rate estimation
+    const resolvedModel = client.resolveModel(input.model || DEFAULT_MODEL);
+    const messages = buildFunctionCallMessages(input);
+
+    // CHECK CACHE
+    const cacheLookup = lookupToolCache<GrokFunctionCallResponse>(services, 'grok_function_call', {
+      model: resolvedModel,
+      messages,
+      temperature: FUNCTION_CALL_TEMPERATURE,
+      max_tokens: FUNCTION_CALL_MAX_TOKENS,
+      extra: {
+        tools: buildTools(input.functions),
+        tool_choice: toApiToolChoice(input.tool_choice),
+        parallel_tool_calls: input.parallel !== false,
+      },
+    });
+    if (cacheLookup.hit) {
+      if (services?.costTracker) {
+        services.costTracker.recordCacheHit(cacheLookup.hit.model, getCostAttribution(call, true));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatFunctionCallOutput(cacheLookup.hit, { expiresIn: cacheLookup.expiresIn }),
+          },
+        ],
+        isError: false,
+      };
+    }
+
+    // Estimate tokens for budget and rate limiting (function schemas count as input)
+    const estimatedInputTokens = Math.ceil(
+      (JSON.stringify(messages).length + JSON.stringify(input.functions).length) / 4
+    );
+
+    // CHECK BUDGET (estimate cost before call)
+    if (services?.costTracker) {
+      const estimatedCost = CostTracker.estimateCost(
+        resolvedModel,
+        estimatedInputTokens,
+        FUNCTION_CALL_MAX_TOKENS
+      );
+      services.costTracker.checkBudget(estimatedCost); // throws if over budget
+    }
+
+    // ACQUIRE RATE LIMIT
+    if (services?.rateLimiter) {
+      await services.rateLimiter.acquire(
+        estimatedInputTokens,
+        signal,
+        grokFunctionCallRateLimitClass
+      );
+    }
+
+    try {
+      const result = await executeGrokFunctionCall(client, input, signal, onProgress);
+
+      // RECORD ACTUAL USAGE
+      if (services?.rateLimiter) {
+        services.rateLimiter.recordUsage(
+          result.usage.total_tokens,
+          estimatedInputTokens,
+          grokFunctionCallRateLimitClass
+        );
+        services.rateLimiter.clearBackoff();
+      }
+
+      // TRACK COST
+      if (services?.costTracker) {
+        services.costTracker.addFromEstimate(result.cost, getCostAttribution(call));
+      }
+
+      // CACHE RESULT
+      storeToolCache(services, cacheLookup, result, 'deterministic');
+
+      return {
+        content: [{ type: 'text', text: formatFunctionCallOutput(result) }],
+        isError: false,
+      };
+    } catch (error) {
+      // Release rate limiter slot on failure
+      if (services?.rateLimiter) {
+        services.rateLimiter.release(estimatedInputTokens, grokFunctionCallRateLimitClass);
+      }
+      throw error;
+    }
+  } catch (error) {
+    const errorMessage =
+      error instanceof XAIError
+        ? error.getSanitizedMessage()
+        : error instanceof Error
+          ? error.message
+          : 'Unknown error occurred';
+
+    return {
+      content: [{ type: 'text', text: `Error during function calling: ${errorMessage}` }],
+      isError: true,
+    };
+  }
+}
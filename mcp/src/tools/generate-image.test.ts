@@ -327,6 +327,51 @@ describe('handleGrokGenerateImage', () => {
     expect(mockServices.costTracker.addFromEstimate).toHaveBeenCalled();
   });
 
+  it('should queue through the rate limiter as batch work', async () => {
+    const mockServices = {
+      rateLimiter: {
+        acquire: vi.fn(),
+        recordUsage: vi.fn(),
+        release: vi.fn(),
+        clearBackoff: vi.fn(),
+      },
+    };
+
+    const { handleGrokGenerateImage, grokGenerateImageRateLimitClass } =
+      await import('./generate-image.js');
+    await handleGrokGenerateImage(mockClient as any, { prompt: 'A cat' }, mockServices as any);
+
+    expect(grokGenerateImageRateLimitClass.priority).toBe('batch');
+    expect(mockServices.rateLimiter.acquire).toHaveBeenCalledWith(
+      0,
+      undefined,
+      grokGenerateImageRateLimitClass
+    );
+    expect(mockServices.rateLimiter.recordUsage).toHaveBeenCalledWith(
+      0,
+      0,
+      grokGenerateImageRateLimitClass
+    );
+    expect(mockServices.rateLimiter.release).not.toHaveBeenCalled();
+  });
+
+  it('should release the rate limit slot when generation fails', async () => {
+    mockClient.generateImage.mockRejectedValue(new Error('API error'));
+    const mockServices = {
+      rateLimiter: { acquire: vi.fn(), recordUsage: vi.fn(), release: vi.fn() },
+    };
+
+    const { handleGrokGenerateImage, grokGenerateImageRateLimitClass } =
+      await import('./generate-image.js');
+    await handleGrokGenerateImage(mockClient as any, { prompt: 'A cat' }, mockServices as any);
+
+    expect(mockServices.rateLimiter.release).toHaveBeenCalledWith(
+      0,
+      grokGenerateImageRateLimitClass
+    );
+    expect(mockServices.rateLimiter.recordUsage).not.toHaveBeenCalled();
+  });
+
   it('should call generateImage with correct parameters', async () => {
     const { handleGrokGenerateImage } = await import('./generate-image.js');
     await handleGrokGenerateImage(mockClient as any, {
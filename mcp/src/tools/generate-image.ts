@@ -16,7 +16,14 @@ import {
   XAIError,
   Services,
   GeneratedImage,
+  type ImageGenerationAPIResponse,
 } from '../types/index.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
 
 // =============================================================================
 // Constants
@@ -75,6 +82,7 @@ export const grokGenerateImageSchema = {
       type: 'string',
       description: `Model to use (default: ${DEFAULT_MODEL}). Also supports "image" alias.`,
     },
+    tag: tagSchemaProperty,
   },
   required: ['prompt'],
   additionalProperties: false,
@@ -238,6 +246,16 @@ function formatErrorResponse(errorMessage: string, responseTime: number): string
 // Tool Handler
 // =============================================================================
 
+/**
+ * Rate limit queue class: image generations run one at a time behind interactive work
+ */
+export const grokGenerateImageRateLimitClass: RateLimitClass = {
+  tool: 'grok_generate_image',
+  endpoint: '/images/generations',
+  priority: 'batch',
+  maxConcurrent: 1,
+};
+
 /**
  * Handle grok_generate_image tool execution
  *
@@ -247,16 +265,20 @@ function formatErrorResponse(errorMessage: string, responseTime: number): string
  * @param client - XAI API client
  * @param args - Tool arguments (validated by schema)
  * @param services - Optional services (cache, costTracker, rateLimiter)
+ * @param signal - Cancels the request when aborted
  * @returns MCP CallToolResult with formatted response or error
  */
 export async function handleGrokGenerateImage(
   client: XAIClient,
   args: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal
 ): Promise<{ content: Array<{ type: string; text: string }>; isError?: boolean }> {
   const startTime = Date.now();
 
   try {
+    const call = startToolCall('grok_generate_image', args);
+
     // Validate input
     const input = validateGrokGenerateImageInput(args);
 
@@ -271,17 +293,36 @@ export async function handleGrokGenerateImage(
       services.costTracker.checkBudget(estimatedCost.estimated_usd);
     }
 
-    // Respect image generation rate limit (5 req/s)
-    // Add small delay to avoid hitting rate limits
-    await new Promise((resolve) => setTimeout(resolve, IMAGE_RATE_LIMIT_DELAY_MS));
+    // Queue behind interactive requests (image generation uses no chat tokens)
+    if (services?.rateLimiter) {
+      await services.rateLimiter.acquire(0, signal, grokGenerateImageRateLimitClass);
+    }
 
-    // Generate image
-    const response = await client.generateImage({
-      model,
-      prompt: input.prompt,
-      n: input.n,
-      response_format: input.response_format,
-    });
+    let response: ImageGenerationAPIResponse;
+    try {
+      // Respect image generation rate limit (5 req/s)
+      // Add small delay to avoid hitting rate limits
+      await new Promise((resolve) => setTimeout(resolve, IMAGE_RATE_LIMIT_DELAY_MS));
+
+      // Generate image
+      response = await client.generateImage({
+        model,
+        prompt: input.prompt,
+        n: input.n,
+        response_format: input.response_format,
+        signal,
+      });
+    } catch (error) {
+      // Release rate limit slot on failure (including cancellation)
+      if (services?.rateLimiter) {
+        services.rateLimiter.release(0, grokGenerateImageRateLimitClass);
+      }
+      throw error;
+    }
+    if (services?.rateLimiter) {
+      services.rateLimiter.recordUsage(0, 0, grokGenerateImageRateLimitClass);
+      services.rateLimiter.clearBackoff();
+    }
 
     const responseTime = Date.now() - startTime;
 
@@ -290,7 +331,7 @@ export async function handleGrokGenerateImage(
 
     // Track cost
     if (services?.costTracker) {
-      services.costTracker.addFromEstimate(cost);
+      services.costTracker.addFromEstimate(cost, getCostAttribution(call));
     }
 
     // Build result
@@ -14,8 +14,10 @@ import {
   GrokModelInfo,
   MODEL_ALIASES,
   MODEL_PRICING,
+  MODEL_CONTEXT_WINDOWS,
   type ModelAlias,
 } from '../types/index.js';
+import { tagSchemaProperty } from '../services/cost-attribution.js';
 
 /**
  * Known model capabilities (supplementing API response)
@@ -35,23 +37,6 @@ const MODEL_CAPABILITIES: Record<string, string[]> = {
   'grok-2-image-1212': ['chat', 'image-generation'],
 };
 
-/**
- * Known context windows (supplementing API response)
- */
-const MODEL_CONTEXT_WINDOWS: Record<string, number> = {
-  'grok-4-0709': 256000,
-  'grok-4-fast-non-reasoning': 2000000,
-  'grok-4-fast-reasoning': 2000000,
-  'grok-4-1-fast-non-reasoning': 2000000,
-  'grok-4-1-fast-reasoning': 2000000,
-  'grok-code-fast-1': 256000,
-  'grok-3': 131000,
-  'grok-3-mini': 131000,
-  'grok-2-vision-1212': 32000,
-  'grok-2-1212': 32000,
-  'grok-2-image-1212': 32000,
-};
-
 /**
  * Model recommendations by use case
  */
@@ -81,6 +66,7 @@ export const grokModelsSchema = {
       description: 'Force refresh from API, bypassing cache (default: false)',
       default: false,
     },
+    tag: tagSchemaProperty,
   },
   additionalProperties: false,
 } as const;
@@ -154,6 +140,7 @@ function getModelStatus(modelId: string): 'available' | 'deprecated' | 'unknown'
  *
  * @param client - XAI client instance
  * @param input - Validated models input
+ * @param signal - Cancels the request when aborted
  * @returns Models response with enhanced info
  *
  * @example
@@ -165,10 +152,11 @@ function getModelStatus(modelId: string): 'available' | 'deprecated' | 'unknown'
  */
 export async function executeGrokModels(
   client: XAIClient,
-  input: GrokModelsInput
+  input: GrokModelsInput,
+  signal?: AbortSignal
 ): Promise<GrokModelsResponse> {
   // Fetch models from API (uses cache unless refresh requested)
-  const apiResponse = await client.listModels(input.refresh);
+  const apiResponse = await client.listModels(input.refresh, signal);
 
   // Enhance model info with local knowledge
   const models: GrokModelInfo[] = apiResponse.data.map((model) => {
@@ -243,18 +231,20 @@ function formatModelRow(model: GrokModelInfo): string {
  *
  * @param client - XAI client instance
  * @param args - Raw arguments from MCP tool call
+ * @param signal - Cancels the request when aborted
  * @returns MCP-formatted tool response
  */
 export async function handleGrokModels(
   client: XAIClient,
-  args: unknown
+  args: unknown,
+  signal?: AbortSignal
 ): Promise<{ content: Array<{ type: string; text: string }> }> {
   try {
     // Validate input
     const input = validateGrokModelsInput(args);
 
     // Execute query
-    const result = await executeGrokModels(client, input);
+    const result = await executeGrokModels(client, input, signal);
 
     // Format response as markdown
     const cachedStatus = result.cached ? 'cached' : 'live';
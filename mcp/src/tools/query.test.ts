@@ -1,19 +1,30 @@
 /**
  * Tests for grok_query tool
  */
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi, type MockInstance } from 'vitest';
 import { http, HttpResponse } from 'msw';
 import { server } from '../test/mocks/server.js';
 import { XAIClient } from '../client/xai-client.js';
 import { ResponseCache } from '../services/cache.js';
 import { CostTracker } from '../services/cost-tracker.js';
 import { RateLimiter } from '../services/rate-limiter.js';
-import type { Services, ComplexityScore } from '../types/index.js';
+import { RetryPolicy } from '../services/retry-policy.js';
+import { ConversationStore } from '../services/conversation-store.js';
+import {
+  XAIError,
+  type Services,
+  type ComplexityScore,
+  type ChatCompletionParams,
+  type ChatCompletionResponse,
+  type ChatCompletionStreamChunk,
+} from '../types/index.js';
 import {
   validateGrokQueryInput,
   executeGrokQuery,
   executeGrokQueryStreaming,
   handleGrokQuery,
+  buildQueryMessages,
+  buildQueryCacheRequest,
   grokQuerySchema,
   grokQueryToolDefinition,
   shouldAutoStream,
@@ -27,6 +38,8 @@ const createTestClient = (): XAIClient =>
     apiKey: 'xai-test-api-key-12345678',
     baseUrl: 'https://api.x.ai/v1',
     timeout: 5000,
+    // Keep retry backoff short so retried failures finish quickly
+    retryPolicy: new RetryPolicy({ initialDelayMs: 10 }),
   });
 
 describe('grok_query tool', () => {
@@ -672,9 +685,10 @@ describe('grok_query tool', () => {
       // Pre-populate cache with the model that auto-selection will choose
       // "Hello" is a simple query, so auto-selects grok-4-fast-non-reasoning
       const cacheKey = mockServices.cache.generateKey(
-        'Hello',
-        'grok-4-fast-non-reasoning',
-        undefined
+        buildQueryCacheRequest(
+          validateGrokQueryInput({ query: 'Hello' }),
+          'grok-4-fast-non-reasoning'
+        )
       );
       const cachedResponse = {
         response: 'Cached response',
@@ -725,9 +739,10 @@ describe('grok_query tool', () => {
 
       // Verify it's now cached (model is auto-selected based on query)
       const cacheKey = mockServices.cache.generateKey(
-        'Cache test query',
-        'grok-4-fast-non-reasoning',
-        undefined
+        buildQueryCacheRequest(
+          validateGrokQueryInput({ query: 'Cache test query' }),
+          'grok-4-fast-non-reasoning'
+        )
       );
       const cached = mockServices.cache.get(cacheKey);
       expect(cached).toBeDefined();
@@ -984,9 +999,10 @@ describe('grok_query tool', () => {
     it('should show cache TTL remaining for cached responses', async () => {
       // Pre-populate cache
       const cacheKey = mockServices.cache.generateKey(
-        'Cached query',
-        'grok-4-fast-non-reasoning',
-        undefined
+        buildQueryCacheRequest(
+          validateGrokQueryInput({ query: 'Cached query' }),
+          'grok-4-fast-non-reasoning'
+        )
       );
       const cachedResponse = {
         response: 'Cached response',
@@ -1149,12 +1165,48 @@ describe('grok_query tool', () => {
         expect(result.content[0].text).toContain('Streamed response');
       });
 
+      it('should report progress without changing the result', async () => {
+        const sseData = [
+          'data: {"id":"1","object":"chat.completion.chunk","created":1234,"model":"grok-4-fast","choices":[{"index":0,"delta":{"content":"Progress "},"finish_reason":null}]}\n\n',
+          'data: {"id":"1","object":"chat.completion.chunk","created":1234,"model":"grok-4-fast","choices":[{"index":0,"delta":{"content":"reported"},"finish_reason":"stop"}],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}\n\n',
+          'data: [DONE]\n\n',
+        ];
+        server.use(
+          http.post('https://api.x.ai/v1/chat/completions', () => {
+            return new HttpResponse(createSSEStream(sseData), {
+              headers: { 'Content-Type': 'text/event-stream' },
+            });
+          })
+        );
+        const onProgress = vi.fn();
+
+        const withProgress = await executeGrokQueryStreaming(
+          client,
+          validateGrokQueryInput({ query: 'Progress query', stream: true }),
+          [],
+          undefined,
+          onProgress
+        );
+        const withoutProgress = await executeGrokQueryStreaming(
+          client,
+          validateGrokQueryInput({ query: 'Progress query', stream: true })
+        );
+
+        expect(onProgress).toHaveBeenCalledTimes(2);
+        expect(onProgress.mock.calls[1][0]).toMatchObject({ chunks: 2, approxTokens: 5 });
+        expect({ ...withProgress, response_time_ms: 0 }).toEqual({
+          ...withoutProgress,
+          response_time_ms: 0,
+        });
+      });
+
       it('should skip cache for streaming requests', async () => {
         // Pre-populate cache with same query
         const cacheKey = mockServices.cache.generateKey(
-          'Streaming bypass',
-          'grok-4-fast-non-reasoning',
-          undefined
+          buildQueryCacheRequest(
+            validateGrokQueryInput({ query: 'Streaming bypass' }),
+            'grok-4-fast-non-reasoning'
+          )
         );
         const cachedResponse = {
           response: 'CACHED RESPONSE - SHOULD NOT APPEAR',
@@ -1198,6 +1250,60 @@ describe('grok_query tool', () => {
         expect(result.content[0].text).not.toContain('📦 **CACHED**');
       });
 
+      it('should record partial cost and release the reservation when cancelled', async () => {
+        const controller = new AbortController();
+        const encoder = new TextEncoder();
+        server.use(
+          http.post('https://api.x.ai/v1/chat/completions', () => {
+            const body = new ReadableStream<Uint8Array>({
+              start(streamController: ReadableStreamDefaultController<Uint8Array>): void {
+                streamController.enqueue(
+                  encoder.encode(
+                    'data: {"id":"1","object":"chat.completion.chunk","created":1234,"model":"grok-4-fast","choices":[{"index":0,"delta":{"content":"Partial answer before cancel"},"finish_reason":null}]}\n\n'
+                  )
+                );
+                setTimeout(() => controller.abort(), 20);
+              },
+            });
+            return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } });
+          })
+        );
+
+        const result = await handleGrokQuery(
+          client,
+          { query: 'Cancelled stream', stream: true, tag: 'cancel-test' },
+          mockServices,
+          controller.signal
+        );
+
+        expect(result.content[0].text).toBe('Error: Request cancelled by client');
+        const records = mockServices.costTracker.getRecords();
+        expect(records).toHaveLength(1);
+        expect(records[0].outputTokens).toBeGreaterThan(0);
+        expect(records[0].tag).toBe('cancel-test');
+        expect(mockServices.rateLimiter.getStatus()).toMatchObject({
+          tokensUsed: 0,
+          requestsUsed: 0,
+        });
+      });
+
+      it('should not call the API when cancelled before the request', async () => {
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        const result = await handleGrokQuery(
+          client,
+          { query: 'Cancelled early', stream: false },
+          mockServices,
+          AbortSignal.abort()
+        );
+
+        expect(result.content[0].text).toBe('Error: Request cancelled by client');
+        expect(chatSpy).not.toHaveBeenCalled();
+        expect(mockServices.costTracker.getRecords()).toHaveLength(0);
+        expect(mockServices.rateLimiter.getStatus().requestsUsed).toBe(0);
+        chatSpy.mockRestore();
+      });
+
       it('should not cache streaming responses', async () => {
         const sseData = [
           'data: {"id":"1","object":"chat.completion.chunk","created":1234,"model":"grok-4-fast","choices":[{"index":0,"delta":{"content":"Uncached streaming"},"finish_reason":"stop"}],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}\n\n',
@@ -1216,9 +1322,10 @@ describe('grok_query tool', () => {
 
         // Verify response was NOT cached (cache.get returns null for misses)
         const cacheKey = mockServices.cache.generateKey(
-          'No cache streaming',
-          'grok-4-fast-non-reasoning',
-          undefined
+          buildQueryCacheRequest(
+            validateGrokQueryInput({ query: 'No cache streaming' }),
+            'grok-4-fast-non-reasoning'
+          )
         );
         const cached = mockServices.cache.get(cacheKey);
         expect(cached).toBeFalsy();
@@ -1402,9 +1509,10 @@ describe('grok_query tool', () => {
         expect(grokQuerySchema.properties.response_format.type).toBe('object');
       });
 
-      it('should define json_object as the only valid type', () => {
+      it('should define json_object and json_schema as the valid types', () => {
         expect(grokQuerySchema.properties.response_format.properties.type.enum).toEqual([
           'json_object',
+          'json_schema',
         ]);
       });
     });
@@ -1780,6 +1888,164 @@ describe('grok_query tool', () => {
         expect(jsonResult.content[0].text).toContain('{"type": "json"}');
         expect(jsonResult.content[0].text).toContain('✅ **JSON Valid**');
       });
+
+      const mockCompletion = (content: string): ReturnType<typeof http.post> =>
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          HttpResponse.json({
+            id: 'test',
+            object: 'chat.completion',
+            created: Date.now(),
+            model: 'grok-4',
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+          })
+        );
+
+      it('should use different cache keys for different images with the same text', async () => {
+        server.use(mockCompletion('A cat'));
+        await handleGrokQuery(
+          client,
+          { query: 'What is in this image?', image_url: 'https://example.com/cat.png' },
+          mockServices
+        );
+
+        server.use(mockCompletion('A dog'));
+        const result = await handleGrokQuery(
+          client,
+          { query: 'What is in this image?', image_url: 'https://example.com/dog.png' },
+          mockServices
+        );
+
+        expect(result.content[0].text).toContain('A dog');
+        expect(result.content[0].text).not.toContain('CACHED');
+      });
+
+      it('should use different cache keys for different sampling parameters', async () => {
+        server.use(mockCompletion('Warm answer'));
+        await handleGrokQuery(
+          client,
+          { query: 'Sampling query', model: 'fast', temperature: 1.2 },
+          mockServices
+        );
+
+        server.use(mockCompletion('Cold answer'));
+        const result = await handleGrokQuery(
+          client,
+          { query: 'Sampling query', model: 'fast', temperature: 0 },
+          mockServices
+        );
+
+        expect(result.content[0].text).toContain('Cold answer');
+      });
+
+      it('should key on the exact messages sent to the API', () => {
+        const input = validateGrokQueryInput({
+          query: 'Describe',
+          context: 'Be brief',
+          image_url: 'data:image/png;base64,iVBORw0KGgo=',
+          image_detail: 'high',
+        });
+        const request = buildQueryCacheRequest(input, 'grok-4');
+
+        expect(request.messages).toEqual(buildQueryMessages(input));
+        expect(request).toMatchObject({
+          model: 'grok-4',
+          temperature: 0.7,
+          max_tokens: 4096,
+        });
+      });
+    });
+
+    describe('cache modes', () => {
+      let requestCount: number;
+
+      beforeEach(() => {
+        requestCount = 0;
+        server.use(
+          http.post('https://api.x.ai/v1/chat/completions', () => {
+            requestCount++;
+            return HttpResponse.json({
+              id: 'test',
+              object: 'chat.completion',
+              created: Date.now(),
+              model: 'grok-4-fast-non-reasoning',
+              choices: [
+                {
+                  index: 0,
+                  message: { role: 'assistant', content: `Answer ${requestCount}` },
+                  finish_reason: 'stop',
+                },
+              ],
+              usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+            });
+          })
+        );
+      });
+
+      it('should accept valid cache modes', () => {
+        expect(validateGrokQueryInput({ query: 'Hi' }).cache).toBeUndefined();
+        for (const cache of ['use', 'bypass', 'refresh']) {
+          expect(validateGrokQueryInput({ query: 'Hi', cache }).cache).toBe(cache);
+        }
+      });
+
+      it('should reject unknown cache modes', () => {
+        expect(() => validateGrokQueryInput({ query: 'Hi', cache: 'always' })).toThrow(
+          'cache must be one of: use, bypass, refresh'
+        );
+      });
+
+      it('should return cached responses with use', async () => {
+        await handleGrokQuery(client, { query: 'Mode query', model: 'fast' }, mockServices);
+        const result = await handleGrokQuery(
+          client,
+          { query: 'Mode query', model: 'fast', cache: 'use' },
+          mockServices
+        );
+
+        expect(requestCount).toBe(1);
+        expect(result.content[0].text).toContain('Answer 1');
+        expect(result.content[0].text).toContain('CACHED');
+      });
+
+      it('should neither read nor write the cache with bypass', async () => {
+        await handleGrokQuery(client, { query: 'Mode query', model: 'fast' }, mockServices);
+        const bypassed = await handleGrokQuery(
+          client,
+          { query: 'Mode query', model: 'fast', cache: 'bypass' },
+          mockServices
+        );
+        const afterBypass = await handleGrokQuery(
+          client,
+          { query: 'Mode query', model: 'fast' },
+          mockServices
+        );
+
+        expect(requestCount).toBe(2);
+        expect(bypassed.content[0].text).toContain('Answer 2');
+        // The bypassed answer was not stored, so the original is still cached
+        expect(afterBypass.content[0].text).toContain('Answer 1');
+      });
+
+      it('should replace the cached response with refresh', async () => {
+        await handleGrokQuery(client, { query: 'Mode query', model: 'fast' }, mockServices);
+        const refreshed = await handleGrokQuery(
+          client,
+          { query: 'Mode query', model: 'fast', cache: 'refresh' },
+          mockServices
+        );
+        const afterRefresh = await handleGrokQuery(
+          client,
+          { query: 'Mode query', model: 'fast' },
+          mockServices
+        );
+
+        expect(requestCount).toBe(2);
+        expect(refreshed.content[0].text).toContain('Answer 2');
+        expect(refreshed.content[0].text).not.toContain('CACHED');
+        expect(afterRefresh.content[0].text).toContain('Answer 2');
+        expect(afterRefresh.content[0].text).toContain('CACHED');
+      });
     });
 
     describe('streaming with JSON mode', () => {
@@ -1835,6 +2101,267 @@ describe('grok_query tool', () => {
         expect(result.partial).toBe(false);
       });
     });
+
+    describe('json_schema structured outputs', () => {
+      const personFormat = {
+        type: 'json_schema' as const,
+        json_schema: {
+          name: 'person',
+          schema: {
+            type: 'object',
+            properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+            required: ['name', 'age'],
+            additionalProperties: false,
+          },
+        },
+      };
+      const usage = { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 };
+
+      function chatResponse(content: string): Awaited<ReturnType<XAIClient['chatCompletion']>> {
+        return {
+          id: 'test',
+          object: 'chat.completion',
+          created: 1,
+          model: 'grok-4-fast-non-reasoning',
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage,
+        };
+      }
+
+      describe('validateGrokQueryInput', () => {
+        it('should accept a json_schema response format', () => {
+          const result = validateGrokQueryInput({ query: 'q', response_format: personFormat });
+          expect(result.response_format).toEqual(personFormat);
+        });
+
+        it.each([
+          [
+            'a missing json_schema',
+            { type: 'json_schema' },
+            'response_format.json_schema is required',
+          ],
+          [
+            'an invalid name',
+            { type: 'json_schema', json_schema: { name: 'a person', schema: {} } },
+            'response_format.json_schema.name must be',
+          ],
+          [
+            'a non-object schema',
+            { type: 'json_schema', json_schema: { name: 'person', schema: [] } },
+            'response_format.json_schema.schema must be a JSON Schema object',
+          ],
+          [
+            'a non-boolean strict flag',
+            { type: 'json_schema', json_schema: { name: 'p', schema: {}, strict: 'yes' } },
+            'response_format.json_schema.strict must be a boolean',
+          ],
+        ])('should reject %s', (_name, format, message) => {
+          expect(() => validateGrokQueryInput({ query: 'q', response_format: format })).toThrow(
+            message
+          );
+        });
+
+        it('should reject a non-boolean repair_json', () => {
+          expect(() => validateGrokQueryInput({ query: 'q', repair_json: 'no' })).toThrow(
+            'repair_json must be a boolean'
+          );
+        });
+      });
+
+      it('should send the schema to the API and in the system prompt', async () => {
+        const chatSpy = vi
+          .spyOn(client, 'chatCompletion')
+          .mockResolvedValue(chatResponse('{"name":"Ada","age":36}'));
+
+        await executeGrokQuery(client, { query: 'Who?', response_format: personFormat });
+
+        const params = chatSpy.mock.calls[0][0];
+        expect(params.response_format).toEqual(personFormat);
+        expect(params.messages[0].content).toContain('"additionalProperties":false');
+      });
+
+      it('should mark a matching response as schema valid', async () => {
+        vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+          chatResponse('{"name":"Ada","age":36}')
+        );
+
+        const result = await executeGrokQuery(client, {
+          query: 'Who?',
+          response_format: personFormat,
+        });
+
+        expect(result.json_result).toEqual({
+          json_valid: true,
+          parsed: { name: 'Ada', age: 36 },
+          schema_valid: true,
+          schema_errors: undefined,
+        });
+      });
+
+      it('should repair a response that fails validation once', async () => {
+        const chatSpy = vi
+          .spyOn(client, 'chatCompletion')
+          .mockResolvedValueOnce(chatResponse('{"name":"Ada","age":"36"}'))
+          .mockResolvedValueOnce(chatResponse('{"name":"Ada","age":36}'));
+
+        const result = await executeGrokQuery(client, {
+          query: 'Who?',
+          response_format: personFormat,
+        });
+
+        expect(chatSpy).toHaveBeenCalledTimes(2);
+        const repairMessages = chatSpy.mock.calls[1][0].messages;
+        expect(repairMessages.at(-2)).toEqual({
+          role: 'assistant',
+          content: '{"name":"Ada","age":"36"}',
+        });
+        expect(repairMessages.at(-1)?.content).toContain('$.age: expected integer, got string');
+        expect(result.response).toBe('{"name":"Ada","age":36}');
+        expect(result.json_result).toMatchObject({ schema_valid: true, repaired: true });
+        expect(result.usage.total_tokens).toBe(60);
+      });
+
+      it('should report errors when the repair also fails', async () => {
+        vi.spyOn(client, 'chatCompletion').mockResolvedValue(chatResponse('{"name":"Ada"}'));
+
+        const result = await executeGrokQuery(client, {
+          query: 'Who?',
+          response_format: personFormat,
+        });
+
+        expect(result.json_result).toMatchObject({
+          json_valid: true,
+          schema_valid: false,
+          repaired: true,
+          schema_errors: [{ path: '$.age', message: 'is required' }],
+        });
+      });
+
+      it('should repair invalid JSON', async () => {
+        vi.spyOn(client, 'chatCompletion')
+          .mockResolvedValueOnce(chatResponse('name: Ada'))
+          .mockResolvedValueOnce(chatResponse('{"name":"Ada","age":36}'));
+
+        const result = await executeGrokQuery(client, {
+          query: 'Who?',
+          response_format: personFormat,
+        });
+
+        expect(result.json_result).toMatchObject({ schema_valid: true, repaired: true });
+      });
+
+      it('should not repair when repair_json is false', async () => {
+        const chatSpy = vi
+          .spyOn(client, 'chatCompletion')
+          .mockResolvedValue(chatResponse('{"name":"Ada"}'));
+
+        const result = await executeGrokQuery(client, {
+          query: 'Who?',
+          response_format: personFormat,
+          repair_json: false,
+        });
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect(result.json_result?.schema_valid).toBe(false);
+        expect(result.json_result?.repaired).toBeUndefined();
+      });
+
+      it('should not validate against a schema in json_object mode', async () => {
+        const chatSpy = vi.spyOn(client, 'chatCompletion').mockResolvedValue(chatResponse('{}'));
+
+        const result = await executeGrokQuery(client, {
+          query: 'Who?',
+          response_format: { type: 'json_object' },
+        });
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect(result.json_result).toEqual({ json_valid: true, parsed: {} });
+      });
+
+      it('should return a schema-valid object as structuredContent', async () => {
+        vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+          chatResponse('{"name":"Ada","age":36}')
+        );
+
+        const result = await handleGrokQuery(
+          client,
+          { query: 'Who?', model: 'fast', response_format: personFormat },
+          mockServices
+        );
+
+        expect(result.structuredContent).toEqual({ name: 'Ada', age: 36 });
+        expect(result.content[0].text).toContain('✅ **JSON Valid** (matches schema)');
+      });
+
+      it('should return structuredContent for cached responses', async () => {
+        vi.spyOn(client, 'chatCompletion').mockResolvedValue(
+          chatResponse('{"name":"Ada","age":36}')
+        );
+        const args = { query: 'Who?', model: 'fast', response_format: personFormat };
+
+        await handleGrokQuery(client, args, mockServices);
+        const cached = await handleGrokQuery(client, args, mockServices);
+
+        expect(cached.content[0].text).toContain('CACHED');
+        expect(cached.structuredContent).toEqual({ name: 'Ada', age: 36 });
+      });
+
+      it('should list schema errors and omit structuredContent when validation fails', async () => {
+        vi.spyOn(client, 'chatCompletion').mockResolvedValue(chatResponse('{"name":"Ada"}'));
+
+        const result = await handleGrokQuery(
+          client,
+          { query: 'Who?', model: 'fast', response_format: personFormat },
+          mockServices
+        );
+
+        expect(result.structuredContent).toBeUndefined();
+        expect(result.content[0].text).toContain('⚠️ **JSON Schema Validation Failed**');
+        expect(result.content[0].text).toContain('$.age: is required');
+        expect(result.content[0].text).toContain('Repaired after failing schema validation');
+      });
+
+      it('should not share cache entries across schemas', () => {
+        const other = {
+          type: 'json_schema' as const,
+          json_schema: { ...personFormat.json_schema, schema: { type: 'object' } },
+        };
+        const model = 'grok-4-fast-non-reasoning';
+
+        expect(
+          buildQueryCacheRequest({ query: 'Who?', response_format: personFormat }, model)
+        ).not.toEqual(buildQueryCacheRequest({ query: 'Who?', response_format: other }, model));
+      });
+
+      it('should validate and repair streamed responses', async () => {
+        vi.spyOn(client, 'chatCompletionStream').mockImplementation(
+          async function* (): AsyncGenerator<ChatCompletionStreamChunk> {
+            yield {
+              id: 'stream',
+              object: 'chat.completion.chunk',
+              created: 1,
+              model: 'grok-4-fast-non-reasoning',
+              choices: [{ index: 0, delta: { content: '{"name":"Ada"}' }, finish_reason: 'stop' }],
+              usage,
+            };
+          }
+        );
+        const chatSpy = vi
+          .spyOn(client, 'chatCompletion')
+          .mockResolvedValue(chatResponse('{"name":"Ada","age":36}'));
+
+        const result = await executeGrokQueryStreaming(client, {
+          query: 'Who?',
+          response_format: personFormat,
+          stream: true,
+        });
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect(result.response).toBe('{"name":"Ada","age":36}');
+        expect(result.json_result).toMatchObject({ schema_valid: true, repaired: true });
+        expect(result.usage.total_tokens).toBe(60);
+      });
+    });
   });
 
   describe('smart streaming (P4-014)', () => {
@@ -2230,4 +2757,396 @@ describe('grok_query tool', () => {
       });
     });
   });
+
+  describe('conversations', () => {
+    let client: XAIClient;
+    let mockServices: Services;
+    let requestBodies: Array<{ messages: Array<{ role: string; content: unknown }> }>;
+
+    beforeEach(() => {
+      client = createTestClient();
+      mockServices = {
+        cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+        costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+        rateLimiter: new RateLimiter({ tier: 'standard' }),
+        conversations: new ConversationStore({ maxConversations: 10, maxHistoryTokens: 32000 }),
+      };
+      requestBodies = [];
+
+      let callCount = 0;
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', async ({ request }) => {
+          requestBodies.push((await request.json()) as (typeof requestBodies)[number]);
+          callCount++;
+          return HttpResponse.json({
+            id: `conv-test-${callCount}`,
+            object: 'chat.completion',
+            created: Date.now(),
+            model: 'grok-4-fast-non-reasoning',
+            choices: [
+              {
+                index: 0,
+                message: { role: 'assistant', content: `Answer ${callCount}` },
+                finish_reason: 'stop',
+              },
+            ],
+            usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 },
+          });
+        })
+      );
+    });
+
+    const getConversationId = (text: string): string => {
+      const match = text.match(/Conversation `(conv_[0-9a-f]+)`/);
+      expect(match).not.toBeNull();
+      return match![1];
+    };
+
+    it('should accept conversation_id in validation', () => {
+      const result = validateGrokQueryInput({ query: 'Hi', conversation_id: 'new' });
+      expect(result.conversation_id).toBe('new');
+    });
+
+    it('should reject empty conversation_id', () => {
+      expect(() => validateGrokQueryInput({ query: 'Hi', conversation_id: '' })).toThrow(
+        'conversation_id must be a non-empty string'
+      );
+    });
+
+    it('should reject overly long conversation_id', () => {
+      expect(() =>
+        validateGrokQueryInput({ query: 'Hi', conversation_id: 'x'.repeat(101) })
+      ).toThrow('conversation_id exceeds maximum length');
+    });
+
+    it('should start a new conversation and return its ID', async () => {
+      const result = await handleGrokQuery(
+        client,
+        { query: 'First question', conversation_id: 'new' },
+        mockServices
+      );
+
+      expect(result.content[0].text).not.toContain('Error:');
+      const id = getConversationId(result.content[0].text as string);
+      expect(result.content[0].text).toContain('turn 1');
+      expect(mockServices.conversations!.require(id).turns).toHaveLength(1);
+    });
+
+    it('should replay earlier turns on follow-up queries', async () => {
+      const first = await handleGrokQuery(
+        client,
+        { query: 'First question', conversation_id: 'new' },
+        mockServices
+      );
+      const id = getConversationId(first.content[0].text as string);
+
+      const second = await handleGrokQuery(
+        client,
+        { query: 'Follow-up question', conversation_id: id },
+        mockServices
+      );
+
+      expect(second.content[0].text).toContain('turn 2');
+      expect(second.content[0].text).toContain('1 earlier turns replayed');
+
+      const messages = requestBodies[1].messages.filter((m) => m.role !== 'system');
+      expect(messages).toEqual([
+        { role: 'user', content: 'First question' },
+        { role: 'assistant', content: 'Answer 1' },
+        { role: 'user', content: 'Follow-up question' },
+      ]);
+    });
+
+    it('should not use the response cache for conversation turns', async () => {
+      const first = await handleGrokQuery(
+        client,
+        { query: 'Repeat me', conversation_id: 'new' },
+        mockServices
+      );
+      const id = getConversationId(first.content[0].text as string);
+
+      const second = await handleGrokQuery(
+        client,
+        { query: 'Repeat me', conversation_id: id },
+        mockServices
+      );
+
+      expect(second.content[0].text).not.toContain('CACHED');
+      expect(requestBodies).toHaveLength(2);
+    });
+
+    it('should trim oldest turns to fit the history budget', async () => {
+      mockServices.conversations = new ConversationStore({ maxHistoryTokens: 10 });
+      const conversation = mockServices.conversations.create();
+      const cost = {
+        estimated_usd: 0.00001,
+        input_tokens: 10,
+        output_tokens: 10,
+        model: 'grok-4-fast-non-reasoning',
+        pricing: { input_per_1m: 0.2, output_per_1m: 0.5 },
+      };
+      mockServices.conversations.appendTurn(conversation.id, 'a'.repeat(40), 'b'.repeat(40), cost);
+      mockServices.conversations.appendTurn(conversation.id, 'short', 'reply', cost);
+
+      const result = await handleGrokQuery(
+        client,
+        { query: 'Next', conversation_id: conversation.id },
+        mockServices
+      );
+
+      expect(result.content[0].text).toContain('1 earlier turns replayed (1 trimmed)');
+      const messages = requestBodies[0].messages.filter((m) => m.role !== 'system');
+      expect(messages.map((m) => m.content)).toEqual(['short', 'reply', 'Next']);
+    });
+
+    it('should track cost per conversation', async () => {
+      const first = await handleGrokQuery(
+        client,
+        { query: 'First question', conversation_id: 'new' },
+        mockServices
+      );
+      const id = getConversationId(first.content[0].text as string);
+      await handleGrokQuery(client, { query: 'Second', conversation_id: id }, mockServices);
+
+      const conversation = mockServices.conversations!.require(id);
+      expect(conversation.totalInputTokens).toBe(200);
+      expect(conversation.totalOutputTokens).toBe(40);
+      expect(conversation.totalCostUsd).toBeCloseTo(
+        conversation.turns[0].costUsd + conversation.turns[1].costUsd,
+        10
+      );
+    });
+
+    it('should return an error for unknown conversation IDs', async () => {
+      const result = await handleGrokQuery(
+        client,
+        { query: 'Hello', conversation_id: 'conv_missing' },
+        mockServices
+      );
+
+      expect(result.content[0].text).toContain('Error:');
+      expect(result.content[0].text).toContain('Conversation "conv_missing" not found');
+      expect(requestBodies).toHaveLength(0);
+    });
+
+    it('should return an error when the conversation store is unavailable', async () => {
+      const servicesWithoutStore = { ...mockServices, conversations: undefined };
+      const result = await handleGrokQuery(
+        client,
+        { query: 'Hello', conversation_id: 'new' },
+        servicesWithoutStore
+      );
+
+      expect(result.content[0].text).toContain('Error:');
+      expect(result.content[0].text).toContain('Conversation store not available');
+    });
+
+    it('should not create a conversation when the request fails', async () => {
+      server.use(
+        http.post('https://api.x.ai/v1/chat/completions', () =>
+          HttpResponse.json({ error: { message: 'bad request' } }, { status: 400 })
+        )
+      );
+
+      const result = await handleGrokQuery(
+        client,
+        { query: 'Hello', conversation_id: 'new' },
+        mockServices
+      );
+
+      expect(result.content[0].text).toContain('Error:');
+      expect(mockServices.conversations!.size()).toBe(0);
+    });
+
+    it('should not release the rate limit slot again when recording the turn fails', async () => {
+      const conversation = mockServices.conversations!.create();
+      // The conversation is evicted while the request is in flight
+      vi.spyOn(mockServices.conversations!, 'appendTurn').mockImplementation(() => {
+        throw new Error(`Conversation not found: ${conversation.id}`);
+      });
+      const release = vi.spyOn(mockServices.rateLimiter, 'release');
+
+      const result = await handleGrokQuery(
+        client,
+        { query: 'Hello', conversation_id: conversation.id },
+        mockServices
+      );
+
+      expect(result.content[0].text).toContain('Conversation not found');
+      expect(release).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('model fallback', () => {
+    let client: XAIClient;
+    let mockServices: Services;
+
+    const completion = (model: string, content = 'Fallback answer'): ChatCompletionResponse => ({
+      id: 'fallback',
+      object: 'chat.completion',
+      created: 1,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+    });
+
+    const streamChunk = (model: string, content: string): ChatCompletionStreamChunk => ({
+      id: 'fallback',
+      object: 'chat.completion.chunk',
+      created: 1,
+      model,
+      choices: [{ index: 0, delta: { content }, finish_reason: null }],
+    });
+
+    // Fail the given models with an HTTP status and answer as any other model
+    const failModels = (
+      failures: Record<string, number>
+    ): MockInstance<XAIClient['chatCompletion']> =>
+      vi
+        .spyOn(client, 'chatCompletion')
+        .mockImplementation(async (params: ChatCompletionParams) => {
+          const status = failures[params.model];
+          if (status) {
+            const body = status === 404 ? `The model ${params.model} does not exist` : undefined;
+            throw new XAIError(`HTTP ${status}`, status, 'Error', body);
+          }
+          return completion(params.model);
+        });
+
+    beforeEach(() => {
+      client = createTestClient();
+      mockServices = {
+        cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+        costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+        rateLimiter: new RateLimiter({ tier: 'standard' }),
+      };
+      vi.spyOn(console, 'error').mockImplementation((): void => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should fall back on 503 and report the model that answered', async () => {
+      const spy = failModels({ 'grok-4-0709': 503 });
+
+      const result = await executeGrokQuery(client, {
+        query: 'Explain monads',
+        model: 'smartest',
+        max_tokens: 100,
+        temperature: 0.7,
+      });
+
+      expect(spy.mock.calls.map(([params]) => params.model)).toEqual([
+        'grok-4-0709',
+        'grok-4-1-fast-reasoning',
+      ]);
+      expect(result.model).toBe('grok-4-1-fast-reasoning');
+      expect(result.fallback_attempts).toEqual([
+        { model: 'grok-4-0709', reason: 'server_error', status_code: 503 },
+      ]);
+      // Charged at grok-4-1-fast-reasoning pricing ($0.20/$0.50), not grok-4-0709
+      expect(result.cost.model).toBe('grok-4-1-fast-reasoning');
+      expect(result.cost.estimated_usd).toBeCloseTo(0.00045, 6);
+    });
+
+    it('should walk the chain past models that are not found', async () => {
+      failModels({ 'grok-4-0709': 404, 'grok-4-1-fast-reasoning': 404 });
+
+      const result = await executeGrokQuery(client, { query: 'Hi', model: 'smartest' });
+
+      expect(result.model).toBe('grok-4-fast-non-reasoning');
+      expect(result.fallback_attempts?.map((attempt) => attempt.reason)).toEqual([
+        'model_not_found',
+        'model_not_found',
+      ]);
+    });
+
+    it('should not fall back on client errors', async () => {
+      const spy = failModels({ 'grok-4-0709': 400 });
+
+      await expect(executeGrokQuery(client, { query: 'Hi', model: 'smartest' })).rejects.toThrow(
+        'Grok API error (400)'
+      );
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only fall back to vision-capable models for image queries', async () => {
+      const spy = failModels({ 'grok-4-0709': 503 });
+
+      await expect(
+        executeGrokQuery(client, {
+          query: 'What is this?',
+          model: 'vision',
+          image_url: 'https://example.com/cat.png',
+        })
+      ).rejects.toThrow('Grok API error (503)');
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should show the fallback, charge the answering model and skip the cache', async () => {
+      const spy = failModels({ 'grok-4-0709': 503 });
+      const args = { query: 'Explain monads', model: 'smartest', stream: false };
+
+      const result = await handleGrokQuery(client, args, mockServices);
+      await handleGrokQuery(client, args, mockServices);
+
+      expect(result.content[0].text).toContain(
+        '↪️ *Fell back to grok-4-1-fast-reasoning (grok-4-0709: server error, HTTP 503)*'
+      );
+      expect(result.content[0].text).toContain('grok-4-1-fast-reasoning • 1500 tokens');
+      expect(mockServices.costTracker.getTotalCost()).toBeCloseTo(0.0009, 6);
+      // Not cached under the grok-4-0709 key, so the second call asks again
+      expect(spy).toHaveBeenCalledTimes(4);
+    });
+
+    it('should fall back when a stream fails before its first chunk', async () => {
+      const models: string[] = [];
+      vi.spyOn(client, 'chatCompletionStream').mockImplementation(async function* (
+        params: ChatCompletionParams
+      ): AsyncGenerator<ChatCompletionStreamChunk> {
+        models.push(params.model);
+        if (params.model === 'grok-4-0709') {
+          throw new XAIError('Timed out', 408, 'Request Timeout');
+        }
+        yield streamChunk(params.model, 'Streamed ');
+        yield streamChunk(params.model, 'fallback');
+      });
+
+      const result = await executeGrokQueryStreaming(client, {
+        query: 'Explain monads',
+        model: 'smartest',
+        stream: true,
+      });
+
+      expect(models).toEqual(['grok-4-0709', 'grok-4-1-fast-reasoning']);
+      expect(result.response).toBe('Streamed fallback');
+      expect(result.partial).toBe(false);
+      expect(result.model).toBe('grok-4-1-fast-reasoning');
+      expect(result.cost.model).toBe('grok-4-1-fast-reasoning');
+      expect(result.fallback_attempts).toEqual([
+        { model: 'grok-4-0709', reason: 'timeout', status_code: 408 },
+      ]);
+    });
+
+    it('should keep partial content instead of falling back mid-stream', async () => {
+      const spy = vi.spyOn(client, 'chatCompletionStream').mockImplementation(async function* (
+        params: ChatCompletionParams
+      ): AsyncGenerator<ChatCompletionStreamChunk> {
+        yield streamChunk(params.model, 'Partial');
+        throw new XAIError('Timed out', 408, 'Request Timeout');
+      });
+
+      const result = await executeGrokQueryStreaming(client, {
+        query: 'Explain monads',
+        model: 'smartest',
+        stream: true,
+      });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(result.partial).toBe(true);
+      expect(result.model).toBe('grok-4-0709');
+      expect(result.fallback_attempts).toBeUndefined();
+    });
+  });
 });
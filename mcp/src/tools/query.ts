@@ -15,6 +15,7 @@ import {
   ChatMessage,
   TokenUsage,
   XAIError,
+  RequestCancelledError,
   Services,
   AutoModelSelection,
   VISION_CAPABLE_MODELS,
@@ -22,11 +23,36 @@ import {
   MessageContent,
   JsonParseResult,
   ResponseFormat,
+  SchemaValidationError,
+  CacheMode,
   ComplexityScore,
   WeightedIndicator,
   WEIGHT_TIERS,
+  ModelFallbackAttempt,
 } from '../types/index.js';
 import { CostTracker } from '../services/cost-tracker.js';
+import {
+  ConversationHistory,
+  estimateTextTokens,
+  getContextWindow,
+} from '../services/conversation-store.js';
+import type { CacheKeyRequest } from '../services/cache-key.js';
+import {
+  ToolCacheLookup,
+  formatCacheBadge,
+  getTtlClassForTemperature,
+  lookupToolCache,
+  storeToolCache,
+} from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import type { ProgressReporter } from '../services/progress.js';
+import { formatSchemaErrors, validateJsonSchema } from '../services/json-schema.js';
+import { formatFallbackNotice, runWithModelFallback } from '../services/model-fallback.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
 
 /**
  * UX enhancement thresholds and constants
@@ -94,6 +120,23 @@ const JSON_MODE_SYSTEM_PROMPT = `You MUST respond with valid JSON only. Follow t
 4. Use double quotes for all keys and string values
 5. If you cannot provide JSON, return: {"error": "reason"}`;
 
+/**
+ * Pattern for json_schema names (same rules as the xAI API)
+ */
+const JSON_SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Build the JSON mode system prompt, including the schema for json_schema mode
+ */
+function buildJsonModePrompt(format: ResponseFormat): string {
+  if (format.type !== 'json_schema') {
+    return JSON_MODE_SYSTEM_PROMPT;
+  }
+  return `${JSON_MODE_SYSTEM_PROMPT}
+6. The JSON MUST match this JSON Schema ("${format.json_schema.name}"):
+${JSON.stringify(format.json_schema.schema)}`;
+}
+
 /**
  * Long output indicators for smart streaming decision (P4-014)
  * These patterns suggest the response will be lengthy and benefit from streaming
@@ -329,6 +372,37 @@ function parseJsonResponse(response: string): JsonParseResult {
   }
 }
 
+/**
+ * Parse a JSON mode response and, for json_schema, validate it against the schema
+ *
+ * @param response - Raw response from model
+ * @param format - Requested response format
+ * @returns JsonParseResult with schema_valid/schema_errors set in json_schema mode
+ */
+export function checkJsonResponse(response: string, format: ResponseFormat): JsonParseResult {
+  const result = parseJsonResponse(response);
+  if (format.type !== 'json_schema') {
+    return result;
+  }
+  if (!result.json_valid) {
+    return { ...result, schema_valid: false };
+  }
+
+  let schemaErrors: SchemaValidationError[];
+  try {
+    schemaErrors = validateJsonSchema(result.parsed, format.json_schema.schema);
+  } catch (error) {
+    schemaErrors = [
+      { path: '$', message: error instanceof Error ? error.message : 'Schema error' },
+    ];
+  }
+  return {
+    ...result,
+    schema_valid: schemaErrors.length === 0,
+    schema_errors: schemaErrors.length > 0 ? schemaErrors : undefined,
+  };
+}
+
 /**
  * JSON Schema 2020-12 definition for grok_query tool
  */
@@ -402,17 +476,63 @@ export const grokQuerySchema = {
     response_format: {
       type: 'object',
       description:
-        'Request structured JSON output. When set, Grok will return valid JSON. Use { type: "json_object" }.',
+        'Request structured JSON output. Use { type: "json_object" } for any valid JSON, or { type: "json_schema", json_schema: { name, schema } } for JSON matching a schema. Schema-valid objects are also returned as structuredContent.',
       properties: {
         type: {
           type: 'string',
-          enum: ['json_object'],
-          description: 'Output format type. Currently only "json_object" is supported.',
+          enum: ['json_object', 'json_schema'],
+          description: 'Output format type: "json_object" or "json_schema"',
+        },
+        json_schema: {
+          type: 'object',
+          description: 'Required for "json_schema": the schema the response must match',
+          properties: {
+            name: {
+              type: 'string',
+              pattern: JSON_SCHEMA_NAME_PATTERN.source,
+              description: 'Schema name',
+            },
+            schema: {
+              type: 'object',
+              description: 'JSON Schema for the response',
+            },
+            strict: {
+              type: 'boolean',
+              description: 'Ask the API to enforce the schema strictly',
+            },
+            description: {
+              type: 'string',
+              description: 'What the output represents',
+            },
+          },
+          required: ['name', 'schema'],
+          additionalProperties: false,
         },
       },
       required: ['type'],
       additionalProperties: false,
     },
+    repair_json: {
+      type: 'boolean',
+      description:
+        'When a json_schema response fails validation, send Grok the errors once and ask for corrected JSON (extra API call). Default: true',
+      default: true,
+    },
+    conversation_id: {
+      type: 'string',
+      description:
+        'Continue a server-side conversation so Grok sees earlier turns. Use "new" to start one; the ID is returned in the response. Manage conversations with grok_conversation.',
+      minLength: 1,
+      maxLength: 100,
+    },
+    cache: {
+      type: 'string',
+      enum: ['use', 'bypass', 'refresh'],
+      description:
+        'Cache behavior: use (return cached answer if available), bypass (skip cache), refresh (ignore cached answer and replace it)',
+      default: 'use',
+    },
+    tag: tagSchemaProperty,
   },
   required: ['query'],
   additionalProperties: false,
@@ -579,11 +699,53 @@ export function validateGrokQueryInput(input: unknown): GrokQueryInput {
       throw new Error('response_format must be an object');
     }
     const format = params.response_format as Record<string, unknown>;
-    if (format.type !== 'json_object') {
-      throw new Error('response_format.type must be "json_object"');
+    if (format.type !== 'json_object' && format.type !== 'json_schema') {
+      throw new Error('response_format.type must be "json_object" or "json_schema"');
+    }
+    if (format.type === 'json_schema') {
+      const jsonSchema = format.json_schema as Record<string, unknown> | undefined;
+      if (!jsonSchema || typeof jsonSchema !== 'object') {
+        throw new Error('response_format.json_schema is required for type "json_schema"');
+      }
+      if (typeof jsonSchema.name !== 'string' || !JSON_SCHEMA_NAME_PATTERN.test(jsonSchema.name)) {
+        throw new Error(
+          'response_format.json_schema.name must be 1-64 letters, digits, underscores or dashes'
+        );
+      }
+      if (
+        !jsonSchema.schema ||
+        typeof jsonSchema.schema !== 'object' ||
+        Array.isArray(jsonSchema.schema)
+      ) {
+        throw new Error('response_format.json_schema.schema must be a JSON Schema object');
+      }
+      if (jsonSchema.strict !== undefined && typeof jsonSchema.strict !== 'boolean') {
+        throw new Error('response_format.json_schema.strict must be a boolean');
+      }
     }
   }
 
+  // Optional: repair_json
+  if (params.repair_json !== undefined && typeof params.repair_json !== 'boolean') {
+    throw new Error('repair_json must be a boolean');
+  }
+
+  // Optional: conversation_id
+  if (params.conversation_id !== undefined) {
+    if (typeof params.conversation_id !== 'string' || params.conversation_id.length === 0) {
+      throw new Error('conversation_id must be a non-empty string');
+    }
+    if (params.conversation_id.length > 100) {
+      throw new Error('conversation_id exceeds maximum length of 100 characters');
+    }
+  }
+
+  // Optional: cache mode
+  const validCacheModes: CacheMode[] = ['use', 'bypass', 'refresh'];
+  if (params.cache !== undefined && !validCacheModes.includes(params.cache as CacheMode)) {
+    throw new Error(`cache must be one of: ${validCacheModes.join(', ')}`);
+  }
+
   return {
     query: params.query,
     model: (params.model as string) || 'auto',
@@ -596,46 +758,31 @@ export function validateGrokQueryInput(input: unknown): GrokQueryInput {
     image_url: params.image_url as string | undefined,
     image_detail: (params.image_detail as 'auto' | 'low' | 'high') || 'auto',
     response_format: params.response_format as ResponseFormat | undefined,
+    repair_json: params.repair_json as boolean | undefined,
+    conversation_id: params.conversation_id as string | undefined,
+    cache: params.cache as CacheMode | undefined,
   };
 }
 
 /**
- * Execute a Grok query
+ * Resolve the model a query will run on
+ *
+ * Vision queries with model 'auto' use grok-4; any other model must be
+ * vision-capable when an image is attached (P4-015).
  *
  * @param client - XAI client instance
  * @param input - Validated query input
- * @returns Query response with content, usage, and cost
- *
- * @example
- * ```typescript
- * const client = createClient();
- * const result = await executeGrokQuery(client, {
- *   query: "Explain recursion",
- *   model: "fast"
- * });
- * console.log(result.response);
- * console.log(`Cost: $${result.cost.estimated_usd.toFixed(4)}`);
- * ```
+ * @returns Resolved model ID
  */
-export async function executeGrokQuery(
-  client: XAIClient,
-  input: GrokQueryInput
-): Promise<GrokQueryResponse> {
-  const startTime = Date.now();
-  const isJsonMode = input.response_format?.type === 'json_object';
-
-  // Determine if this is a vision query (P4-015)
+export function resolveQueryModel(client: XAIClient, input: GrokQueryInput): string {
   const isVisionQuery = !!input.image_url;
 
   // Resolve model alias to actual model ID (with intelligent auto-selection)
   // For vision queries with model 'auto', auto-select vision-capable model
-  let resolvedModel: string;
-  if (isVisionQuery && (input.model === 'auto' || !input.model)) {
-    // Auto-select vision-capable model for vision queries
-    resolvedModel = 'grok-4';
-  } else {
-    resolvedModel = client.resolveModel(input.model || 'auto', input.query, input.context);
-  }
+  const resolvedModel =
+    isVisionQuery && (input.model === 'auto' || !input.model)
+      ? 'grok-4'
+      : client.resolveModel(input.model || 'auto', input.query, input.context);
 
   // Validate vision model compatibility (P4-015)
   if (isVisionQuery && !VISION_CAPABLE_MODELS.includes(resolvedModel)) {
@@ -644,14 +791,41 @@ export async function executeGrokQuery(
     );
   }
 
-  // Build messages array
+  return resolvedModel;
+}
+
+/**
+ * Models to try for a query, starting with the resolved model
+ *
+ * Vision queries only fall back to vision-capable models.
+ */
+function getQueryFallbackChain(
+  client: XAIClient,
+  input: GrokQueryInput,
+  resolvedModel: string
+): string[] {
+  const chain = client.getFallbackChain(input.model || 'auto', resolvedModel);
+  return input.image_url ? chain.filter((model) => VISION_CAPABLE_MODELS.includes(model)) : chain;
+}
+
+/**
+ * Build the message array sent to the API for a query
+ *
+ * @param input - Validated query input
+ * @param history - Earlier conversation turns to replay before the query
+ * @returns System messages, replayed history, then the user message
+ */
+export function buildQueryMessages(
+  input: GrokQueryInput,
+  history: ChatMessage[] = []
+): ChatMessage[] {
   const messages: ChatMessage[] = [];
 
   // Add JSON mode system prompt if enabled (P4-016)
-  if (isJsonMode) {
+  if (input.response_format) {
     messages.push({
       role: 'system',
-      content: JSON_MODE_SYSTEM_PROMPT,
+      content: buildJsonModePrompt(input.response_format),
     });
   }
 
@@ -663,15 +837,18 @@ export async function executeGrokQuery(
     });
   }
 
+  // Replay earlier conversation turns
+  messages.push(...history);
+
   // Build user message content (P4-015: multimodal for vision queries)
   let userContent: MessageContent;
-  if (isVisionQuery) {
+  if (input.image_url) {
     // Multimodal content array for vision queries (OpenAI-compatible format)
     const contentParts: MessageContentPart[] = [
       {
         type: 'image_url',
         image_url: {
-          url: input.image_url!,
+          url: input.image_url,
           detail: input.image_detail || 'auto',
         },
       },
@@ -683,55 +860,223 @@ export async function executeGrokQuery(
     userContent = input.query;
   }
 
-  // Add user message
   messages.push({
     role: 'user',
     content: userContent,
   });
 
-  try {
-    // Make API request
-    const response = await client.chatCompletion({
-      model: resolvedModel,
-      messages,
-      max_tokens: input.max_tokens,
-      temperature: input.temperature,
-      top_p: input.top_p,
-      stream: input.stream,
-      timeout: input.timeout,
-    });
+  return messages;
+}
 
-    const responseTime = Date.now() - startTime;
+/**
+ * Build the cache key request for a query
+ *
+ * Covers everything that changes the answer: the exact messages
+ * (including image digests), sampling parameters and response format.
+ *
+ * @param input - Validated query input
+ * @param model - Resolved model ID
+ */
+export function buildQueryCacheRequest(input: GrokQueryInput, model: string): CacheKeyRequest {
+  return {
+    model,
+    messages: buildQueryMessages(input),
+    temperature: input.temperature,
+    top_p: input.top_p,
+    max_tokens: input.max_tokens,
+    response_format: input.response_format,
+    extra: {
+      tool: 'grok_query',
+      repair_json:
+        input.response_format?.type === 'json_schema' ? input.repair_json !== false : undefined,
+    },
+  };
+}
+
+/**
+ * Outcome of checking a JSON mode response
+ */
+interface JsonModeOutcome {
+  /** Final response text (the corrected text if a repair was made) */
+  content: string;
+  /** Parse and schema validation result */
+  jsonResult: JsonParseResult;
+  /** Token usage of the repair request, if one was made */
+  repairUsage?: TokenUsage;
+}
+
+/**
+ * Check a JSON mode response, repairing it once if it fails json_schema validation
+ *
+ * The repair request replays the conversation with the failing answer and
+ * the validation errors, and asks for corrected JSON only. Disabled with
+ * `repair_json: false`.
+ *
+ * @param client - XAI client instance
+ * @param input - Validated query input (response_format must be set)
+ * @param model - Resolved model ID
+ * @param messages - Messages the response answered
+ * @param content - Response text
+ * @param signal - Cancels the repair request when aborted
+ */
+async function finalizeJsonResponse(
+  client: XAIClient,
+  input: GrokQueryInput,
+  model: string,
+  messages: ChatMessage[],
+  content: string,
+  signal?: AbortSignal
+): Promise<JsonModeOutcome> {
+  const format = input.response_format!;
+  const jsonResult = checkJsonResponse(content, format);
+  if (format.type !== 'json_schema' || jsonResult.schema_valid || input.repair_json === false) {
+    return { content, jsonResult };
+  }
+
+  const problems = jsonResult.json_valid
+    ? formatSchemaErrors(jsonResult.schema_errors ?? [])
+    : `Invalid JSON: ${jsonResult.parse_error}`;
+  console.error('[grok_query] JSON schema validation failed - requesting repair');
+
+  const repair = await client.chatCompletion({
+    model,
+    messages: [
+      ...messages,
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your response does not match the JSON Schema "${format.json_schema.name}":\n${problems}\n\nRespond with the corrected JSON only.`,
+      },
+    ],
+    max_tokens: input.max_tokens,
+    temperature: input.temperature,
+    top_p: input.top_p,
+    response_format: format,
+    timeout: input.timeout,
+    signal,
+  });
+
+  const repairedContent = extractTextContent(repair.choices[0]?.message?.content);
+  return {
+    content: repairedContent,
+    jsonResult: { ...checkJsonResponse(repairedContent, format), repaired: true },
+    repairUsage: repair.usage,
+  };
+}
+
+/**
+ * Add the usage of a follow-up request (e.g. a JSON repair) to a response's usage
+ */
+function addUsage(usage: TokenUsage, extra?: TokenUsage): TokenUsage {
+  if (!extra) return usage;
+  const reasoningTokens =
+    usage.reasoning_tokens !== undefined || extra.reasoning_tokens !== undefined
+      ? (usage.reasoning_tokens ?? 0) + (extra.reasoning_tokens ?? 0)
+      : undefined;
+  return {
+    prompt_tokens: usage.prompt_tokens + extra.prompt_tokens,
+    completion_tokens: usage.completion_tokens + extra.completion_tokens,
+    reasoning_tokens: reasoningTokens,
+    total_tokens: usage.total_tokens + extra.total_tokens,
+  };
+}
+
+/**
+ * Execute a Grok query
+ *
+ * @param client - XAI client instance
+ * @param input - Validated query input
+ * @param history - Earlier conversation turns to replay before the query
+ * @returns Query response with content, usage, and cost
+ *
+ * @example
+ * ```typescript
+ * const client = createClient();
+ * const result = await executeGrokQuery(client, {
+ *   query: "Explain recursion",
+ *   model: "fast"
+ * });
+ * console.log(result.response);
+ * console.log(`Cost: $${result.cost.estimated_usd.toFixed(4)}`);
+ * ```
+ */
+export async function executeGrokQuery(
+  client: XAIClient,
+  input: GrokQueryInput,
+  history: ChatMessage[] = [],
+  signal?: AbortSignal
+): Promise<GrokQueryResponse> {
+  const startTime = Date.now();
+  const isJsonMode = input.response_format !== undefined;
+
+  const resolvedModel = resolveQueryModel(client, input);
+  const messages = buildQueryMessages(input, history);
+
+  try {
+    // Make API request, falling back along the model's chain on retriable errors
+    const {
+      result: response,
+      model: answeringModel,
+      attempts,
+    } = await runWithModelFallback(
+      getQueryFallbackChain(client, input, resolvedModel),
+      (model) =>
+        client.chatCompletion({
+          model,
+          messages,
+          max_tokens: input.max_tokens,
+          temperature: input.temperature,
+          top_p: input.top_p,
+          stream: input.stream,
+          response_format: input.response_format,
+          timeout: input.timeout,
+          signal,
+        }),
+      signal
+    );
 
     // Extract response content (P4-015: handle multimodal content type)
     const assistantMessage = extractTextContent(response.choices[0]?.message?.content);
 
-    // Parse JSON if JSON mode was requested (P4-016)
-    const jsonResult = isJsonMode ? parseJsonResponse(assistantMessage) : undefined;
+    // Parse JSON if JSON mode was requested (P4-016), validating and repairing
+    // json_schema responses
+    const jsonMode = isJsonMode
+      ? await finalizeJsonResponse(
+          client,
+          input,
+          answeringModel,
+          messages,
+          assistantMessage,
+          signal
+        )
+      : undefined;
+
+    const responseTime = Date.now() - startTime;
+    const usage = addUsage(response.usage, jsonMode?.repairUsage);
 
     // Calculate cost
-    const cost = client.calculateCost(
-      response.model,
-      response.usage.prompt_tokens,
-      response.usage.completion_tokens
-    );
+    const cost = client.calculateCost(response.model, usage.prompt_tokens, usage.completion_tokens);
 
     return {
-      response: assistantMessage,
+      response: jsonMode?.content ?? assistantMessage,
       model: response.model,
       usage: {
-        prompt_tokens: response.usage.prompt_tokens,
-        completion_tokens: response.usage.completion_tokens,
-        reasoning_tokens: response.usage.reasoning_tokens,
-        total_tokens: response.usage.total_tokens,
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+        reasoning_tokens: usage.reasoning_tokens,
+        total_tokens: usage.total_tokens,
       },
       cost,
       thinking: undefined, // Reasoning models may populate this in future
       cached: false, // Cache integration in Phase 2
       response_time_ms: responseTime,
-      json_result: jsonResult,
+      json_result: jsonMode?.jsonResult,
+      fallback_attempts: attempts.length > 0 ? attempts : undefined,
     };
   } catch (error) {
+    if (error instanceof RequestCancelledError) {
+      throw error;
+    }
     if (error instanceof XAIError) {
       // Re-throw XAI errors with additional context
       throw new Error(
@@ -752,136 +1097,142 @@ export async function executeGrokQuery(
  *
  * Consumes SSE stream and accumulates response.
  * If timeout occurs, returns partial response with available content.
+ * If the signal is aborted mid-stream, returns the partial response with
+ * `cancelled` set so the caller can still record its cost. Falls back to the
+ * next model in the chain only if the stream fails before its first chunk.
  *
  * @param client - XAI client instance
  * @param input - Validated query input
+ * @param history - Earlier conversation turns to replay before the query
+ * @param signal - Cancels the stream when aborted
+ * @param onProgress - Reports progress as chunks arrive
  * @returns Streaming query response with partial flag
  */
 export async function executeGrokQueryStreaming(
   client: XAIClient,
-  input: GrokQueryInput
+  input: GrokQueryInput,
+  history: ChatMessage[] = [],
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
 ): Promise<StreamingGrokQueryResponse> {
   const startTime = Date.now();
-  const isJsonMode = input.response_format?.type === 'json_object';
-
-  // Determine if this is a vision query (P4-015)
-  const isVisionQuery = !!input.image_url;
-
-  // Resolve model alias to actual model ID (with intelligent auto-selection)
-  // For vision queries with model 'auto', auto-select vision-capable model
-  let resolvedModel: string;
-  if (isVisionQuery && (input.model === 'auto' || !input.model)) {
-    resolvedModel = 'grok-4';
-  } else {
-    resolvedModel = client.resolveModel(input.model || 'auto', input.query, input.context);
-  }
-
-  // Validate vision model compatibility (P4-015)
-  if (isVisionQuery && !VISION_CAPABLE_MODELS.includes(resolvedModel)) {
-    throw new Error(
-      `Model ${resolvedModel} does not support vision. Use 'auto', 'vision', or a vision-capable model like grok-4.`
-    );
-  }
-
-  // Build messages array
-  const messages: ChatMessage[] = [];
-
-  // Add JSON mode system prompt if enabled (P4-016)
-  if (isJsonMode) {
-    messages.push({
-      role: 'system',
-      content: JSON_MODE_SYSTEM_PROMPT,
-    });
-  }
-
-  if (input.context) {
-    messages.push({
-      role: 'system',
-      content: input.context,
-    });
-  }
-
-  // Build user message content (P4-015: multimodal for vision queries)
-  let userContent: MessageContent;
-  if (isVisionQuery) {
-    // Multimodal content array for vision queries (OpenAI-compatible format)
-    const contentParts: MessageContentPart[] = [
-      {
-        type: 'image_url',
-        image_url: {
-          url: input.image_url!,
-          detail: input.image_detail || 'auto',
-        },
-      },
-      { type: 'text', text: input.query },
-    ];
-    userContent = contentParts;
-  } else {
-    userContent = input.query;
-  }
+  const isJsonMode = input.response_format !== undefined;
 
-  messages.push({
-    role: 'user',
-    content: userContent,
-  });
+  const resolvedModel = resolveQueryModel(client, input);
+  const messages = buildQueryMessages(input, history);
 
   let accumulatedContent = '';
   let chunksReceived = 0;
   let lastUsage: TokenUsage | undefined;
   let partial = false;
+  let cancelled = false;
+  let answeringModel = resolvedModel;
+  let fallbackAttempts: ModelFallbackAttempt[] = [];
+  let streamError: unknown;
 
   try {
-    const stream = client.chatCompletionStream({
-      model: resolvedModel,
-      messages,
-      max_tokens: input.max_tokens,
-      temperature: input.temperature,
-      top_p: input.top_p,
-      timeout: input.timeout,
-    });
+    const outcome = await runWithModelFallback(
+      getQueryFallbackChain(client, input, resolvedModel),
+      async (model) => {
+        answeringModel = model;
+        const stream = client.chatCompletionStream({
+          model,
+          messages,
+          max_tokens: input.max_tokens,
+          temperature: input.temperature,
+          top_p: input.top_p,
+          response_format: input.response_format,
+          timeout: input.timeout,
+          signal,
+        });
 
-    for await (const chunk of stream) {
-      chunksReceived++;
+        try {
+          for await (const chunk of stream) {
+            chunksReceived++;
 
-      const delta = chunk.choices[0]?.delta;
-      if (delta?.content) {
-        accumulatedContent += delta.content;
-      }
+            const delta = chunk.choices[0]?.delta;
+            if (delta?.content) {
+              accumulatedContent += delta.content;
+            }
 
-      if (chunk.usage) {
-        lastUsage = chunk.usage;
-      }
-    }
+            if (chunk.usage) {
+              lastUsage = chunk.usage;
+            }
+
+            onProgress?.({
+              chunks: chunksReceived,
+              approxTokens: Math.ceil(accumulatedContent.length / 4),
+              elapsedMs: Date.now() - startTime,
+            });
+          }
+        } catch (error) {
+          // Once content has streamed, keep it rather than starting over on another model
+          if (chunksReceived === 0) {
+            throw error;
+          }
+          streamError = error;
+        }
+      },
+      signal
+    );
+    fallbackAttempts = outcome.attempts;
   } catch (error) {
-    if (error instanceof XAIError && error.statusCode === 408) {
+    streamError = error;
+  }
+
+  if (streamError !== undefined) {
+    if (streamError instanceof XAIError && streamError.statusCode === 408) {
       // Timeout - return partial response
       partial = true;
       console.error(`[grok_query] Stream timeout after ${chunksReceived} chunks`);
+    } else if (streamError instanceof RequestCancelledError) {
+      partial = true;
+      cancelled = true;
+      console.error(`[grok_query] Stream cancelled after ${chunksReceived} chunks`);
     } else {
-      throw error;
+      throw streamError;
     }
   }
 
-  const responseTime = Date.now() - startTime;
-
   // Estimate tokens if not provided (for partial responses)
-  const estimatedPromptTokens = Math.ceil((input.query.length + (input.context?.length || 0)) / 4);
+  const historyChars = history.reduce(
+    (sum, message) => sum + (typeof message.content === 'string' ? message.content.length : 0),
+    0
+  );
+  const estimatedPromptTokens = Math.ceil(
+    (input.query.length + (input.context?.length || 0) + historyChars) / 4
+  );
   const estimatedCompletionTokens = Math.ceil(accumulatedContent.length / 4);
 
-  const usage: TokenUsage = lastUsage || {
+  const streamUsage: TokenUsage = lastUsage || {
     prompt_tokens: estimatedPromptTokens,
     completion_tokens: estimatedCompletionTokens,
     total_tokens: estimatedPromptTokens + estimatedCompletionTokens,
   };
 
-  const cost = client.calculateCost(resolvedModel, usage.prompt_tokens, usage.completion_tokens);
+  // Parse JSON if JSON mode was requested and response is complete (P4-016),
+  // validating and repairing json_schema responses
+  const jsonMode =
+    isJsonMode && !partial
+      ? await finalizeJsonResponse(
+          client,
+          input,
+          answeringModel,
+          messages,
+          accumulatedContent,
+          signal
+        )
+      : undefined;
 
-  // Parse JSON if JSON mode was requested and response is complete (P4-016)
-  const jsonResult = isJsonMode && !partial ? parseJsonResponse(accumulatedContent) : undefined;
+  const responseTime = Date.now() - startTime;
+  const usage = addUsage(streamUsage, jsonMode?.repairUsage);
+  const cost = client.calculateCost(answeringModel, usage.prompt_tokens, usage.completion_tokens);
 
   return {
-    response: accumulatedContent + (partial ? '\n\n[Response truncated due to timeout]' : ''),
-    model: resolvedModel,
+    response:
+      (jsonMode?.content ?? accumulatedContent) +
+      (partial ? `\n\n[Response truncated due to ${cancelled ? 'cancellation' : 'timeout'}]` : ''),
+    model: answeringModel,
     usage,
     cost,
     thinking: undefined,
@@ -889,7 +1240,9 @@ export async function executeGrokQueryStreaming(
     response_time_ms: responseTime,
     partial,
     chunks_received: chunksReceived,
-    json_result: jsonResult,
+    cancelled,
+    json_result: jsonMode?.jsonResult,
+    fallback_attempts: fallbackAttempts.length > 0 ? fallbackAttempts : undefined,
   };
 }
 
@@ -923,17 +1276,28 @@ interface FormatOptions {
   isVisionQuery?: boolean;
   /** Auto-streaming decision info (P4-014) */
   streamingDecision?: StreamingDecision;
+  /** Conversation info when conversation_id was used */
+  conversationInfo?: {
+    id: string;
+    turn: number;
+    history: ConversationHistory;
+    totalCostUsd: number;
+  };
 }
 
 /**
- * Format a GrokQueryResponse for MCP output with UX enhancements
+ * MCP result of a grok_query call
  */
-function formatResponse(
-  result: GrokQueryResponse,
-  options: FormatOptions = {}
-): {
+interface QueryToolResult {
   content: Array<{ type: string; text: string }>;
-} {
+  /** Parsed response object when it matched the requested json_schema */
+  structuredContent?: Record<string, unknown>;
+}
+
+/**
+ * Format a GrokQueryResponse for MCP output with UX enhancements
+ */
+function formatResponse(result: GrokQueryResponse, options: FormatOptions = {}): QueryToolResult {
   const lines: string[] = [];
 
   // Main response header
@@ -948,12 +1312,7 @@ function formatResponse(
 
   // Cache badge (enhanced visibility)
   if (options.cacheInfo?.isCached) {
-    if (options.cacheInfo.expiresIn !== undefined && options.cacheInfo.expiresIn > 0) {
-      const mins = Math.ceil(options.cacheInfo.expiresIn / 60);
-      statusParts.push(`📦 **CACHED** (${mins}m remaining)`);
-    } else {
-      statusParts.push('📦 **CACHED**');
-    }
+    statusParts.push(formatCacheBadge(options.cacheInfo.expiresIn));
   }
 
   // Partial response indicator for streaming timeouts
@@ -1009,13 +1368,38 @@ function formatResponse(
 
   lines.push(`⚡ *${statusParts.join(' • ')}*`);
 
+  // Model fallback line (the model above answered after these failed)
+  if (result.fallback_attempts?.length) {
+    lines.push(`↪️ *${formatFallbackNotice(result.model, result.fallback_attempts)}*`);
+  }
+
+  // Conversation status line
+  if (options.conversationInfo) {
+    const info = options.conversationInfo;
+    const trimmed = info.history.turnsTrimmed > 0 ? ` (${info.history.turnsTrimmed} trimmed)` : '';
+    lines.push(
+      `💬 *Conversation \`${info.id}\` • turn ${info.turn} • ${info.history.turnsReplayed} earlier turns replayed${trimmed} • conversation cost $${info.totalCostUsd.toFixed(4)}*`
+    );
+  }
+
   // JSON mode result indicator (P4-016)
   if (result.json_result) {
+    const jsonResult = result.json_result;
     lines.push('');
-    if (result.json_result.json_valid) {
-      lines.push('✅ **JSON Valid**');
+    if (!jsonResult.json_valid) {
+      lines.push(`⚠️ **JSON Parse Error**: ${jsonResult.parse_error}`);
+    } else if (jsonResult.schema_valid === false) {
+      lines.push('⚠️ **JSON Schema Validation Failed**:');
+      lines.push('```');
+      lines.push(formatSchemaErrors(jsonResult.schema_errors ?? []));
+      lines.push('```');
+    } else if (jsonResult.schema_valid) {
+      lines.push('✅ **JSON Valid** (matches schema)');
     } else {
-      lines.push(`⚠️ **JSON Parse Error**: ${result.json_result.parse_error}`);
+      lines.push('✅ **JSON Valid**');
+    }
+    if (jsonResult.repaired) {
+      lines.push('🔧 *Repaired after failing schema validation*');
     }
   }
 
@@ -1060,7 +1444,7 @@ function formatResponse(
     lines.push(warnings.join('\n'));
   }
 
-  return {
+  const formatted: QueryToolResult = {
     content: [
       {
         type: 'text',
@@ -1068,8 +1452,29 @@ function formatResponse(
       },
     ],
   };
+
+  // Schema-valid objects are also returned as MCP structured content
+  const parsed = result.json_result?.parsed;
+  if (
+    result.json_result?.schema_valid &&
+    parsed !== null &&
+    typeof parsed === 'object' &&
+    !Array.isArray(parsed)
+  ) {
+    formatted.structuredContent = parsed as Record<string, unknown>;
+  }
+
+  return formatted;
 }
 
+/**
+ * grok_query is admitted ahead of background and batch work in the rate limit queue
+ */
+export const grokQueryRateLimitClass: RateLimitClass = {
+  tool: 'grok_query',
+  priority: 'interactive',
+};
+
 /**
  * MCP tool handler for grok_query
  *
@@ -1079,14 +1484,20 @@ function formatResponse(
  * @param client - XAI client instance
  * @param args - Raw arguments from MCP tool call
  * @param services - Optional services for caching, cost tracking, and rate limiting
+ * @param signal - Cancels the query (including rate limit waits) when aborted
+ * @param onProgress - Reports streaming progress to the client
  * @returns MCP-formatted tool response
  */
 export async function handleGrokQuery(
   client: XAIClient,
   args: unknown,
-  services?: Services
-): Promise<{ content: Array<{ type: string; text: string }> }> {
+  services?: Services,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
+): Promise<QueryToolResult> {
   try {
+    const call = startToolCall('grok_query', args);
+
     // Validate input (throws Tool Execution Error on failure)
     const input = validateGrokQueryInput(args);
     const originalModelInput = input.model || 'auto';
@@ -1101,7 +1512,7 @@ export async function handleGrokQuery(
     const resolvedModel = client.resolveModel(originalModelInput, input.query, input.context);
 
     // Check for JSON mode (needed for streaming decision)
-    const isJsonMode = input.response_format?.type === 'json_object';
+    const isJsonMode = input.response_format !== undefined;
 
     // Determine streaming mode with smart auto-detection (P4-014)
     const streamingDecision = shouldAutoStream(
@@ -1119,32 +1530,56 @@ export async function handleGrokQuery(
       console.error(`[grok_query] Auto-streaming: ${streamingDecision.explanation}`);
     }
 
-    // 1. CHECK CACHE (before any API call) - skip for streaming
-    let cacheKey: string | undefined;
-    let cacheExpiresIn: number | undefined;
-    if (!streamingMode && services?.cache.isEnabled()) {
-      // Include JSON mode in cache key to prevent mixing JSON/non-JSON responses (P4-016)
-      const baseKey = services.cache.generateKey(input.query, resolvedModel, input.context);
-      cacheKey = isJsonMode ? `${baseKey}:json` : baseKey;
-      const cached = services.cache.get(cacheKey);
-      if (cached) {
-        console.error('[grok_query] Cache hit - returning cached response');
+    // Load conversation history (token-budgeted against the model's context window).
+    // New conversations are only created once the first turn succeeds.
+    let history: ConversationHistory | undefined;
+    if (input.conversation_id) {
+      if (!services?.conversations) {
+        throw new Error('Conversation store not available');
+      }
+      if (input.conversation_id === 'new') {
+        history = { messages: [], estimatedTokens: 0, turnsReplayed: 0, turnsTrimmed: 0 };
+      } else {
+        const reservedTokens =
+          (input.max_tokens || 4096) +
+          estimateTextTokens(input.query) +
+          estimateTextTokens(input.context || '') +
+          (input.response_format
+            ? estimateTextTokens(buildJsonModePrompt(input.response_format))
+            : 0);
+        history = services.conversations.getHistory(
+          input.conversation_id,
+          getContextWindow(resolvedModel) - reservedTokens
+        );
+      }
+    }
 
-        // Calculate cache TTL remaining
-        const expiresAt = services.cache.getExpiresAt(cacheKey);
-        if (expiresAt) {
-          cacheExpiresIn = Math.max(
-            0,
-            Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000)
+    // 1. CHECK CACHE (before any API call) - skip for streaming and conversations
+    // The key covers the full request: messages, image digests, sampling params
+    // and response format. 'refresh' skips the lookup but still stores the result.
+    let cacheLookup: ToolCacheLookup<GrokQueryResponse> = { hit: null };
+    if (!streamingMode && !history) {
+      cacheLookup = lookupToolCache<GrokQueryResponse>(
+        services,
+        'grok_query',
+        buildQueryCacheRequest(input, resolveQueryModel(client, input)),
+        input.cache
+      );
+      if (cacheLookup.hit) {
+        if (services?.costTracker) {
+          services.costTracker.recordCacheHit(
+            cacheLookup.hit.model,
+            getCostAttribution(call, true)
           );
         }
+        console.error('[grok_query] Cache hit - returning cached response');
 
         return formatResponse(
-          { ...cached, cached: true },
+          { ...cacheLookup.hit, cached: true },
           {
             autoSelection,
             originalModelInput,
-            cacheInfo: { isCached: true, expiresIn: cacheExpiresIn },
+            cacheInfo: { isCached: true, expiresIn: cacheLookup.expiresIn },
             isVisionQuery: !!input.image_url,
             streamingDecision, // P4-014: include for transparency (will be 'simple' or 'json_mode')
           }
@@ -1153,7 +1588,9 @@ export async function handleGrokQuery(
     }
 
     // Estimate tokens for budget and rate limiting
-    const estimatedInputTokens = Math.ceil((input.query.length + (input.context?.length || 0)) / 4);
+    const estimatedInputTokens =
+      Math.ceil((input.query.length + (input.context?.length || 0)) / 4) +
+      (history?.estimatedTokens || 0);
     const estimatedOutputTokens = input.max_tokens || 4096;
 
     // 2. CHECK BUDGET (estimate cost before call)
@@ -1167,40 +1604,81 @@ export async function handleGrokQuery(
     }
 
     // 3. ACQUIRE RATE LIMIT
+    let reserved = false;
     if (services?.rateLimiter) {
-      await services.rateLimiter.acquire(estimatedInputTokens);
+      await services.rateLimiter.acquire(estimatedInputTokens, signal, grokQueryRateLimitClass);
+      reserved = true;
     }
 
     try {
       // 4. EXECUTE QUERY (streaming or non-streaming)
       let result: GrokQueryResponse | StreamingGrokQueryResponse;
       let streamingInfo: FormatOptions['streamingInfo'];
+      let cancelled = false;
 
+      const historyMessages = history?.messages || [];
       if (streamingMode) {
-        const streamResult = await executeGrokQueryStreaming(client, input);
+        const streamResult = await executeGrokQueryStreaming(
+          client,
+          input,
+          historyMessages,
+          signal,
+          onProgress
+        );
         result = streamResult;
+        cancelled = streamResult.cancelled === true;
         streamingInfo = {
           partial: streamResult.partial,
           chunksReceived: streamResult.chunks_received,
         };
       } else {
-        result = await executeGrokQuery(client, input);
+        result = await executeGrokQuery(client, input, historyMessages, signal);
       }
 
-      // 5. RECORD ACTUAL USAGE
-      if (services?.rateLimiter) {
-        services.rateLimiter.recordUsage(result.usage.total_tokens, estimatedInputTokens);
+      // 5. RECORD ACTUAL USAGE (cancelled streams release their reservation instead)
+      if (services?.rateLimiter && !cancelled) {
+        services.rateLimiter.recordUsage(
+          result.usage.total_tokens,
+          estimatedInputTokens,
+          grokQueryRateLimitClass
+        );
+        reserved = false;
         services.rateLimiter.clearBackoff();
       }
 
-      // 6. TRACK COST
+      // 6. TRACK COST (including the partial cost of a cancelled stream)
       if (services?.costTracker) {
-        services.costTracker.addFromEstimate(result.cost);
+        services.costTracker.addFromEstimate(result.cost, getCostAttribution(call));
+      }
+      if (cancelled) {
+        throw new RequestCancelledError();
       }
 
-      // 7. CACHE RESPONSE (skip for streaming - partial responses shouldn't be cached)
-      if (!streamingMode && services?.cache.isEnabled() && cacheKey) {
-        services.cache.set(cacheKey, result);
+      // 7. CACHE RESPONSE (skip for streaming - partial responses shouldn't be cached -
+      // and for fallback answers, which are not what the requested model would say)
+      if (!streamingMode && !result.fallback_attempts) {
+        storeToolCache(services, cacheLookup, result, getTtlClassForTemperature(input.temperature));
+      }
+
+      // Record the turn and its cost on the conversation
+      let conversationInfo: FormatOptions['conversationInfo'];
+      if (input.conversation_id && history && services?.conversations) {
+        const conversationId =
+          input.conversation_id === 'new'
+            ? services.conversations.create().id
+            : input.conversation_id;
+        const conversation = services.conversations.appendTurn(
+          conversationId,
+          input.query,
+          result.response,
+          result.cost
+        );
+        conversationInfo = {
+          id: conversationId,
+          turn: conversation.turns.length,
+          history,
+          totalCostUsd: conversation.totalCostUsd,
+        };
       }
 
       // 8. GATHER UX INFO FOR RESPONSE
@@ -1227,11 +1705,12 @@ export async function handleGrokQuery(
         streamingInfo,
         isVisionQuery: !!input.image_url,
         streamingDecision, // P4-014: smart streaming decision info
+        conversationInfo,
       });
     } catch (error) {
-      // Release rate limiter slot on failure
-      if (services?.rateLimiter) {
-        services.rateLimiter.release(estimatedInputTokens);
+      // Release rate limiter slot on failure (recordUsage already freed it)
+      if (services?.rateLimiter && reserved) {
+        services.rateLimiter.release(estimatedInputTokens, grokQueryRateLimitClass);
       }
       throw error;
     }
@@ -2,10 +2,28 @@
  * grok_reason Tool Tests
  */
 
-import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
 import { server } from '../test/mocks/server.js';
 import { XAIClient } from '../client/xai-client.js';
-import { executeReason, handleReason, reasonSchema, ReasonInput } from './reason.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import type { ChatCompletionStreamChunk, Services } from '../types/index.js';
+import {
+  executeReason,
+  handleReason,
+  parseReasoningResponse,
+  reasonSchema,
+  ReasonInput,
+} from './reason.js';
+
+function createServices(): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
 
 describe('grok_reason tool', () => {
   let client: XAIClient;
@@ -17,6 +35,7 @@ describe('grok_reason tool', () => {
 
   afterEach(() => {
     server.resetHandlers();
+    vi.restoreAllMocks();
   });
 
   afterAll(() => {
@@ -48,6 +67,25 @@ describe('grok_reason tool', () => {
     });
   });
 
+  describe('parseReasoningResponse', () => {
+    it('should read thinking and answer tags', () => {
+      expect(
+        parseReasoningResponse('<thinking>\n2 + 2\n</thinking>\n<answer>\n4\n</answer>')
+      ).toEqual({ thinking: '2 + 2', answer: '4' });
+    });
+
+    it('should fall back to a final answer section', () => {
+      expect(parseReasoningResponse('Add them up.\nFinal Answer: 4')).toEqual({
+        thinking: 'Add them up.',
+        answer: '4',
+      });
+    });
+
+    it('should use the whole response when it has no structure', () => {
+      expect(parseReasoningResponse('4')).toEqual({ thinking: '', answer: '4' });
+    });
+  });
+
   describe('executeReason', () => {
     it('should execute a reasoning query', async () => {
       const input: ReasonInput = {
@@ -173,6 +211,80 @@ describe('grok_reason tool', () => {
     });
   });
 
+  describe('progress', () => {
+    const usage = { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 };
+    const answer = 'The sky is blue because of Rayleigh scattering.';
+
+    function mockChatCompletion(): void {
+      vi.spyOn(client, 'chatCompletion').mockResolvedValue({
+        id: 'resp-1',
+        object: 'chat.completion',
+        created: 1,
+        model: 'grok-4-1-fast-reasoning',
+        choices: [
+          { index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' },
+        ],
+        usage,
+      });
+    }
+
+    function mockStream(): void {
+      vi.spyOn(client, 'chatCompletionStream').mockImplementation(
+        async function* (): AsyncGenerator<ChatCompletionStreamChunk> {
+          const parts = [answer.slice(0, 10), answer.slice(10)];
+          for (const [i, part] of parts.entries()) {
+            const last = i === parts.length - 1;
+            yield {
+              id: 'resp-1',
+              object: 'chat.completion.chunk',
+              created: 1,
+              model: 'grok-4-1-fast-reasoning',
+              choices: [
+                { index: 0, delta: { content: part }, finish_reason: last ? 'stop' : null },
+              ],
+              usage: last ? usage : undefined,
+            };
+          }
+        }
+      );
+    }
+
+    it('should stream and report progress when a reporter is given', async () => {
+      mockStream();
+      const chatSpy = vi.spyOn(client, 'chatCompletion');
+      const onProgress = vi.fn();
+
+      await executeReason(client, { query: 'Why is the sky blue?' }, undefined, onProgress);
+
+      expect(chatSpy).not.toHaveBeenCalled();
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress.mock.calls[1][0]).toMatchObject({ chunks: 2 });
+    });
+
+    it('should return the same result as a non-streamed call', async () => {
+      mockChatCompletion();
+      const plain = await executeReason(client, { query: 'Why is the sky blue?' });
+      mockStream();
+      const streamed = await executeReason(
+        client,
+        { query: 'Why is the sky blue?' },
+        undefined,
+        vi.fn()
+      );
+
+      expect({ ...streamed, response_time_ms: 0 }).toEqual({ ...plain, response_time_ms: 0 });
+    });
+
+    it('should not stream without a reporter', async () => {
+      mockChatCompletion();
+      const streamSpy = vi.spyOn(client, 'chatCompletionStream');
+
+      await handleReason(client, { query: 'Why is the sky blue?' }, createServices());
+
+      expect(streamSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleReason', () => {
     it('should return formatted MCP response on success', async () => {
       const input = {
@@ -278,5 +390,35 @@ describe('grok_reason tool', () => {
       const resultWithoutThinking = await handleReason(client, inputWithoutThinking);
       expect(resultWithoutThinking.isError).toBe(false);
     });
+
+    describe('caching', () => {
+      it('should serve a repeated query from the cache', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+        const input = { query: 'Why is the sky blue?', effort: 'low' };
+
+        await handleReason(client, input, services);
+        const second = await handleReason(client, input, services);
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect((second.content[0] as { text: string }).text).toContain('📦 **CACHED**');
+        expect(services.cache.getStats().byTool.grok_reason.hits).toBe(1);
+      });
+
+      it('should not share entries across effort levels or show_thinking', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        await handleReason(client, { query: 'Same question', effort: 'low' }, services);
+        await handleReason(client, { query: 'Same question', effort: 'high' }, services);
+        await handleReason(
+          client,
+          { query: 'Same question', effort: 'low', show_thinking: false },
+          services
+        );
+
+        expect(chatSpy).toHaveBeenCalledTimes(3);
+      });
+    });
   });
 });
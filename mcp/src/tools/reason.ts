@@ -11,6 +11,14 @@ import { CallToolResult, TextContent } from '@modelcontextprotocol/sdk/types.js'
 import { XAIClient } from '../client/xai-client.js';
 import { TokenUsage, CostEstimate, ChatMessage, Services } from '../types/index.js';
 import { CostTracker } from '../services/cost-tracker.js';
+import { formatCacheBadge, lookupToolCache, storeToolCache } from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import { streamChatCompletion, type ProgressReporter } from '../services/progress.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
 
 /**
  * Reasoning effort levels
@@ -84,6 +92,7 @@ export const reasonSchema = {
       type: 'string',
       description: 'Additional context or background information relevant to the problem',
     },
+    tag: tagSchemaProperty,
   },
   required: ['query'],
   additionalProperties: false,
@@ -159,8 +168,12 @@ Format:
 
 /**
  * Parse thinking and answer from response
+ *
+ * Reads `<thinking>`/`<answer>` tags, falling back to a trailing
+ * "Final Answer:" / "In conclusion" style section, then to the whole
+ * response as the answer.
  */
-function parseReasoningResponse(response: string): { thinking: string; answer: string } {
+export function parseReasoningResponse(response: string): { thinking: string; answer: string } {
   // Try to extract structured thinking and answer
   const thinkingMatch = response.match(/<thinking>([\s\S]*?)<\/thinking>/i);
   const answerMatch = response.match(/<answer>([\s\S]*?)<\/answer>/i);
@@ -198,32 +211,16 @@ function parseReasoningResponse(response: string): { thinking: string; answer: s
 }
 
 /**
- * Execute reasoning query
+ * Build the messages for a reasoning request
+ *
+ * @param input - Reasoning input
+ * @param systemPrompt - System prompt for the effort level
  */
-export async function executeReason(
-  client: XAIClient,
-  input: ReasonInput
-): Promise<ReasonResponse> {
-  const startTime = Date.now();
-
-  // Validate input
-  if (!input.query || input.query.trim().length === 0) {
-    throw new Error('Query is required for reasoning');
-  }
-
-  // Apply defaults
-  const effort = input.effort || 'medium';
-  const showThinking = input.show_thinking !== false; // Default true
-  const model = input.model || 'grok-4-1-fast-reasoning';
-
-  // Get effort configuration
-  const config = EFFORT_CONFIG[effort];
-
-  // Build messages
+function buildReasonMessages(input: ReasonInput, systemPrompt: string): ChatMessage[] {
   const messages: ChatMessage[] = [
     {
       role: 'system',
-      content: config.systemPrompt,
+      content: systemPrompt,
     },
   ];
 
@@ -245,13 +242,44 @@ export async function executeReason(
     content: input.query,
   });
 
-  // Make the API call
-  const apiResponse = await client.chatCompletion({
+  return messages;
+}
+
+/**
+ * Execute reasoning query
+ */
+export async function executeReason(
+  client: XAIClient,
+  input: ReasonInput,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
+): Promise<ReasonResponse> {
+  const startTime = Date.now();
+
+  // Validate input
+  if (!input.query || input.query.trim().length === 0) {
+    throw new Error('Query is required for reasoning');
+  }
+
+  // Apply defaults
+  const effort = input.effort || 'medium';
+  const showThinking = input.show_thinking !== false; // Default true
+  const model = input.model || 'grok-4-1-fast-reasoning';
+
+  // Get effort configuration
+  const config = EFFORT_CONFIG[effort];
+
+  // Make the API call (streamed when the client asked for progress)
+  const params = {
     model,
-    messages,
+    messages: buildReasonMessages(input, config.systemPrompt),
     temperature: config.temperature,
     max_tokens: config.maxTokens,
-  });
+    signal,
+  };
+  const apiResponse = onProgress
+    ? await streamChatCompletion(client, params, onProgress)
+    : await client.chatCompletion(params);
 
   const responseTime = Date.now() - startTime;
   // API response content is always a string
@@ -285,8 +313,11 @@ export async function executeReason(
 
 /**
  * Format reasoning result for MCP response
+ *
+ * @param result - Reasoning result
+ * @param cacheInfo - Present when the result came from the cache
  */
-function formatReasonOutput(result: ReasonResponse): string {
+function formatReasonOutput(result: ReasonResponse, cacheInfo?: { expiresIn?: number }): string {
   const lines: string[] = [];
 
   // Header
@@ -319,24 +350,41 @@ function formatReasonOutput(result: ReasonResponse): string {
   lines.push(
     `⚡ *${result.model} • ${result.usage.total_tokens} tokens • $${result.cost.estimated_usd.toFixed(4)} • ${result.response_time_ms}ms*`
   );
+  if (cacheInfo) {
+    lines.push(formatCacheBadge(cacheInfo.expiresIn));
+  }
 
   return lines.join('\n');
 }
 
+/**
+ * Rate limit queue class for grok_reason
+ */
+export const reasonRateLimitClass: RateLimitClass = {
+  tool: 'grok_reason',
+  priority: 'interactive',
+};
+
 /**
  * Handle grok_reason tool call
  *
  * @param client - XAI client instance
  * @param input - Tool input parameters
  * @param services - Optional services for cost tracking and rate limiting
+ * @param signal - Cancels the request (including rate limit waits) when aborted
+ * @param onProgress - Reports streaming progress to the client
  * @returns MCP CallToolResult
  */
 export async function handleReason(
   client: XAIClient,
   input: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
 ): Promise<CallToolResult> {
   try {
+    const call = startToolCall('grok_reason', input);
+
     // Validate input
     if (!input || typeof input !== 'object') {
       throw new Error('Invalid input: expected object with query property');
@@ -360,6 +408,29 @@ export async function handleReason(
     const effort = reasonInput.effort || 'medium';
     const config = EFFORT_CONFIG[effort];
 
+    // CHECK CACHE
+    const cacheLookup = lookupToolCache<ReasonResponse>(services, 'grok_reason', {
+      model: resolvedModel,
+      messages: buildReasonMessages(reasonInput, config.systemPrompt),
+      temperature: config.temperature,
+      max_tokens: config.maxTokens,
+      extra: { show_thinking: reasonInput.show_thinking !== false },
+    });
+    if (cacheLookup.hit) {
+      if (services?.costTracker) {
+        services.costTracker.recordCacheHit(cacheLookup.hit.model, getCostAttribution(call, true));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatReasonOutput(cacheLookup.hit, { expiresIn: cacheLookup.expiresIn }),
+          },
+        ],
+        isError: false,
+      };
+    }
+
     // Estimate tokens for budget and rate limiting
     const estimatedInputTokens = Math.ceil(
       (reasonInput.query.length + (reasonInput.context?.length || 0)) / 4
@@ -378,23 +449,30 @@ export async function handleReason(
 
     // ACQUIRE RATE LIMIT
     if (services?.rateLimiter) {
-      await services.rateLimiter.acquire(estimatedInputTokens);
+      await services.rateLimiter.acquire(estimatedInputTokens, signal, reasonRateLimitClass);
     }
 
     try {
-      const result = await executeReason(client, reasonInput);
+      const result = await executeReason(client, reasonInput, signal, onProgress);
 
       // RECORD ACTUAL USAGE
       if (services?.rateLimiter) {
-        services.rateLimiter.recordUsage(result.usage.total_tokens, estimatedInputTokens);
+        services.rateLimiter.recordUsage(
+          result.usage.total_tokens,
+          estimatedInputTokens,
+          reasonRateLimitClass
+        );
         services.rateLimiter.clearBackoff();
       }
 
       // TRACK COST
       if (services?.costTracker) {
-        services.costTracker.addFromEstimate(result.cost);
+        services.costTracker.addFromEstimate(result.cost, getCostAttribution(call));
       }
 
+      // CACHE RESULT
+      storeToolCache(services, cacheLookup, result);
+
       const content: TextContent = {
         type: 'text',
         text: formatReasonOutput(result),
@@ -407,7 +485,7 @@ export async function handleReason(
     } catch (error) {
       // Release rate limiter slot on failure
       if (services?.rateLimiter) {
-        services.rateLimiter.release(estimatedInputTokens);
+        services.rateLimiter.release(estimatedInputTokens, reasonRateLimitClass);
       }
       throw error;
     }
@@ -0,0 +1,429 @@
+/**
+ * grok_review_diff Tool Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/mocks/server.js';
+import { errorHandlers } from '../test/mocks/handlers.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import type { Services } from '../types/index.js';
+import type { SarifLog } from '../services/sarif.js';
+import {
+  buildDiffReviewPrompt,
+  executeReviewDiff,
+  formatReviewDiffOutput,
+  handleReviewDiff,
+  mapIssueToDiff,
+  reviewDiffRateLimitClass,
+  reviewDiffSchema,
+  validateReviewDiffInput,
+  type ReviewDiffResponse,
+} from './review-diff.js';
+
+const CHAT_URL = 'https://api.x.ai/v1/chat/completions';
+
+const DIFF = `diff --git a/src/user.ts b/src/user.ts
+--- a/src/user.ts
++++ b/src/user.ts
+@@ -20,4 +20,5 @@ export function findUser(id: string) {
+   const query = 'SELECT * FROM users WHERE id = ?';
+-  return db.get(query, [id]);
++  const sql = 'SELECT * FROM users WHERE id = ' + id;
++  return db.get(sql);
+ }
+diff --git a/src/legacy.ts b/src/util.ts
+similarity index 90%
+rename from src/legacy.ts
+rename to src/util.ts
+--- a/src/legacy.ts
++++ b/src/util.ts
+@@ -3,2 +3,2 @@
+-export const retries = 3;
++export const retries = 5;
+ export const delay = 100;
+`;
+
+// Numbered lines of DIFF:
+// [1] context user.ts:20  [2] removed user.ts:21 (old)  [3] added user.ts:21
+// [4] added user.ts:22    [5] context user.ts:23
+// [6] removed legacy.ts:3 (old)  [7] added util.ts:3  [8] context util.ts:4
+
+function createServices(): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
+/**
+ * Reply with the given review JSON and capture the prompt sent
+ */
+function useReview(review: object): { prompt?: string } {
+  const seen: { prompt?: string } = {};
+  server.use(
+    http.post(CHAT_URL, async ({ request }) => {
+      const body = (await request.json()) as {
+        model: string;
+        messages: Array<{ role: string; content: string }>;
+      };
+      seen.prompt = body.messages[1].content;
+      return HttpResponse.json({
+        id: 'chatcmpl-review',
+        object: 'chat.completion',
+        created: 1704067200,
+        model: body.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content: JSON.stringify(review) },
+            finish_reason: 'stop',
+          },
+        ],
+        usage: { prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 },
+      });
+    })
+  );
+  return seen;
+}
+
+const REVIEW = {
+  issues: [
+    {
+      type: 'security',
+      severity: 'critical',
+      line: 3,
+      message: 'SQL injection: id is concatenated into the query',
+      suggestion: 'Keep the parameterized query',
+    },
+    { type: 'style', severity: 'low', line: 8, message: 'Magic number' },
+    { type: 'bug', severity: 'medium', message: 'No tests for the change' },
+  ],
+  summary: 'The change introduces an injection.',
+};
+
+describe('grok_review_diff tool', () => {
+  let client: XAIClient;
+
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+    client = new XAIClient({ apiKey: 'xai-test-key-1234567890' });
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  describe('reviewDiffSchema', () => {
+    it('should require a diff', () => {
+      expect(reviewDiffSchema.required).toEqual(['diff']);
+    });
+  });
+
+  describe('validateReviewDiffInput', () => {
+    it('should apply defaults', () => {
+      expect(validateReviewDiffInput({ diff: DIFF })).toEqual({
+        diff: DIFF,
+        analysis_type: 'all',
+        model: 'grok-code-fast-1',
+        context: undefined,
+        timeout: 60000,
+        output_format: 'markdown',
+      });
+    });
+
+    it('should reject a missing diff or unknown analysis type', () => {
+      expect(() => validateReviewDiffInput({ diff: ' ' })).toThrow('diff parameter');
+      expect(() => validateReviewDiffInput({ diff: DIFF, analysis_type: 'naming' })).toThrow(
+        'analysis_type must be one of'
+      );
+    });
+  });
+
+  describe('buildDiffReviewPrompt', () => {
+    it('should number every hunk line and keep file and hunk headers', () => {
+      const prompt = buildDiffReviewPrompt(DIFF);
+
+      expect(prompt.refs).toHaveLength(8);
+      expect(prompt.text).toContain('File: src/user.ts (modified)');
+      expect(prompt.text).toContain('File: src/util.ts (renamed from src/legacy.ts)');
+      expect(prompt.text).toContain('@@ -20,4 +20,5 @@ export function findUser(id: string) {');
+      expect(prompt.text).toContain("[3] +   const sql = 'SELECT * FROM users WHERE id = ' + id;");
+      expect(prompt.text).toContain('[8]   export const delay = 100;');
+    });
+
+    it('should locate each number in the real files', () => {
+      const { refs } = buildDiffReviewPrompt(DIFF);
+
+      expect(refs[1]).toEqual({ file: 'src/user.ts', line: 21, side: 'old', changed: true });
+      expect(refs[3]).toEqual({ file: 'src/user.ts', line: 22, side: 'new', changed: true });
+      expect(refs[4]).toEqual({ file: 'src/user.ts', line: 23, side: 'new', changed: false });
+      expect(refs[5]).toEqual({ file: 'src/legacy.ts', line: 3, side: 'old', changed: true });
+      expect(refs[6]).toEqual({ file: 'src/util.ts', line: 3, side: 'new', changed: true });
+    });
+
+    it('should reject text without hunks', () => {
+      expect(() => buildDiffReviewPrompt('please review my code')).toThrow('no hunks');
+    });
+
+    it('should reject a diff too large for one review', () => {
+      const body = Array.from({ length: 5000 }, (_, i) => `+const value${i} = ${'x'.repeat(40)};`);
+      const diff = `--- a/big.ts\n+++ b/big.ts\n@@ -0,0 +1,5000 @@\n${body.join('\n')}`;
+
+      expect(() => buildDiffReviewPrompt(diff)).toThrow('too large');
+    });
+  });
+
+  describe('mapIssueToDiff', () => {
+    const { refs } = buildDiffReviewPrompt(DIFF);
+
+    it('should map the cited number to the file and line', () => {
+      expect(
+        mapIssueToDiff({ type: 'bug', severity: 'high', line: 4, message: 'm' }, refs)
+      ).toMatchObject({ file: 'src/user.ts', line: 22, side: 'new', outsideChangedLines: false });
+    });
+
+    it('should flag issues on unchanged lines', () => {
+      expect(
+        mapIssueToDiff({ type: 'style', severity: 'low', line: 5, message: 'm' }, refs)
+      ).toMatchObject({ file: 'src/user.ts', line: 23, outsideChangedLines: true });
+    });
+
+    it('should count a range as changed if any line in it was', () => {
+      expect(
+        mapIssueToDiff({ type: 'bug', severity: 'high', line: 1, endLine: 3, message: 'm' }, refs)
+      ).toMatchObject({ file: 'src/user.ts', line: 20, endLine: 21, outsideChangedLines: false });
+    });
+
+    it('should not extend a range into another file', () => {
+      const finding = mapIssueToDiff(
+        { type: 'bug', severity: 'high', line: 5, endLine: 7, message: 'm' },
+        refs
+      );
+
+      expect(finding.endLine).toBeUndefined();
+      expect(finding.outsideChangedLines).toBe(true);
+    });
+
+    it.each([undefined, 0, 99, 2.5])('should flag an issue citing line %s', (line) => {
+      const finding = mapIssueToDiff({ type: 'bug', severity: 'high', line, message: 'm' }, refs);
+
+      expect(finding.file).toBeUndefined();
+      expect(finding.line).toBeUndefined();
+      expect(finding.outsideChangedLines).toBe(true);
+    });
+  });
+
+  describe('executeReviewDiff', () => {
+    it('should send the numbered diff and map the findings back', async () => {
+      const seen = useReview(REVIEW);
+      const input = validateReviewDiffInput({ diff: DIFF, context: 'Refactor lookups' });
+
+      const result = await executeReviewDiff(client, input, buildDiffReviewPrompt(DIFF));
+
+      expect(seen.prompt).toContain('[7] + export const retries = 5;');
+      expect(seen.prompt).toContain('Additional context: Refactor lookups');
+      expect(result.findings[0]).toMatchObject({
+        type: 'security',
+        file: 'src/user.ts',
+        line: 21,
+        outsideChangedLines: false,
+      });
+      expect(result.findings[1]).toMatchObject({ file: 'src/util.ts', line: 4 });
+      expect(result.findings[1].outsideChangedLines).toBe(true);
+      expect(result.findings[2].outsideChangedLines).toBe(true);
+      expect(result.files).toEqual([
+        { path: 'src/user.ts', status: 'modified', binary: false, additions: 2, deletions: 1 },
+        { path: 'src/util.ts', status: 'renamed', binary: false, additions: 1, deletions: 1 },
+      ]);
+      expect(result.summary).toBe('The change introduces an injection.');
+    });
+  });
+
+  describe('formatReviewDiffOutput', () => {
+    const result: ReviewDiffResponse = {
+      findings: [
+        {
+          type: 'security',
+          severity: 'critical',
+          file: 'src/user.ts',
+          side: 'new',
+          line: 21,
+          message: 'SQL injection',
+          suggestion: 'Use a parameter',
+          outsideChangedLines: false,
+        },
+        {
+          type: 'bug',
+          severity: 'medium',
+          file: 'src/legacy.ts',
+          side: 'old',
+          line: 3,
+          message: 'Removed export is still imported',
+          outsideChangedLines: false,
+        },
+        {
+          type: 'style',
+          severity: 'low',
+          file: 'src/util.ts',
+          side: 'new',
+          line: 4,
+          message: 'Magic number',
+          outsideChangedLines: true,
+        },
+      ],
+      summary: 'Risky change.',
+      files: [
+        { path: 'src/user.ts', status: 'modified', binary: false, additions: 2, deletions: 1 },
+        { path: 'src/util.ts', status: 'renamed', binary: false, additions: 1, deletions: 1 },
+        { path: 'logo.png', status: 'modified', binary: true, additions: 0, deletions: 0 },
+      ],
+      analysisType: 'all',
+      model: 'grok-code-fast-1',
+      usage: { prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 },
+      cost: {
+        estimated_usd: 0.0002,
+        input_tokens: 400,
+        output_tokens: 100,
+        model: 'grok-code-fast-1',
+        pricing: { input_per_1m: 0.2, output_per_1m: 1.5 },
+      },
+      response_time_ms: 900,
+    };
+
+    it('should group findings on changed lines by file', () => {
+      const output = formatReviewDiffOutput(result);
+
+      expect(output).toContain('**Files:** 3 | **Changes:** +3 -2');
+      expect(output).toContain('### Findings (2)');
+      expect(output).toContain('#### src/user.ts\n\n- 🔴 **security** (line 21): SQL injection');
+      expect(output).toContain('  - *Suggestion:* Use a parameter');
+      expect(output).toContain('(line 3, removed): Removed export is still imported');
+    });
+
+    it('should list findings outside the changed lines separately', () => {
+      const output = formatReviewDiffOutput(result);
+
+      expect(output).toContain('### Outside Changed Lines (1)');
+      expect(output).toContain('- 🔵 **style** (src/util.ts:4): Magic number');
+      expect(output).toContain('*Binary files not reviewed: logo.png*');
+    });
+
+    it('should say when the changed lines have no issues', () => {
+      const output = formatReviewDiffOutput({ ...result, findings: [] });
+
+      expect(output).toContain('### No Issues in Changed Lines');
+      expect(output).not.toContain('Outside Changed Lines');
+    });
+  });
+
+  describe('handleReviewDiff', () => {
+    it('should return the review', async () => {
+      useReview(REVIEW);
+
+      const result = await handleReviewDiff(client, { diff: DIFF });
+
+      expect(result.isError).toBe(false);
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain('🤖 **Grok Diff Review:**');
+      expect(text).toContain('(line 21): SQL injection');
+    });
+
+    it('should track cost and rate limits, then serve repeats from the cache', async () => {
+      useReview(REVIEW);
+      const services = createServices();
+      const acquireSpy = vi.spyOn(services.rateLimiter, 'acquire');
+
+      await handleReviewDiff(client, { diff: DIFF }, services);
+      const repeat = await handleReviewDiff(client, { diff: DIFF }, services);
+
+      expect(acquireSpy).toHaveBeenCalledTimes(1);
+      expect(acquireSpy).toHaveBeenCalledWith(
+        expect.any(Number),
+        undefined,
+        reviewDiffRateLimitClass
+      );
+      expect(services.costTracker.getUsageSummary().byTool.grok_review_diff.queries).toBe(1);
+      expect((repeat.content[0] as { text: string }).text).toContain('CACHED');
+    });
+
+    it('should release the rate limit slot when the API call fails', async () => {
+      server.use(errorHandlers.unauthorized);
+      const services = createServices();
+
+      const result = await handleReviewDiff(client, { diff: DIFF }, services);
+
+      expect(result.isError).toBe(true);
+      expect(services.rateLimiter.getInFlightCount('grok_review_diff')).toBe(0);
+    });
+
+    it('should return a SARIF log with each finding at its file and line', async () => {
+      useReview(REVIEW);
+
+      const result = await handleReviewDiff(client, { diff: DIFF, output_format: 'sarif' });
+
+      const log = JSON.parse((result.content[0] as { text: string }).text) as SarifLog;
+      const results = log.runs[0].results;
+      expect(results).toHaveLength(3);
+      expect(results[0].locations?.[0].physicalLocation).toEqual({
+        artifactLocation: { uri: 'src/user.ts' },
+        region: { startLine: 21 },
+      });
+      expect(results[0].properties).toEqual({
+        severity: 'critical',
+        outsideChangedLines: false,
+        diffSide: 'new',
+      });
+      expect(results[1].properties.outsideChangedLines).toBe(true);
+      expect(results[2].locations).toBeUndefined();
+    });
+
+    it('should leave the location off findings on removed lines', async () => {
+      useReview({
+        issues: [{ type: 'bug', severity: 'high', line: 6, message: 'Retries lowered' }],
+        summary: 'One finding on a removed line.',
+      });
+
+      const result = await handleReviewDiff(client, { diff: DIFF, output_format: 'sarif' });
+
+      const [sarifResult] = (JSON.parse((result.content[0] as { text: string }).text) as SarifLog)
+        .runs[0].results;
+      expect(sarifResult.locations).toBeUndefined();
+      expect(sarifResult.properties).toEqual({
+        severity: 'high',
+        outsideChangedLines: false,
+        diffSide: 'old',
+        oldFile: 'src/legacy.ts',
+        oldLine: 3,
+      });
+    });
+
+    it('should return the review as JSON', async () => {
+      useReview(REVIEW);
+
+      const result = await handleReviewDiff(client, { diff: DIFF, output_format: 'json' });
+
+      const parsed = JSON.parse((result.content[0] as { text: string }).text);
+      expect(parsed.findings[0]).toMatchObject({ file: 'src/user.ts', line: 21 });
+      expect(parsed.files).toHaveLength(2);
+    });
+
+    it('should return an error for text that is not a diff', async () => {
+      const result = await handleReviewDiff(client, { diff: 'no diff here' });
+
+      expect(result.isError).toBe(true);
+      expect((result.content[0] as { text: string }).text).toContain(
+        'Error reviewing diff: diff contains no hunks'
+      );
+    });
+  });
+});
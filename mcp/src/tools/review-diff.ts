@@ -0,0 +1,698 @@
+/**
+ * grok_review_diff Tool
+ *
+ * Reviews a unified diff instead of a whole file. The diff is parsed into
+ * files and hunks and every hunk line is numbered in the prompt, so the line
+ * each finding cites maps back to a real file and line. Findings on lines
+ * the diff did not change are flagged, so reviewers can filter them out.
+ *
+ * @module tools/review-diff
+ */
+
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { XAIClient } from '../client/xai-client.js';
+import { ChatMessage, CostEstimate, Services, TokenUsage, XAIError } from '../types/index.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { formatCacheBadge, lookupToolCache, storeToolCache } from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
+import { parseUnifiedDiff, type DiffFile, type DiffFileStatus } from '../services/unified-diff.js';
+import { buildSarifLog, type SarifLog } from '../services/sarif.js';
+import {
+  ANALYSIS_INSTRUCTIONS,
+  ANALYSIS_OUTPUT_FORMATS,
+  parseAnalysisResponse,
+  type AnalysisOutputFormat,
+  type AnalysisType,
+  type CodeIssue,
+} from './analyze-code.js';
+
+const DEFAULT_MODEL = 'grok-code-fast-1';
+const DEFAULT_REVIEW_TIMEOUT = 60000;
+const REVIEW_TEMPERATURE = 0.1;
+const REVIEW_MAX_TOKENS = 4000;
+
+/**
+ * Largest numbered diff sent in one review, in characters (about 50k tokens)
+ */
+const MAX_DIFF_CHARS = 200_000;
+
+const ANALYSIS_TYPES: AnalysisType[] = ['performance', 'bugs', 'security', 'style', 'all'];
+
+/**
+ * Input parameters for grok_review_diff tool
+ */
+export interface ReviewDiffInput {
+  /** Unified diff text (required) */
+  diff: string;
+  /** Type of review to perform (default: all) */
+  analysis_type: AnalysisType;
+  /** Model to use (default: grok-code-fast-1) */
+  model: string;
+  /** What the change is meant to do, or other context */
+  context?: string;
+  /** Request timeout in milliseconds (default: 60000) */
+  timeout: number;
+  /** Output format (default: markdown) */
+  output_format: AnalysisOutputFormat;
+}
+
+/**
+ * Where a numbered diff line is in the real files
+ */
+export interface DiffLineRef {
+  /** File path (the old path for removed lines) */
+  file: string;
+  /** Line number on the side given */
+  line: number;
+  /** `old` for removed lines, which only exist in the old file */
+  side: 'new' | 'old';
+  /** Whether the diff added or removed the line */
+  changed: boolean;
+}
+
+/**
+ * A diff numbered for review, with each number's real location
+ */
+export interface DiffReviewPrompt {
+  files: DiffFile[];
+  /** Diff text with every hunk line prefixed by `[n]` */
+  text: string;
+  /** Location of line `[n]` at index n - 1 */
+  refs: DiffLineRef[];
+}
+
+/**
+ * Issue found in the diff, located in the real file
+ */
+export interface DiffFinding extends CodeIssue {
+  /** File the issue is in (absent if the cited line is not in the diff) */
+  file?: string;
+  /** Side of the diff `line` and `endLine` refer to */
+  side?: 'new' | 'old';
+  /** True if the issue is not on an added or removed line, or has no location */
+  outsideChangedLines: boolean;
+}
+
+/**
+ * Response from diff review
+ */
+export interface ReviewDiffResponse {
+  findings: DiffFinding[];
+  summary: string;
+  /** Files in the diff, including binary files that were not reviewed */
+  files: Array<{
+    path: string;
+    status: DiffFileStatus;
+    binary: boolean;
+    additions: number;
+    deletions: number;
+  }>;
+  analysisType: AnalysisType;
+  model: string;
+  usage: TokenUsage;
+  cost: CostEstimate;
+  response_time_ms: number;
+}
+
+/**
+ * JSON Schema for grok_review_diff tool (JSON Schema 2020-12)
+ */
+export const reviewDiffSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object' as const,
+  properties: {
+    diff: {
+      type: 'string',
+      minLength: 1,
+      description: 'Unified diff text, e.g. the output of `git diff` or a .patch file',
+    },
+    analysis_type: {
+      type: 'string',
+      enum: ANALYSIS_TYPES,
+      default: 'all',
+      description:
+        'Type of review to perform: performance, bugs, security, style, or all (default: all)',
+    },
+    model: {
+      type: 'string',
+      description: `Model to use for the review. Default: ${DEFAULT_MODEL}`,
+    },
+    context: {
+      type: 'string',
+      description: 'What the change is meant to do, or other context for the reviewer',
+    },
+    timeout: {
+      type: 'integer',
+      description: `Request timeout in milliseconds. Default: ${DEFAULT_REVIEW_TIMEOUT}`,
+      minimum: 1000,
+      maximum: 120000,
+    },
+    output_format: {
+      type: 'string',
+      enum: ANALYSIS_OUTPUT_FORMATS,
+      default: 'markdown',
+      description:
+        'markdown (report), json (findings, files and usage as JSON) or sarif (SARIF 2.1.0 log with each finding at its file and line)',
+    },
+    tag: tagSchemaProperty,
+  },
+  required: ['diff'],
+  additionalProperties: false,
+};
+
+/**
+ * Tool definition for grok_review_diff
+ */
+export const reviewDiffToolDefinition = {
+  name: 'grok_review_diff',
+  description:
+    'Review a unified diff (git diff or patch) with Grok. Findings are mapped to the real file and line in the change, and findings outside the changed lines are flagged.',
+  inputSchema: reviewDiffSchema,
+};
+
+/**
+ * Validate and normalize input parameters
+ */
+export function validateReviewDiffInput(input: unknown): ReviewDiffInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Input must be an object');
+  }
+
+  const params = input as Record<string, unknown>;
+
+  if (typeof params.diff !== 'string' || params.diff.trim().length === 0) {
+    throw new Error('diff parameter is required and must be a non-empty string');
+  }
+  if (
+    params.analysis_type !== undefined &&
+    !ANALYSIS_TYPES.includes(params.analysis_type as AnalysisType)
+  ) {
+    throw new Error(`analysis_type must be one of: ${ANALYSIS_TYPES.join(', ')}`);
+  }
+  if (params.model !== undefined && typeof params.model !== 'string') {
+    throw new Error('model parameter must be a string');
+  }
+  if (params.context !== undefined && typeof params.context !== 'string') {
+    throw new Error('context parameter must be a string');
+  }
+  if (
+    params.timeout !== undefined &&
+    (typeof params.timeout !== 'number' || params.timeout < 1000 || params.timeout > 120000)
+  ) {
+    throw new Error('timeout must be between 1000 and 120000 milliseconds');
+  }
+  if (
+    params.output_format !== undefined &&
+    !ANALYSIS_OUTPUT_FORMATS.includes(params.output_format as AnalysisOutputFormat)
+  ) {
+    throw new Error(`output_format must be one of: ${ANALYSIS_OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    diff: params.diff,
+    analysis_type: (params.analysis_type as AnalysisType | undefined) ?? 'all',
+    model: (params.model as string | undefined) || DEFAULT_MODEL,
+    context: params.context as string | undefined,
+    timeout: (params.timeout as number | undefined) ?? DEFAULT_REVIEW_TIMEOUT,
+    output_format: (params.output_format as AnalysisOutputFormat | undefined) ?? 'markdown',
+  };
+}
+
+/**
+ * Describe a file's change for its header line
+ */
+function describeFile(file: DiffFile): string {
+  if (file.binary) return `${file.status}, binary, not shown`;
+  if (file.status === 'renamed') {
+    return file.hunks.length > 0
+      ? `renamed from ${file.oldPath}`
+      : `renamed from ${file.oldPath}, no content changes`;
+  }
+  return file.status;
+}
+
+/**
+ * Parse a diff and number its lines for the review prompt
+ *
+ * @throws Error if the diff has no file changes or is too large for one review
+ */
+export function buildDiffReviewPrompt(diff: string): DiffReviewPrompt {
+  const files = parseUnifiedDiff(diff);
+  if (!files.some((file) => file.hunks.length > 0)) {
+    throw new Error('diff contains no hunks to review (expected unified diff format)');
+  }
+
+  const lines: string[] = [];
+  const refs: DiffLineRef[] = [];
+  for (const file of files) {
+    lines.push(`File: ${file.path} (${describeFile(file)})`);
+    for (const hunk of file.hunks) {
+      lines.push(
+        `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.section ? ` ${hunk.section}` : ''}`
+      );
+      for (const line of hunk.lines) {
+        if (line.kind === 'removed') {
+          refs.push({
+            file: file.oldPath ?? file.path,
+            line: line.oldLine ?? 0,
+            side: 'old',
+            changed: true,
+          });
+        } else {
+          refs.push({
+            file: file.path,
+            line: line.newLine ?? 0,
+            side: 'new',
+            changed: line.kind === 'added',
+          });
+        }
+        const marker = line.kind === 'added' ? '+' : line.kind === 'removed' ? '-' : ' ';
+        lines.push(`[${refs.length}] ${marker} ${line.content}`);
+      }
+    }
+    lines.push('');
+  }
+
+  const text = lines.join('\n');
+  if (text.length > MAX_DIFF_CHARS) {
+    throw new Error(
+      `diff is too large to review in one call (${refs.length} lines in ${files.length} files); review it a few files at a time`
+    );
+  }
+
+  return { files, text, refs };
+}
+
+/**
+ * Map an issue citing numbered diff lines to the real file and lines
+ *
+ * A multi-line issue counts as on the change if any line it spans was
+ * changed. Issues citing no line, or a number not in the diff, keep no
+ * location and are flagged as outside the changed lines.
+ */
+export function mapIssueToDiff(issue: CodeIssue, refs: DiffLineRef[]): DiffFinding {
+  const start = issue.line !== undefined ? refs[issue.line - 1] : undefined;
+  if (!start || !Number.isInteger(issue.line)) {
+    return { ...issue, line: undefined, endLine: undefined, outsideChangedLines: true };
+  }
+
+  const first = (issue.line as number) - 1;
+  let last = first;
+  const end = issue.endLine !== undefined ? refs[issue.endLine - 1] : undefined;
+  if (
+    end &&
+    Number.isInteger(issue.endLine) &&
+    (issue.endLine as number) > (issue.line as number) &&
+    end.file === start.file &&
+    end.side === start.side
+  ) {
+    last = (issue.endLine as number) - 1;
+  }
+
+  const spanned = refs.slice(first, last + 1).filter((ref) => ref.file === start.file);
+  return {
+    ...issue,
+    file: start.file,
+    side: start.side,
+    line: start.line,
+    endLine: last > first ? refs[last].line : undefined,
+    outsideChangedLines: !spanned.some((ref) => ref.changed),
+  };
+}
+
+/**
+ * Build the messages for a diff review request
+ */
+function buildReviewMessages(input: ReviewDiffInput, prompt: DiffReviewPrompt): ChatMessage[] {
+  const content = `Review the following code changes and identify issues they introduce.
+
+${ANALYSIS_INSTRUCTIONS[input.analysis_type]}
+
+${input.context ? `Additional context: ${input.context}\n\n` : ''}Each diff line starts with a number in brackets, then "+" for an added line, "-" for a removed line, or a space for an unchanged line. Concentrate on the added and removed lines; unchanged lines are shown for context.
+
+Respond with a JSON object containing:
+1. "issues": An array of issues, each with:
+   - "type": Category (performance/bug/security/style)
+   - "severity": low/medium/high/critical
+   - "line": The bracketed number of the diff line the issue is on
+   - "endLine": The bracketed number of its last line, if it spans several lines
+   - "message": Clear description of the issue
+   - "suggestion": How to fix it
+   - "codeSnippet": Relevant code if helpful
+
+2. "summary": A brief overall assessment of the change
+
+Respond ONLY with valid JSON, no markdown or explanations.
+
+Diff to review:
+\`\`\`
+${prompt.text}
+\`\`\``;
+
+  return [
+    {
+      role: 'system',
+      content:
+        'You are an expert code reviewer. Review code changes and respond with structured JSON containing issues and suggestions.',
+    },
+    { role: 'user', content },
+  ];
+}
+
+/**
+ * Execute the diff review
+ *
+ * @param client - XAI client instance
+ * @param input - Validated input
+ * @param prompt - The numbered diff from buildDiffReviewPrompt
+ * @param signal - Cancels the request when aborted
+ */
+export async function executeReviewDiff(
+  client: XAIClient,
+  input: ReviewDiffInput,
+  prompt: DiffReviewPrompt,
+  signal?: AbortSignal
+): Promise<ReviewDiffResponse> {
+  const startTime = Date.now();
+
+  const response = await client.chatCompletion({
+    model: input.model,
+    messages: buildReviewMessages(input, prompt),
+    temperature: REVIEW_TEMPERATURE,
+    max_tokens: REVIEW_MAX_TOKENS,
+    timeout: input.timeout,
+    signal,
+  });
+
+  const responseContent = response.choices[0]?.message?.content;
+  const contentString = typeof responseContent === 'string' ? responseContent : 'No response';
+  const { issues, summary } = parseAnalysisResponse(contentString);
+
+  return {
+    findings: issues.map((issue) => mapIssueToDiff(issue, prompt.refs)),
+    summary,
+    files: prompt.files.map((file) => ({
+      path: file.path,
+      status: file.status,
+      binary: file.binary,
+      additions: file.additions,
+      deletions: file.deletions,
+    })),
+    analysisType: input.analysis_type,
+    model: response.model,
+    usage: response.usage,
+    cost: client.calculateCost(
+      response.model,
+      response.usage.prompt_tokens,
+      response.usage.completion_tokens
+    ),
+    response_time_ms: Date.now() - startTime,
+  };
+}
+
+const SEVERITY_ICONS: Record<CodeIssue['severity'], string> = {
+  critical: '🔴',
+  high: '🟠',
+  medium: '🟡',
+  low: '🔵',
+};
+
+/**
+ * Format one finding as a list item
+ */
+function formatFinding(finding: DiffFinding, withFile: boolean): string[] {
+  let location = '';
+  if (finding.line !== undefined) {
+    const range = `${finding.line}${finding.endLine ? `-${finding.endLine}` : ''}`;
+    const side = finding.side === 'old' ? ', removed' : '';
+    location = ` (${withFile ? `${finding.file}:` : 'line '}${range}${side})`;
+  }
+  const lines = [
+    `- ${SEVERITY_ICONS[finding.severity]} **${finding.type}**${location}: ${finding.message}`,
+  ];
+  if (finding.suggestion) {
+    lines.push(`  - *Suggestion:* ${finding.suggestion}`);
+  }
+  return lines;
+}
+
+/**
+ * Format the review as a markdown report
+ *
+ * Findings on changed lines are grouped by file; the rest follow in their own section.
+ *
+ * @param result - Review result
+ * @param cacheInfo - Present when the result came from the cache
+ */
+export function formatReviewDiffOutput(
+  result: ReviewDiffResponse,
+  cacheInfo?: { expiresIn?: number }
+): string {
+  const lines: string[] = [];
+  const additions = result.files.reduce((sum, file) => sum + file.additions, 0);
+  const deletions = result.files.reduce((sum, file) => sum + file.deletions, 0);
+
+  lines.push('🤖 **Grok Diff Review:**');
+  lines.push('');
+  lines.push(
+    `**Files:** ${result.files.length} | **Changes:** +${additions} -${deletions} | **Type:** ${result.analysisType} | **Model:** ${result.model}`
+  );
+  lines.push('');
+  lines.push('### Summary');
+  lines.push(result.summary);
+  lines.push('');
+
+  const onChanges = result.findings.filter((finding) => !finding.outsideChangedLines);
+  const outside = result.findings.filter((finding) => finding.outsideChangedLines);
+
+  if (onChanges.length > 0) {
+    lines.push(`### Findings (${onChanges.length})`);
+    lines.push('');
+    // Removed lines of a renamed file are grouped under its old path
+    const byFile = new Map<string, DiffFinding[]>();
+    for (const finding of onChanges) {
+      const file = finding.file ?? '';
+      byFile.set(file, [...(byFile.get(file) ?? []), finding]);
+    }
+    for (const [file, findings] of byFile) {
+      lines.push(`#### ${file}`);
+      lines.push('');
+      for (const finding of findings.sort((x, y) => (x.line ?? 0) - (y.line ?? 0))) {
+        lines.push(...formatFinding(finding, false));
+      }
+      lines.push('');
+    }
+  } else {
+    lines.push('### No Issues in Changed Lines');
+    lines.push('The review did not identify any issues in the added or removed lines.');
+    lines.push('');
+  }
+
+  if (outside.length > 0) {
+    lines.push(`### Outside Changed Lines (${outside.length})`);
+    lines.push('*On unchanged context lines or without a location in the diff.*');
+    lines.push('');
+    for (const finding of outside) {
+      lines.push(...formatFinding(finding, true));
+    }
+    lines.push('');
+  }
+
+  const binary = result.files.filter((file) => file.binary);
+  if (binary.length > 0) {
+    lines.push(`*Binary files not reviewed: ${binary.map((file) => file.path).join(', ')}*`);
+    lines.push('');
+  }
+
+  lines.push('---');
+  lines.push(
+    `⚡ *${result.model} • ${result.usage.total_tokens} tokens • $${result.cost.estimated_usd.toFixed(4)} • ${result.response_time_ms}ms*`
+  );
+  if (cacheInfo) {
+    lines.push(formatCacheBadge(cacheInfo.expiresIn));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a review to a SARIF 2.1.0 log
+ *
+ * Every finding is included; `outsideChangedLines` and `diffSide` result
+ * properties let code scanning tools filter to the change. Findings on
+ * removed lines have no location: their old-file line numbers would point
+ * at unrelated code in the current file. Their old path and lines are kept
+ * in the `oldFile`, `oldLine` and `oldEndLine` properties instead.
+ */
+export function buildReviewDiffSarif(result: ReviewDiffResponse): SarifLog {
+  return buildSarifLog(
+    result.findings.map(({ side, outsideChangedLines, ...issue }) => {
+      if (side !== 'old') {
+        return {
+          ...issue,
+          properties: { outsideChangedLines, ...(side ? { diffSide: side } : {}) },
+        };
+      }
+      const { file, line, endLine, ...rest } = issue;
+      return {
+        ...rest,
+        properties: {
+          outsideChangedLines,
+          diffSide: side,
+          oldFile: file,
+          oldLine: line,
+          ...(endLine !== undefined ? { oldEndLine: endLine } : {}),
+        },
+      };
+    }),
+    {
+      snippetDescription: 'Reviewed diff',
+      properties: {
+        model: result.model,
+        analysisType: result.analysisType,
+        summary: result.summary,
+      },
+    }
+  );
+}
+
+/**
+ * Format a review in the requested output format
+ */
+function formatReviewDiffResult(
+  result: ReviewDiffResponse,
+  outputFormat: AnalysisOutputFormat,
+  cacheInfo?: { expiresIn?: number }
+): string {
+  switch (outputFormat) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'sarif':
+      return JSON.stringify(buildReviewDiffSarif(result), null, 2);
+    default:
+      return formatReviewDiffOutput(result, cacheInfo);
+  }
+}
+
+/**
+ * Diff reviews are awaited interactively, like grok_analyze_code
+ */
+export const reviewDiffRateLimitClass: RateLimitClass = {
+  tool: 'grok_review_diff',
+  priority: 'interactive',
+};
+
+/**
+ * Handle grok_review_diff tool call
+ *
+ * @param client - XAI client instance
+ * @param args - Tool input parameters
+ * @param services - Optional services for caching, cost tracking and rate limiting
+ * @param signal - Cancels the request (including rate limit waits) when aborted
+ * @returns MCP CallToolResult
+ */
+export async function handleReviewDiff(
+  client: XAIClient,
+  args: unknown,
+  services?: Services,
+  signal?: AbortSignal
+): Promise<CallToolResult> {
+  try {
+    const call = startToolCall('grok_review_diff', args);
+    const input = validateReviewDiffInput(args);
+    const prompt = buildDiffReviewPrompt(input.diff);
+    input.model = client.resolveModel(input.model);
+
+    // CHECK CACHE (reviews are deterministic, so results are cached for long)
+    const messages = buildReviewMessages(input, prompt);
+    const cacheLookup = lookupToolCache<ReviewDiffResponse>(services, 'grok_review_diff', {
+      model: input.model,
+      messages,
+      temperature: REVIEW_TEMPERATURE,
+      max_tokens: REVIEW_MAX_TOKENS,
+    });
+    if (cacheLookup.hit) {
+      if (services?.costTracker) {
+        services.costTracker.recordCacheHit(cacheLookup.hit.model, getCostAttribution(call, true));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatReviewDiffResult(cacheLookup.hit, input.output_format, {
+              expiresIn: cacheLookup.expiresIn,
+            }),
+          },
+        ],
+        isError: false,
+      };
+    }
+
+    const estimatedInputTokens = Math.ceil(JSON.stringify(messages).length / 4);
+
+    // CHECK BUDGET (estimate cost before call)
+    if (services?.costTracker) {
+      const estimatedCost = CostTracker.estimateCost(
+        input.model,
+        estimatedInputTokens,
+        REVIEW_MAX_TOKENS
+      );
+      services.costTracker.checkBudget(estimatedCost); // throws if over budget
+    }
+
+    // ACQUIRE RATE LIMIT
+    if (services?.rateLimiter) {
+      await services.rateLimiter.acquire(estimatedInputTokens, signal, reviewDiffRateLimitClass);
+    }
+
+    try {
+      const result = await executeReviewDiff(client, input, prompt, signal);
+
+      // RECORD ACTUAL USAGE
+      if (services?.rateLimiter) {
+        services.rateLimiter.recordUsage(
+          result.usage.total_tokens,
+          estimatedInputTokens,
+          reviewDiffRateLimitClass
+        );
+        services.rateLimiter.clearBackoff();
+      }
+
+      // TRACK COST
+      if (services?.costTracker) {
+        services.costTracker.addFromEstimate(result.cost, getCostAttribution(call));
+      }
+
+      // CACHE RESULT
+      storeToolCache(services, cacheLookup, result, 'deterministic');
+
+      return {
+        content: [{ type: 'text', text: formatReviewDiffResult(result, input.output_format) }],
+        isError: false,
+      };
+    } catch (error) {
+      // Release rate limiter slot on failure
+      if (services?.rateLimiter) {
+        services.rateLimiter.release(estimatedInputTokens, reviewDiffRateLimitClass);
+      }
+      throw error;
+    }
+  } catch (error) {
+    const errorMessage =
+      error instanceof XAIError
+        ? error.getSanitizedMessage()
+        : error instanceof Error
+          ? error.message
+          : 'Unknown error occurred';
+
+    return {
+      content: [{ type: 'text', text: `Error reviewing diff: ${errorMessage}` }],
+      isError: true,
+    };
+  }
+}
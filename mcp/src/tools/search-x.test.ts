@@ -3,6 +3,9 @@
  */
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { validateGrokSearchXInput, grokSearchXSchema } from './search-x.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
 
 describe('grok_search_x tool', () => {
   describe('schema', () => {
@@ -169,4 +172,52 @@ describe('handleGrokSearchX', () => {
     expect(mockServices.costTracker.checkBudget).toHaveBeenCalled();
     expect(mockServices.rateLimiter.acquire).toHaveBeenCalled();
   });
+
+  it('should serve a repeated search from the cache', async () => {
+    const services = {
+      cache: new ResponseCache({ enabled: true, ttlSeconds: 300, searchTtlSeconds: 60 }),
+      costTracker: new CostTracker({ limitUsd: 10 }),
+      rateLimiter: new RateLimiter({ tier: 'standard' }),
+    };
+
+    const { handleGrokSearchX } = await import('./search-x.js');
+    await handleGrokSearchX(mockClient as any, { query: 'cached search' }, services);
+    const second = await handleGrokSearchX(mockClient as any, { query: 'cached search' }, services);
+
+    expect(mockClient.responsesCreate).toHaveBeenCalledTimes(1);
+    expect(second.content[0].text).toContain('Search results summary');
+    expect(second.content[0].text).toContain('📦 **CACHED**');
+    expect(services.cache.getStats().byTool.grok_search_x.hits).toBe(1);
+  });
+
+  it('should expire cached searches after the search TTL', async () => {
+    vi.useFakeTimers();
+    const services = {
+      cache: new ResponseCache({ enabled: true, ttlSeconds: 300, searchTtlSeconds: 60 }),
+      costTracker: new CostTracker({ limitUsd: 10 }),
+      rateLimiter: new RateLimiter({ tier: 'standard' }),
+    };
+
+    const { handleGrokSearchX } = await import('./search-x.js');
+    await handleGrokSearchX(mockClient as any, { query: 'stale search' }, services);
+    vi.advanceTimersByTime(61 * 1000);
+    await handleGrokSearchX(mockClient as any, { query: 'stale search' }, services);
+
+    expect(mockClient.responsesCreate).toHaveBeenCalledTimes(2);
+    vi.useRealTimers();
+  });
+
+  it('should not share entries across search options', async () => {
+    const services = {
+      cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+      costTracker: new CostTracker({ limitUsd: 10 }),
+      rateLimiter: new RateLimiter({ tier: 'standard' }),
+    };
+
+    const { handleGrokSearchX } = await import('./search-x.js');
+    await handleGrokSearchX(mockClient as any, { query: 'q' }, services);
+    await handleGrokSearchX(mockClient as any, { query: 'q', enable_web_search: true }, services);
+
+    expect(mockClient.responsesCreate).toHaveBeenCalledTimes(2);
+  });
 });
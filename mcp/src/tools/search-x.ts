@@ -6,6 +6,7 @@ import {
   GrokSearchXInput,
   GrokSearchXResponse,
   AgentToolsParams,
+  AgentToolsResponse,
   AgentToolDefinition,
   WebSearchConfig,
   XSearchConfig,
@@ -13,6 +14,13 @@ import {
   Services,
   extractAgentResponseText,
 } from '../types/index.js';
+import { formatCacheBadge, lookupToolCache, storeToolCache } from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
 
 const DEFAULT_SEARCH_MODEL = 'grok-4-1-fast';
 
@@ -31,6 +39,7 @@ export const grokSearchXSchema = {
     domains: { type: 'array', items: { type: 'string' } },
     exclude_domains: { type: 'array', items: { type: 'string' } },
     include_citations: { type: 'boolean', default: true },
+    tag: tagSchemaProperty,
   },
   required: ['query'],
   additionalProperties: false,
@@ -81,20 +90,48 @@ function buildAgentTools(input: GrokSearchXInput): AgentToolDefinition[] {
   return tools;
 }
 
+function formatSearchOutput(
+  result: GrokSearchXResponse,
+  includeCitations: boolean | undefined,
+  cacheInfo?: { expiresIn?: number }
+): string {
+  let out = '**Search Results**' + '\n\n' + (result.response || '[No search results available]');
+  if (includeCitations && result.citations.length > 0) {
+    out += '\n\n**Sources:**\n';
+    result.citations.forEach((cite, i) => {
+      out += i + 1 + '. ' + (cite.title || cite.url) + '\n';
+    });
+  }
+  out += '\n---\nModel: ' + result.model + ' | Tokens: ' + result.usage.total_tokens;
+  out += ' | Cost: $' + result.cost.estimated_usd.toFixed(4);
+  out += ' | Time: ' + result.response_time_ms + 'ms';
+  if (cacheInfo) out += '\n' + formatCacheBadge(cacheInfo.expiresIn);
+  return out;
+}
+
+/**
+ * Rate limit queue class: agentic searches come in bursts, so at most two run at once
+ * and interactive queries are admitted in between
+ */
+export const grokSearchXRateLimitClass: RateLimitClass = {
+  tool: 'grok_search_x',
+  endpoint: '/responses',
+  priority: 'background',
+  maxConcurrent: 2,
+};
+
 export async function handleGrokSearchX(
   client: XAIClient,
   args: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal
 ): Promise<{ content: Array<{ type: string; text: string }> }> {
   const startTime = Date.now();
   try {
+    const call = startToolCall('grok_search_x', args);
     const input = validateGrokSearchXInput(args);
     const tools = buildAgentTools(input);
     if (!tools.length) throw new Error('Enable at least one search type');
-    // Check budget (throws if over limit)
-    if (services?.costTracker) services.costTracker.checkBudget(0);
-    // Acquire rate limit
-    if (services?.rateLimiter) await services.rateLimiter.acquire(1000);
     const agentParams: AgentToolsParams = {
       model: DEFAULT_SEARCH_MODEL,
       input: [
@@ -104,16 +141,54 @@ export async function handleGrokSearchX(
       tools,
       max_turns: input.max_turns,
     };
-    const response = await client.responsesCreate(agentParams);
+    // Check cache (search results go stale quickly, so these entries use a short TTL)
+    const cacheLookup = lookupToolCache<GrokSearchXResponse>(services, 'grok_search_x', {
+      model: agentParams.model,
+      messages: agentParams.input,
+      extra: { endpoint: 'responses', tools, max_turns: agentParams.max_turns },
+    });
+    if (cacheLookup.hit) {
+      if (services?.costTracker) {
+        services.costTracker.recordCacheHit(cacheLookup.hit.model, getCostAttribution(call, true));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatSearchOutput(cacheLookup.hit, input.include_citations, {
+              expiresIn: cacheLookup.expiresIn,
+            }),
+          },
+        ],
+      };
+    }
+    // Check budget (throws if over limit)
+    if (services?.costTracker) services.costTracker.checkBudget(0);
+    // Acquire rate limit
+    if (services?.rateLimiter) {
+      await services.rateLimiter.acquire(1000, signal, grokSearchXRateLimitClass);
+    }
+    let response: AgentToolsResponse;
+    try {
+      response = await client.responsesCreate({ ...agentParams, signal });
+    } catch (error) {
+      // Release rate limit slot on failure (including cancellation)
+      if (services?.rateLimiter) services.rateLimiter.release(1000, grokSearchXRateLimitClass);
+      throw error;
+    }
     const responseTime = Date.now() - startTime;
     // Agent Tools API may return input_tokens/output_tokens OR prompt_tokens/completion_tokens
     const inputTokens = response.usage.input_tokens ?? response.usage.prompt_tokens ?? 0;
     const outputTokens = response.usage.output_tokens ?? response.usage.completion_tokens ?? 0;
     const cost = client.calculateCost(response.model, inputTokens, outputTokens);
     // Record cost and rate limit usage
-    if (services?.costTracker) services.costTracker.addFromEstimate(cost);
+    if (services?.costTracker) services.costTracker.addFromEstimate(cost, getCostAttribution(call));
     if (services?.rateLimiter) {
-      services.rateLimiter.recordUsage(response.usage.total_tokens, 1000);
+      services.rateLimiter.recordUsage(
+        response.usage.total_tokens,
+        1000,
+        grokSearchXRateLimitClass
+      );
       services.rateLimiter.clearBackoff();
     }
     // API returns 'output' array containing tool calls and assistant messages
@@ -128,16 +203,10 @@ export async function handleGrokSearchX(
       tool_usage: response.server_side_tool_usage || {},
       response_time_ms: responseTime,
     };
-    let out = '**Search Results**' + '\n\n' + (result.response || '[No search results available]');
-    if (input.include_citations && result.citations.length > 0) {
-      out += '\n\n**Sources:**\n';
-      result.citations.forEach((cite, i) => {
-        out += i + 1 + '. ' + (cite.title || cite.url) + '\n';
-      });
-    }
-    out += '\n---\nModel: ' + result.model + ' | Tokens: ' + result.usage.total_tokens;
-    out += ' | Cost: $' + result.cost.estimated_usd.toFixed(4) + ' | Time: ' + responseTime + 'ms';
-    return { content: [{ type: 'text', text: out }] };
+    storeToolCache(services, cacheLookup, result, 'search');
+    return {
+      content: [{ type: 'text', text: formatSearchOutput(result, input.include_citations) }],
+    };
   } catch (error) {
     const t = Date.now() - startTime;
     const m =
@@ -15,7 +15,7 @@ import {
   GrokSessionStatsResponse,
 } from './session-stats.js';
 import type { Services } from '../types/index.js';
-import type { CostRecord } from '../services/cost-tracker.js';
+import type { BudgetWindowStatus, CostRecord } from '../services/cost-tracker.js';
 
 // Mock services factory
 function createMockServices(
@@ -26,6 +26,7 @@ function createMockServices(
     cacheStats?: Partial<ReturnType<Services['cache']['getStats']>>;
     cacheHitRate?: number;
     records?: CostRecord[];
+    budgetWindows?: BudgetWindowStatus[];
   } = {}
 ): Services {
   const defaultCostSummary = {
@@ -70,8 +71,10 @@ function createMockServices(
         isLimited: false,
         currentRetryDelay: 0,
         retryCount: 0,
+        inFlight: { '/chat/completions': 2 },
+        waits: { count: 3, avgMs: 120, maxMs: 250 },
       }),
-      getOptions: vi.fn().mockReturnValue({ tier: 'standard' }),
+      getOptions: vi.fn().mockReturnValue({ tier: 'standard', maxConcurrent: 4 }),
       getLimits: vi.fn().mockReturnValue({ tokensPerMinute: 500000, requestsPerMinute: 500 }),
       getPendingCount: vi.fn().mockReturnValue(0),
       acquire: vi.fn(),
@@ -98,6 +101,7 @@ function createMockServices(
     } as unknown as Services['cache'],
     costTracker: {
       getUsageSummary: vi.fn().mockReturnValue(defaultCostSummary),
+      getBudgetWindows: vi.fn().mockReturnValue(overrides.budgetWindows ?? []),
       getSessionDuration: vi.fn().mockReturnValue(overrides.sessionDuration ?? 300000), // 5 minutes
       getSessionStartTime: vi.fn().mockReturnValue(overrides.sessionStartTime ?? new Date(Date.now() - 300000)),
       getTotalCost: vi.fn().mockReturnValue(defaultCostSummary.totalCostUsd),
@@ -246,6 +250,39 @@ describe('grok_session_stats tool', () => {
       expect(result.cache.cost_saved_usd).toBe(0.05);
     });
 
+    it('should report per-tool cache savings from cached responses', () => {
+      const services = createMockServices({
+        costTracker: {
+          queryCount: 10,
+          totalInputTokens: 5000,
+          totalOutputTokens: 5000,
+          totalCostUsd: 0.1,
+        },
+        cacheStats: {
+          hits: 4,
+          misses: 4,
+          byTool: {
+            grok_query: { hits: 1, misses: 3, tokensSaved: 300, costSavedUsd: 0.001 },
+            grok_analyze_code: { hits: 3, misses: 1, tokensSaved: 4500, costSavedUsd: 0.02 },
+          },
+        },
+      });
+
+      const result = executeGetSessionStats(services, {});
+
+      expect(result.cache.by_tool.grok_query).toEqual({
+        hits: 1,
+        misses: 3,
+        hit_rate_percent: 25,
+        tokens_saved: 300,
+        cost_saved_usd: 0.001,
+      });
+      expect(result.cache.by_tool.grok_analyze_code.hit_rate_percent).toBe(75);
+      // Totals are the sum of actual per-tool savings, not the session-average estimate
+      expect(result.cache.tokens_saved).toBe(4800);
+      expect(result.cache.cost_saved_usd).toBeCloseTo(0.021);
+    });
+
     it('should calculate rate metrics correctly', () => {
       const services = createMockServices({
         costTracker: {
@@ -316,6 +353,70 @@ describe('grok_session_stats tool', () => {
       expect(result.by_model!['grok-4'].cost_percent).toBe(80);
     });
 
+    it('should include by_tool and by_tag for detailed level', () => {
+      const services = createMockServices({
+        costTracker: {
+          totalCostUsd: 0.04,
+          byTool: {
+            grok_query: { cost: 0.03, queries: 3, cacheHits: 1, tokens: 900, latencyMs: 1000 },
+            grok_reason: { cost: 0.01, queries: 1, cacheHits: 0, tokens: 400, latencyMs: 2000 },
+          },
+          byTag: {
+            billing: { cost: 0.01, queries: 1, cacheHits: 0, tokens: 300, latencyMs: 500 },
+          },
+        },
+      });
+
+      const result = executeGetSessionStats(services, { detail_level: 'detailed' });
+
+      expect(result.by_tool!.grok_query).toEqual({
+        queries: 3,
+        cache_hits: 1,
+        total_tokens: 900,
+        cost_usd: 0.03,
+        cost_formatted: '$0.0300',
+        cost_percent: 75,
+        avg_latency_ms: 250,
+      });
+      expect(result.by_tool!.grok_reason.avg_latency_ms).toBe(2000);
+      expect(result.by_tag!.billing.cost_percent).toBe(25);
+    });
+
+    it('should not include by_tool or by_tag for summary level', () => {
+      const result = executeGetSessionStats(createMockServices(), { detail_level: 'summary' });
+
+      expect(result.by_tool).toBeUndefined();
+      expect(result.by_tag).toBeUndefined();
+    });
+
+    it('should include attribution in timeline entries', () => {
+      const services = createMockServices({
+        records: [
+          {
+            timestamp: Date.now(),
+            costUsd: 0.01,
+            model: 'grok-4',
+            inputTokens: 100,
+            outputTokens: 100,
+            tool: 'grok_query',
+            requestId: 'req-1',
+            tag: 'billing',
+            cached: false,
+            latencyMs: 300,
+          },
+        ],
+      });
+
+      const result = executeGetSessionStats(services, { detail_level: 'full' });
+
+      expect(result.timeline!.recent_queries[0]).toMatchObject({
+        tool: 'grok_query',
+        tag: 'billing',
+        cached: false,
+        latency_ms: 300,
+      });
+    });
+
     it('should not include timeline for detailed level', () => {
       const services = createMockServices();
       const input: GrokSessionStatsInput = { detail_level: 'detailed' };
@@ -406,6 +507,37 @@ describe('grok_session_stats tool', () => {
       expect(result.by_model).toBeUndefined();
       expect(result.timeline).toBeUndefined();
     });
+
+    it('should report in-flight requests and wait times', () => {
+      const services = createMockServices();
+
+      const result = executeGetSessionStats(services, {});
+
+      expect(result.concurrency).toEqual({
+        in_flight: 2,
+        in_flight_by_endpoint: { '/chat/completions': 2 },
+        max_concurrent: 4,
+        waited: 3,
+        avg_wait_ms: 120,
+        max_wait_ms: 250,
+      });
+    });
+
+    it('should report each configured budget window', () => {
+      const services = createMockServices({
+        budgetWindows: [
+          { window: 'daily', spentUsd: 0.5, limitUsd: 2, remainingUsd: 1.5, resetsAt: '2026-10-19T00:00:00.000Z' },
+          { window: 'monthly', spentUsd: 12, limitUsd: 20, remainingUsd: 8, resetsAt: '2026-11-01T00:00:00.000Z' },
+        ],
+      });
+
+      const result = executeGetSessionStats(services, {});
+
+      expect(result.budget_windows).toEqual([
+        { window: 'daily', spent_usd: 0.5, limit_usd: 2, remaining_usd: 1.5, resets_at: '2026-10-19T00:00:00.000Z' },
+        { window: 'monthly', spent_usd: 12, limit_usd: 20, remaining_usd: 8, resets_at: '2026-11-01T00:00:00.000Z' },
+      ]);
+    });
   });
 
   describe('formatSessionStatsMarkdown', () => {
@@ -438,6 +570,47 @@ describe('grok_session_stats tool', () => {
       expect(markdown).toContain('**Hits / Misses:**');
     });
 
+    it('should include per-tool cache savings table', () => {
+      const response: GrokSessionStatsResponse = createTestResponse();
+      response.cache.by_tool = {
+        grok_analyze_code: {
+          hits: 3,
+          misses: 1,
+          hit_rate_percent: 75,
+          tokens_saved: 4500,
+          cost_saved_usd: 0.02,
+        },
+      };
+      const markdown = formatSessionStatsMarkdown(response);
+
+      expect(markdown).toContain('| Tool | Hits / Misses |');
+      expect(markdown).toContain('| grok_analyze_code | 3 / 1 | 75% | 4,500 | $0.0200 |');
+    });
+
+    it('should omit per-tool table when no tool used the cache', () => {
+      const markdown = formatSessionStatsMarkdown(createTestResponse());
+
+      expect(markdown).not.toContain('| Tool |');
+    });
+
+    it('should include budgets section when windows are configured', () => {
+      const response = createTestResponse({
+        budget_windows: [
+          { window: 'monthly', spent_usd: 12, limit_usd: 20, remaining_usd: 8, resets_at: '2026-11-01T00:00:00.000Z' },
+        ],
+      });
+      const markdown = formatSessionStatsMarkdown(response);
+
+      expect(markdown).toContain('### Budgets');
+      expect(markdown).toContain('**Monthly:** $12.00 of $20.00 spent ($8.00 left), resets 2026-11-01T00:00:00.000Z');
+    });
+
+    it('should omit budgets section without windows', () => {
+      const markdown = formatSessionStatsMarkdown(createTestResponse());
+
+      expect(markdown).not.toContain('### Budgets');
+    });
+
     it('should include rates section', () => {
       const response: GrokSessionStatsResponse = createTestResponse();
       const markdown = formatSessionStatsMarkdown(response);
@@ -448,6 +621,24 @@ describe('grok_session_stats tool', () => {
       expect(markdown).toContain('**Cost/query:**');
     });
 
+    it('should include concurrency section', () => {
+      const response = createTestResponse({
+        concurrency: {
+          in_flight: 3,
+          in_flight_by_endpoint: { '/chat/completions': 3 },
+          max_concurrent: 4,
+          waited: 2,
+          avg_wait_ms: 150,
+          max_wait_ms: 200,
+        },
+      });
+      const markdown = formatSessionStatsMarkdown(response);
+
+      expect(markdown).toContain('### Concurrency');
+      expect(markdown).toContain('**In Flight:** 3 (max 4 per endpoint)');
+      expect(markdown).toContain('**Waited:** 2 requests (avg 150ms, max 200ms)');
+    });
+
     it('should include model usage table when by_model present', () => {
       const response = createTestResponse({
         by_model: {
@@ -484,6 +675,49 @@ describe('grok_session_stats tool', () => {
       expect(markdown).toContain('grok-4');
     });
 
+    it('should include tool and tag usage tables when present', () => {
+      const stats = {
+        queries: 2,
+        cache_hits: 1,
+        total_tokens: 1200,
+        cost_usd: 0.02,
+        cost_formatted: '$0.0200',
+        cost_percent: 40,
+        avg_latency_ms: 150,
+      };
+      const response = createTestResponse({
+        by_tool: { grok_query: stats },
+        by_tag: { billing: stats },
+      });
+      const markdown = formatSessionStatsMarkdown(response);
+
+      expect(markdown).toContain('### Tool Usage');
+      expect(markdown).toContain('| grok_query | 2 | 1 | 1,200 | $0.0200 | 40% | 150ms |');
+      expect(markdown).toContain('### Tag Usage');
+      expect(markdown).toContain('| billing |');
+    });
+
+    it('should show the tool and tag in recent activity', () => {
+      const response = createTestResponse({
+        timeline: {
+          recent_queries: [
+            {
+              timestamp: '2026-01-14T10:45:00Z',
+              model: 'grok-4',
+              tokens: 0,
+              cost_usd: 0,
+              tool: 'grok_query',
+              tag: 'billing',
+              cached: true,
+            },
+          ],
+        },
+      });
+      const markdown = formatSessionStatsMarkdown(response);
+
+      expect(markdown).toContain('grok_query #billing - grok-4 - cached');
+    });
+
     it('should not include model usage when by_model undefined', () => {
       const response = createTestResponse();
       delete response.by_model;
@@ -634,18 +868,28 @@ function createTestResponse(overrides: Partial<GrokSessionStatsResponse> = {}):
       cost_usd: 0.05,
       cost_formatted: '$0.0500',
     },
+    budget_windows: [],
     cache: {
       hit_rate_percent: 67,
       hits: 10,
       misses: 5,
       tokens_saved: 6666,
       cost_saved_usd: 0.0333,
+      by_tool: {},
     },
     rates: {
       queries_per_minute: 3,
       tokens_per_query: 1000,
       cost_per_query_usd: 0.0033,
     },
+    concurrency: {
+      in_flight: 0,
+      in_flight_by_endpoint: {},
+      max_concurrent: 4,
+      waited: 0,
+      avg_wait_ms: 0,
+      max_wait_ms: 0,
+    },
     ...overrides,
   };
 }
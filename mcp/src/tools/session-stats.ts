@@ -9,6 +9,8 @@
 
 import { CallToolResult, TextContent } from '@modelcontextprotocol/sdk/types.js';
 import type { Services } from '../types/index.js';
+import type { BudgetWindowStatus, UsageSummary } from '../services/cost-tracker.js';
+import { tagSchemaProperty } from '../services/cost-attribution.js';
 
 /**
  * Detail level for session stats
@@ -52,6 +54,58 @@ export interface ModelStats {
   cost_percent: number;
 }
 
+/**
+ * Usage attributed to one tool or tag
+ */
+export interface AttributedStats {
+  /** Number of API queries */
+  queries: number;
+  /** Number of results served from the cache */
+  cache_hits: number;
+  /** Total tokens used by API queries */
+  total_tokens: number;
+  /** Cost in USD */
+  cost_usd: number;
+  /** Formatted cost string */
+  cost_formatted: string;
+  /** Percentage of total cost */
+  cost_percent: number;
+  /** Average latency per call in milliseconds (queries and cache hits) */
+  avg_latency_ms: number;
+}
+
+/**
+ * Per-tool cache statistics
+ */
+export interface ToolCacheStats {
+  /** Number of cache hits for this tool */
+  hits: number;
+  /** Number of cache misses for this tool */
+  misses: number;
+  /** Cache hit rate percentage (0-100) */
+  hit_rate_percent: number;
+  /** Tokens saved by cache hits (tokens of the cached responses) */
+  tokens_saved: number;
+  /** Cost saved by cache hits in USD (cost of the cached responses) */
+  cost_saved_usd: number;
+}
+
+/**
+ * Spending in a daily or monthly budget window
+ */
+export interface BudgetWindowStats {
+  /** Budget window */
+  window: BudgetWindowStatus['window'];
+  /** Cost in USD spent in the current window, across sessions */
+  spent_usd: number;
+  /** Configured limit in USD */
+  limit_usd: number;
+  /** Remaining budget in USD */
+  remaining_usd: number;
+  /** When the window resets (ISO8601) */
+  resets_at: string;
+}
+
 /**
  * Timeline entry for recent query
  */
@@ -64,6 +118,14 @@ export interface TimelineEntry {
   tokens: number;
   /** Cost in USD */
   cost_usd: number;
+  /** Tool that made the query */
+  tool?: string;
+  /** User-supplied tag */
+  tag?: string;
+  /** True if served from the cache */
+  cached?: boolean;
+  /** Latency in milliseconds */
+  latency_ms?: number;
 }
 
 /**
@@ -94,6 +156,8 @@ export interface GrokSessionStatsResponse {
     /** Formatted cost string */
     cost_formatted: string;
   };
+  /** Daily and monthly budget windows that have a limit set */
+  budget_windows: BudgetWindowStats[];
   /** Cache efficiency metrics */
   cache: {
     /** Cache hit rate percentage (0-100) */
@@ -106,6 +170,8 @@ export interface GrokSessionStatsResponse {
     tokens_saved: number;
     /** Estimated cost saved by cache in USD */
     cost_saved_usd: number;
+    /** Per-tool hits and savings, keyed by tool name */
+    by_tool: Record<string, ToolCacheStats>;
   };
   /** Rate metrics */
   rates: {
@@ -116,8 +182,27 @@ export interface GrokSessionStatsResponse {
     /** Average cost per query in USD */
     cost_per_query_usd: number;
   };
+  /** API concurrency (GROK_MAX_CONCURRENT) and time spent waiting to send */
+  concurrency: {
+    /** Requests currently in flight, across all endpoints */
+    in_flight: number;
+    /** Requests currently in flight, by API endpoint */
+    in_flight_by_endpoint: Record<string, number>;
+    /** Maximum requests in flight at once per endpoint */
+    max_concurrent: number;
+    /** Requests that had to wait before being sent */
+    waited: number;
+    /** Average wait of those requests in ms */
+    avg_wait_ms: number;
+    /** Longest wait in ms */
+    max_wait_ms: number;
+  };
   /** Per-model breakdown (only if detail_level >= 'detailed') */
   by_model?: Record<string, ModelStats>;
+  /** Per-tool breakdown (only if detail_level >= 'detailed') */
+  by_tool?: Record<string, AttributedStats>;
+  /** Per-tag breakdown (only if detail_level >= 'detailed') */
+  by_tag?: Record<string, AttributedStats>;
   /** Timeline data (only if detail_level == 'full') */
   timeline?: {
     /** Recent query entries (last 10) */
@@ -143,6 +228,7 @@ export const grokSessionStatsSchema = {
       enum: ['markdown', 'json'],
       description: 'Output format: markdown (default, human-readable) or json (structured data)',
     },
+    tag: tagSchemaProperty,
   },
   additionalProperties: false,
 };
@@ -188,6 +274,32 @@ function formatCost(costUsd: number): string {
   return `$${costUsd.toFixed(2)}`;
 }
 
+/**
+ * Convert a per-tool or per-tag usage breakdown for output
+ *
+ * @param breakdown - Breakdown from the cost tracker's usage summary
+ * @param totalCostUsd - Session total, for cost percentages
+ */
+function buildAttributedStats(
+  breakdown: UsageSummary['byTool'],
+  totalCostUsd: number
+): Record<string, AttributedStats> {
+  const stats: Record<string, AttributedStats> = {};
+  for (const [key, data] of Object.entries(breakdown)) {
+    const calls = data.queries + data.cacheHits;
+    stats[key] = {
+      queries: data.queries,
+      cache_hits: data.cacheHits,
+      total_tokens: data.tokens,
+      cost_usd: data.cost,
+      cost_formatted: formatCost(data.cost),
+      cost_percent: totalCostUsd > 0 ? Math.round((data.cost / totalCostUsd) * 1000) / 10 : 0,
+      avg_latency_ms: calls > 0 ? Math.round(data.latencyMs / calls) : 0,
+    };
+  }
+  return stats;
+}
+
 /**
  * Execute session stats collection and return structured response
  */
@@ -203,6 +315,7 @@ export function executeGetSessionStats(
   const sessionStartTime = services.costTracker.getSessionStartTime();
   const cacheStats = services.cache.getStats();
   const cacheHitRate = services.cache.getHitRate();
+  const rateLimitStatus = services.rateLimiter.getStatus();
 
   // Calculate session metrics
   const durationSeconds = Math.floor(sessionDurationMs / 1000);
@@ -215,9 +328,28 @@ export function executeGetSessionStats(
   const costPerQuery =
     costSummary.queryCount > 0 ? costSummary.totalCostUsd / costSummary.queryCount : 0;
 
-  // Estimate cache savings
-  const tokensSaved = Math.round(cacheStats.hits * tokensPerQuery);
-  const costSaved = cacheStats.hits * costPerQuery;
+  // Per-tool cache savings (actual tokens and cost of the cached responses)
+  const byTool: Record<string, ToolCacheStats> = {};
+  let toolTokensSaved = 0;
+  let toolCostSaved = 0;
+  for (const [tool, stats] of Object.entries(cacheStats.byTool || {})) {
+    const lookups = stats.hits + stats.misses;
+    byTool[tool] = {
+      hits: stats.hits,
+      misses: stats.misses,
+      hit_rate_percent: lookups > 0 ? Math.round((stats.hits / lookups) * 10000) / 100 : 0,
+      tokens_saved: stats.tokensSaved,
+      cost_saved_usd: stats.costSavedUsd,
+    };
+    toolTokensSaved += stats.tokensSaved;
+    toolCostSaved += stats.costSavedUsd;
+  }
+
+  // Cache savings: exact when hits were tracked per tool, otherwise estimated
+  // from the session average
+  const hasToolStats = Object.keys(byTool).length > 0;
+  const tokensSaved = hasToolStats ? toolTokensSaved : Math.round(cacheStats.hits * tokensPerQuery);
+  const costSaved = hasToolStats ? toolCostSaved : cacheStats.hits * costPerQuery;
 
   // Build base response
   const response: GrokSessionStatsResponse = {
@@ -234,18 +366,34 @@ export function executeGetSessionStats(
       cost_usd: costSummary.totalCostUsd,
       cost_formatted: formatCost(costSummary.totalCostUsd),
     },
+    budget_windows: services.costTracker.getBudgetWindows().map((window) => ({
+      window: window.window,
+      spent_usd: window.spentUsd,
+      limit_usd: window.limitUsd,
+      remaining_usd: window.remainingUsd,
+      resets_at: window.resetsAt,
+    })),
     cache: {
       hit_rate_percent: cacheHitRate,
       hits: cacheStats.hits,
       misses: cacheStats.misses,
       tokens_saved: tokensSaved,
       cost_saved_usd: costSaved,
+      by_tool: byTool,
     },
     rates: {
       queries_per_minute: Math.round(queriesPerMinute * 100) / 100,
       tokens_per_query: Math.round(tokensPerQuery),
       cost_per_query_usd: Math.round(costPerQuery * 10000) / 10000,
     },
+    concurrency: {
+      in_flight: Object.values(rateLimitStatus.inFlight).reduce((sum, count) => sum + count, 0),
+      in_flight_by_endpoint: rateLimitStatus.inFlight,
+      max_concurrent: services.rateLimiter.getOptions().maxConcurrent,
+      waited: rateLimitStatus.waits.count,
+      avg_wait_ms: rateLimitStatus.waits.avgMs,
+      max_wait_ms: rateLimitStatus.waits.maxMs,
+    },
   };
 
   // Add per-model breakdown if detailed or full
@@ -260,8 +408,7 @@ export function executeGetSessionStats(
 
       // We need to split tokens into input/output - the byModel only tracks total tokens
       // For now, we'll estimate based on the overall ratio
-      const inputRatio =
-        totalTokens > 0 ? costSummary.totalInputTokens / totalTokens : 0.5;
+      const inputRatio = totalTokens > 0 ? costSummary.totalInputTokens / totalTokens : 0.5;
       const estimatedInput = Math.round(data.tokens * inputRatio);
       const estimatedOutput = data.tokens - estimatedInput;
 
@@ -278,6 +425,8 @@ export function executeGetSessionStats(
     }
 
     response.by_model = byModel;
+    response.by_tool = buildAttributedStats(costSummary.byTool || {}, costSummary.totalCostUsd);
+    response.by_tag = buildAttributedStats(costSummary.byTag || {}, costSummary.totalCostUsd);
   }
 
   // Add timeline if full
@@ -291,6 +440,10 @@ export function executeGetSessionStats(
         model: record.model,
         tokens: record.inputTokens + record.outputTokens,
         cost_usd: record.costUsd,
+        tool: record.tool,
+        tag: record.tag,
+        cached: record.cached,
+        latency_ms: record.latencyMs,
       })),
     };
   }
@@ -322,6 +475,18 @@ export function formatSessionStatsMarkdown(response: GrokSessionStatsResponse):
   lines.push(`- **Total Cost:** ${response.totals.cost_formatted}`);
   lines.push('');
 
+  // Budget windows section (if any limits are set)
+  if (response.budget_windows.length > 0) {
+    lines.push('### Budgets');
+    for (const window of response.budget_windows) {
+      const label = window.window === 'daily' ? 'Daily' : 'Monthly';
+      lines.push(
+        `- **${label}:** ${formatCost(window.spent_usd)} of ${formatCost(window.limit_usd)} spent (${formatCost(window.remaining_usd)} left), resets ${window.resets_at}`
+      );
+    }
+    lines.push('');
+  }
+
   // Cache section
   lines.push('### Cache Efficiency');
   lines.push(`- **Hit Rate:** ${response.cache.hit_rate_percent}%`);
@@ -331,6 +496,19 @@ export function formatSessionStatsMarkdown(response: GrokSessionStatsResponse):
       `- **Estimated Savings:** ~${response.cache.tokens_saved.toLocaleString()} tokens (~${formatCost(response.cache.cost_saved_usd)})`
     );
   }
+  const toolEntries = Object.entries(response.cache.by_tool).filter(
+    ([, stats]) => stats.hits + stats.misses > 0
+  );
+  if (toolEntries.length > 0) {
+    lines.push('');
+    lines.push('| Tool | Hits / Misses | Hit Rate | Tokens Saved | Cost Saved |');
+    lines.push('|------|---------------|----------|--------------|------------|');
+    for (const [tool, stats] of toolEntries) {
+      lines.push(
+        `| ${tool} | ${stats.hits} / ${stats.misses} | ${stats.hit_rate_percent}% | ${stats.tokens_saved.toLocaleString()} | ${formatCost(stats.cost_saved_usd)} |`
+      );
+    }
+  }
   lines.push('');
 
   // Rates section
@@ -338,6 +516,20 @@ export function formatSessionStatsMarkdown(response: GrokSessionStatsResponse):
   lines.push(`- **Queries/min:** ${response.rates.queries_per_minute}`);
   lines.push(`- **Tokens/query:** ${response.rates.tokens_per_query.toLocaleString()}`);
   lines.push(`- **Cost/query:** ${formatCost(response.rates.cost_per_query_usd)}`);
+  lines.push('');
+
+  // Concurrency section
+  lines.push('### Concurrency');
+  lines.push(
+    `- **In Flight:** ${response.concurrency.in_flight} (max ${response.concurrency.max_concurrent} per endpoint)`
+  );
+  if (response.concurrency.waited > 0) {
+    lines.push(
+      `- **Waited:** ${response.concurrency.waited} requests (avg ${response.concurrency.avg_wait_ms}ms, max ${response.concurrency.max_wait_ms}ms)`
+    );
+  } else {
+    lines.push('- **Waited:** none');
+  }
 
   // Model breakdown section (if present)
   if (response.by_model && Object.keys(response.by_model).length > 0) {
@@ -354,6 +546,25 @@ export function formatSessionStatsMarkdown(response: GrokSessionStatsResponse):
     }
   }
 
+  // Tool and tag breakdown sections (if present)
+  for (const [title, label, breakdown] of [
+    ['Tool Usage', 'Tool', response.by_tool],
+    ['Tag Usage', 'Tag', response.by_tag],
+  ] as const) {
+    if (!breakdown || Object.keys(breakdown).length === 0) continue;
+    lines.push('');
+    lines.push(`### ${title}`);
+    lines.push('');
+    lines.push(`| ${label} | Queries | Cache Hits | Tokens | Cost | % of Cost | Avg Latency |`);
+    lines.push('|------|---------|------------|--------|------|-----------|-------------|');
+
+    for (const [key, stats] of Object.entries(breakdown)) {
+      lines.push(
+        `| ${key} | ${stats.queries} | ${stats.cache_hits} | ${stats.total_tokens.toLocaleString()} | ${stats.cost_formatted} | ${stats.cost_percent}% | ${stats.avg_latency_ms}ms |`
+      );
+    }
+  }
+
   // Timeline section (if present)
   if (response.timeline && response.timeline.recent_queries.length > 0) {
     lines.push('');
@@ -363,8 +574,11 @@ export function formatSessionStatsMarkdown(response: GrokSessionStatsResponse):
     for (let i = 0; i < response.timeline.recent_queries.length; i++) {
       const entry = response.timeline.recent_queries[i];
       const time = new Date(entry.timestamp).toLocaleTimeString();
+      const source = [entry.tool, entry.tag ? `#${entry.tag}` : undefined]
+        .filter(Boolean)
+        .join(' ');
       lines.push(
-        `${i + 1}. ${time} - ${entry.model} - ${entry.tokens.toLocaleString()} tokens - ${formatCost(entry.cost_usd)}`
+        `${i + 1}. ${time} - ${source ? `${source} - ` : ''}${entry.model} - ${entry.cached ? 'cached' : `${entry.tokens.toLocaleString()} tokens - ${formatCost(entry.cost_usd)}`}`
       );
     }
   }
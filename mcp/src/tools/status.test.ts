@@ -11,6 +11,17 @@ import {
   GrokStatusInput,
 } from './status.js';
 import type { Services } from '../types/index.js';
+import { CircuitBreaker } from '../services/circuit-breaker.js';
+import type { BudgetWindowStatus } from '../services/cost-tracker.js';
+
+/**
+ * Circuit breaker with one open circuit
+ */
+function createOpenBreaker(): CircuitBreaker {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 30_000 });
+  breaker.recordFailure('POST /chat/completions (grok-4-0709)');
+  return breaker;
+}
 
 // Mock services factory
 function createMockServices(
@@ -22,6 +33,7 @@ function createMockServices(
     costTracker?: Partial<ReturnType<Services['costTracker']['getUsageSummary']>>;
     sessionDuration?: number;
     cacheHitRate?: number;
+    budgetWindows?: BudgetWindowStatus[];
   } = {}
 ): Services {
   const defaultRateLimitStatus = {
@@ -33,6 +45,10 @@ function createMockServices(
     isLimited: false,
     currentRetryDelay: 0,
     retryCount: 0,
+    limitsSource: 'tier' as const,
+    queueDepth: { interactive: 0, background: 0, batch: 0 },
+    inFlight: {},
+    waits: { count: 0, avgMs: 0, maxMs: 0 },
     ...overrides.rateLimiter,
   };
 
@@ -43,6 +59,7 @@ function createMockServices(
     maxRetries: 5,
     maxPendingRequests: 100,
     pendingTimeoutMs: 30000,
+    maxConcurrent: 4,
     ...overrides.rateLimiterOptions,
   };
 
@@ -106,6 +123,7 @@ function createMockServices(
     } as unknown as Services['cache'],
     costTracker: {
       getUsageSummary: vi.fn().mockReturnValue(defaultCostSummary),
+      getBudgetWindows: vi.fn().mockReturnValue(overrides.budgetWindows ?? []),
       getSessionDuration: vi.fn().mockReturnValue(overrides.sessionDuration ?? 300000), // 5 minutes
       getTotalCost: vi.fn().mockReturnValue(defaultCostSummary.totalCostUsd),
       getRemainingBudget: vi.fn().mockReturnValue(defaultCostSummary.remainingBudgetUsd),
@@ -199,6 +217,81 @@ describe('grok_status tool', () => {
       expect(result.status).toBe('budget_exceeded');
     });
 
+    it('should return budget_exceeded when a daily or monthly window is used up', () => {
+      const services = createMockServices({
+        budgetWindows: [
+          {
+            window: 'monthly',
+            spentUsd: 5,
+            limitUsd: 5,
+            remainingUsd: 0,
+            resetsAt: '2026-11-01T00:00:00.000Z',
+          },
+        ],
+      });
+
+      const result = executeGetStatus(services, {});
+
+      expect(result.status).toBe('budget_exceeded');
+      expect(result.session.budget_windows).toEqual([
+        {
+          window: 'monthly',
+          spent_usd: 5,
+          limit_usd: 5,
+          remaining_usd: 0,
+          resets_at: '2026-11-01T00:00:00.000Z',
+        },
+      ]);
+    });
+
+    it('should not report a used up window when the limit is not enforced', () => {
+      const services = createMockServices({
+        costTracker: { limitEnforced: false },
+        budgetWindows: [
+          {
+            window: 'daily',
+            spentUsd: 2,
+            limitUsd: 1,
+            remainingUsd: 0,
+            resetsAt: '2026-10-19T00:00:00.000Z',
+          },
+        ],
+      });
+
+      const result = executeGetStatus(services, {});
+
+      expect(result.status).toBe('operational');
+    });
+
+    it('should return degraded when a circuit is open', () => {
+      const services = { ...createMockServices(), circuitBreaker: createOpenBreaker() };
+
+      const result = executeGetStatus(services, {});
+
+      expect(result.status).toBe('degraded');
+      expect(result.circuits).toEqual([
+        {
+          key: 'POST /chat/completions (grok-4-0709)',
+          state: 'open',
+          consecutive_failures: 1,
+          retry_in_seconds: 30,
+        },
+      ]);
+    });
+
+    it('should prioritize rate_limited over degraded', () => {
+      const services = {
+        ...createMockServices({ rateLimiter: { isLimited: true } }),
+        circuitBreaker: createOpenBreaker(),
+      };
+
+      expect(executeGetStatus(services, {}).status).toBe('rate_limited');
+    });
+
+    it('should report no circuits without a circuit breaker', () => {
+      expect(executeGetStatus(createMockServices(), {}).circuits).toEqual([]);
+    });
+
     it('should include rate limit information', () => {
       const services = createMockServices({
         rateLimiter: {
@@ -216,6 +309,28 @@ describe('grok_status tool', () => {
       expect(result.rate_limits.requests_remaining).toBe(480);
       expect(result.rate_limits.reset_in_seconds).toBe(30);
       expect(result.rate_limits.is_limited).toBe(false);
+      expect(result.rate_limits.limits_source).toBe('tier');
+      expect(result.rate_limits.queue_depth).toEqual({ interactive: 0, background: 0, batch: 0 });
+      expect(result.rate_limits.in_flight).toBe(0);
+      expect(result.rate_limits.max_concurrent).toBe(4);
+    });
+
+    it('should report in-flight requests and queue waits', () => {
+      const services = createMockServices({
+        rateLimiter: {
+          inFlight: { '/chat/completions': 3, '/responses': 1 },
+          waits: { count: 2, avgMs: 150, maxMs: 200 },
+        },
+      });
+
+      const result = executeGetStatus(services, {});
+
+      expect(result.rate_limits.in_flight).toBe(4);
+      expect(result.rate_limits.in_flight_by_endpoint).toEqual({
+        '/chat/completions': 3,
+        '/responses': 1,
+      });
+      expect(result.rate_limits.queue_wait).toEqual({ count: 2, avg_ms: 150, max_ms: 200 });
     });
 
     it('should include cache statistics', () => {
@@ -297,6 +412,24 @@ describe('grok_status tool', () => {
       expect(result.details!.cost_by_model['grok-4']).toBe(0.1);
     });
 
+    it('should include cost by tool and tag in details', () => {
+      const services = createMockServices({
+        costTracker: {
+          byTool: {
+            grok_query: { cost: 0.05, queries: 2, cacheHits: 1, tokens: 500, latencyMs: 900 },
+          },
+          byTag: {
+            billing: { cost: 0.02, queries: 1, cacheHits: 0, tokens: 200, latencyMs: 400 },
+          },
+        },
+      });
+
+      const result = executeGetStatus(services, { include_details: true });
+
+      expect(result.details!.cost_by_tool).toEqual({ grok_query: 0.05 });
+      expect(result.details!.cost_by_tag).toEqual({ billing: 0.02 });
+    });
+
     it('should handle zero queries gracefully', () => {
       const services = createMockServices({
         costTracker: {
@@ -374,6 +507,27 @@ describe('grok_status tool', () => {
       expect(text).toContain('BUDGET_EXCEEDED');
     });
 
+    it('should show spending, limit and reset time of each budget window', async () => {
+      const services = createMockServices({
+        budgetWindows: [
+          {
+            window: 'daily',
+            spentUsd: 0.25,
+            limitUsd: 1,
+            remainingUsd: 0.75,
+            resetsAt: '2026-10-19T00:00:00.000Z',
+          },
+        ],
+      });
+      const result = await handleGrokStatus(services, {});
+
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain(
+        '- **Daily Budget:** $0.2500 of $1.00 spent ($0.75 left), resets 2026-10-19T00:00:00.000Z'
+      );
+      expect(text).not.toContain('Monthly Budget');
+    });
+
     it('should include rate limits section', async () => {
       const services = createMockServices();
       const result = await handleGrokStatus(services, {});
@@ -384,6 +538,57 @@ describe('grok_status tool', () => {
       expect(text).toContain('Requests Remaining');
     });
 
+    it('should show when limits come from the server', async () => {
+      const services = createMockServices({ rateLimiter: { limitsSource: 'server' } });
+      const result = await handleGrokStatus(services, {});
+
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain('**Limits:** Reported by xAI');
+    });
+
+    it('should list open circuits when degraded', async () => {
+      const services = { ...createMockServices(), circuitBreaker: createOpenBreaker() };
+      const result = await handleGrokStatus(services, {});
+
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain('DEGRADED');
+      expect(text).toContain('### Circuit Breakers');
+      expect(text).toContain(
+        '- **POST /chat/completions (grok-4-0709):** open (1 consecutive failures, retrying in 30s)'
+      );
+    });
+
+    it('should show queue depth per priority class while requests wait', async () => {
+      const services = createMockServices({
+        rateLimiter: { queueDepth: { interactive: 1, background: 4, batch: 0 } },
+      });
+      const result = await handleGrokStatus(services, {});
+
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain('- **Queued:** interactive 1, background 4, batch 0');
+    });
+
+    it('should omit queue depth when nothing is queued', async () => {
+      const result = await handleGrokStatus(createMockServices(), {});
+
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).not.toContain('Queued');
+    });
+
+    it('should show in-flight requests and queue waits', async () => {
+      const services = createMockServices({
+        rateLimiter: {
+          inFlight: { '/chat/completions': 2 },
+          waits: { count: 5, avgMs: 320, maxMs: 1200 },
+        },
+      });
+      const result = await handleGrokStatus(services, {});
+
+      const text = (result.content[0] as { text: string }).text;
+      expect(text).toContain('- **In Flight:** 2 (max 4 per endpoint)');
+      expect(text).toContain('- **Queue Waits:** 5 (avg 320ms, max 1200ms)');
+    });
+
     it('should include cache section', async () => {
       const services = createMockServices();
       const result = await handleGrokStatus(services, {});
@@ -9,6 +9,10 @@
 
 import { CallToolResult, TextContent } from '@modelcontextprotocol/sdk/types.js';
 import type { Services } from '../types/index.js';
+import type { CircuitState } from '../services/circuit-breaker.js';
+import type { BudgetWindowStatus } from '../services/cost-tracker.js';
+import type { RequestPriority } from '../services/rate-limiter.js';
+import { tagSchemaProperty } from '../services/cost-attribution.js';
 
 /**
  * Input parameters for grok_status tool
@@ -20,8 +24,11 @@ export interface GrokStatusInput {
 
 /**
  * Overall plugin status
+ *
+ * `degraded` means at least one endpoint's circuit breaker is open or
+ * half-open, so some requests are failing fast.
  */
-export type PluginStatus = 'operational' | 'rate_limited' | 'budget_exceeded';
+export type PluginStatus = 'operational' | 'degraded' | 'rate_limited' | 'budget_exceeded';
 
 /**
  * Response from grok_status tool
@@ -35,7 +42,28 @@ export interface GrokStatusResponse {
     requests_remaining: number;
     reset_in_seconds: number;
     is_limited: boolean;
+    /** `server` once xAI's rate limit headers have replaced the tier's limits */
+    limits_source: 'tier' | 'server';
+    /** Requests waiting in the rate limit queue, by priority class */
+    queue_depth: Record<RequestPriority, number>;
+    /** Requests currently in flight, across all endpoints */
+    in_flight: number;
+    /** Requests currently in flight, by API endpoint */
+    in_flight_by_endpoint: Record<string, number>;
+    /** Maximum requests in flight at once per endpoint (GROK_MAX_CONCURRENT) */
+    max_concurrent: number;
+    /** Requests that waited for a slot, backoff or quota, and how long */
+    queue_wait: { count: number; avg_ms: number; max_ms: number };
   };
+  /** Circuit breakers with failures since their last success */
+  circuits: Array<{
+    /** Endpoint and model, e.g. `POST /chat/completions (grok-4-0709)` */
+    key: string;
+    state: CircuitState;
+    consecutive_failures: number;
+    /** Time until an open circuit allows a probe request */
+    retry_in_seconds: number;
+  }>;
   /** Cache statistics */
   cache: {
     enabled: boolean;
@@ -50,12 +78,25 @@ export interface GrokStatusResponse {
     remaining_budget_usd: number;
     budget_used_percent: number;
     duration_minutes: number;
+    /** Daily and monthly limits that are configured, with spending from the ledger */
+    budget_windows: Array<{
+      window: BudgetWindowStatus['window'];
+      spent_usd: number;
+      limit_usd: number;
+      remaining_usd: number;
+      /** When the window resets (ISO8601) */
+      resets_at: string;
+    }>;
   };
   /** Detailed information (only if include_details: true) */
   details?: {
     cache_bytes: number;
     rate_limit_tier: string;
     cost_by_model: Record<string, number>;
+    /** Cost in USD per tool */
+    cost_by_tool: Record<string, number>;
+    /** Cost in USD per user-supplied tag */
+    cost_by_tag: Record<string, number>;
     retry_state: { count: number; delay_ms: number };
   };
 }
@@ -71,6 +112,7 @@ export const grokStatusSchema = {
       type: 'boolean',
       description: 'Include detailed breakdown by model and memory usage (default: false)',
     },
+    tag: tagSchemaProperty,
   },
   additionalProperties: false,
 };
@@ -87,11 +129,14 @@ export const grokStatusToolDefinition = {
 
 /**
  * Determine the overall plugin status based on service states
+ *
+ * @param budgetWindows - Daily and monthly windows, from the cost tracker
  */
-function determineStatus(services: Services): PluginStatus {
-  // Check if budget is exceeded
+function determineStatus(services: Services, budgetWindows: BudgetWindowStatus[]): PluginStatus {
+  // Check if the session budget or a daily or monthly window is used up
   const costSummary = services.costTracker.getUsageSummary();
-  if (costSummary.remainingBudgetUsd <= 0 && costSummary.limitEnforced) {
+  const windowExhausted = budgetWindows.some((window) => window.remainingUsd <= 0);
+  if ((costSummary.remainingBudgetUsd <= 0 || windowExhausted) && costSummary.limitEnforced) {
     return 'budget_exceeded';
   }
 
@@ -101,9 +146,25 @@ function determineStatus(services: Services): PluginStatus {
     return 'rate_limited';
   }
 
+  // Check if any endpoint is failing fast
+  if (services.circuitBreaker?.isDegraded()) {
+    return 'degraded';
+  }
+
   return 'operational';
 }
 
+/**
+ * Extract just the cost from a per-tool or per-tag breakdown
+ */
+function extractCosts(breakdown: Record<string, { cost: number }> = {}): Record<string, number> {
+  const costs: Record<string, number> = {};
+  for (const [key, data] of Object.entries(breakdown)) {
+    costs[key] = data.cost;
+  }
+  return costs;
+}
+
 /**
  * Execute status check and gather metrics
  */
@@ -115,16 +176,33 @@ export function executeGetStatus(services: Services, input: GrokStatusInput): Gr
   const cacheOptions = services.cache.getOptions();
   const costSummary = services.costTracker.getUsageSummary();
   const sessionDurationMs = services.costTracker.getSessionDuration();
+  const budgetWindows = services.costTracker.getBudgetWindows();
 
   // Build response
   const response: GrokStatusResponse = {
-    status: determineStatus(services),
+    status: determineStatus(services, budgetWindows),
     rate_limits: {
       tokens_remaining: rateLimitStatus.tokensRemaining,
       requests_remaining: rateLimitStatus.requestsRemaining,
       reset_in_seconds: Math.ceil(rateLimitStatus.resetInMs / 1000),
       is_limited: rateLimitStatus.isLimited,
+      limits_source: rateLimitStatus.limitsSource,
+      queue_depth: rateLimitStatus.queueDepth,
+      in_flight: Object.values(rateLimitStatus.inFlight).reduce((sum, count) => sum + count, 0),
+      in_flight_by_endpoint: rateLimitStatus.inFlight,
+      max_concurrent: rateLimiterOptions.maxConcurrent,
+      queue_wait: {
+        count: rateLimitStatus.waits.count,
+        avg_ms: rateLimitStatus.waits.avgMs,
+        max_ms: rateLimitStatus.waits.maxMs,
+      },
     },
+    circuits: (services.circuitBreaker?.getCircuits() ?? []).map((circuit) => ({
+      key: circuit.key,
+      state: circuit.state,
+      consecutive_failures: circuit.consecutiveFailures,
+      retry_in_seconds: Math.ceil(circuit.retryInMs / 1000),
+    })),
     cache: {
       enabled: cacheOptions.enabled,
       hit_rate_percent: services.cache.getHitRate(),
@@ -137,21 +215,24 @@ export function executeGetStatus(services: Services, input: GrokStatusInput): Gr
       remaining_budget_usd: costSummary.remainingBudgetUsd,
       budget_used_percent: costSummary.budgetUsedPercent,
       duration_minutes: Math.round(sessionDurationMs / 60000),
+      budget_windows: budgetWindows.map((window) => ({
+        window: window.window,
+        spent_usd: window.spentUsd,
+        limit_usd: window.limitUsd,
+        remaining_usd: window.remainingUsd,
+        resets_at: window.resetsAt,
+      })),
     },
   };
 
   // Add details if requested
   if (input.include_details) {
-    // Extract just the cost from byModel
-    const costByModel: Record<string, number> = {};
-    for (const [model, data] of Object.entries(costSummary.byModel)) {
-      costByModel[model] = data.cost;
-    }
-
     response.details = {
       cache_bytes: cacheStats.approximateBytes,
       rate_limit_tier: rateLimiterOptions.tier,
-      cost_by_model: costByModel,
+      cost_by_model: extractCosts(costSummary.byModel),
+      cost_by_tool: extractCosts(costSummary.byTool),
+      cost_by_tag: extractCosts(costSummary.byTag),
       retry_state: {
         count: rateLimitStatus.retryCount,
         delay_ms: rateLimitStatus.currentRetryDelay,
@@ -171,6 +252,7 @@ function formatStatusOutput(response: GrokStatusResponse): string {
   // Status indicator
   const statusEmoji = {
     operational: '\u2705', // green checkmark
+    degraded: '\uD83D\uDFE0', // orange circle
     rate_limited: '\u26A0\uFE0F', // warning
     budget_exceeded: '\uD83D\uDED1', // stop sign
   };
@@ -187,11 +269,41 @@ function formatStatusOutput(response: GrokStatusResponse): string {
     `- **Requests Remaining:** ${response.rate_limits.requests_remaining.toLocaleString()}`
   );
   lines.push(`- **Reset In:** ${response.rate_limits.reset_in_seconds}s`);
+  if (response.rate_limits.limits_source === 'server') {
+    lines.push('- **Limits:** Reported by xAI');
+  }
+  const queueDepth = Object.entries(response.rate_limits.queue_depth);
+  if (queueDepth.some(([, depth]) => depth > 0)) {
+    lines.push(
+      `- **Queued:** ${queueDepth.map(([priority, depth]) => `${priority} ${depth}`).join(', ')}`
+    );
+  }
+  lines.push(
+    `- **In Flight:** ${response.rate_limits.in_flight} (max ${response.rate_limits.max_concurrent} per endpoint)`
+  );
+  const { queue_wait: queueWait } = response.rate_limits;
+  if (queueWait.count > 0) {
+    lines.push(
+      `- **Queue Waits:** ${queueWait.count} (avg ${queueWait.avg_ms}ms, max ${queueWait.max_ms}ms)`
+    );
+  }
   if (response.rate_limits.is_limited) {
     lines.push('- **Status:** \u26A0\uFE0F Rate limited');
   }
   lines.push('');
 
+  // Circuit Breakers
+  if (response.circuits.length > 0) {
+    lines.push('### Circuit Breakers');
+    for (const circuit of response.circuits) {
+      const retry = circuit.state === 'open' ? `, retrying in ${circuit.retry_in_seconds}s` : '';
+      lines.push(
+        `- **${circuit.key}:** ${circuit.state.replace('_', '-')} (${circuit.consecutive_failures} consecutive failures${retry})`
+      );
+    }
+    lines.push('');
+  }
+
   // Cache
   lines.push('### Cache');
   lines.push(`- **Enabled:** ${response.cache.enabled ? 'Yes' : 'No'}`);
@@ -205,6 +317,12 @@ function formatStatusOutput(response: GrokStatusResponse): string {
   lines.push(`- **Total Cost:** $${response.session.total_cost_usd.toFixed(4)}`);
   lines.push(`- **Remaining Budget:** $${response.session.remaining_budget_usd.toFixed(2)}`);
   lines.push(`- **Budget Used:** ${response.session.budget_used_percent.toFixed(1)}%`);
+  for (const window of response.session.budget_windows) {
+    const label = window.window === 'daily' ? 'Daily' : 'Monthly';
+    lines.push(
+      `- **${label} Budget:** $${window.spent_usd.toFixed(4)} of $${window.limit_usd.toFixed(2)} spent ($${window.remaining_usd.toFixed(2)} left), resets ${window.resets_at}`
+    );
+  }
   lines.push(`- **Duration:** ${response.session.duration_minutes} minutes`);
 
   // Details (if present)
@@ -222,6 +340,22 @@ function formatStatusOutput(response: GrokStatusResponse): string {
       }
     }
 
+    if (Object.keys(response.details.cost_by_tool).length > 0) {
+      lines.push('');
+      lines.push('**Cost by Tool:**');
+      for (const [tool, cost] of Object.entries(response.details.cost_by_tool)) {
+        lines.push(`- ${tool}: $${cost.toFixed(4)}`);
+      }
+    }
+
+    if (Object.keys(response.details.cost_by_tag).length > 0) {
+      lines.push('');
+      lines.push('**Cost by Tag:**');
+      for (const [tag, cost] of Object.entries(response.details.cost_by_tag)) {
+        lines.push(`- ${tag}: $${cost.toFixed(4)}`);
+      }
+    }
+
     if (response.details.retry_state.count > 0) {
       lines.push('');
       lines.push(
@@ -236,7 +370,7 @@ function formatStatusOutput(response: GrokStatusResponse): string {
 /**
  * Handle grok_status tool call
  *
- * @param services - MCP services (cache, costTracker, rateLimiter)
+ * @param services - MCP services (cache, costTracker, rateLimiter, circuitBreaker)
  * @param input - Tool input parameters
  * @returns MCP CallToolResult
  */
@@ -2,9 +2,13 @@
  * grok_with_file Tool Tests
  */
 
-import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
 import { server } from '../test/mocks/server.js';
 import { XAIClient } from '../client/xai-client.js';
+import { ResponseCache } from '../services/cache.js';
+import { CostTracker } from '../services/cost-tracker.js';
+import { RateLimiter } from '../services/rate-limiter.js';
+import type { ChatCompletionStreamChunk, Services } from '../types/index.js';
 import {
   detectFileType,
   validateGrokWithFileInput,
@@ -16,6 +20,14 @@ import {
   FileType,
 } from './with-file.js';
 
+function createServices(): Services {
+  return {
+    cache: new ResponseCache({ enabled: true, ttlSeconds: 300 }),
+    costTracker: new CostTracker({ limitUsd: 10, enforceLimit: true }),
+    rateLimiter: new RateLimiter({ tier: 'standard' }),
+  };
+}
+
 describe('grok_with_file tool', () => {
   let client: XAIClient;
 
@@ -26,6 +38,7 @@ describe('grok_with_file tool', () => {
 
   afterEach(() => {
     server.resetHandlers();
+    vi.restoreAllMocks();
   });
 
   afterAll(() => {
@@ -435,6 +448,93 @@ describe('grok_with_file tool', () => {
     });
   });
 
+  describe('progress', () => {
+    const usage = { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 };
+    const answer = 'The file is a short Markdown greeting.';
+
+    function mockChatCompletion(): void {
+      vi.spyOn(client, 'chatCompletion').mockResolvedValue({
+        id: 'resp-1',
+        object: 'chat.completion',
+        created: 1,
+        model: 'grok-4-fast-non-reasoning',
+        choices: [
+          { index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' },
+        ],
+        usage,
+      });
+    }
+
+    function mockStream(): void {
+      vi.spyOn(client, 'chatCompletionStream').mockImplementation(
+        async function* (): AsyncGenerator<ChatCompletionStreamChunk> {
+          const parts = [answer.slice(0, 10), answer.slice(10)];
+          for (const [i, part] of parts.entries()) {
+            const last = i === parts.length - 1;
+            yield {
+              id: 'resp-1',
+              object: 'chat.completion.chunk',
+              created: 1,
+              model: 'grok-4-fast-non-reasoning',
+              choices: [
+                { index: 0, delta: { content: part }, finish_reason: last ? 'stop' : null },
+              ],
+              usage: last ? usage : undefined,
+            };
+          }
+        }
+      );
+    }
+
+    it('should stream and report progress when a reporter is given', async () => {
+      mockStream();
+      const chatSpy = vi.spyOn(client, 'chatCompletion');
+      const onProgress = vi.fn();
+
+      await executeGrokWithFile(
+        client,
+        { query: 'Summarize', file_content: '# Hello', filename: 'hello.md' },
+        undefined,
+        onProgress
+      );
+
+      expect(chatSpy).not.toHaveBeenCalled();
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress.mock.calls[1][0]).toMatchObject({ chunks: 2 });
+    });
+
+    it('should return the same result as a non-streamed call', async () => {
+      mockChatCompletion();
+      const plain = await executeGrokWithFile(client, {
+        query: 'Summarize',
+        file_content: '# Hello',
+        filename: 'hello.md',
+      });
+      mockStream();
+      const streamed = await executeGrokWithFile(
+        client,
+        { query: 'Summarize', file_content: '# Hello', filename: 'hello.md' },
+        undefined,
+        vi.fn()
+      );
+
+      expect({ ...streamed, response_time_ms: 0 }).toEqual({ ...plain, response_time_ms: 0 });
+    });
+
+    it('should not stream without a reporter', async () => {
+      mockChatCompletion();
+      const streamSpy = vi.spyOn(client, 'chatCompletionStream');
+
+      await handleGrokWithFile(
+        client,
+        { query: 'Summarize', file_content: '# Hello', filename: 'hello.md' },
+        createServices()
+      );
+
+      expect(streamSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleGrokWithFile', () => {
     it('should handle valid input', async () => {
       const input = {
@@ -490,6 +590,9 @@ describe('grok_with_file tool', () => {
     it('should work with services', async () => {
       const mockServices = {
         cache: {
+          isEnabled: (): boolean => true,
+          generateKey: (): string => 'key',
+          getTtlSeconds: (): number => 300,
           get: () => null,
           set: () => {},
           delete: () => false,
@@ -535,5 +638,45 @@ describe('grok_with_file tool', () => {
 
       expect(result.isError).toBe(false);
     });
+
+    describe('caching', () => {
+      it('should serve a repeated question about the same file from the cache', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+        const input = { query: 'Summarize', file_content: 'Line one\nLine two' };
+
+        await handleGrokWithFile(client, input, services);
+        const second = await handleGrokWithFile(client, input, services);
+
+        expect(chatSpy).toHaveBeenCalledTimes(1);
+        expect((second.content[0] as { text: string }).text).toContain('📦 **CACHED**');
+        expect(services.cache.getStats().byTool.grok_with_file.hits).toBe(1);
+      });
+
+      it('should miss when the file content changes', async () => {
+        const services = createServices();
+        const chatSpy = vi.spyOn(client, 'chatCompletion');
+
+        await handleGrokWithFile(client, { query: 'Summarize', file_content: 'v1' }, services);
+        await handleGrokWithFile(client, { query: 'Summarize', file_content: 'v2' }, services);
+
+        expect(chatSpy).toHaveBeenCalledTimes(2);
+      });
+
+      it('should use the deterministic TTL for low temperatures', async () => {
+        const services = createServices();
+        services.cache.setOptions({ ttlSeconds: 120, deterministicTtlSeconds: 3600 });
+        const setSpy = vi.spyOn(services.cache, 'set');
+
+        await handleGrokWithFile(
+          client,
+          { query: 'Summarize', file_content: 'x', temperature: 0 },
+          services
+        );
+        await handleGrokWithFile(client, { query: 'Summarize', file_content: 'y' }, services);
+
+        expect(setSpy.mock.calls.map((call) => call[2])).toEqual([3600, 120]);
+      });
+    });
   });
 });
@@ -9,8 +9,21 @@
 
 import { CallToolResult, TextContent } from '@modelcontextprotocol/sdk/types.js';
 import { XAIClient } from '../client/xai-client.js';
-import { TokenUsage, CostEstimate, Services } from '../types/index.js';
+import { TokenUsage, CostEstimate, Services, ChatMessage } from '../types/index.js';
 import { CostTracker } from '../services/cost-tracker.js';
+import {
+  formatCacheBadge,
+  getTtlClassForTemperature,
+  lookupToolCache,
+  storeToolCache,
+} from '../services/tool-cache.js';
+import {
+  getCostAttribution,
+  startToolCall,
+  tagSchemaProperty,
+} from '../services/cost-attribution.js';
+import { streamChatCompletion, type ProgressReporter } from '../services/progress.js';
+import type { RateLimitClass } from '../services/rate-limiter.js';
 
 /**
  * Supported file types
@@ -122,6 +135,7 @@ export const withFileSchema = {
       maximum: 2,
       default: 0.7,
     },
+    tag: tagSchemaProperty,
   },
   required: ['query', 'file_content'],
   additionalProperties: false,
@@ -407,12 +421,40 @@ export function validateGrokWithFileInput(input: unknown): GrokWithFileInput {
   };
 }
 
+/**
+ * Build the messages for a file query
+ *
+ * @param input - Validated file query input
+ * @param fileType - Detected or provided file type
+ */
+function buildFileMessages(input: GrokWithFileInput, fileType: FileType): ChatMessage[] {
+  return [
+    {
+      role: 'system',
+      content:
+        'You are a helpful assistant that analyzes file content and answers questions about it. Provide clear, accurate, and well-structured responses.',
+    },
+    {
+      role: 'user',
+      content: buildFilePrompt(
+        input.query,
+        input.file_content,
+        fileType,
+        input.filename,
+        input.context
+      ),
+    },
+  ];
+}
+
 /**
  * Execute file query
  */
 export async function executeGrokWithFile(
   client: XAIClient,
-  input: GrokWithFileInput
+  input: GrokWithFileInput,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
 ): Promise<GrokWithFileResponse> {
   const startTime = Date.now();
 
@@ -430,37 +472,22 @@ export async function executeGrokWithFile(
     );
   }
 
-  // Build the prompt
-  const prompt = buildFilePrompt(
-    input.query,
-    input.file_content,
-    fileType,
-    input.filename,
-    input.context
-  );
-
   // Resolve model - use auto for intelligent selection
   const model = input.model || 'auto';
   const maxTokens = input.max_tokens || 4096;
   const temperature = input.temperature ?? 0.7;
 
-  // Make the API call
-  const response = await client.chatCompletion({
+  // Make the API call (streamed when the client asked for progress)
+  const params = {
     model,
-    messages: [
-      {
-        role: 'system',
-        content:
-          'You are a helpful assistant that analyzes file content and answers questions about it. Provide clear, accurate, and well-structured responses.',
-      },
-      {
-        role: 'user',
-        content: prompt,
-      },
-    ],
+    messages: buildFileMessages(input, fileType),
     temperature,
     max_tokens: maxTokens,
-  });
+    signal,
+  };
+  const response = onProgress
+    ? await streamChatCompletion(client, params, onProgress)
+    : await client.chatCompletion(params);
 
   const responseTime = Date.now() - startTime;
 
@@ -490,8 +517,14 @@ export async function executeGrokWithFile(
 
 /**
  * Format response for MCP output
+ *
+ * @param result - File query result
+ * @param cacheInfo - Present when the result came from the cache
  */
-function formatWithFileOutput(result: GrokWithFileResponse): string {
+function formatWithFileOutput(
+  result: GrokWithFileResponse,
+  cacheInfo?: { expiresIn?: number }
+): string {
   const lines: string[] = [];
 
   // Header
@@ -516,30 +549,73 @@ function formatWithFileOutput(result: GrokWithFileResponse): string {
   lines.push(
     `⚡ *${result.model} • ${result.usage.total_tokens} tokens • $${result.cost.estimated_usd.toFixed(4)} • ${result.response_time_ms}ms*`
   );
+  if (cacheInfo) {
+    lines.push(formatCacheBadge(cacheInfo.expiresIn));
+  }
 
   return lines.join('\n');
 }
 
+/**
+ * Rate limit queue class for grok_with_file
+ */
+export const grokWithFileRateLimitClass: RateLimitClass = {
+  tool: 'grok_with_file',
+  priority: 'interactive',
+};
+
 /**
  * Handle grok_with_file tool call
  *
  * @param client - XAI client instance
  * @param input - Tool input parameters
  * @param services - Optional services for cost tracking and rate limiting
+ * @param signal - Cancels the request (including rate limit waits) when aborted
+ * @param onProgress - Reports streaming progress to the client
  * @returns MCP CallToolResult
  */
 export async function handleGrokWithFile(
   client: XAIClient,
   input: unknown,
-  services?: Services
+  services?: Services,
+  signal?: AbortSignal,
+  onProgress?: ProgressReporter
 ): Promise<CallToolResult> {
   try {
+    const call = startToolCall('grok_with_file', input);
+
     // Validate input
     const validatedInput = validateGrokWithFileInput(input);
 
     // Resolve model for budget/rate estimation
     const resolvedModel = client.resolveModel(validatedInput.model || 'auto');
 
+    // CHECK CACHE
+    const fileType =
+      validatedInput.file_type ||
+      detectFileType(validatedInput.filename, validatedInput.file_content);
+    const temperature = validatedInput.temperature ?? 0.7;
+    const cacheLookup = lookupToolCache<GrokWithFileResponse>(services, 'grok_with_file', {
+      model: resolvedModel,
+      messages: buildFileMessages(validatedInput, fileType),
+      temperature,
+      max_tokens: validatedInput.max_tokens || 4096,
+    });
+    if (cacheLookup.hit) {
+      if (services?.costTracker) {
+        services.costTracker.recordCacheHit(cacheLookup.hit.model, getCostAttribution(call, true));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatWithFileOutput(cacheLookup.hit, { expiresIn: cacheLookup.expiresIn }),
+          },
+        ],
+        isError: false,
+      };
+    }
+
     // Estimate tokens for budget and rate limiting
     const estimatedInputTokens = Math.ceil(
       (validatedInput.file_content.length +
@@ -561,23 +637,30 @@ export async function handleGrokWithFile(
 
     // ACQUIRE RATE LIMIT
     if (services?.rateLimiter) {
-      await services.rateLimiter.acquire(estimatedInputTokens);
+      await services.rateLimiter.acquire(estimatedInputTokens, signal, grokWithFileRateLimitClass);
     }
 
     try {
-      const result = await executeGrokWithFile(client, validatedInput);
+      const result = await executeGrokWithFile(client, validatedInput, signal, onProgress);
 
       // RECORD ACTUAL USAGE
       if (services?.rateLimiter) {
-        services.rateLimiter.recordUsage(result.usage.total_tokens, estimatedInputTokens);
+        services.rateLimiter.recordUsage(
+          result.usage.total_tokens,
+          estimatedInputTokens,
+          grokWithFileRateLimitClass
+        );
         services.rateLimiter.clearBackoff();
       }
 
       // TRACK COST
       if (services?.costTracker) {
-        services.costTracker.addFromEstimate(result.cost);
+        services.costTracker.addFromEstimate(result.cost, getCostAttribution(call));
       }
 
+      // CACHE RESULT
+      storeToolCache(services, cacheLookup, result, getTtlClassForTemperature(temperature));
+
       const content: TextContent = {
         type: 'text',
         text: formatWithFileOutput(result),
@@ -590,7 +673,7 @@ export async function handleGrokWithFile(
     } catch (error) {
       // Release rate limiter slot on failure
       if (services?.rateLimiter) {
-        services.rateLimiter.release(estimatedInputTokens);
+        services.rateLimiter.release(estimatedInputTokens, grokWithFileRateLimitClass);
       }
       throw error;
     }
@@ -45,13 +45,80 @@ export type MessageContentPart = TextContentPart | ImageUrlContentPart;
  */
 export type MessageContent = string | MessageContentPart[];
 
+/**
+ * Function the model may call (native function calling)
+ */
+export interface FunctionDefinition {
+  /** Function name (letters, digits, underscores and dashes; max 64 chars) */
+  name: string;
+  /** What the function does, used by the model to decide when to call it */
+  description?: string;
+  /** JSON Schema for the function's arguments */
+  parameters?: Record<string, unknown>;
+}
+
+/**
+ * Tool definition sent in the `tools` request parameter
+ */
+export interface ChatToolDefinition {
+  type: 'function';
+  function: FunctionDefinition;
+}
+
+/**
+ * Controls whether and which function the model calls
+ *
+ * - auto: the model decides (default)
+ * - none: never call a function
+ * - required: always call at least one function
+ * - { type: 'function', function: { name } }: call the named function
+ */
+export type ChatToolChoice =
+  | 'auto'
+  | 'none'
+  | 'required'
+  | { type: 'function'; function: { name: string } };
+
+/**
+ * Function call requested by the assistant
+ */
+export interface ChatToolCall {
+  /** Call ID, echoed back in the `tool` message carrying the result */
+  id: string;
+  type: 'function';
+  function: {
+    name: string;
+    /** Arguments as a JSON-encoded string (may be invalid JSON) */
+    arguments: string;
+  };
+}
+
+/**
+ * Fragment of a tool call in a streaming delta
+ * Fragments with the same index belong to the same call; arguments are concatenated.
+ */
+export interface ChatToolCallDelta {
+  index: number;
+  id?: string;
+  type?: 'function';
+  function?: {
+    name?: string;
+    arguments?: string;
+  };
+}
+
 /**
  * Chat message format for xAI API
  * Supports both text-only (string content) and multimodal (content array) formats
  */
 export interface ChatMessage {
-  role: 'system' | 'user' | 'assistant';
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  /** Message content (empty when an assistant message only calls functions) */
   content: MessageContent;
+  /** Function calls requested by the assistant */
+  tool_calls?: ChatToolCall[];
+  /** ID of the tool call a `tool` message answers */
+  tool_call_id?: string;
 }
 
 /**
@@ -65,8 +132,18 @@ export interface ChatCompletionParams {
   top_p?: number;
   stream?: boolean;
   stop?: string | string[];
+  /** Functions the model may call */
+  tools?: ChatToolDefinition[];
+  /** Whether and which function the model calls (default: auto) */
+  tool_choice?: ChatToolChoice;
+  /** Allow several function calls in one response */
+  parallel_tool_calls?: boolean;
+  /** Structured output format */
+  response_format?: ResponseFormat;
   /** Per-request timeout override in milliseconds */
   timeout?: number;
+  /** Cancels the request when aborted (not sent to the API) */
+  signal?: AbortSignal;
 }
 
 /**
@@ -114,8 +191,9 @@ export interface ChatCompletionStreamChunk {
     delta: {
       role?: 'assistant';
       content?: string;
+      tool_calls?: ChatToolCallDelta[];
     };
-    finish_reason: 'stop' | 'length' | null;
+    finish_reason: 'stop' | 'length' | 'tool_calls' | 'content_filter' | null;
   }>;
   /** Only present on final chunk */
   usage?: TokenUsage;
@@ -145,6 +223,15 @@ export interface ModelsResponse {
 // xAI Client Types
 // =============================================================================
 
+/**
+ * Record-and-replay mode for API requests
+ *
+ * - `passthrough`: call the API normally (default)
+ * - `record`: call the API and save each response to a cassette file
+ * - `replay`: serve responses from cassette files without network access
+ */
+export type ReplayMode = 'record' | 'replay' | 'passthrough';
+
 /**
  * Configuration options for XAIClient
  */
@@ -153,8 +240,45 @@ export interface XAIClientOptions {
   baseUrl?: string;
   timeout?: number;
   maxRetries?: number;
+  /** Record-and-replay mode (default: passthrough) */
+  replayMode?: ReplayMode;
+  /** Directory for cassette files (required for record and replay modes) */
+  cassetteDir?: string;
+  /** Runtime fallback chains by alias or model ID (default: DEFAULT_MODEL_FALLBACK_CHAINS) */
+  modelFallbacks?: Record<string, string[]>;
+  /** Called with the rate limit headers of every API response */
+  onRateLimitHeaders?: RateLimitListener;
+  /** Retry and backoff policy, shared with the rate limiter (default: a new policy) */
+  retryPolicy?: RetryPolicy;
+  /** Fails requests fast while an endpoint and model keep failing (default: a new breaker) */
+  circuitBreaker?: CircuitBreaker;
 }
 
+/**
+ * Rate limit state reported by the `x-ratelimit-*` headers of an API response
+ *
+ * Only the headers present on the response are set.
+ */
+export interface RateLimitHeaders {
+  /** Requests allowed per window (x-ratelimit-limit-requests) */
+  limitRequests?: number;
+  /** Tokens allowed per window (x-ratelimit-limit-tokens) */
+  limitTokens?: number;
+  /** Requests left in the current window (x-ratelimit-remaining-requests) */
+  remainingRequests?: number;
+  /** Tokens left in the current window (x-ratelimit-remaining-tokens) */
+  remainingTokens?: number;
+  /** Time until the request window resets, in ms (x-ratelimit-reset-requests) */
+  resetRequestsMs?: number;
+  /** Time until the token window resets, in ms (x-ratelimit-reset-tokens) */
+  resetTokensMs?: number;
+}
+
+/**
+ * Receives the rate limit headers of API responses
+ */
+export type RateLimitListener = (headers: RateLimitHeaders) => void;
+
 /**
  * Custom error class for xAI API errors
  *
@@ -206,6 +330,31 @@ export class XAIError extends Error {
   }
 }
 
+/**
+ * Error thrown when a request is cancelled by the caller's AbortSignal
+ *
+ * Uses the non-standard 499 (Client Closed Request) status so callers that
+ * only inspect XAIError status codes do not mistake it for a timeout (408).
+ */
+export class RequestCancelledError extends XAIError {
+  constructor(message: string = 'Request cancelled by client') {
+    super(message, 499, 'Client Closed Request');
+    this.name = 'RequestCancelledError';
+  }
+}
+
+/**
+ * Throw RequestCancelledError if a signal has already been aborted
+ *
+ * @param signal - Cancellation signal, if any
+ * @throws RequestCancelledError if the signal is aborted
+ */
+export function throwIfCancelled(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw new RequestCancelledError();
+  }
+}
+
 // =============================================================================
 // Model Alias Types
 // =============================================================================
@@ -253,6 +402,35 @@ export const MODEL_FALLBACKS: Record<string, string> = {
   'grok-4.1-fast': 'grok-4-1-fast-reasoning',
 };
 
+/**
+ * Runtime fallback chains, tried in order when a model fails with a
+ * retriable error (5xx, timeout, rate limit) or is not found.
+ * Keys and entries may be aliases or model IDs. Override with GROK_MODEL_FALLBACKS.
+ */
+export const DEFAULT_MODEL_FALLBACK_CHAINS: Record<string, string[]> = {
+  smartest: ['reasoning', 'fast'],
+  reasoning: ['grok-4-fast-reasoning', 'fast'],
+  code: ['fast'],
+  fast: ['grok-4-1-fast-non-reasoning'],
+};
+
+/**
+ * Why a request moved on to the next model in its fallback chain
+ */
+export type FallbackReason = 'server_error' | 'timeout' | 'rate_limited' | 'model_not_found';
+
+/**
+ * A failed attempt that triggered a model fallback
+ */
+export interface ModelFallbackAttempt {
+  /** Model that failed */
+  model: string;
+  /** Why the next model was tried */
+  reason: FallbackReason;
+  /** HTTP status of the failure */
+  status_code: number;
+}
+
 /**
  * Models that support vision/image input (P4-015)
  */
@@ -286,6 +464,23 @@ export const MODEL_PRICING: Record<string, { input: number; output: number }> =
   'grok-2-image-1212': { input: 2.0, output: 10.0 },
 };
 
+/**
+ * Known context windows in tokens (supplementing API response)
+ */
+export const MODEL_CONTEXT_WINDOWS: Record<string, number> = {
+  'grok-4-0709': 256000,
+  'grok-4-fast-non-reasoning': 2000000,
+  'grok-4-fast-reasoning': 2000000,
+  'grok-4-1-fast-non-reasoning': 2000000,
+  'grok-4-1-fast-reasoning': 2000000,
+  'grok-code-fast-1': 256000,
+  'grok-3': 131000,
+  'grok-3-mini': 131000,
+  'grok-2-vision-1212': 32000,
+  'grok-2-1212': 32000,
+  'grok-2-image-1212': 32000,
+};
+
 // =============================================================================
 // Intelligent Model Selection Patterns (P4-010) & Complexity Scoring (P4-011)
 // =============================================================================
@@ -747,6 +942,8 @@ export interface GrokQueryResponse {
   response_time_ms: number;
   /** JSON parsing metadata (only present when response_format was used) */
   json_result?: JsonParseResult;
+  /** Failed attempts before `model` answered (only present after a fallback) */
+  fallback_attempts?: ModelFallbackAttempt[];
 }
 
 /**
@@ -757,6 +954,8 @@ export interface StreamingGrokQueryResponse extends GrokQueryResponse {
   partial: boolean;
   /** Number of chunks received before completion/timeout */
   chunks_received: number;
+  /** True if the stream was cut off because the client cancelled the request */
+  cancelled?: boolean;
 }
 
 /**
@@ -797,13 +996,39 @@ export interface GrokModelsResponse {
 /**
  * Input parameters for grok_query tool
  */
+/**
+ * Named JSON Schema for structured outputs
+ */
+export interface JsonSchemaDefinition {
+  /** Schema name (letters, digits, underscores and dashes; max 64 chars) */
+  name: string;
+  /** JSON Schema the response must match */
+  schema: Record<string, unknown>;
+  /** Ask the API to enforce the schema strictly */
+  strict?: boolean;
+  /** What the output represents */
+  description?: string;
+}
+
 /**
  * Response format for grok_query JSON mode (P4-016)
  * Compatible with OpenAI's response_format parameter
+ *
+ * - json_object: any valid JSON
+ * - json_schema: JSON matching the given schema (structured outputs)
  */
-export interface ResponseFormat {
-  /** Output format type. Currently only "json_object" is supported */
-  type: 'json_object';
+export type ResponseFormat =
+  | { type: 'json_object' }
+  | { type: 'json_schema'; json_schema: JsonSchemaDefinition };
+
+/**
+ * A value that does not match its JSON Schema
+ */
+export interface SchemaValidationError {
+  /** Location of the failing value (`$` is the root, e.g. `$.items[2].price`) */
+  path: string;
+  /** What is wrong with it */
+  message: string;
 }
 
 /**
@@ -816,8 +1041,23 @@ export interface JsonParseResult {
   parsed?: unknown;
   /** Error message (if parsing failed) */
   parse_error?: string;
+  /** Whether the parsed JSON matches the json_schema (json_schema mode only) */
+  schema_valid?: boolean;
+  /** Schema mismatches (json_schema mode only) */
+  schema_errors?: SchemaValidationError[];
+  /** Whether a repair round-trip was made after validation failed */
+  repaired?: boolean;
 }
 
+/**
+ * Per-request cache behavior
+ *
+ * - use: return a cached response if available, cache new responses
+ * - bypass: skip the cache entirely
+ * - refresh: skip the lookup but cache the new response
+ */
+export type CacheMode = 'use' | 'bypass' | 'refresh';
+
 export interface GrokQueryInput {
   query: string;
   model?: string;
@@ -831,8 +1071,14 @@ export interface GrokQueryInput {
   image_url?: string;
   /** Image detail level for vision queries - P4-015 */
   image_detail?: 'auto' | 'low' | 'high';
-  /** Response format - when set to json_object, instructs Grok to return valid JSON */
+  /** Response format - when set, instructs Grok to return valid JSON (matching a schema for json_schema) */
   response_format?: ResponseFormat;
+  /** Ask Grok once to fix output that fails json_schema validation (default: true) */
+  repair_json?: boolean;
+  /** Server-side conversation to continue, or "new" to start one */
+  conversation_id?: string;
+  /** Cache behavior for this request (default: use) */
+  cache?: CacheMode;
 }
 
 /**
@@ -849,6 +1095,9 @@ export interface GrokModelsInput {
 import type { ResponseCache } from '../services/cache.js';
 import type { CostTracker } from '../services/cost-tracker.js';
 import type { RateLimiter } from '../services/rate-limiter.js';
+import type { RetryPolicy } from '../services/retry-policy.js';
+import type { CircuitBreaker } from '../services/circuit-breaker.js';
+import type { ConversationStore } from '../services/conversation-store.js';
 
 /**
  * Service instances passed to tool handlers
@@ -857,6 +1106,10 @@ export interface Services {
   cache: ResponseCache;
   costTracker: CostTracker;
   rateLimiter: RateLimiter;
+  /** Multi-turn conversation history (required for conversation_id and grok_conversation) */
+  conversations?: ConversationStore;
+  /** Circuit breaker shared with the client (reported by grok_status) */
+  circuitBreaker?: CircuitBreaker;
 }
 
 // =============================================================================
@@ -953,6 +1206,8 @@ export interface AgentToolsParams {
     | 'x_search_call_output'
     | 'code_interpreter_call.outputs'
   >;
+  /** Cancels the request when aborted (not sent to the API) */
+  signal?: AbortSignal;
 }
 
 /**
@@ -1253,6 +1508,8 @@ export interface ImageGenerationParams {
   n?: number;
   /** Response format: 'url' returns URLs, 'b64_json' returns base64 data */
   response_format?: ImageResponseFormat;
+  /** Cancels the request when aborted (not sent to the API) */
+  signal?: AbortSignal;
 }
 
 /**
@@ -1308,3 +1565,76 @@ export interface GrokGenerateImageResponse {
   /** Warning about URL expiration (if response_format is 'url') */
   url_expiration_notice?: string;
 }
+
+// =============================================================================
+// Function Calling Tool Types (grok_function_call)
+// =============================================================================
+
+/**
+ * Function call in grok_function_call input and output
+ * Arguments are parsed from the API's JSON string where possible.
+ */
+export interface GrokFunctionCall {
+  /** Call ID (pass back with the matching tool result) */
+  id: string;
+  /** Name of the function Grok chose */
+  name: string;
+  /** Parsed arguments (null if Grok returned invalid JSON) */
+  arguments: Record<string, unknown> | null;
+  /** Arguments exactly as returned, when they could not be parsed */
+  raw_arguments?: string;
+  /** Why the arguments could not be parsed */
+  parse_error?: string;
+}
+
+/**
+ * Result of running a function, sent back to Grok
+ */
+export interface GrokFunctionResult {
+  /** ID of the call this result answers */
+  tool_call_id: string;
+  /** Function output (usually JSON) */
+  content: string;
+}
+
+/**
+ * Input parameters for grok_function_call tool
+ */
+export interface GrokFunctionCallInput {
+  /** Request for Grok to fulfil using the functions */
+  query: string;
+  /** Functions Grok may call (1-128) */
+  functions: FunctionDefinition[];
+  /** auto, none, required, or the name of a function to force (default: auto) */
+  tool_choice?: string;
+  /** Allow several calls in one response (default: true) */
+  parallel?: boolean;
+  /** System prompt / background for the request */
+  context?: string;
+  /** Calls from a previous grok_function_call response, when sending their results */
+  tool_calls?: GrokFunctionCall[];
+  /** Results of running the previous calls */
+  tool_results?: GrokFunctionResult[];
+  /** Model to use (default: grok-4-1-fast-non-reasoning) */
+  model?: string;
+}
+
+/**
+ * Response from grok_function_call tool
+ */
+export interface GrokFunctionCallResponse {
+  /** Functions Grok chose to call (empty if it answered directly) */
+  function_calls: GrokFunctionCall[];
+  /** Grok's text reply, if any */
+  content: string;
+  /** Why generation stopped ('tool_calls' when functions were chosen) */
+  finish_reason: ChatCompletionChoice['finish_reason'];
+  /** Model used */
+  model: string;
+  /** Token usage */
+  usage: TokenUsage;
+  /** Cost estimate */
+  cost: CostEstimate;
+  /** Response time in milliseconds */
+  response_time_ms: number;
+}